@@ -1744,6 +1744,15 @@ BodyTextPreview: ${(initialSnapshot.bodyTextPreview || '').slice(0, 2500)}`
     async verifyWithScreenshot(functionDef, executionResult, screenshotBase64, apiKey) {
         // Fast paths for obvious failures
         if (!executionResult?.success) {
+            // Contract violations come with one issue per mismatch. Bad test inputs cannot be fixed in the steps.
+            if (executionResult?.contractErrors?.length > 0) {
+                return {
+                    valid: false,
+                    issues: executionResult.contractErrors.map(item => item.message),
+                    canFix: executionResult.failureKind !== FunctionContract.INPUT_FAILURE,
+                    failureKind: executionResult.failureKind
+                };
+            }
             return { valid: false, issues: [executionResult?.error || 'Execution failed'], canFix: true };
         }
         const outputData = executionResult.data;
@@ -2505,7 +2514,7 @@ Use page.navigate (not page.goto), and pass a selector string to page.extract.`;
      * Much faster than regenerating the entire function from scratch.
      *
      * @param {object} functionDef - The function definition that failed
-     * @param {object} testResult - Execution result ({success, data, error})
+     * @param {object} testResult - Execution result ({success, data, error, failureKind?, contractErrors?})
      * @param {string} screenshot - PNG screenshot data URL (or null)
      * @param {string[]} issues - List of issues from verification
      * @param {string} apiKey - Gemini API key
@@ -2540,6 +2549,16 @@ ONLY fix the broken fields â€” do NOT touch extraction logic for working fi
 `;
         }
 
+        // The steps ran, but what they returned does not have the shape the function declares.
+        let contractInfo = '';
+        if (testResult?.failureKind === FunctionContract.OUTPUT_FAILURE) {
+            contractInfo = `\nOUTPUT CONTRACT VIOLATIONS (returned data does not match the declared outputs):
+${(testResult.contractErrors || []).map(item => `- ${item.message}`).join('\n')}
+Fix the steps so they return the declared outputs type with the declared field names.
+If the extracted values are right but shaped differently, reshape them in a final script step.
+`;
+        }
+
         let diagnosticInfo = '';
         const failureContext = trimContext(context.failureContext, 700);
         if (failureContext) {
@@ -2574,12 +2593,13 @@ ${JSON.stringify(functionDef, null, 2)}
 
 TEST RESULT:
 - Success: ${testResult?.success}
+- Failure kind: ${testResult?.failureKind || (testResult?.success ? 'none' : 'execution')}
 - Error: ${testResult?.error || 'none'}
 - Data returned: ${(JSON.stringify(testResult?.data) || 'undefined').substring(0, 2000)}
 
 ISSUES FOUND:
 ${issueList.map((issue, i) => `${i + 1}. ${issue}`).join('\n')}
-${diagnosticInfo}
+${contractInfo}${diagnosticInfo}
 ${workingInfo}
 RULES:
 1. Return the COMPLETE corrected steps array (same format as functionDef.steps)
@@ -104,15 +104,26 @@ Reply with JSON:
         return storage.generatedFunctions || {};
     },
 
-    async _saveFunctionLibrary(functions) {
+    async _saveFunctionLibrary(functions, options = {}) {
         if (typeof FunctionLibraryService !== 'undefined') {
-            return await FunctionLibraryService.setAll(functions || {});
+            return await FunctionLibraryService.setAll(functions || {}, options);
         }
         const normalized = (functions && typeof functions === 'object') ? functions : {};
         await chrome.storage.local.set({ generatedFunctions: normalized });
         return normalized;
     },
 
+    // Read-modify-write of the library. `mutator(functions)` edits the map in place and runs again if another
+    // context changed one of the same functions in between (FunctionLibraryService.update).
+    async _updateFunctionLibrary(mutator, options = {}) {
+        if (typeof FunctionLibraryService !== 'undefined') {
+            return await FunctionLibraryService.update(mutator, options);
+        }
+        const functions = await this._loadFunctionLibrary();
+        await mutator(functions);
+        return await this._saveFunctionLibrary(functions, options);
+    },
+
     async _upsertFunctionDef(functionDef, options = { unique: false }) {
         if (typeof FunctionLibraryService !== 'undefined') {
             return await FunctionLibraryService.upsert(functionDef, options || { unique: false });
@@ -1779,7 +1790,10 @@ Generate the orchestration code now (code only, no markdown fences):`;
                         allFunctions[testedFunc.name] = testedFunc;
 
                         // Save sub-function to storage immediately after testing (don't wait until workflow end)
-                        await this._upsertFunctionDef(testedFunc, { unique: false });
+                        await this._upsertFunctionDef(testedFunc, {
+                            unique: false,
+                            author: testResult.corrected ? 'ai-fix' : 'ai-generate'
+                        });
 
                         emitStep('test', 'completed');
                         const testMessage = testResult.skippedByUser
@@ -1933,14 +1947,15 @@ Generate the orchestration code now (code only, no markdown fences):`;
             // 6. TEST WORKFLOW END-TO-END (before saving, after assembly)
             // Only run if no stubs exist (otherwise workflow will definitely fail)
             const hasStubs = generatedSubFunctions.some(f => f.source === 'workflow-stub');
+            let masterCorrected = false;
             if (!hasStubs) {
                 this._throwIfAbortRequested(control, 'workflow end-to-end test');
                 // Pre-save sub-functions to storage so master function's page.executeFunction() calls can find them
-                const preSaved = await this._loadFunctionLibrary();
-                for (const subFunc of generatedSubFunctions) {
-                    preSaved[subFunc.name] = subFunc;
-                }
-                await this._saveFunctionLibrary(preSaved);
+                await this._updateFunctionLibrary((preSaved) => {
+                    for (const subFunc of generatedSubFunctions) {
+                        preSaved[subFunc.name] = subFunc;
+                    }
+                }, { author: 'ai-generate' });
                 console.log(`[Workflow] Pre-saved ${generatedSubFunctions.length} sub-functions for workflow test`);
                 onStatusUpdate(`Testing workflow end-to-end...`, {
                     type: 'workflow-step',
@@ -1972,6 +1987,7 @@ Generate the orchestration code now (code only, no markdown fences):`;
 
                 // Use potentially corrected master function
                 masterFunctionDef = workflowTest.masterDef;
+                masterCorrected = workflowTest.corrected === true;
 
                 if (workflowTest.success) {
                     onStatusUpdate(workflowTest.skippedByUser ? `Workflow end-to-end test skipped by user.` : `Workflow end-to-end test passed!`, {
@@ -2020,16 +2036,16 @@ Generate the orchestration code now (code only, no markdown fences):`;
                 // Clean up any successfully generated sub-functions that were part of this failed workflow
                 // (don't leave orphans in storage)
                 try {
-                    const currentLib = await this._loadFunctionLibrary();
-                    for (const subFunc of successfulSubs) {
-                        if (currentLib[subFunc.name]) {
-                            delete currentLib[subFunc.name];
+                    await this._updateFunctionLibrary((currentLib) => {
+                        for (const subFunc of successfulSubs) {
+                            if (currentLib[subFunc.name]) {
+                                delete currentLib[subFunc.name];
+                            }
                         }
-                    }
-                    if (currentLib[masterFunctionDef.name]) {
-                        delete currentLib[masterFunctionDef.name];
-                    }
-                    await this._saveFunctionLibrary(currentLib);
+                        if (currentLib[masterFunctionDef.name]) {
+                            delete currentLib[masterFunctionDef.name];
+                        }
+                    });
                 } catch (cleanupErr) {
                     console.warn('[Workflow] Cleanup of orphaned functions failed:', cleanupErr);
                 }
@@ -2053,14 +2069,15 @@ Generate the orchestration code now (code only, no markdown fences):`;
                 status: 'active'
             });
 
-            const savedFunctions = await this._loadFunctionLibrary();
-
-            for (const subFunc of generatedSubFunctions) {
-                savedFunctions[subFunc.name] = subFunc;
-            }
-            savedFunctions[masterFunctionDef.name] = masterFunctionDef;
-
-            await this._saveFunctionLibrary(savedFunctions);
+            await this._updateFunctionLibrary((savedFunctions) => {
+                for (const subFunc of generatedSubFunctions) {
+                    savedFunctions[subFunc.name] = subFunc;
+                }
+            }, { author: 'ai-generate' });
+            // Saved on its own so history records a master rewritten by the workflow fix loop as a fix.
+            await this._updateFunctionLibrary((savedFunctions) => {
+                savedFunctions[masterFunctionDef.name] = masterFunctionDef;
+            }, { author: masterCorrected ? 'ai-fix' : 'ai-generate' });
 
             const prunedCount = await this._pruneFailedVersionedSiblings(
                 [...generatedSubFunctions.map(f => f.name), masterFunctionDef.name]
@@ -2285,9 +2302,18 @@ Generate the orchestration code now (code only, no markdown fences):`;
                 return { success: true, functionDef: currentFuncDef, testResults: allTestResults, corrected: isRetry };
             }
 
+            // Test inputs that break the declared inputs cannot be fixed by changing the steps.
+            const badInputs = failedTests.find(f => f.execResult?.failureKind === FunctionContract.INPUT_FAILURE);
+            if (badInputs) {
+                onStatusUpdate(`Test "${badInputs.testCase?.name || 'unknown'}" does not fit the inputs of "${functionDef.name}" (${badInputs.execResult.error}). Stopping corrections.`);
+                break;
+            }
+
             // Tests failed — attempt AI correction (if attempts remain)
             if (correction < maxCorrections) {
                 const firstFailure = failedTests[0];
+                // The page did what it should when only the returned data has the wrong shape; skip the page diagnosis.
+                const shapeOnly = failedTests.every(f => f.execResult?.failureKind === FunctionContract.OUTPUT_FAILURE);
                 const allIssues = failedTests.flatMap(f => f.issues);
                 onStatusUpdate(`${failedTests.length}/${testCases.length} test(s) failed. Asking AI for correction...`);
 
@@ -2312,16 +2338,18 @@ Generate the orchestration code now (code only, no markdown fences):`;
                 }
 
                 // Reset to a stable/known state before computer-use diagnosis.
-                await this._restoreDiagnosisContext({
-                    tabId: firstFailure?.tabId,
-                    lastWorkingSnapshot,
-                    failingTestCase: firstFailure?.testCase,
-                    functionDef: currentFuncDef,
-                    onStatusUpdate
-                });
+                if (!shapeOnly) {
+                    await this._restoreDiagnosisContext({
+                        tabId: firstFailure?.tabId,
+                        lastWorkingSnapshot,
+                        failingTestCase: firstFailure?.testCase,
+                        functionDef: currentFuncDef,
+                        onStatusUpdate
+                    });
+                }
 
                 // Enhanced diagnosis: interactive computer-use investigation with structured findings
-                const diagnosis = await this._runEnhancedDiagnosis({
+                const diagnosis = shapeOnly ? null : await this._runEnhancedDiagnosis({
                     functionDef: currentFuncDef,
                     taskDescription: functionDef?.description || '',
                     testCase: firstFailure?.testCase,
@@ -2418,7 +2446,7 @@ Generate the orchestration code now (code only, no markdown fences):`;
      * @param {object[]} subFunctions - Array of sub-function definitions
      * @param {string} apiKey - Gemini API key
      * @param {object} options - { onStatusUpdate, maxCorrections, showTestsForeground }
-     * @returns {object} { success, masterDef (potentially corrected), subFunctions, testResults }
+     * @returns {object} { success, masterDef (potentially corrected), corrected, subFunctions, testResults }
      */
     async testAndCorrectWorkflow(masterDef, subFunctions, apiKey, options = {}) {
         const {
@@ -2461,6 +2489,7 @@ Generate the orchestration code now (code only, no markdown fences):`;
         const testCase = testCases[0];
 
         let currentMasterDef = { ...masterDef };
+        let corrected = false;
 
         for (let attempt = 0; attempt <= maxCorrections; attempt++) {
             this._throwIfAbortRequested(control, 'workflow testing');
@@ -2472,7 +2501,8 @@ Generate the orchestration code now (code only, no markdown fences):`;
                     masterDef: currentMasterDef,
                     subFunctions,
                     testResults: [{ name: testCase.name, passed: false, skippedByUser: true }],
-                    skippedByUser: true
+                    skippedByUser: true,
+                    corrected
                 };
             }
             let testContext = null;
@@ -2514,25 +2544,34 @@ Generate the orchestration code now (code only, no markdown fences):`;
                         success: true,
                         masterDef: currentMasterDef,
                         subFunctions,
-                        testResults: [{ name: testCase.name, passed: true }]
+                        testResults: [{ name: testCase.name, passed: true }],
+                        corrected
                     };
                 }
 
                 // Failed — try AI correction of orchestration code
                 onStatusUpdate(`Workflow test failed: ${(verification.issues || []).join('; ')}`);
 
+                if (execResult?.failureKind === FunctionContract.INPUT_FAILURE) {
+                    onStatusUpdate(`Workflow test inputs do not fit the declared inputs. Stopping.`);
+                    break;
+                }
+
                 if (attempt < maxCorrections) {
                     const issueList = verification.issues || ['Workflow produced incorrect results'];
-
-                    // Enhanced diagnosis with interactive investigation
-                    await this._restoreDiagnosisContext({
-                        tabId: testContext?.tabId,
-                        lastWorkingSnapshot: null,
-                        failingTestCase: testCase,
-                        functionDef: currentMasterDef,
-                        onStatusUpdate
-                    });
-                    const diagnosis = await this._runEnhancedDiagnosis({
+                    const shapeOnly = execResult?.failureKind === FunctionContract.OUTPUT_FAILURE;
+
+                    // Enhanced diagnosis with interactive investigation; not needed when only the output shape is wrong
+                    if (!shapeOnly) {
+                        await this._restoreDiagnosisContext({
+                            tabId: testContext?.tabId,
+                            lastWorkingSnapshot: null,
+                            failingTestCase: testCase,
+                            functionDef: currentMasterDef,
+                            onStatusUpdate
+                        });
+                    }
+                    const diagnosis = shapeOnly ? null : await this._runEnhancedDiagnosis({
                         functionDef: currentMasterDef,
                         taskDescription: masterDef?.description || '',
                         testCase,
@@ -2578,6 +2617,7 @@ Generate the orchestration code now (code only, no markdown fences):`;
                             onStatusUpdate(`Workflow fix applied: ${fix.fixDescription || 'Orchestration corrected'}`);
                             console.log('[WorkflowTest] Fix:', fix.fixDescription);
                             currentMasterDef = { ...currentMasterDef, steps: optimizedFix.steps };
+                            corrected = true;
                         }
                     } else {
                         onStatusUpdate(`AI could not generate a workflow fix. Stopping.`);
@@ -2599,7 +2639,8 @@ Generate the orchestration code now (code only, no markdown fences):`;
             success: false,
             masterDef: currentMasterDef,
             subFunctions,
-            testResults: [{ name: testCase.name, passed: false }]
+            testResults: [{ name: testCase.name, passed: false }],
+            corrected
         };
     },
 
@@ -3129,12 +3170,14 @@ ${retryNotes.join('\n')}`;
                         if (reuseName === plan.name || reuseName.toLowerCase() === plan.name.toLowerCase()) {
                             reuseName = reuseName + '_extractor';
                             // Rename in storage
-                            const renameFuncs = await this._loadFunctionLibrary();
-                            if (renameFuncs[existingScraper.name]) {
+                            await this._updateFunctionLibrary((renameFuncs) => {
+                                if (!renameFuncs[existingScraper.name]) return;
                                 renameFuncs[reuseName] = { ...renameFuncs[existingScraper.name], name: reuseName };
                                 delete renameFuncs[existingScraper.name];
-                                await this._saveFunctionLibrary(renameFuncs);
-                            }
+                            }, {
+                                note: 'Renamed to avoid a collision with its parent function',
+                                renames: { [existingScraper.name]: reuseName }
+                            });
                         }
                         onStatusUpdate(`Reusing existing scraper: ${reuseName}`);
                         const reusedFields = Array.from(getScraperFieldSet(existingScraper));
@@ -3814,12 +3857,14 @@ ${retryNotes.join('\n')}`;
                 console.log(`[aiTaskService] Renaming scraper "${scraperFuncName}" -> "${newScraperName}" to avoid collision with parent function "${plan.name}"`);
 
                 // Rename in storage
-                const savedFunctions = await this._loadFunctionLibrary();
-                if (savedFunctions[scraperFuncName]) {
+                await this._updateFunctionLibrary((savedFunctions) => {
+                    if (!savedFunctions[scraperFuncName]) return;
                     savedFunctions[newScraperName] = { ...savedFunctions[scraperFuncName], name: newScraperName };
                     delete savedFunctions[scraperFuncName];
-                    await this._saveFunctionLibrary(savedFunctions);
-                }
+                }, {
+                    note: 'Renamed to avoid a collision with its parent function',
+                    renames: { [scraperFuncName]: newScraperName }
+                });
 
                 scraperFuncName = newScraperName;
                 onStatusUpdate(`Scraper renamed to: ${scraperFuncName} (avoid collision with parent)`);
@@ -4147,25 +4192,23 @@ ${retryNotes.join('\n')}`;
         ));
         const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-        const all = await this._loadFunctionLibrary();
         let removed = 0;
-        for (const [name, def] of Object.entries(all)) {
-            if (keepSet.has(name)) continue;
-            const source = String(def?.source || '');
-            const isGenerated = source === 'smartScrape' || source === 'ai-task' || source === 'ai-workflow';
-            const isFailed = def?.testsPassed === false || (isGenerated && def?.testsPassed !== true);
-            if (!isFailed) continue;
-
-            const matchesBase = baseNames.some(base => new RegExp(`^${escapeRegex(base)}V\\d+$`, 'i').test(name));
-            if (!matchesBase) continue;
-
-            delete all[name];
-            removed++;
-        }
-
-        if (removed > 0) {
-            await this._saveFunctionLibrary(all);
-        }
+        await this._updateFunctionLibrary((all) => {
+            removed = 0;
+            for (const [name, def] of Object.entries(all)) {
+                if (keepSet.has(name)) continue;
+                const source = String(def?.source || '');
+                const isGenerated = source === 'smartScrape' || source === 'ai-task' || source === 'ai-workflow';
+                const isFailed = def?.testsPassed === false || (isGenerated && def?.testsPassed !== true);
+                if (!isFailed) continue;
+
+                const matchesBase = baseNames.some(base => new RegExp(`^${escapeRegex(base)}V\\d+$`, 'i').test(name));
+                if (!matchesBase) continue;
+
+                delete all[name];
+                removed++;
+            }
+        });
         return removed;
     },
 
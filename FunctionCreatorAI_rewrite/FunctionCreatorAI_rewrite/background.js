@@ -17,6 +17,7 @@ loadWorkerScript('ai/ai-service.js');
 
 // Shared function and task adapters
 loadWorkerScript('core/functionLibraryService.js');
+loadWorkerScript('core/functionContract.js');
 loadWorkerScript('core/recordedTaskAdapter.js');
 
 // Import Tool System services
@@ -24,7 +25,9 @@ loadWorkerScript('core/toolRegistry.js');
 loadWorkerScript('services/notepadService.js');
 loadWorkerScript('services/ollamaService.js');
 loadWorkerScript('services/embeddingService.js');
+loadWorkerScript('services/functionBackendClient.js');
 loadWorkerScript('services/backendFunctionService.js');
+loadWorkerScript('services/backendEventsService.js');
 loadWorkerScript('services/fileSystemService.js');
 loadWorkerScript('services/siteModifier.js');
 loadWorkerScript('services/webpageGenerator.js');
@@ -78,11 +81,6 @@ async function syncOllamaRuntimeSettings(overrides = null) {
 
 syncOllamaRuntimeSettings();
 
-function normalizeGeneratedFunctionsMap(value) {
-    if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
-    return value;
-}
-
 function getFunctionSyncSignature(functionDef) {
     if (!functionDef || typeof functionDef !== 'object') return '';
     const stable = {
@@ -105,18 +103,15 @@ function shouldUploadFunctionToBackend(functionDef) {
     return true;
 }
 
-async function handleGeneratedFunctionsStorageChange(change) {
+// changes: [{ name, oldValue, newValue }] from FunctionLibraryService, for the functions a write touched.
+async function handleFunctionLibraryChanges(changes) {
     if (typeof BackendFunctionService === 'undefined') return;
     const settings = await BackendFunctionService.getSettings();
     if (!settings.backendUploadEnabled) return;
 
-    const oldMap = normalizeGeneratedFunctionsMap(change?.oldValue);
-    const newMap = normalizeGeneratedFunctionsMap(change?.newValue);
-
-    for (const [name, functionDef] of Object.entries(newMap)) {
+    for (const { name, oldValue: previous, newValue: functionDef } of (Array.isArray(changes) ? changes : [])) {
         if (!shouldUploadFunctionToBackend(functionDef)) continue;
 
-        const previous = oldMap[name];
         if (shouldUploadFunctionToBackend(previous)) {
             const oldSig = getFunctionSyncSignature(previous);
             const newSig = getFunctionSyncSignature(functionDef);
@@ -136,12 +131,14 @@ async function handleGeneratedFunctionsStorageChange(change) {
     }
 }
 
-chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName !== 'local' || !changes?.generatedFunctions) return;
-    handleGeneratedFunctionsStorageChange(changes.generatedFunctions).catch((error) => {
-        console.warn('[Backend] generatedFunctions sync failed:', error.message);
+// Writes made here arrive through the listener; writes from the popup arrive as a
+// 'functionLibraryChanged' message (see the message handler).
+function onFunctionLibraryChanged(changes) {
+    handleFunctionLibraryChanges(changes).catch((error) => {
+        console.warn('[Backend] Function library sync failed:', error.message);
     });
-});
+}
+FunctionLibraryService.addChangeListener(onFunctionLibraryChanged);
 
 function saveStateToStorage() {
     chrome.storage.local.set({
@@ -1363,6 +1360,19 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     });
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm?.name !== 'backend-events-reconnect' || typeof BackendEventsService === 'undefined') return;
+    BackendEventsService.sync().catch((e) => {
+        console.warn('[BackendEvents] Reconnect failed:', e.message);
+    });
+});
+
+if (typeof BackendEventsService !== 'undefined') {
+    BackendEventsService.sync().catch((e) => {
+        console.warn('[BackendEvents] Startup subscription skipped:', e.message);
+    });
+}
+
 chrome.windows.onFocusChanged.addListener((windowId) => {
     if (windowId === chrome.windows.WINDOW_ID_NONE) return;
     runKeywordSchedulesForActiveTab('window-focus').catch(() => { });
@@ -1499,6 +1509,9 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (changeInfo.status === 'complete' && tab.url) {
         syncDomChangeObserverForTab(tab, 'tab-updated').catch(() => { });
+        if (typeof BackendEventsService !== 'undefined') {
+            BackendEventsService.recordVisit(tab.url).catch(() => { });
+        }
         chrome.tabs.query({ active: true, currentWindow: true }, (activeTabs) => {
             if (activeTabs.length > 0 && activeTabs[0].id === tabId) {
                 safeSendMessage({ type: 'tasksUpdate', tasks: allTasks, currentUrl: tab.url });
@@ -1532,6 +1545,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         switch (message.type) {
             case 'getInitialState': { const [tab] = await chrome.tabs.query({ active: true, currentWindow: true }); safeSendMessage({ type: 'recordingStateUpdate', isRecording, recording: currentRecording, recordingMode }); safeSendMessage({ type: 'tasksUpdate', tasks: allTasks, currentUrl: tab?.url }); break; }
             case 'getSessionLogs': { sendResponse({ logs: sessionLogs }); break; }
+            case 'functionLibraryChanged': { onFunctionLibraryChanged(message.changes); break; }
             case 'startRecording': { const [tab] = await chrome.tabs.query({ active: true, currentWindow: true }); if (tab) await startRecording(tab.id, tab.url, 'selector'); break; }
             case 'startLiteralRecording': { const [tab] = await chrome.tabs.query({ active: true, currentWindow: true }); if (tab) await startRecording(tab.id, tab.url, 'literal'); break; }
             case 'stopRecording': { stopRecording(); break; }
@@ -1923,9 +1937,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     backendEnabled: message.backendEnabled,
                     backendUrl: message.backendUrl,
                     backendUploadEnabled: message.backendUploadEnabled,
-                    backendSearchTopK: message.backendSearchTopK
+                    backendSearchTopK: message.backendSearchTopK,
+                    backendApiToken: message.backendApiToken,
+                    backendWorkspace: message.backendWorkspace,
+                    backendIncludePublic: message.backendIncludePublic,
+                    backendSubscribeEnabled: message.backendSubscribeEnabled
                 });
                 await chrome.storage.local.set(normalized);
+                // Reconnect with the new URL/token/workspace, or stop when the subscription was turned off.
+                if (typeof BackendEventsService !== 'undefined') {
+                    BackendEventsService.stop();
+                    BackendEventsService.sync().catch((e) => {
+                        console.warn('[BackendEvents] Subscription sync failed:', e.message);
+                    });
+                }
                 sendResponse({ success: true, settings: normalized });
                 break;
             }
@@ -1938,11 +1963,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     backendEnabled: message.backendEnabled,
                     backendUrl: message.backendUrl,
                     backendUploadEnabled: message.backendUploadEnabled,
-                    backendSearchTopK: message.backendSearchTopK
+                    backendSearchTopK: message.backendSearchTopK,
+                    backendApiToken: message.backendApiToken,
+                    backendWorkspace: message.backendWorkspace,
+                    backendIncludePublic: message.backendIncludePublic
                 });
                 sendResponse(health);
                 break;
             }
+            case 'listBackendWorkspaces': {
+                if (typeof BackendFunctionService === 'undefined') {
+                    sendResponse({ success: false, error: 'BackendFunctionService unavailable' });
+                    break;
+                }
+                const workspaces = await BackendFunctionService.listWorkspaces({
+                    backendEnabled: message.backendEnabled,
+                    backendUrl: message.backendUrl,
+                    backendApiToken: message.backendApiToken
+                });
+                sendResponse({ success: true, items: workspaces.items || [], defaultWorkspace: workspaces.defaultWorkspace || '' });
+                break;
+            }
             case 'hydrateBackendFunctionsForTask': {
                 if (typeof BackendFunctionService === 'undefined') {
                     sendResponse({ success: false, error: 'BackendFunctionService unavailable' });
@@ -1972,11 +2013,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     query: message.query || '',
                     currentUrl: message.currentUrl || '',
                     topK: message.topK,
-                    queryEmbedding: message.queryEmbedding
+                    queryEmbedding: message.queryEmbedding,
+                    queryEmbeddingModel: message.queryEmbeddingModel,
+                    filters: message.filters,
+                    explain: message.explain === true
                 });
                 sendResponse({ success: true, result });
                 break;
             }
+            case 'semanticSearchFunctionLibrary': {
+                try {
+                    sendResponse(await semanticSearchFunctionLibrary(message.query));
+                } catch (e) {
+                    sendResponse({ success: false, error: e.message });
+                }
+                break;
+            }
             case 'executeToolChain': {
                 try {
                     if (isAiStopRequested()) {
@@ -2305,17 +2357,6 @@ ToolRegistry.register('remote_intelligence_api', {
     }
 });
 
-function tokenizeForMatch(text) {
-    return new Set(
-        String(text || '')
-            .toLowerCase()
-            .replace(/[^a-z0-9\s]/g, ' ')
-            .split(/\s+/)
-            .map(t => t.trim())
-            .filter(t => t.length >= 3)
-    );
-}
-
 function normalizePatternList(patterns) {
     if (Array.isArray(patterns)) return patterns.filter(Boolean);
     if (typeof patterns === 'string') {
@@ -2324,29 +2365,8 @@ function normalizePatternList(patterns) {
     return [];
 }
 
-function scoreFunctionForTask(func, taskDescription) {
-    const taskTokens = tokenizeForMatch(taskDescription);
-    if (taskTokens.size === 0) return 0;
-
-    const extractStep = (func.steps || []).find(s => s.type === 'extractScript');
-    const fieldNames = (extractStep?.fields || []).map(f => f.name).join(' ');
-    const functionText = [
-        func.name,
-        func.description,
-        func.outputs?.description,
-        fieldNames
-    ].filter(Boolean).join(' ');
-    const fnTokens = tokenizeForMatch(functionText);
-
-    let overlap = 0;
-    for (const tok of taskTokens) {
-        if (fnTokens.has(tok)) overlap++;
-    }
-    return overlap;
-}
-
 async function findReusableSmartScraper(currentUrl, taskDescription) {
-    const generatedFunctions = Object.values(await FunctionLibraryService.getAll());
+    const generatedFunctions = Object.values(await FunctionLibraryService.findByHost(currentUrl));
 
     const isSmartScrapeLike = (func) => {
         if (!func || typeof func !== 'object') return false;
@@ -2400,7 +2420,7 @@ async function findReusableSmartScraper(currentUrl, taskDescription) {
     if (urlMatched.length === 0) return null;
 
     const ranked = urlMatched
-        .map(func => ({ func, score: scoreFunctionForTask(func, taskDescription) }))
+        .map(func => ({ func, score: FunctionLibraryService.scoreFunctionForTask(func, taskDescription) }))
         .sort((a, b) => b.score - a.score);
 
     const best = ranked[0];
@@ -2905,7 +2925,88 @@ async function takeFullPageScreenshot(tabId) { const [pageDetails] = await chrom
 
 // ==================== AI-GENERATED FUNCTION EXECUTION ====================
 
-async function executeGeneratedFunction(functionDef, inputs = {}, targetTabId = null) {
+async function executeGeneratedFunction(functionDef, inputs = {}, targetTabId = null) {
+    const startedAt = Date.now();
+    // Bad inputs are the caller's mistake: nothing runs and the run is not counted against the function.
+    const prepared = FunctionContract.prepareInputs(functionDef, inputs);
+    if (!prepared.ok) {
+        const failure = FunctionContract.failure(FunctionContract.INPUT_FAILURE, prepared.errors);
+        log(`❌ Function "${functionDef?.name}" not run. ${failure.error}`);
+        return failure;
+    }
+
+    let result = await runGeneratedFunctionSteps(functionDef, prepared.inputs, targetTabId);
+    if (result.success) {
+        // Runs that only collected text and screenshots returned no data to check.
+        const { hasData, ...output } = result;
+        const checked = FunctionContract.checkOutput(functionDef, hasData ? output.data : null);
+        result = checked.ok ? output : FunctionContract.failure(FunctionContract.OUTPUT_FAILURE, checked.errors, output);
+        if (!checked.ok) log(`❌ Function "${functionDef.name}": ${result.error}`);
+    }
+    reportBackendFunctionRun(functionDef, result, Date.now() - startedAt);
+    recordLocalFunctionRun(functionDef, result, Date.now() - startedAt);
+    return result;
+}
+
+// Library embeddings are cached per function and only recomputed when its search text or the embedding
+// model changes. A search embeds at most this many functions; the rest are reported as pending.
+const LIBRARY_EMBED_BATCH = 25;
+
+// Cosine similarity of the query to every function in the popup library: { success, model, scores, pending }.
+async function semanticSearchFunctionLibrary(query) {
+    const text = String(query || '').trim();
+    if (!text) return { success: true, model: '', scores: {}, pending: 0 };
+
+    const settings = await syncOllamaRuntimeSettings();
+    const { geminiApiKey } = await chrome.storage.local.get(['geminiApiKey']);
+    const embed = (input) => EmbeddingService.embedWithModel(input, geminiApiKey, settings.embeddingEngine, {
+        embeddingModel: settings.ollamaEmbeddingModel
+    });
+    const queryEmbedding = await embed(text);
+    const [functions, cached] = await Promise.all([
+        FunctionLibraryService.getAll(),
+        FunctionLibraryService.getEmbeddings()
+    ]);
+
+    const scores = {};
+    let embedded = 0;
+    let pending = 0;
+    for (const func of Object.values(functions)) {
+        const searchText = FunctionLibraryService.getSearchText(func);
+        let entry = cached[func.name];
+        if (!entry || entry.text !== searchText || entry.model !== queryEmbedding.model) {
+            if (embedded >= LIBRARY_EMBED_BATCH) {
+                pending += 1;
+                continue;
+            }
+            embedded += 1;
+            entry = { text: searchText, ...await embed(searchText) };
+            await FunctionLibraryService.putEmbedding(func.name, entry);
+        }
+        // An Ollama -> Gemini fallback can leave the function and query in different vector spaces.
+        if (entry.model === queryEmbedding.model) {
+            scores[func.name] = EmbeddingService.cosineSimilarity(queryEmbedding.vector, entry.vector);
+        }
+    }
+    return { success: true, model: queryEmbedding.model, scores, pending };
+}
+
+// Fire-and-forget: feeds the popup library's "last run" and "success rate" sorting.
+function recordLocalFunctionRun(functionDef, result, durationMs) {
+    if (!functionDef?.name) return;
+    FunctionLibraryService.recordRun(functionDef.name, { success: result?.success === true, durationMs })
+        .catch((error) => log(`⚠️ Could not record run of "${functionDef.name}": ${error.message}`));
+}
+
+// Fire-and-forget: run telemetry must never delay or fail the execution itself.
+function reportBackendFunctionRun(functionDef, result, durationMs) {
+    if (typeof BackendFunctionService === 'undefined' || functionDef?.syncedFromBackend !== true) return;
+    const { pageUrl, ...runResult } = result || {};
+    BackendFunctionService.reportRun(functionDef, runResult, { durationMs, pageUrl })
+        .catch((error) => log(`⚠️ Backend run report failed for "${functionDef?.name}": ${error.message}`));
+}
+
+async function runGeneratedFunctionSteps(functionDef, inputs = {}, targetTabId = null) {
     const modelStateSnapshot = applyFunctionModelPreferences(functionDef?.modelPreferences || {});
     const needsCurrentContext = functionNeedsCurrentPageContext(functionDef);
     let tab;
@@ -3059,7 +3160,7 @@ async function executeGeneratedFunction(functionDef, inputs = {}, targetTabId =
             if (!stepResult || !stepResult.success) {
                 const errorMsg = stepResult?.error || 'Unknown error';
                 log(`  ❌ Step ${stepNum} failed: ${errorMsg}`);
-                return { success: false, error: errorMsg, step: stepNum };
+                return { success: false, error: errorMsg, step: stepNum, pageUrl: tab.url };
             }
 
             if (stepResult?.nextTabId && stepResult.nextTabId !== tab.id) {
@@ -3130,11 +3231,11 @@ async function executeGeneratedFunction(functionDef, inputs = {}, targetTabId =
                 text: executionResults.text,
                 screenshots: executionResults.screenshots
             };
-        return { success: true, data: outputData };
+        return { success: true, data: outputData, hasData: executionResults.data !== null, pageUrl: tab.url };
 
-    } catch (error) {
-        log(`❌ Function execution error: ${error.message}`);
-        return { success: false, error: error.message };
+    } catch (error) {
+        log(`❌ Function execution error: ${error.message}`);
+        return { success: false, error: error.message, pageUrl: tab?.url };
     } finally {
         restoreFunctionModelPreferences(modelStateSnapshot);
     }
@@ -3446,10 +3547,14 @@ async function executeAIGetElements(data, tabId) {
     return [];
 }
 
+// Substitutes the inputs as the caller sent them, not as converted to their declared types.
 function substituteParams(value, inputs) {
     if (typeof value !== 'string') return value;
+    const text = FunctionContract.textInputs(inputs);
     return value.replace(/\{\{(\w+)\}\}/g, (match, paramName) => {
-        return inputs[paramName] !== undefined ? inputs[paramName] : match;
+        const input = text[paramName];
+        if (input === undefined) return match;
+        return input !== null && typeof input === 'object' ? JSON.stringify(input) : input;
     });
 }
 
@@ -4190,6 +4295,7 @@ let currentScriptExecutionTabId = null;
 // Pending sandbox script executions
 const pendingSandboxScripts = new Map();
 
+// The function backend rejects uploads with the same rules (function-backend/src/validation.js).
 function findDisallowedScriptOperation(code = '') {
     const text = String(code || '');
     const blockedRules = [
@@ -4862,7 +4968,7 @@ async function saveScrapeFunctionToLibrary(toolArgs, currentUrl) {
         testsPassed: undefined
     };
 
-    const saveResult = await FunctionLibraryService.upsert(functionDef, { unique: true });
+    const saveResult = await FunctionLibraryService.upsert(functionDef, { unique: true, author: 'ai-generate', note: 'Smart Scrape' });
     const savedName = saveResult.name;
     const savedFunctions = saveResult.allFunctions;
 
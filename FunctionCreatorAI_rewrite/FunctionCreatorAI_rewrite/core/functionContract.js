@@ -0,0 +1,219 @@
+// Function Contract
+// Checks calls and results of generated functions against what they declare: `inputs`
+// ([{ name, type, required, defaultValue }]) and `outputs` ({ type, properties | fields, itemType }).
+// Inputs are converted to their declared types before the steps run and the returned data is checked after.
+// Scripts and called functions get the converted values; `{{param}}` text substitution uses the text the
+// caller sent (textInputs), so "02134" declared as a number is still "02134" inside a step.
+// Violations fail the run with their own failureKind, so the AI fix loop can tell a wrong data shape or
+// bad test inputs from a page that did not behave.
+
+const FunctionContract = {
+    INPUT_FAILURE: 'input-contract',
+    OUTPUT_FAILURE: 'output-contract',
+    // Violations listed per check; a wrong array usually repeats the same problem for every item.
+    MAX_ERRORS: 10,
+    TYPE_ALIASES: {
+        int: 'integer',
+        float: 'number',
+        double: 'number',
+        bool: 'boolean',
+        str: 'string',
+        text: 'string',
+        list: 'array',
+        json: 'object',
+        arrayofobjects: 'arrayOfObjects'
+    },
+    TRUE_WORDS: ['true', '1', 'yes', 'y', 'on'],
+    FALSE_WORDS: ['false', '0', 'no', 'n', 'off'],
+    // Inputs as sent (with defaults filled in), per map prepareInputs returned.
+    _texts: new WeakMap(),
+
+    _normalizeType(type) {
+        const lower = String(type || '').trim().toLowerCase();
+        return this.TYPE_ALIASES[lower] || lower;
+    },
+
+    _typeOf(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    },
+
+    _isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    _isBlank(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    },
+
+    _parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return undefined;
+        }
+    },
+
+    _describe(value) {
+        const text = JSON.stringify(value);
+        return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+    },
+
+    // { value } converted to `type`, or { error }. Unknown types pass unchanged.
+    _coerce(value, type) {
+        switch (type) {
+            case 'string':
+                if (typeof value === 'string') return { value };
+                if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+                return { error: `expected a string, got ${this._typeOf(value)}` };
+            case 'number':
+            case 'integer': {
+                const num = typeof value === 'string' ? Number(value.trim()) : value;
+                if (typeof num !== 'number' || !Number.isFinite(num)) {
+                    return { error: `expected a number, got ${this._describe(value)}` };
+                }
+                if (type === 'integer' && !Number.isInteger(num)) return { error: `expected a whole number, got ${num}` };
+                return { value: num };
+            }
+            case 'boolean': {
+                if (typeof value === 'boolean') return { value };
+                const word = String(value).trim().toLowerCase();
+                if (this.TRUE_WORDS.includes(word)) return { value: true };
+                if (this.FALSE_WORDS.includes(word)) return { value: false };
+                return { error: `expected true or false, got ${this._describe(value)}` };
+            }
+            case 'array': {
+                if (Array.isArray(value)) return { value };
+                if (typeof value !== 'string') return { error: `expected a list, got ${this._typeOf(value)}` };
+                const parsed = this._parseJson(value);
+                // Plain text is read as a comma-separated list.
+                return { value: Array.isArray(parsed) ? parsed : value.split(',').map((item) => item.trim()).filter(Boolean) };
+            }
+            case 'object': {
+                const parsed = typeof value === 'string' ? this._parseJson(value) : value;
+                if (this._isPlainObject(parsed)) return { value: parsed };
+                return { error: `expected a JSON object, got ${this._describe(value)}` };
+            }
+            default:
+                return { value };
+        }
+    },
+
+    // Converts `inputs` to the declared input types and fills in declared defaults; inputs the function does
+    // not declare pass through unchanged. Returns { ok, inputs, errors: [{ path, message }] }.
+    prepareInputs(functionDef, inputs) {
+        const source = this._isPlainObject(inputs) ? inputs : {};
+        const prepared = { ...source };
+        const text = { ...source };
+        const errors = [];
+        for (const declared of Array.isArray(functionDef?.inputs) ? functionDef.inputs : []) {
+            const name = String(declared?.name || '').trim();
+            if (!name) continue;
+            const type = this._normalizeType(declared.type);
+            const value = this._isBlank(source[name]) && !this._isBlank(declared.defaultValue)
+                ? declared.defaultValue
+                : source[name];
+            if (this._isBlank(value)) {
+                if (declared.required === true) {
+                    errors.push({ path: name, message: `Missing required input "${name}"${type ? ` (${type})` : ''}` });
+                }
+                continue;
+            }
+            const coerced = this._coerce(value, type);
+            if (coerced.error) {
+                errors.push({ path: name, message: `Input "${name}": ${coerced.error}` });
+            } else {
+                prepared[name] = coerced.value;
+                text[name] = value;
+            }
+        }
+        this._texts.set(prepared, text);
+        return { ok: errors.length === 0, inputs: prepared, errors: errors.slice(0, this.MAX_ERRORS) };
+    },
+
+    // The inputs as the caller sent them, for `{{param}}` substitution, when `inputs` came from prepareInputs.
+    textInputs(inputs) {
+        return this._texts.get(inputs) || inputs;
+    },
+
+    // Field names the output declares, from `properties` (recorded functions) or the `fields` list (AI plans).
+    // Annotations such as "price (number)" or "price: number" are dropped; entries that are descriptions
+    // rather than key names are not checked.
+    _declaredFields(outputs) {
+        const names = this._isPlainObject(outputs.properties)
+            ? Object.keys(outputs.properties)
+            : (Array.isArray(outputs.fields) ? outputs.fields : String(outputs.fields || '').split(','));
+        return names
+            .map((name) => String(name || '').replace(/\s*(\(.*\)|:.*)$/, '').trim())
+            .filter((name) => /^[A-Za-z_$][\w$-]*$/.test(name));
+    },
+
+    _checkScalar(value, type, path, errors) {
+        const expected = type === 'integer' ? 'number' : type;
+        if (typeof value !== expected || (type === 'integer' && !Number.isInteger(value))) {
+            errors.push({ path, message: `${path || 'Output'}: expected ${type}, got ${this._typeOf(value)}` });
+        }
+    },
+
+    // Checks what a run returned against the declared `outputs`. A run that returned no data is not checked.
+    // Outputs given only as a description, with a type this does not know ('any', 'void', ...), or as an
+    // `object` without declared fields (the placeholder recorded tasks and tool chains declare) always pass.
+    // An `object` with fields also accepts the array of rows extract steps produce.
+    // Returns { ok, errors: [{ path, message }] }.
+    checkOutput(functionDef, value) {
+        const outputs = functionDef?.outputs;
+        const type = this._isPlainObject(outputs) ? this._normalizeType(outputs.type) : '';
+        const errors = [];
+        const known = ['array', 'arrayOfObjects', 'object', 'string', 'number', 'integer', 'boolean'];
+        if (!known.includes(type) || value === null || value === undefined) return { ok: true, errors };
+
+        const fields = this._declaredFields(outputs);
+        if (type === 'object' && fields.length === 0) return { ok: true, errors };
+        if (type === 'array' || type === 'arrayOfObjects' || (type === 'object' && Array.isArray(value))) {
+            if (!Array.isArray(value)) {
+                errors.push({ path: '', message: `Output: expected ${outputs.type}, got ${this._typeOf(value)}` });
+                return { ok: false, errors };
+            }
+            const itemType = type === 'arrayOfObjects' || fields.length > 0 ? 'object' : this._normalizeType(outputs.itemType);
+            value.forEach((item, index) => {
+                if (itemType === 'object' && !this._isPlainObject(item)) {
+                    errors.push({ path: `[${index}]`, message: `Output[${index}]: expected object, got ${this._typeOf(item)}` });
+                } else if (['string', 'number', 'integer', 'boolean'].includes(itemType)) {
+                    this._checkScalar(item, itemType, `Output[${index}]`, errors);
+                }
+            });
+            // Individual rows may leave optional fields out; a field no row has means the shape is wrong.
+            const rows = value.filter((item) => this._isPlainObject(item));
+            const missing = rows.length > 0 ? fields.filter((field) => !rows.some((row) => field in row)) : [];
+            if (missing.length > 0) {
+                errors.push({ path: '[]', message: `Output items: no item has declared field(s) ${missing.join(', ')}` });
+            }
+        } else if (type === 'object') {
+            if (!this._isPlainObject(value)) {
+                errors.push({ path: '', message: `Output: expected object, got ${this._typeOf(value)}` });
+            } else {
+                const missing = fields.filter((field) => !(field in value));
+                if (missing.length > 0) {
+                    errors.push({ path: '', message: `Output: missing declared field(s) ${missing.join(', ')}` });
+                }
+            }
+        } else {
+            this._checkScalar(value, type, '', errors);
+        }
+        return { ok: errors.length === 0, errors: errors.slice(0, this.MAX_ERRORS) };
+    },
+
+    // Failed run result for contract violations, in the shape executeGeneratedFunction returns.
+    failure(kind, errors, extra = {}) {
+        const label = kind === this.INPUT_FAILURE ? 'Inputs do not match the declared inputs' : 'Output does not match the declared outputs';
+        return {
+            ...extra,
+            success: false,
+            failureKind: kind,
+            contractErrors: errors,
+            error: `${label}: ${errors.map((item) => item.message).join('; ')}`
+        };
+    }
+};
+
+if (typeof self !== 'undefined') self.FunctionContract = FunctionContract;
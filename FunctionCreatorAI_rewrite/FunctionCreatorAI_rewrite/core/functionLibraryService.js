@@ -1,8 +1,47 @@
 // Function Library Service
 // Centralizes storage operations for generated functions.
+// Functions live in IndexedDB, one record per function, indexed by lower-cased name, URL host, source,
+// tags and folder, so a write only touches the functions it changes. Run counts and cached embeddings for
+// library search are kept per function in their own stores. Every change is also kept as a revision (who
+// changed it, when, and the full definition) so it can be diffed and reverted from the popup.
+// Writers announce what changed through addChangeListener in their own context and a
+// 'functionLibraryChanged' runtime message to the others (the service worker uploads verified functions).
+//
+// Concurrency: the popup, the service worker and AITaskService write at the same time. Each write is one
+// IndexedDB readwrite transaction, which IndexedDB runs one at a time across all extension contexts, so
+// upsert/upsertMany/remove/rename never interleave. Every stored function carries a `revision` that goes up
+// on each write; setAll compares it against the map the caller read (compare-and-swap) so a stale copy of
+// the library cannot undo other writers' changes, and update() retries a read-modify-write on conflict.
 
 const FunctionLibraryService = {
-    STORAGE_KEY: 'generatedFunctions',
+    DB_NAME: 'functionLibrary',
+    DB_VERSION: 2,
+    FUNCTIONS_STORE: 'functions',
+    HISTORY_STORE: 'history',
+    RUN_STATS_STORE: 'runStats',
+    EMBEDDINGS_STORE: 'embeddings',
+    // chrome.storage.local keys used before IndexedDB; migrated once, then removed.
+    LEGACY_STORAGE_KEY: 'generatedFunctions',
+    LEGACY_HISTORY_KEY: 'generatedFunctionHistory',
+    CHANGE_MESSAGE: 'functionLibraryChanged',
+    // Host index entry for functions that may run on any site.
+    ANY_HOST: '*',
+    MAX_REVISIONS: 20,
+    // 'unknown' marks changes made before history existed, or by callers that did not say.
+    REVISION_AUTHORS: ['manual', 'ai-generate', 'ai-modify', 'ai-fix', 'backend-import', 'import', 'revert', 'unknown'],
+    // Line diffs of larger definitions fall back to a whole-block replace.
+    MAX_DIFF_CELLS: 1000000,
+    // Same JSONL layout as the function backend's /api/export, so bundles move both ways.
+    BUNDLE_FORMAT: 'function-backend/jsonl',
+    // `error.code` of a save rejected because another writer changed the same function first.
+    CONFLICT_CODE: 'function-library-conflict',
+    MAX_WRITE_ATTEMPTS: 5,
+    // update() waits a random 0..n*attempt ms before retrying, so writers that collided don't collide again.
+    WRITE_RETRY_JITTER_MS: 25,
+    _dbPromise: null,
+    _changeListeners: [],
+    // Library maps handed out by getAll/setAll -> { [name]: { revision, json } } as they were read.
+    _snapshots: new WeakMap(),
 
     _normalizeMap(value) {
         if (!value || typeof value !== 'object' || Array.isArray(value)) {
@@ -16,6 +55,67 @@ const FunctionLibraryService = {
         return cleaned || 'GeneratedFunction';
     },
 
+    // Folders are '/'-separated paths such as "Shopping/Prices"; '' means unfiled.
+    normalizeFolder(value) {
+        return String(value || '')
+            .split('/')
+            .map((part) => part.trim())
+            .filter(Boolean)
+            .join('/')
+            .slice(0, 200);
+    },
+
+    // Accepts an array or a comma-separated string; drops duplicates regardless of case.
+    normalizeTags(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        const seen = new Set();
+        const tags = [];
+        for (const raw of list) {
+            const tag = String(raw || '').trim().slice(0, 50);
+            if (!tag || seen.has(tag.toLowerCase())) continue;
+            seen.add(tag.toLowerCase());
+            tags.push(tag);
+        }
+        return tags;
+    },
+
+    tokenizeForMatch(text) {
+        return new Set(
+            String(text || '')
+                .toLowerCase()
+                .replace(/[^a-z0-9\s]/g, ' ')
+                .split(/\s+/)
+                .map((token) => token.trim())
+                .filter((token) => token.length >= 3)
+        );
+    },
+
+    // Text a function is matched on: token scoring below and library embeddings.
+    getSearchText(func) {
+        const extractStep = (func?.steps || []).find((step) => step?.type === 'extractScript');
+        const fieldNames = (extractStep?.fields || []).map((field) => field?.name).join(' ');
+        return [
+            func?.name,
+            func?.description,
+            func?.outputs?.description,
+            fieldNames,
+            this.normalizeTags(func?.tags).join(' '),
+            this.normalizeFolder(func?.folder).replace(/\//g, ' ')
+        ].filter(Boolean).join(' ');
+    },
+
+    // Number of query tokens found in the function's search text.
+    scoreFunctionForTask(func, taskDescription) {
+        const taskTokens = this.tokenizeForMatch(taskDescription);
+        if (taskTokens.size === 0) return 0;
+        const fnTokens = this.tokenizeForMatch(this.getSearchText(func));
+        let overlap = 0;
+        for (const token of taskTokens) {
+            if (fnTokens.has(token)) overlap += 1;
+        }
+        return overlap;
+    },
+
     getUniqueName(baseName, existingFunctions = {}) {
         const cleanedBase = this._normalizeName(baseName);
         const existing = this._normalizeMap(existingFunctions);
@@ -30,102 +130,649 @@ const FunctionLibraryService = {
         return candidate;
     },
 
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    _openDb() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        const functions = db.createObjectStore(this.FUNCTIONS_STORE, { keyPath: 'name' });
+                        functions.createIndex('nameLower', 'nameLower');
+                        functions.createIndex('hosts', 'hosts', { multiEntry: true });
+                        functions.createIndex('source', 'source');
+                        functions.createIndex('tags', 'tags', { multiEntry: true });
+                        const history = db.createObjectStore(this.HISTORY_STORE, { keyPath: ['name', 'version'] });
+                        history.createIndex('name', 'name');
+                    }
+                    if (event.oldVersion < 2) {
+                        const functions = request.transaction.objectStore(this.FUNCTIONS_STORE);
+                        functions.createIndex('folder', 'folder');
+                        db.createObjectStore(this.RUN_STATS_STORE, { keyPath: 'name' });
+                        db.createObjectStore(this.EMBEDDINGS_STORE, { keyPath: 'name' });
+                        // Rebuild existing records so they carry the new indexed fields.
+                        functions.openCursor().onsuccess = (cursorEvent) => {
+                            const cursor = cursorEvent.target.result;
+                            if (!cursor) return;
+                            cursor.update({
+                                ...this._toRecord(cursor.value.functionDef, cursor.value.revision || 1),
+                                updatedAt: cursor.value.updatedAt
+                            });
+                            cursor.continue();
+                        };
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Function library database is blocked by another open tab'));
+            }).then(async (db) => {
+                db.onversionchange = () => {
+                    db.close();
+                    this._dbPromise = null;
+                };
+                await this._migrateLegacyStorage(db);
+                return db;
+            }).catch((error) => {
+                this._dbPromise = null;
+                throw error;
+            });
+        }
+        return this._dbPromise;
+    },
+
+    // Runs `work(stores)` in one transaction and resolves with its result once the transaction commits.
+    // `work` may only await IndexedDB requests, or the transaction commits early.
+    async _transaction(mode, work) {
+        const db = await this._openDb();
+        return new Promise((resolve, reject) => {
+            const storeNames = [this.FUNCTIONS_STORE, this.HISTORY_STORE, this.RUN_STATS_STORE, this.EMBEDDINGS_STORE];
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Function library transaction aborted'));
+            Promise.resolve()
+                .then(() => work({
+                    functions: tx.objectStore(this.FUNCTIONS_STORE),
+                    history: tx.objectStore(this.HISTORY_STORE),
+                    runStats: tx.objectStore(this.RUN_STATS_STORE),
+                    embeddings: tx.objectStore(this.EMBEDDINGS_STORE)
+                }))
+                .then((value) => {
+                    result = value;
+                }, (error) => {
+                    try {
+                        tx.abort();
+                    } catch {
+                        // Already finished.
+                    }
+                    reject(error);
+                });
+        });
+    },
+
+    // One-time copy of the chrome.storage.local library into IndexedDB. Functions already in IndexedDB are
+    // never overwritten, so a second context migrating at the same time changes nothing.
+    async _migrateLegacyStorage(db) {
+        const storage = await chrome.storage.local.get([this.LEGACY_STORAGE_KEY, this.LEGACY_HISTORY_KEY]);
+        if (!storage?.[this.LEGACY_STORAGE_KEY] && !storage?.[this.LEGACY_HISTORY_KEY]) return;
+        const legacyFunctions = this._normalizeMap(storage[this.LEGACY_STORAGE_KEY]);
+        const legacyHistory = this._normalizeMap(storage[this.LEGACY_HISTORY_KEY]);
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction([this.FUNCTIONS_STORE, this.HISTORY_STORE], 'readwrite');
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Function library migration aborted'));
+            const functions = tx.objectStore(this.FUNCTIONS_STORE);
+            const history = tx.objectStore(this.HISTORY_STORE);
+            this._request(functions.getAllKeys()).then((keys) => {
+                const existing = new Set(keys);
+                for (const [name, functionDef] of Object.entries(legacyFunctions)) {
+                    if (existing.has(name) || !functionDef || typeof functionDef !== 'object') continue;
+                    functions.put(this._toRecord({ ...functionDef, name }));
+                    const revisions = Array.isArray(legacyHistory[name]) ? legacyHistory[name] : [];
+                    revisions.forEach((revision) => history.put({ ...revision, name }));
+                }
+            }, reject);
+        });
+        await chrome.storage.local.remove([this.LEGACY_STORAGE_KEY, this.LEGACY_HISTORY_KEY]);
+    },
+
+    _patternList(patterns) {
+        if (Array.isArray(patterns)) return patterns.map((p) => String(p || '').trim()).filter(Boolean);
+        if (typeof patterns === 'string') return patterns.split(',').map((p) => p.trim()).filter(Boolean);
+        return [];
+    },
+
+    // Hosts a function's URL patterns can match, for the host index. Wildcard subdomains index the parent
+    // domain; functions without patterns, or with a wildcard host, index ANY_HOST.
+    _hostsOf(functionDef) {
+        const hosts = new Set();
+        for (const pattern of this._patternList(functionDef?.urlPatterns)) {
+            const lower = pattern.toLowerCase();
+            const authority = lower === '<all_urls>'
+                ? ''
+                : (lower.match(/^(?:[a-z*-]+:\/\/)?([^/?#]*)/)?.[1] || '');
+            const host = authority.replace(/^[^@]*@/, '').replace(/:(\d+|\*)$/, '').replace(/^\*\./, '');
+            hosts.add(!host || host.includes('*') ? this.ANY_HOST : host);
+        }
+        if (hosts.size === 0) hosts.add(this.ANY_HOST);
+        return Array.from(hosts);
+    },
+
+    _toRecord(functionDef, revision = 1) {
+        return {
+            name: functionDef.name,
+            revision,
+            nameLower: String(functionDef.name).toLowerCase(),
+            hosts: this._hostsOf(functionDef),
+            source: String(functionDef.source || ''),
+            tags: this.normalizeTags(functionDef.tags).map((tag) => tag.toLowerCase()),
+            folder: this.normalizeFolder(functionDef.folder),
+            updatedAt: Date.now(),
+            functionDef
+        };
+    },
+
+    _toMap(records) {
+        return Object.fromEntries(records.map((record) => [record.name, record.functionDef]));
+    },
+
+    // The whole library. setAll treats the returned map (edited in place or not) as the caller's base.
     async getAll() {
-        const storage = await chrome.storage.local.get([this.STORAGE_KEY]);
-        return this._normalizeMap(storage?.[this.STORAGE_KEY]);
+        const records = await this._transaction('readonly', ({ functions }) => this._request(functions.getAll()));
+        const map = this._toMap(records);
+        this._snapshots.set(map, Object.fromEntries(records.map((record) => [
+            record.name,
+            { revision: record.revision || 0, json: JSON.stringify(record.functionDef) }
+        ])));
+        return map;
     },
 
-    async setAll(functionsMap) {
-        const normalized = this._normalizeMap(functionsMap);
-        await chrome.storage.local.set({ [this.STORAGE_KEY]: normalized });
-        return normalized;
+    // { [name]: revision } of every stored function.
+    async getRevisions() {
+        const records = await this._transaction('readonly', ({ functions }) => this._request(functions.getAll()));
+        return Object.fromEntries(records.map((record) => [record.name, record.revision || 0]));
     },
 
     async get(name) {
-        const all = await this.getAll();
-        return all[name] || null;
+        const record = await this._transaction('readonly', ({ functions }) => this._request(functions.get(String(name || ''))));
+        return record ? record.functionDef : null;
     },
 
-    async upsert(functionDef, options = {}) {
-        if (!functionDef || typeof functionDef !== 'object') {
-            throw new Error('Function definition is required');
+    async getNames() {
+        return await this._transaction('readonly', ({ functions }) => this._request(functions.getAllKeys()));
+    },
+
+    async _queryIndex(indexName, keys) {
+        const records = await this._transaction('readonly', ({ functions }) => Promise.all(
+            keys.map((key) => this._request(functions.index(indexName).getAll(key)))
+        ));
+        return this._toMap(records.flat());
+    },
+
+    // Candidates for a page: functions whose patterns name the URL's host or a parent domain, plus those
+    // that may run anywhere. Callers still check the patterns against the full URL.
+    async findByHost(urlOrHost) {
+        let host = String(urlOrHost || '').trim().toLowerCase();
+        try {
+            host = new URL(host).hostname;
+        } catch {
+            host = host.replace(/[/:?#].*$/, '');
         }
+        const keys = [this.ANY_HOST];
+        const labels = host.split('.').filter(Boolean);
+        for (let i = 0; i < labels.length; i += 1) keys.push(labels.slice(i).join('.'));
+        return await this._queryIndex('hosts', keys);
+    },
 
-        const makeUnique = options.unique !== false;
-        const all = await this.getAll();
-        const requestedName = this._normalizeName(functionDef.name);
-        const finalName = makeUnique
-            ? this.getUniqueName(requestedName, all)
-            : requestedName;
+    async findBySource(source) {
+        return await this._queryIndex('source', [String(source || '')]);
+    },
+
+    async findByTag(tag) {
+        return await this._queryIndex('tags', [String(tag || '').trim().toLowerCase()]);
+    },
+
+    // Case-insensitive name lookup.
+    async findByName(name) {
+        return await this._queryIndex('nameLower', [String(name || '').trim().toLowerCase()]);
+    },
+
+    // Functions directly in `folder` ('' for unfiled).
+    async findByFolder(folder) {
+        return await this._queryIndex('folder', [this.normalizeFolder(folder)]);
+    },
+
+    // Counts a finished run of a stored function; runs of unsaved definitions are ignored.
+    async recordRun(name, { success = false, durationMs = null } = {}) {
+        await this._transaction('readwrite', async ({ functions, runStats }) => {
+            const key = String(name || '');
+            if (!key || !await this._request(functions.getKey(key))) return;
+            const current = await this._request(runStats.get(key)) || { name: key, runCount: 0, successCount: 0 };
+            runStats.put({
+                ...current,
+                runCount: current.runCount + 1,
+                successCount: current.successCount + (success ? 1 : 0),
+                lastRunAt: Date.now(),
+                lastSuccess: success === true,
+                lastDurationMs: Number.isFinite(durationMs) ? Math.round(durationMs) : null
+            });
+        });
+    },
 
-        const toSave = { ...functionDef, name: finalName };
-        all[finalName] = toSave;
-        await this.setAll(all);
+    // { [name]: { runCount, successCount, lastRunAt, lastSuccess, lastDurationMs } }
+    async getRunStats() {
+        const rows = await this._transaction('readonly', ({ runStats }) => this._request(runStats.getAll()));
+        return Object.fromEntries(rows.map((row) => [row.name, row]));
+    },
+
+    // Cached library-search embeddings of getSearchText(): { [name]: { text, model, vector } }.
+    async getEmbeddings() {
+        const rows = await this._transaction('readonly', ({ embeddings }) => this._request(embeddings.getAll()));
+        return Object.fromEntries(rows.map((row) => [row.name, row]));
+    },
 
+    async putEmbedding(name, { text, model, vector }) {
+        await this._transaction('readwrite', async ({ functions, embeddings }) => {
+            if (!await this._request(functions.getKey(String(name || '')))) return;
+            embeddings.put({ name, text, model, vector });
+        });
+    },
+
+    // `listener(changes)` runs after each write made in this context, with [{ name, oldValue, newValue }].
+    addChangeListener(listener) {
+        this._changeListeners.push(listener);
+        return () => {
+            this._changeListeners = this._changeListeners.filter((item) => item !== listener);
+        };
+    },
+
+    _notifyChanges(changes) {
+        if (changes.length === 0) return;
+        this._changeListeners.forEach((listener) => {
+            try {
+                listener(changes);
+            } catch (error) {
+                console.warn('[FunctionLibrary] Change listener failed:', error.message);
+            }
+        });
+        try {
+            chrome.runtime.sendMessage({ type: this.CHANGE_MESSAGE, changes }).catch(() => {});
+        } catch {
+            // No other extension context is listening.
+        }
+    },
+
+    _normalizeAuthor(author) {
+        return this.REVISION_AUTHORS.includes(author) ? author : 'unknown';
+    },
+
+    _makeRevision(name, version, functionDef, { author, note = '', savedAt = Date.now() } = {}) {
         return {
-            name: finalName,
-            functionDef: toSave,
-            allFunctions: all,
-            renamed: finalName !== requestedName
+            name,
+            version,
+            author: this._normalizeAuthor(author),
+            savedAt,
+            note: String(note || '').slice(0, 500),
+            functionDef
         };
     },
 
-    async upsertMany(functionDefs = [], options = {}) {
-        const makeUnique = options.unique !== false;
-        const all = await this.getAll();
-        const saved = [];
+    // Applies [{ name, functionDef | null, renamedFrom? }] inside a readwrite transaction, skipping
+    // unchanged functions, and records a revision per change. Returns the changes that were made.
+    async _applyChanges(stores, entries, options = {}) {
+        const changes = [];
+        for (const { name, functionDef, renamedFrom } of entries) {
+            const historyName = renamedFrom || name;
+            const previous = await this._request(stores.functions.get(historyName));
+            const before = previous ? previous.functionDef : null;
+            if (functionDef && before && !renamedFrom && JSON.stringify(before) === JSON.stringify(functionDef)) continue;
+            if (!functionDef && !before) continue;
+
+            const revisions = await this._request(stores.history.index('name').getAll(historyName));
+            if (!functionDef) {
+                stores.functions.delete(name);
+                stores.runStats.delete(name);
+                stores.embeddings.delete(name);
+                revisions.forEach((revision) => stores.history.delete([name, revision.version]));
+                changes.push({ name, oldValue: before, newValue: null });
+                continue;
+            }
+            if (renamedFrom) {
+                const stats = await this._request(stores.runStats.get(renamedFrom));
+                if (stats) stores.runStats.put({ ...stats, name });
+                stores.runStats.delete(renamedFrom);
+                stores.embeddings.delete(renamedFrom);
+                stores.functions.delete(renamedFrom);
+                revisions.forEach((revision) => {
+                    stores.history.delete([renamedFrom, revision.version]);
+                    stores.history.put({ ...revision, name });
+                });
+                changes.push({ name: renamedFrom, oldValue: before, newValue: null });
+            }
+            stores.functions.put(this._toRecord(functionDef, (previous?.revision || 0) + 1));
 
-        for (const def of functionDefs) {
-            if (!def || typeof def !== 'object') continue;
-            const requestedName = this._normalizeName(def.name);
-            const finalName = makeUnique
-                ? this.getUniqueName(requestedName, all)
-                : requestedName;
-            const toSave = { ...def, name: finalName };
-            all[finalName] = toSave;
-            saved.push({
-                name: finalName,
-                functionDef: toSave,
-                renamed: finalName !== requestedName
+            // Functions saved before history existed get their last stored state as the baseline.
+            if (before && revisions.length === 0) {
+                revisions.push(this._makeRevision(name, 1, before, { author: 'unknown', savedAt: Number(before.createdAt) || Date.now() }));
+                stores.history.put(revisions[0]);
+            }
+            const lastVersion = revisions.length > 0 ? revisions[revisions.length - 1].version : 0;
+            stores.history.put(this._makeRevision(name, lastVersion + 1, functionDef, options));
+            revisions.slice(0, Math.max(0, revisions.length + 1 - this.MAX_REVISIONS)).forEach((revision) => {
+                stores.history.delete([name, revision.version]);
             });
+            changes.push({ name, oldValue: renamedFrom ? null : before, newValue: functionDef });
         }
+        return changes;
+    },
 
-        await this.setAll(all);
-        return { saved, allFunctions: all };
+    _conflictError(names) {
+        const error = new Error(`Function library changed elsewhere while saving: ${names.join(', ')}`);
+        error.code = this.CONFLICT_CODE;
+        error.conflicts = names;
+        return error;
     },
 
-    async remove(name) {
-        const all = await this.getAll();
-        if (!all[name]) {
-            return { removed: false, allFunctions: all };
+    // Saves `functionsMap` as the library, writing only the functions that differ, and resolves with the
+    // library as saved. A map from getAll/setAll/update is compared with what it held when read: functions
+    // the caller did not edit keep any newer stored copy, functions added elsewhere since are kept, and if
+    // the caller edited, removed or renamed a function another writer also changed, nothing is saved and
+    // the call rejects with `error.code === CONFLICT_CODE` and the names in `error.conflicts`.
+    // Any other map replaces the library as-is.
+    // options: { author, note, renames: { oldName: newName } }. Renamed functions keep their history.
+    async setAll(functionsMap, options = {}) {
+        const normalized = this._normalizeMap(functionsMap);
+        const renames = this._normalizeMap(options.renames);
+        const snapshot = this._snapshots.get(functionsMap) || null;
+        const changes = await this._transaction('readwrite', async (stores) => {
+            const stored = Object.fromEntries((await this._request(stores.functions.getAll()))
+                .map((record) => [record.name, record]));
+            // Whether `name` is stored as the caller last saw it (absent if it was absent).
+            const unchangedSinceRead = (name) => {
+                const base = snapshot?.[name];
+                return base ? stored[name]?.revision === base.revision : !stored[name];
+            };
+            const conflicts = new Set();
+            const entries = [];
+            for (const [name, functionDef] of Object.entries(normalized)) {
+                if (!functionDef || typeof functionDef !== 'object') continue;
+                if (snapshot?.[name]?.json === JSON.stringify({ ...functionDef, name })) continue;
+                const renamedFrom = Object.keys(renames).find((oldName) => (
+                    renames[oldName] === name && oldName !== name && stored[oldName] && !stored[name] && !normalized[oldName]
+                ));
+                if (snapshot && (!unchangedSinceRead(name) || (renamedFrom && !unchangedSinceRead(renamedFrom)))) {
+                    conflicts.add(renamedFrom || name);
+                    continue;
+                }
+                entries.push({ name, functionDef: { ...functionDef, name }, renamedFrom });
+            }
+            const renamedAway = new Set(entries.map((entry) => entry.renamedFrom).filter(Boolean));
+            for (const name of Object.keys(stored)) {
+                if (normalized[name] || renamedAway.has(name)) continue;
+                if (snapshot && !snapshot[name]) continue;
+                if (snapshot && !unchangedSinceRead(name)) {
+                    conflicts.add(name);
+                    continue;
+                }
+                entries.push({ name, functionDef: null });
+            }
+            if (conflicts.size > 0) throw this._conflictError(Array.from(conflicts));
+            return await this._applyChanges(stores, entries, options);
+        });
+        this._notifyChanges(changes);
+        return await this.getAll();
+    },
+
+    // Compare-and-swap read-modify-write: `mutator(functions)` edits a fresh copy of the library in place
+    // (or returns a replacement map) and the result is saved with setAll. When another writer changed a
+    // function the mutator edited, the mutator runs again on the newer library, up to MAX_WRITE_ATTEMPTS times.
+    // Resolves with the library as saved.
+    async update(mutator, options = {}) {
+        for (let attempt = 1; ; attempt += 1) {
+            const current = await this.getAll();
+            const returned = await mutator(current);
+            const next = returned && typeof returned === 'object' ? returned : current;
+            if (next !== current) this._snapshots.set(next, this._snapshots.get(current));
+            try {
+                return await this.setAll(next, options);
+            } catch (error) {
+                if (error.code !== this.CONFLICT_CODE || attempt >= this.MAX_WRITE_ATTEMPTS) throw error;
+            }
+            await new Promise((resolve) => setTimeout(resolve, Math.random() * this.WRITE_RETRY_JITTER_MS * attempt));
         }
-        delete all[name];
-        await this.setAll(all);
-        return { removed: true, allFunctions: all };
     },
 
-    async rename(oldName, newName, options = {}) {
+    // Revisions of one function, newest first.
+    async getHistory(name) {
+        const revisions = await this._transaction('readonly', ({ history }) => (
+            this._request(history.index('name').getAll(String(name || '')))
+        ));
+        return revisions.reverse();
+    },
+
+    async getRevision(name, version) {
+        const revision = await this._transaction('readonly', ({ history }) => (
+            this._request(history.get([String(name || ''), Number(version)]))
+        ));
+        return revision || null;
+    },
+
+    // Saves an old revision as the newest one; nothing is discarded.
+    async revert(name, version) {
+        const revision = await this.getRevision(name, version);
+        if (!revision) {
+            throw new Error(`Revision ${version} of "${name}" not found`);
+        }
+        const result = await this.upsert(
+            { ...revision.functionDef, name },
+            { unique: false, author: 'revert', note: `Reverted to version ${revision.version}` }
+        );
+        const [latest] = await this.getHistory(name);
+        return { ...result, revertedTo: revision.version, version: latest?.version || null };
+    },
+
+    // Line diff of two function definitions as pretty-printed JSON: [{ type: 'same'|'added'|'removed', text }].
+    diffFunctions(before, after) {
+        const a = before ? JSON.stringify(before, null, 2).split('\n') : [];
+        const b = after ? JSON.stringify(after, null, 2).split('\n') : [];
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA -= 1;
+            endB -= 1;
+        }
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const middle = [];
+        if (midA.length * midB.length > this.MAX_DIFF_CELLS) {
+            midA.forEach((text) => middle.push({ type: 'removed', text }));
+            midB.forEach((text) => middle.push({ type: 'added', text }));
+        } else {
+            // Longest common subsequence table, filled from the end.
+            const cols = midB.length + 1;
+            const table = new Uint32Array((midA.length + 1) * cols);
+            for (let i = midA.length - 1; i >= 0; i -= 1) {
+                for (let j = midB.length - 1; j >= 0; j -= 1) {
+                    table[i * cols + j] = midA[i] === midB[j]
+                        ? table[(i + 1) * cols + j + 1] + 1
+                        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < midA.length || j < midB.length) {
+                if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                    middle.push({ type: 'same', text: midA[i] });
+                    i += 1;
+                    j += 1;
+                } else if (i < midA.length && (j >= midB.length || table[(i + 1) * cols + j] >= table[i * cols + j + 1])) {
+                    middle.push({ type: 'removed', text: midA[i] });
+                    i += 1;
+                } else {
+                    middle.push({ type: 'added', text: midB[j] });
+                    j += 1;
+                }
+            }
+        }
+
+        return [
+            ...a.slice(0, start).map((text) => ({ type: 'same', text })),
+            ...middle,
+            ...a.slice(endA).map((text) => ({ type: 'same', text }))
+        ];
+    },
+
+    async upsert(functionDef, options = {}) {
+        if (!functionDef || typeof functionDef !== 'object') {
+            throw new Error('Function definition is required');
+        }
+        const { saved, allFunctions } = await this.upsertMany([functionDef], options);
+        return { ...saved[0], allFunctions };
+    },
+
+    async upsertMany(functionDefs = [], options = {}) {
         const makeUnique = options.unique !== false;
+        const saved = [];
+
+        const changes = await this._transaction('readwrite', async (stores) => {
+            const taken = Object.fromEntries((await this._request(stores.functions.getAllKeys())).map((name) => [name, true]));
+            const entries = [];
+            for (const def of functionDefs) {
+                if (!def || typeof def !== 'object') continue;
+                const requestedName = this._normalizeName(def.name);
+                const finalName = makeUnique
+                    ? this.getUniqueName(requestedName, taken)
+                    : requestedName;
+                const toSave = { ...def, name: finalName };
+                taken[finalName] = true;
+                entries.push({ name: finalName, functionDef: toSave });
+                saved.push({
+                    name: finalName,
+                    functionDef: toSave,
+                    renamed: finalName !== requestedName
+                });
+            }
+            return await this._applyChanges(stores, entries, options);
+        });
+        this._notifyChanges(changes);
+        return { saved, allFunctions: await this.getAll() };
+    },
+
+    async exportBundle() {
         const all = await this.getAll();
-        const existing = all[oldName];
-        if (!existing) {
-            throw new Error(`Function "${oldName}" not found`);
-        }
+        const defs = Object.values(all).filter((def) => def && typeof def === 'object');
+        const lines = [
+            {
+                type: 'header',
+                format: this.BUNDLE_FORMAT,
+                version: 1,
+                exportedAt: new Date().toISOString(),
+                source: 'extension',
+                functionCount: defs.length
+            },
+            ...defs.map((functionDef) => ({ type: 'function', functionDef }))
+        ];
+        return `${lines.map((line) => JSON.stringify(line)).join('\n')}\n`;
+    },
 
-        delete all[oldName];
-        const targetName = makeUnique
-            ? this.getUniqueName(newName, all)
-            : this._normalizeName(newName);
-        all[targetName] = { ...existing, name: targetName };
-        await this.setAll(all);
+    // Functions identical to the stored copy are skipped; name clashes are saved under a unique name.
+    async importBundle(text = '') {
+        const all = await this.getAll();
+        const incoming = [];
+        const errors = [];
+        let unchanged = 0;
+
+        String(text).split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            let entry;
+            try {
+                entry = JSON.parse(trimmed);
+            } catch (error) {
+                errors.push({ line: index + 1, error: `Invalid JSON: ${error.message}` });
+                return;
+            }
+            if (entry?.type === 'header') {
+                if (entry.format && entry.format !== this.BUNDLE_FORMAT) {
+                    errors.push({ line: index + 1, error: `Unsupported bundle format "${entry.format}"` });
+                }
+                return;
+            }
+            const def = entry?.functionDef;
+            if (!def || typeof def !== 'object' || typeof def.name !== 'string' || !def.name.trim()) {
+                errors.push({ line: index + 1, error: 'Record has no functionDef with a "name"' });
+                return;
+            }
+            const existing = all[def.name.trim()];
+            if (existing && JSON.stringify(existing) === JSON.stringify({ ...def, name: def.name.trim() })) {
+                unchanged += 1;
+                return;
+            }
+            incoming.push(def);
+        });
 
+        const result = incoming.length > 0
+            ? await this.upsertMany(incoming, { unique: true, author: 'import', note: 'Imported from bundle' })
+            : { saved: [], allFunctions: all };
         return {
-            oldName,
-            newName: targetName,
-            functionDef: all[targetName],
-            renamed: targetName !== oldName,
-            allFunctions: all
+            importedCount: result.saved.length,
+            renamedCount: result.saved.filter((item) => item.renamed).length,
+            unchangedCount: unchanged,
+            errors,
+            saved: result.saved,
+            allFunctions: result.allFunctions
         };
+    },
+
+    async remove(name) {
+        const changes = await this._transaction('readwrite', (stores) => (
+            this._applyChanges(stores, [{ name, functionDef: null }])
+        ));
+        this._notifyChanges(changes);
+        return { removed: changes.length > 0, allFunctions: await this.getAll() };
+    },
+
+    async rename(oldName, newName, options = {}) {
+        const makeUnique = options.unique !== false;
+        let result = null;
+        const changes = await this._transaction('readwrite', async (stores) => {
+            const record = await this._request(stores.functions.get(oldName));
+            if (!record) {
+                throw new Error(`Function "${oldName}" not found`);
+            }
+            const taken = Object.fromEntries((await this._request(stores.functions.getAllKeys()))
+                .filter((name) => name !== oldName)
+                .map((name) => [name, true]));
+            const targetName = makeUnique
+                ? this.getUniqueName(newName, taken)
+                : this._normalizeName(newName);
+            result = { oldName, newName: targetName, functionDef: { ...record.functionDef, name: targetName }, renamed: targetName !== oldName };
+            if (targetName === oldName) return [];
+            // Renaming over an existing function (unique: false) replaces it and its history.
+            const replaced = taken[targetName]
+                ? await this._applyChanges(stores, [{ name: targetName, functionDef: null }])
+                : [];
+            const renamed = await this._applyChanges(stores, [{ name: targetName, functionDef: result.functionDef, renamedFrom: oldName }], {
+                author: options.author || 'manual',
+                note: `Renamed from "${oldName}"`
+            });
+            return [...replaced, ...renamed];
+        });
+        this._notifyChanges(changes);
+        return { ...result, allFunctions: await this.getAll() };
     }
 };
 
@@ -1466,7 +1466,7 @@ Entries: ${JSON.stringify(sentimentBatchInput.map(({ index, text }) => ({ index,
 
         generatedFunctions[name] = functionDef;
         if (typeof FunctionLibraryService !== 'undefined') {
-            await FunctionLibraryService.setAll(generatedFunctions);
+            await FunctionLibraryService.setAll(generatedFunctions, { author: 'ai-generate', note: 'Saved tool chain' });
         } else {
             await chrome.storage.local.set({ generatedFunctions });
         }
@@ -0,0 +1,141 @@
+// Runs HTTP checks against a real server: starts src/server.js with token auth in a temporary data
+// directory on a free port, runs each check in order against the same catalog, then stops it.
+// Usage: npm run test:api
+
+const assert = require('assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_TOKEN = 'api-checks-admin';
+const STARTUP_TIMEOUT_MS = 15000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-checks-'));
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
+        env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, AUTH_MODE: 'token', ADMIN_TOKEN, STORAGE_BACKEND: 'sqlite' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    const stop = async () => {
+        if (child.exitCode === null) {
+            const exited = new Promise((resolve) => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (!output.includes('listening on') && child.exitCode === null && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    if (!output.includes('listening on')) {
+        await stop();
+        throw new Error(`Server did not start:\n${output}`);
+    }
+
+    async function call(method, url, { token = ADMIN_TOKEN, body } = {}) {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const res = await fetch(`http://127.0.0.1:${port}${url}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json().catch(() => null) };
+    }
+
+    return { call, stop };
+}
+
+function functionUpload(name, testsPassed = true) {
+    return {
+        functionDef: {
+            name,
+            description: `${name} on the example shop`,
+            urlPatterns: ['https://shop.example.com/*'],
+            inputs: [],
+            steps: [{ type: 'navigate', url: 'https://shop.example.com/' }]
+        },
+        metadata: { testsPassed }
+    };
+}
+
+const CHECKS = [
+    ['run reports for quarantined or pending functions are rejected for non-moderators', async ({ call, tokens }) => {
+        const active = (await call('POST', '/api/functions/upsert', { body: functionUpload('Browse catalog') })).body;
+        const pending = (await call('POST', '/api/functions/upsert', { body: functionUpload('Compare prices', false) })).body;
+        assert.equal(pending.status, 'pending');
+        const quarantined = (await call('POST', '/api/functions/upsert', { body: functionUpload('Track orders') })).body;
+        assert.equal((await call('POST', `/api/functions/${quarantined.id}/quarantine`, { body: { reason: 'checks' } })).status, 200);
+
+        const report = { success: true, durationMs: 120 };
+        assert.equal((await call('POST', `/api/functions/${active.id}/runs`, { token: tokens.write, body: report })).status, 200);
+        for (const id of [quarantined.id, pending.id]) {
+            assert.equal((await call('POST', `/api/functions/${id}/runs`, { token: tokens.write, body: report })).status, 404);
+            assert.equal((await call('POST', `/api/functions/${id}/runs`, { body: report })).status, 200);
+        }
+    }],
+    ['search rejects an invalid workspace id and normalizes a valid one', async ({ call }) => {
+        for (const workspace of ['../default', 'shop team', '-default']) {
+            const res = await call('POST', '/api/functions/search', { body: { query: 'catalog', workspace } });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, `Invalid workspace "${workspace}"`);
+        }
+        const res = await call('POST', '/api/functions/search', { body: { query: 'catalog', workspace: ' Default ' } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.workspace, 'default');
+    }]
+];
+
+async function main() {
+    const server = await startServer();
+    let failed = 0;
+    try {
+        const created = await server.call('POST', '/api/tokens', { body: { name: 'api-checks-writer', scopes: ['read', 'write'] } });
+        const context = { call: server.call, tokens: { write: created.body.token } };
+        for (const [title, check] of CHECKS) {
+            try {
+                await check(context);
+                // eslint-disable-next-line no-console
+                console.log(`  ok   ${title}`);
+            } catch (error) {
+                failed += 1;
+                // eslint-disable-next-line no-console
+                console.log(`  FAIL ${title}\n       ${error.message.split('\n').join('\n       ')}`);
+            }
+        }
+    } finally {
+        await server.stop();
+    }
+    // eslint-disable-next-line no-console
+    console.log(failed === 0 ? '\nAll API checks passed.' : `\n${failed} API check(s) failed.`);
+    return failed === 0 ? 0 : 1;
+}
+
+main()
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error(error);
+        process.exitCode = 1;
+    });
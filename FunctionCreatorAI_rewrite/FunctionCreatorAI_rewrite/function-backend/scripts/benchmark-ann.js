@@ -0,0 +1,138 @@
+// Benchmarks the HNSW vector index against the brute-force cosine scan hybridSearch used before.
+// Usage: node scripts/benchmark-ann.js [--count 100000] [--dim 256] [--queries 200] [--k 10] [--pool 100]
+//        [--clusters 500] [--latent 32]
+// `pool` mirrors the candidate count hybridSearch pulls from the index before exact rescoring.
+
+const { performance } = require('perf_hooks');
+const { createHnswIndex } = require('../src/vectorIndex');
+const { cosineSimilarity } = require('../src/utils');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = Number(argv[i + 1]);
+            i += 1;
+        }
+    }
+    return {
+        count: args.count || 100000,
+        dim: args.dim || 256,
+        queries: args.queries || 200,
+        k: args.k || 10,
+        pool: args.pool || 100,
+        clusters: args.clusters || 500,
+        latent: args.latent || 32,
+        M: args.M || 16,
+        efConstruction: args.efConstruction || 100,
+        efSearch: args.efSearch || 64
+    };
+}
+
+// Deterministic PRNG so runs are comparable.
+function createRandom(seed = 42) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Text embeddings have a low intrinsic dimension and cluster by site/task, so sample around
+// cluster centres in a small latent space and project into the full embedding dimension.
+function createGenerator({ dim, clusters, latent }, random) {
+    const uniform = () => (random() * 2) - 1;
+    const projection = Array.from({ length: latent }, () => Array.from({ length: dim }, uniform));
+    const centres = Array.from({ length: clusters }, () => Array.from({ length: latent }, uniform));
+
+    return (count) => Array.from({ length: count }, () => {
+        const centre = centres[Math.floor(random() * clusters)];
+        const point = centre.map((value) => value + (uniform() * 0.5));
+        const vector = new Array(dim).fill(0);
+        for (let l = 0; l < latent; l += 1) {
+            const row = projection[l];
+            for (let d = 0; d < dim; d += 1) vector[d] += point[l] * row[d];
+        }
+        return vector.map((value) => value + (uniform() * 0.05));
+    });
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function summarize(label, timings) {
+    const sorted = timings.slice().sort((a, b) => a - b);
+    const mean = timings.reduce((sum, value) => sum + value, 0) / Math.max(1, timings.length);
+    return `${label.padEnd(12)} mean ${mean.toFixed(2)}ms  p50 ${percentile(sorted, 50).toFixed(2)}ms  p95 ${percentile(sorted, 95).toFixed(2)}ms`;
+}
+
+function bruteForce(vectors, query, k) {
+    return vectors
+        .map((vector, index) => ({ index, similarity: cosineSimilarity(query, vector) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k)
+        .map((item) => item.index);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const random = createRandom();
+    // eslint-disable-next-line no-console
+    const log = (...args) => console.log(...args);
+
+    log(`Generating ${options.count} vectors (dim ${options.dim}, ${options.clusters} clusters)...`);
+    const generate = createGenerator(options, random);
+    const vectors = generate(options.count);
+    const queries = generate(options.queries);
+
+    const index = createHnswIndex({
+        dimension: options.dim,
+        M: options.M,
+        efConstruction: options.efConstruction,
+        efSearch: options.efSearch
+    });
+    const buildStart = performance.now();
+    vectors.forEach((vector, i) => {
+        index.add(String(i), vector);
+        if ((i + 1) % 10000 === 0) log(`  indexed ${i + 1}/${options.count}`);
+    });
+    const buildMs = performance.now() - buildStart;
+    log(`Build: ${(buildMs / 1000).toFixed(1)}s (${(options.count / (buildMs / 1000)).toFixed(0)} inserts/s)`);
+
+    const annTimings = [];
+    const bruteTimings = [];
+    const poolTimings = [];
+    let hits = 0;
+    let poolHits = 0;
+    queries.forEach((query) => {
+        let start = performance.now();
+        const ann = index.search(query, options.k).map((item) => Number(item.label));
+        annTimings.push(performance.now() - start);
+
+        start = performance.now();
+        const pool = new Set(index.search(query, options.pool, options.pool).map((item) => Number(item.label)));
+        poolTimings.push(performance.now() - start);
+
+        start = performance.now();
+        const exact = bruteForce(vectors, query, options.k);
+        bruteTimings.push(performance.now() - start);
+
+        const exactSet = new Set(exact);
+        hits += ann.filter((id) => exactSet.has(id)).length;
+        poolHits += exact.filter((id) => pool.has(id)).length;
+    });
+
+    log(summarize(`hnsw@${options.k}`, annTimings));
+    log(summarize(`hnsw@${options.pool}`, poolTimings));
+    log(summarize('brute-force', bruteTimings));
+    log(`recall@${options.k}: ${(hits / (options.queries * options.k)).toFixed(3)}`);
+    log(`exact top-${options.k} inside ANN pool of ${options.pool}: ${(poolHits / (options.queries * options.k)).toFixed(3)}`);
+    log(`heap used: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(0)}MB`);
+}
+
+main();
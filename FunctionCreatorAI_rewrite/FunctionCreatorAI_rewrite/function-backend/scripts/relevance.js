@@ -0,0 +1,184 @@
+// Offline relevance harness: runs a fixture of query -> expected function pairs through hybridSearch
+// and reports recall@k and MRR per ranking profile, so ranking changes can be compared before shipping.
+// Usage: npm run eval:relevance -- [--fixture scripts/fixtures/relevance.json] [--k 5] [--profile all]
+//        [--db path/to/functions.db] [--verbose] [--min-recall 0.8]
+// The fixture's `functions` (upsert request shape) are loaded into a temporary SQLite database. With --db
+// the queries run against a copy of an existing SQLite database instead, which is never modified.
+// Expected functions are matched by id or, case-insensitively, by name.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteStorage } = require('../src/storage/sqlite');
+const { normalizeSearchFilters } = require('../src/filters');
+const { listRankingProfiles, resolveProfile } = require('../src/ranking');
+const { hybridSearch } = require('../src/search');
+const {
+    buildSearchableText,
+    generateFingerprint,
+    normalizeEmbeddingModel,
+    normalizePatternList,
+    toNumberArray
+} = require('../src/utils');
+
+// MRR looks this deep; hybridSearch returns at most 30 results.
+const MAX_RANK = 30;
+
+function parseArgs(argv) {
+    const args = {
+        fixture: path.join(__dirname, 'fixtures', 'relevance.json'),
+        k: 5,
+        profile: 'all',
+        db: '',
+        verbose: false,
+        minRecall: null
+    };
+    for (let i = 0; i < argv.length; i += 1) {
+        const flag = argv[i];
+        if (flag === '--verbose') {
+            args.verbose = true;
+        } else if (flag === '--fixture' || flag === '--profile' || flag === '--db') {
+            args[flag.slice(2)] = argv[i + 1];
+            i += 1;
+        } else if (flag === '--k' || flag === '--min-recall') {
+            args[flag === '--k' ? 'k' : 'minRecall'] = Number(argv[i + 1]);
+            i += 1;
+        } else {
+            throw new Error(`Unknown argument "${flag}"`);
+        }
+    }
+    if (!Number.isInteger(args.k) || args.k < 1 || args.k > MAX_RANK) {
+        throw new Error(`--k must be an integer between 1 and ${MAX_RANK}`);
+    }
+    return args;
+}
+
+// Same column mapping as the upsert route, for fixture functions.
+function toRecord(entry, index) {
+    const functionDef = entry.functionDef || {};
+    if (!functionDef.name) throw new Error(`Fixture function #${index + 1} has no functionDef.name`);
+    const input = entry.metadata || {};
+    const metadata = {
+        source: input.source || 'relevance-fixture',
+        tags: Array.isArray(input.tags) ? input.tags : [],
+        applicableSites: normalizePatternList(input.applicableSites || functionDef.urlPatterns || []),
+        testsPassed: input.testsPassed !== false
+    };
+    const embedding = toNumberArray(entry.embedding);
+    return {
+        id: entry.id || `fixture-${index + 1}`,
+        workspace: 'default',
+        name: functionDef.name,
+        description: functionDef.description || '',
+        function_json: JSON.stringify(functionDef),
+        embedding_json: embedding ? JSON.stringify(embedding) : null,
+        embedding_model: embedding ? (normalizeEmbeddingModel(entry.embeddingModel) || null) : null,
+        embedding_dim: embedding ? embedding.length : null,
+        metadata_json: JSON.stringify(metadata),
+        sites_json: JSON.stringify(metadata.applicableSites),
+        searchable_text: buildSearchableText(functionDef, metadata) || functionDef.name,
+        fingerprint: generateFingerprint(functionDef, metadata),
+        source_extension: 'relevance-fixture',
+        verified: metadata.testsPassed ? 1 : 0,
+        status: 'active'
+    };
+}
+
+async function openStore(args, fixture, tempDir) {
+    const dbPath = path.join(tempDir, 'functions.db');
+    if (args.db) {
+        fs.copyFileSync(args.db, dbPath);
+        // Unmerged writes of a live database sit in its write-ahead log.
+        if (fs.existsSync(`${args.db}-wal`)) fs.copyFileSync(`${args.db}-wal`, `${dbPath}-wal`);
+    }
+    const store = createSqliteStorage({ dbPath });
+    await store.init();
+    if (!args.db) {
+        const functions = Array.isArray(fixture.functions) ? fixture.functions : [];
+        for (const [index, entry] of functions.entries()) await store.upsertFunction(toRecord(entry, index));
+    }
+    return store;
+}
+
+function isExpected(result, expected) {
+    const name = String(result.functionDef?.name || '').toLowerCase();
+    return expected.some((value) => value === result.id || value.toLowerCase() === name);
+}
+
+async function evaluateQuery(store, testCase, profile, k) {
+    const expected = (Array.isArray(testCase.expected) ? testCase.expected : [testCase.expected])
+        .map((value) => String(value || '').trim())
+        .filter(Boolean);
+    const { filters, errors } = normalizeSearchFilters(testCase.filters);
+    if (errors.length > 0) throw new Error(`Invalid filters for "${testCase.query}": ${JSON.stringify(errors)}`);
+
+    const { results } = await hybridSearch(store, {
+        query: testCase.query || '',
+        currentUrl: testCase.currentUrl || '',
+        queryEmbedding: testCase.queryEmbedding || null,
+        queryEmbeddingModel: testCase.queryEmbeddingModel || '',
+        topK: MAX_RANK,
+        profile,
+        filters,
+        workspaces: null
+    });
+    const ranks = results
+        .map((result, index) => (isExpected(result, expected) ? index + 1 : null))
+        .filter(Boolean);
+    const foundInTopK = new Set(results.slice(0, k)
+        .filter((result) => isExpected(result, expected))
+        .map((result) => result.functionDef?.name || result.id)).size;
+    return {
+        query: testCase.query,
+        expected,
+        recall: expected.length > 0 ? Math.min(1, foundInTopK / expected.length) : 0,
+        reciprocalRank: ranks.length > 0 ? 1 / ranks[0] : 0,
+        firstRank: ranks[0] || null,
+        top: results.slice(0, k).map((result) => result.functionDef?.name || result.id)
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const fixture = JSON.parse(fs.readFileSync(args.fixture, 'utf8'));
+    const queries = Array.isArray(fixture.queries) ? fixture.queries : [];
+    if (queries.length === 0) throw new Error(`${args.fixture} has no queries`);
+    const profiles = args.profile === 'all'
+        ? listRankingProfiles().map((item) => resolveProfile(item.name))
+        : [resolveProfile(args.profile)];
+    if (!profiles[0]) throw new Error(`Unknown ranking profile "${args.profile}"`);
+
+    // eslint-disable-next-line no-console
+    const log = (...parts) => console.log(...parts);
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'function-backend-relevance-'));
+    const store = await openStore(args, fixture, tempDir);
+    let worstRecall = 1;
+    try {
+        log(`${queries.length} queries against ${await store.countFunctions()} functions (${args.db || args.fixture})`);
+        log(`${'profile'.padEnd(10)} ${`recall@${args.k}`.padStart(9)} ${'MRR'.padStart(7)} ${'misses'.padStart(7)}`);
+        for (const profile of profiles) {
+            const outcomes = [];
+            for (const testCase of queries) outcomes.push(await evaluateQuery(store, testCase, profile, args.k));
+            const recall = outcomes.reduce((sum, item) => sum + item.recall, 0) / outcomes.length;
+            const mrr = outcomes.reduce((sum, item) => sum + item.reciprocalRank, 0) / outcomes.length;
+            const misses = outcomes.filter((item) => item.recall === 0);
+            worstRecall = Math.min(worstRecall, recall);
+            log(`${profile.name.padEnd(10)} ${recall.toFixed(3).padStart(9)} ${mrr.toFixed(3).padStart(7)} ${String(misses.length).padStart(7)}`);
+            (args.verbose ? outcomes : misses).forEach((item) => {
+                log(`  ${item.firstRank ? `#${item.firstRank}` : 'miss'} "${item.query}" expected ${item.expected.join(' | ')}; top: ${item.top.join(', ') || '(none)'}`);
+            });
+        }
+    } finally {
+        await store.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+    if (args.minRecall !== null && worstRecall < args.minRecall) {
+        throw new Error(`recall@${args.k} ${worstRecall.toFixed(3)} is below --min-recall ${args.minRecall}`);
+    }
+}
+
+main().catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error(error.message);
+    process.exitCode = 1;
+});
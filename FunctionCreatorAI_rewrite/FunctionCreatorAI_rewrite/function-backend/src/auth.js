@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { safeJsonParse } = require('./utils');
+const { normalizeWorkspaceId } = require('./workspaces');
+
+// Scopes are hierarchical: admin implies write, write implies read.
+const SCOPE_LEVELS = {
+    read: 1,
+    write: 2,
+    admin: 3
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+function generateToken() {
+    return `fbk_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function normalizeScopes(scopes) {
+    const list = Array.isArray(scopes)
+        ? scopes
+        : String(scopes || '').split(',');
+    const normalized = list
+        .map((scope) => String(scope || '').trim().toLowerCase())
+        .filter((scope) => SCOPE_LEVELS[scope]);
+    return Array.from(new Set(normalized));
+}
+
+function hasScope(principal, requiredScope) {
+    const required = SCOPE_LEVELS[requiredScope] || SCOPE_LEVELS.admin;
+    const granted = Array.isArray(principal?.scopes) ? principal.scopes : [];
+    return granted.some((scope) => (SCOPE_LEVELS[scope] || 0) >= required);
+}
+
+function extractBearerToken(req) {
+    const header = String(req.get('authorization') || '').trim();
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    const apiKey = String(req.get('x-api-key') || '').trim();
+    return apiKey || '';
+}
+
+function toTokenSummary(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        scopes: normalizeScopes(safeJsonParse(row.scopes_json, [])),
+        clientId: row.client_id || '',
+        workspace: row.workspace || '',
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at || null,
+        revokedAt: row.revoked_at || null
+    };
+}
+
+// Without tokens every caller is anonymous. They may read and upload; deleting, moderation, export/import and
+// token management stay closed unless the operator opts in for a trusted single-user backend.
+function createNoneStrategy(_dbClient, { anonymousAdmin = false } = {}) {
+    const scopes = anonymousAdmin ? ['admin'] : ['write'];
+    return {
+        name: 'none',
+        anonymousAdmin,
+        authenticate() {
+            return { id: 'anonymous', scopes, clientId: '', workspace: '' };
+        }
+    };
+}
+
+function createTokenStrategy(dbClient, { adminToken = '' } = {}) {
+    const adminTokenHash = adminToken ? hashToken(adminToken) : '';
+    return {
+        name: 'token',
+        async authenticate(req) {
+            const token = extractBearerToken(req);
+            if (!token) return null;
+
+            const tokenHash = hashToken(token);
+            if (adminTokenHash && crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(adminTokenHash))) {
+                return { id: 'env-admin', scopes: ['admin'], clientId: '', workspace: '' };
+            }
+
+            const row = await dbClient.findActiveApiTokenByHash(tokenHash);
+            if (!row) return null;
+            await dbClient.touchApiToken(row.id);
+            const summary = toTokenSummary(row);
+            return {
+                id: summary.id,
+                scopes: summary.scopes,
+                clientId: summary.clientId,
+                workspace: summary.workspace
+            };
+        }
+    };
+}
+
+const STRATEGIES = {
+    none: createNoneStrategy,
+    token: createTokenStrategy
+};
+
+function createAuth(dbClient, {
+    mode = process.env.AUTH_MODE,
+    adminToken = process.env.ADMIN_TOKEN,
+    anonymousAdmin = process.env.ALLOW_ANONYMOUS_ADMIN === 'true'
+} = {}) {
+    const strategyName = String(mode || 'none').trim().toLowerCase();
+    const factory = STRATEGIES[strategyName];
+    if (!factory) {
+        throw new Error(`Unknown AUTH_MODE "${mode}". Expected one of: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+    const strategy = factory(dbClient, {
+        adminToken: String(adminToken || '').trim(),
+        anonymousAdmin: anonymousAdmin === true
+    });
+
+    function requireScope(scope) {
+        const middleware = async (req, res, next) => {
+            let principal;
+            try {
+                principal = await strategy.authenticate(req);
+            } catch (error) {
+                return next(error);
+            }
+            if (!principal) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required',
+                    details: 'Send "Authorization: Bearer <token>"'
+                });
+            }
+            if (!hasScope(principal, scope) && strategy.name === 'none') {
+                return res.status(403).json({
+                    success: false,
+                    error: `AUTH_MODE=none does not allow "${scope}" routes`,
+                    details: 'Set AUTH_MODE=token, or ALLOW_ANONYMOUS_ADMIN=true on a trusted single-user backend'
+                });
+            }
+            if (!hasScope(principal, scope)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `Token lacks the "${scope}" scope`,
+                    details: { scopes: principal.scopes }
+                });
+            }
+            req.auth = principal;
+            return next();
+        };
+        // Read back by the OpenAPI generator to document each route's security requirement.
+        middleware.requiredScope = scope;
+        return middleware;
+    }
+
+    return {
+        mode: strategy.name,
+        anonymousAdmin: strategy.anonymousAdmin === true,
+        requireScope
+    };
+}
+
+// A token minted with `workspace` is confined to it: writes land there and reads see it plus public workspaces.
+async function mintToken(dbClient, {
+    name = '',
+    scopes = ['read'],
+    clientId = '',
+    workspace = ''
+} = {}) {
+    const normalizedScopes = normalizeScopes(scopes);
+    if (normalizedScopes.length === 0) {
+        throw new Error(`At least one scope is required (${Object.keys(SCOPE_LEVELS).join(', ')})`);
+    }
+    const workspaceId = normalizeWorkspaceId(workspace);
+    if (workspaceId === null || (workspaceId && !await dbClient.getWorkspace(workspaceId))) {
+        throw new Error(`Unknown workspace "${workspace}"`);
+    }
+    const token = generateToken();
+    const row = await dbClient.createApiToken({
+        id: crypto.randomUUID(),
+        name: String(name || '').trim() || 'unnamed',
+        token_hash: hashToken(token),
+        scopes_json: JSON.stringify(normalizedScopes),
+        client_id: String(clientId || '').trim() || null,
+        workspace: workspaceId || null
+    });
+    return { token, item: toTokenSummary(row) };
+}
+
+module.exports = {
+    SCOPE_LEVELS,
+    createAuth,
+    hasScope,
+    hashToken,
+    mintToken,
+    normalizeScopes,
+    toTokenSummary
+};
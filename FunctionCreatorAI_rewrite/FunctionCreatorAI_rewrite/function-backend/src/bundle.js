@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const {
+    buildSearchableText,
+    generateFingerprint,
+    normalizeEmbeddingModel,
+    normalizePatternList,
+    safeJsonParse,
+    toNumberArray
+} = require('./utils');
+const { validateFunctionDef } = require('./validation');
+const { DEFAULT_WORKSPACE, normalizeWorkspaceId } = require('./workspaces');
+
+const BUNDLE_FORMAT = 'function-backend/jsonl';
+const BUNDLE_VERSION = 1;
+
+function toBundleHeader(extra = {}) {
+    return {
+        type: 'header',
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...extra
+    };
+}
+
+function toBundleVersion(row) {
+    return {
+        version: row.version,
+        changeType: row.change_type,
+        createdAt: row.created_at,
+        fingerprint: row.fingerprint,
+        functionDef: safeJsonParse(row.function_json, {}),
+        metadata: safeJsonParse(row.metadata_json, {}),
+        sites: normalizePatternList(safeJsonParse(row.sites_json, [])),
+        embedding: safeJsonParse(row.embedding_json, null),
+        embeddingModel: row.embedding_model || null,
+        sourceExtension: row.source_extension || '',
+        verified: row.verified === 1
+    };
+}
+
+function toBundleRecord(row, versionRows = null) {
+    const record = {
+        type: 'function',
+        id: row.id,
+        workspace: row.workspace || DEFAULT_WORKSPACE,
+        fingerprint: row.fingerprint,
+        functionDef: safeJsonParse(row.function_json, {}),
+        metadata: safeJsonParse(row.metadata_json, {}),
+        sites: normalizePatternList(safeJsonParse(row.sites_json, [])),
+        embedding: safeJsonParse(row.embedding_json, null),
+        embeddingModel: row.embedding_model || null,
+        sourceExtension: row.source_extension || '',
+        verified: row.verified === 1,
+        status: row.status,
+        statusReason: row.status_reason || '',
+        mergedInto: row.merged_into || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+    if (versionRows) record.versions = versionRows.map(toBundleVersion);
+    return record;
+}
+
+// Maps a bundle entry (current state or one historical version) onto database columns.
+function toColumns(entry, fallbackSourceExtension = '') {
+    const functionDef = entry.functionDef;
+    const metadata = entry.metadata && typeof entry.metadata === 'object' ? entry.metadata : {};
+    const sites = normalizePatternList(entry.sites || metadata.applicableSites || functionDef.urlPatterns || []);
+    const embedding = toNumberArray(entry.embedding);
+    return {
+        name: String(functionDef.name).trim(),
+        description: typeof functionDef.description === 'string' ? functionDef.description.trim() : '',
+        function_json: JSON.stringify(functionDef),
+        embedding_json: embedding ? JSON.stringify(embedding) : null,
+        embedding_model: embedding ? (normalizeEmbeddingModel(entry.embeddingModel) || null) : null,
+        embedding_dim: embedding ? embedding.length : null,
+        metadata_json: JSON.stringify(metadata),
+        sites_json: JSON.stringify(sites),
+        searchable_text: buildSearchableText(functionDef, metadata) || String(functionDef.name),
+        fingerprint: String(entry.fingerprint || generateFingerprint(functionDef, metadata)).trim(),
+        source_extension: String(entry.sourceExtension || fallbackSourceExtension || '').trim(),
+        verified: entry.verified === true || metadata.testsPassed === true ? 1 : 0
+    };
+}
+
+function isValidFunctionDef(functionDef) {
+    return Boolean(functionDef && typeof functionDef === 'object'
+        && typeof functionDef.name === 'string' && functionDef.name.trim());
+}
+
+// Lines without a `type` are treated as function records so hand-written bundles stay simple.
+function parseBundle(text = '') {
+    const records = [];
+    const errors = [];
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            errors.push({ line: index + 1, error: `Invalid JSON: ${error.message}` });
+            return;
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            errors.push({ line: index + 1, error: 'Each line must be a JSON object' });
+            return;
+        }
+        if (parsed.type === 'header') {
+            if (parsed.format && parsed.format !== BUNDLE_FORMAT) {
+                errors.push({ line: index + 1, error: `Unsupported bundle format "${parsed.format}"` });
+            } else if (Number(parsed.version) > BUNDLE_VERSION) {
+                errors.push({ line: index + 1, error: `Bundle version ${parsed.version} is newer than supported (${BUNDLE_VERSION})` });
+            }
+            return;
+        }
+        if (parsed.type && parsed.type !== 'function') return;
+        records.push({ line: index + 1, record: parsed });
+    });
+    return { records, errors };
+}
+
+function sameContent(existing, columns) {
+    return existing.function_json === columns.function_json
+        && existing.metadata_json === columns.metadata_json
+        && existing.sites_json === columns.sites_json
+        && (existing.embedding_json || null) === columns.embedding_json
+        && (existing.embedding_model || null) === columns.embedding_model
+        && existing.verified === columns.verified;
+}
+
+/**
+ * Ingests parsed bundle records idempotently by fingerprint:
+ * - fingerprint unknown and id free -> insert (with the bundle's id and revision history)
+ * - fingerprint known, content differs -> update (new revision on the existing function)
+ * - fingerprint known, content equal -> unchanged
+ * - id taken by a function with another fingerprint, or fingerprint repeated in the bundle -> conflict
+ * Records land in their own `workspace` (default when absent) unless `workspace` overrides it;
+ * missing workspaces are created as private. With `dryRun` the same report is produced without writing anything.
+ * A record's `status` is ignored: like an upload, it is active when verified and pending otherwise (active
+ * either way when `moderateUnverified` is off), and an update never lifts a stored quarantine or merge.
+ */
+async function importBundle(dbClient, { records = [], errors = [] } = {}, { dryRun = false, workspace = '', moderateUnverified = true } = {}) {
+    const report = {
+        dryRun,
+        total: records.length,
+        inserted: [],
+        updated: [],
+        unchanged: [],
+        conflicts: [],
+        errors: [...errors]
+    };
+    const seenFingerprints = new Map();
+    const seenIds = new Map();
+    const touchedIds = [];
+
+    for (const { line, record } of records) {
+        if (!isValidFunctionDef(record.functionDef)) {
+            report.errors.push({ line, error: 'Record has no functionDef with a "name"' });
+            continue;
+        }
+        const validationErrors = validateFunctionDef(record.functionDef);
+        if (validationErrors.length > 0) {
+            report.errors.push({ line, error: 'Invalid functionDef', details: validationErrors });
+            continue;
+        }
+        const requestedWorkspace = workspace || record.workspace || DEFAULT_WORKSPACE;
+        const workspaceId = normalizeWorkspaceId(requestedWorkspace);
+        if (!workspaceId) {
+            report.errors.push({ line, error: `Invalid workspace "${requestedWorkspace}"` });
+            continue;
+        }
+        const columns = { ...toColumns(record), workspace: workspaceId };
+        const status = columns.verified === 1 || !moderateUnverified ? 'active' : 'pending';
+        const summary = {
+            line,
+            id: record.id || null,
+            workspace: workspaceId,
+            name: columns.name,
+            fingerprint: columns.fingerprint
+        };
+
+        const fingerprintKey = `${workspaceId}\n${columns.fingerprint}`;
+        if (seenFingerprints.has(fingerprintKey)) {
+            report.conflicts.push({
+                ...summary,
+                reason: `Duplicate of line ${seenFingerprints.get(fingerprintKey)} in this bundle`
+            });
+            continue;
+        }
+        seenFingerprints.set(fingerprintKey, line);
+
+        if (!dryRun && !await dbClient.getWorkspace(workspaceId)) {
+            await dbClient.createWorkspace({ id: workspaceId, visibility: 'private' });
+        }
+
+        const existing = await dbClient.findByFingerprint(columns.fingerprint, workspaceId);
+        if (existing) {
+            const target = { ...summary, id: existing.id };
+            if (sameContent(existing, columns)) {
+                report.unchanged.push(target);
+                continue;
+            }
+            if (!dryRun) {
+                await dbClient.upsertFunction({ ...columns, id: existing.id, status }, { changeType: 'import' });
+                touchedIds.push(existing.id);
+            }
+            report.updated.push(target);
+            continue;
+        }
+
+        const id = String(record.id || '').trim();
+        const holder = id ? await dbClient.getFunctionById(id) : null;
+        if (holder) {
+            report.conflicts.push({
+                ...summary,
+                reason: `Id already used by "${holder.name}" with a different fingerprint`
+            });
+            continue;
+        }
+
+        if (id && seenIds.has(id)) {
+            report.conflicts.push({ ...summary, reason: `Id repeated on line ${seenIds.get(id)} of this bundle` });
+            continue;
+        }
+        if (id) seenIds.set(id, line);
+
+        const insertId = id || (dryRun ? null : crypto.randomUUID());
+        if (!dryRun) {
+            const versions = (Array.isArray(record.versions) ? record.versions : [])
+                .filter((version) => Number.isInteger(version?.version) && isValidFunctionDef(version.functionDef))
+                .map((version) => ({
+                    ...toColumns(version, columns.source_extension),
+                    version: version.version,
+                    change_type: String(version.changeType || 'import'),
+                    created_at: version.createdAt || record.updatedAt || null
+                }));
+            await dbClient.importFunction({
+                ...columns,
+                id: insertId,
+                status,
+                merged_into: null,
+                created_at: record.createdAt || null,
+                updated_at: record.updatedAt || null
+            }, versions);
+            touchedIds.push(insertId);
+        }
+        report.inserted.push({ ...summary, id: insertId });
+    }
+
+    return { report, touchedIds };
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    importBundle,
+    parseBundle,
+    toBundleHeader,
+    toBundleRecord
+};
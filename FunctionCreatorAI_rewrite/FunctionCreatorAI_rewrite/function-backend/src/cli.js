@@ -0,0 +1,149 @@
+const { initDatabase, openMigrator } = require('./db');
+const { mintToken, toTokenSummary } = require('./auth');
+const { WORKSPACE_VISIBILITIES, normalizeWorkspaceId, toWorkspaceSummary } = require('./workspaces');
+
+function parseFlags(args = []) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+        if (arg.startsWith('--')) {
+            const [key, inlineValue] = arg.slice(2).split('=');
+            if (inlineValue !== undefined) {
+                flags[key] = inlineValue;
+            } else if (args[i + 1] && !args[i + 1].startsWith('--')) {
+                flags[key] = args[i + 1];
+                i += 1;
+            } else {
+                flags[key] = true;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { flags, positional };
+}
+
+function print(value) {
+    // eslint-disable-next-line no-console
+    console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+}
+
+async function runTokens(dbClient, [action, ...rest]) {
+    const { flags, positional } = parseFlags(rest);
+    switch (action) {
+        case 'list':
+            print((await dbClient.listApiTokens()).map(toTokenSummary));
+            return 0;
+        case 'create': {
+            const minted = await mintToken(dbClient, {
+                name: flags.name,
+                scopes: flags.scopes || 'read',
+                clientId: flags['client-id'] || '',
+                workspace: flags.workspace || ''
+            });
+            print(minted.item);
+            print(`\nToken (shown once): ${minted.token}`);
+            return 0;
+        }
+        case 'revoke': {
+            const id = positional[0] || flags.id;
+            if (!id || !await dbClient.getApiToken(id)) {
+                print(`Token not found: ${id || '(missing id)'}`);
+                return 1;
+            }
+            print(await dbClient.revokeApiToken(id) ? `Revoked ${id}` : `Already revoked ${id}`);
+            return 0;
+        }
+        default:
+            print('Usage: tokens <list|create|revoke> [--name NAME] [--scopes read,write,admin] [--client-id ID] [--workspace ID] [id]');
+            return 1;
+    }
+}
+
+async function runWorkspaces(dbClient, [action, ...rest]) {
+    const { flags, positional } = parseFlags(rest);
+    switch (action) {
+        case 'list': {
+            const counts = await dbClient.countFunctionsByWorkspace();
+            print((await dbClient.listWorkspaces()).map((row) => toWorkspaceSummary(row, counts[row.id] || 0)));
+            return 0;
+        }
+        case 'create': {
+            const id = normalizeWorkspaceId(positional[0] || flags.id);
+            const visibility = flags.visibility || 'private';
+            if (!id || !WORKSPACE_VISIBILITIES.includes(visibility)) {
+                print(`Invalid workspace id or visibility (${WORKSPACE_VISIBILITIES.join(', ')})`);
+                return 1;
+            }
+            if (await dbClient.getWorkspace(id)) {
+                print(`Workspace already exists: ${id}`);
+                return 1;
+            }
+            print(toWorkspaceSummary(await dbClient.createWorkspace({
+                id,
+                name: flags.name || '',
+                description: flags.description || '',
+                visibility
+            })));
+            return 0;
+        }
+        default:
+            print('Usage: workspaces <list|create> [id] [--name NAME] [--visibility private|public] [--description TEXT]');
+            return 1;
+    }
+}
+
+async function runMigrate([action]) {
+    if (!['status', 'up'].includes(action)) {
+        print('Usage: migrate <status|up>');
+        return 1;
+    }
+    const migrator = openMigrator();
+    try {
+        if (action === 'up') {
+            const applied = await migrator.up();
+            print(applied.length > 0
+                ? `Applied ${applied.map((migration) => `${migration.version} (${migration.name})`).join(', ')}`
+                : 'Schema is up to date');
+        }
+        const status = await migrator.status();
+        print({ backend: migrator.kind, dbPath: migrator.dbPath, ...status });
+        return status.newerThanCode ? 1 : 0;
+    } finally {
+        await migrator.close();
+    }
+}
+
+const COMMANDS = {
+    tokens: runTokens,
+    workspaces: runWorkspaces
+};
+
+async function main(argv = process.argv.slice(2)) {
+    const [command, ...rest] = argv;
+    // Opening the storage adapter applies pending migrations, so `migrate` works on the schema directly.
+    if (command === 'migrate') return runMigrate(rest);
+    const handler = COMMANDS[command];
+    if (!handler) {
+        print(`Usage: node src/cli.js <${[...Object.keys(COMMANDS), 'migrate'].join('|')}> ...`);
+        return 1;
+    }
+    const dbClient = initDatabase();
+    try {
+        await dbClient.init();
+        return await handler(dbClient, rest);
+    } finally {
+        await dbClient.close();
+    }
+}
+
+main()
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error(`[function-backend] ${error.message}`);
+        process.exitCode = 1;
+    });
@@ -1,163 +1,119 @@
-const fs = require('fs');
-const path = require('path');
-const Database = require('better-sqlite3');
-const { toIsoNow } = require('./utils');
-
-function resolveDbPath() {
-    const explicitPath = process.env.DB_PATH;
-    if (explicitPath && explicitPath.trim()) return explicitPath.trim();
-
-    const dataDir = process.env.DATA_DIR && process.env.DATA_DIR.trim()
-        ? process.env.DATA_DIR.trim()
-        : path.join(process.cwd(), 'data');
-    return path.join(dataDir, 'functions.db');
-}
-
-function ensureParentDir(filePath) {
-    const parent = path.dirname(filePath);
-    fs.mkdirSync(parent, { recursive: true });
-}
-
-function initDatabase() {
-    const dbPath = resolveDbPath();
-    ensureParentDir(dbPath);
-    const db = new Database(dbPath);
-    db.pragma('journal_mode = WAL');
-    db.pragma('foreign_keys = ON');
-
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS functions (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            description TEXT,
-            function_json TEXT NOT NULL,
-            embedding_json TEXT,
-            metadata_json TEXT,
-            sites_json TEXT,
-            searchable_text TEXT NOT NULL,
-            fingerprint TEXT UNIQUE,
-            source_extension TEXT,
-            verified INTEGER NOT NULL DEFAULT 0,
-            created_at TEXT NOT NULL,
-            updated_at TEXT NOT NULL
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_functions_name ON functions(name);
-        CREATE INDEX IF NOT EXISTS idx_functions_updated ON functions(updated_at DESC);
-        CREATE INDEX IF NOT EXISTS idx_functions_fingerprint ON functions(fingerprint);
-
-        CREATE VIRTUAL TABLE IF NOT EXISTS function_fts USING fts5(
-            function_id UNINDEXED,
-            searchable_text
-        );
-    `);
-
-    const upsertFnStmt = db.prepare(`
-        INSERT INTO functions (
-            id, name, description, function_json, embedding_json, metadata_json, sites_json,
-            searchable_text, fingerprint, source_extension, verified, created_at, updated_at
-        )
-        VALUES (
-            @id, @name, @description, @function_json, @embedding_json, @metadata_json, @sites_json,
-            @searchable_text, @fingerprint, @source_extension, @verified, @created_at, @updated_at
-        )
-        ON CONFLICT(id) DO UPDATE SET
-            name = excluded.name,
-            description = excluded.description,
-            function_json = excluded.function_json,
-            embedding_json = excluded.embedding_json,
-            metadata_json = excluded.metadata_json,
-            sites_json = excluded.sites_json,
-            searchable_text = excluded.searchable_text,
-            fingerprint = excluded.fingerprint,
-            source_extension = excluded.source_extension,
-            verified = excluded.verified,
-            updated_at = excluded.updated_at
-    `);
-
-    const upsertFtsStmt = db.prepare(`
-        INSERT INTO function_fts (function_id, searchable_text)
-        VALUES (?, ?)
-    `);
-    const deleteFtsByIdStmt = db.prepare('DELETE FROM function_fts WHERE function_id = ?');
-
-    const txUpsert = db.transaction((record) => {
-        upsertFnStmt.run(record);
-        deleteFtsByIdStmt.run(record.id);
-        upsertFtsStmt.run(record.id, record.searchable_text);
-    });
-
-    function findByFingerprint(fingerprint) {
-        if (!fingerprint) return null;
-        return db.prepare('SELECT * FROM functions WHERE fingerprint = ? LIMIT 1').get(fingerprint) || null;
-    }
-
-    function findById(id) {
-        if (!id) return null;
-        return db.prepare('SELECT * FROM functions WHERE id = ? LIMIT 1').get(id) || null;
-    }
-
-    function upsertFunction(record = {}) {
-        const now = toIsoNow();
-        const existing = findByFingerprint(record.fingerprint) || findById(record.id);
-        const normalized = {
-            ...record,
-            id: existing?.id || record.id,
-            created_at: existing?.created_at || record.created_at || now,
-            updated_at: now
-        };
-
-        txUpsert(normalized);
-        return findById(normalized.id);
-    }
-
-    function listFunctions(limit = 50, offset = 0) {
-        return db.prepare(`
-            SELECT * FROM functions
-            ORDER BY updated_at DESC
-            LIMIT ? OFFSET ?
-        `).all(limit, offset);
-    }
-
-    function getAllFunctions() {
-        return db.prepare('SELECT * FROM functions ORDER BY updated_at DESC').all();
+const { FUNCTION_STATUSES } = require('./storage/constants');
+
+// Every storage adapter implements these methods with the same arguments and row shapes as the SQLite
+// adapter: rows use snake_case columns, JSON columns are stored as text and booleans as 0/1.
+// Methods may return plain values (SQLite) or promises (Postgres), so callers always `await` them,
+// starting with `init()`, which applies pending schema migrations.
+const STORAGE_METHODS = [
+    'init',
+    'close',
+    'getSchemaStatus',
+    'upsertFunction',
+    'importFunction',
+    'rollbackFunction',
+    'listFunctions',
+    'listFunctionsAfter',
+    'getAllFunctions',
+    'getFunctionsByIds',
+    'getFunctionById',
+    'getEmbeddingRows',
+    'findByFingerprint',
+    'findFunctionIdsByName',
+    'findActiveFunctionByName',
+    'resolveMergedFunction',
+    'bm25Search',
+    'countFunctions',
+    'countFunctionsByStatus',
+    'countFunctionsByEmbeddingModel',
+    'countFunctionsByWorkspace',
+    'getClientUsage',
+    'listFunctionVersions',
+    'getFunctionVersion',
+    'getFunctionVersionRows',
+    'getLatestVersionNumber',
+    'setFunctionStatus',
+    'deleteFunction',
+    'listModerationLog',
+    'replaceDuplicatePairs',
+    'listDuplicatePairs',
+    'mergeFunctions',
+    'getFunctionDependencies',
+    'recordFunctionRun',
+    'getRunStats',
+    'getRunStatsByIds',
+    'listFunctionRuns',
+    'listWorkspaces',
+    'getWorkspace',
+    'createWorkspace',
+    'updateWorkspace',
+    'deleteWorkspace',
+    'createApiToken',
+    'getApiToken',
+    'findActiveApiTokenByHash',
+    'listApiTokens',
+    'touchApiToken',
+    'revokeApiToken',
+    'listWebhooks',
+    'getWebhook',
+    'createWebhook',
+    'deleteWebhook',
+    'recordWebhookDelivery'
+];
+
+const STORAGE_BACKENDS = {
+    sqlite: {
+        open: () => require('./storage/sqlite').createSqliteStorage(),
+        openMigrator: () => require('./storage/sqlite').openSqliteMigrator()
+    },
+    postgres: {
+        open: () => require('./storage/postgres').createPostgresStorage({
+            connectionString: process.env.DATABASE_URL
+        }),
+        openMigrator: () => require('./storage/postgres').openPostgresMigrator({
+            connectionString: process.env.DATABASE_URL
+        })
     }
+};
 
-    function getFunctionById(id) {
-        return findById(id);
+function resolveBackend(backend) {
+    const name = String(backend || 'sqlite').trim().toLowerCase();
+    if (!STORAGE_BACKENDS[name]) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
     }
+    return { name, ...STORAGE_BACKENDS[name] };
+}
 
-    function countFunctions() {
-        const row = db.prepare('SELECT COUNT(*) AS count FROM functions').get();
-        return Number(row?.count || 0);
+function assertStorageAdapter(storage, name) {
+    const missing = STORAGE_METHODS.filter((method) => typeof storage?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Storage backend "${name}" does not implement: ${missing.join(', ')}`);
     }
+    return storage;
+}
 
-    function bm25Search(ftsQuery, limit = 100) {
-        if (!ftsQuery) return [];
-        try {
-            return db.prepare(`
-                SELECT function_id, bm25(function_fts) AS bm25_score
-                FROM function_fts
-                WHERE function_fts MATCH ?
-                ORDER BY bm25(function_fts)
-                LIMIT ?
-            `).all(ftsQuery, limit);
-        } catch {
-            return [];
-        }
-    }
+/**
+ * Opens the storage backend selected by STORAGE_BACKEND (`sqlite` by default, or `postgres`
+ * with DATABASE_URL); await `init()` on the result before using it. Adapters may expose
+ * `vectorSearch`; without it the in-process HNSW index is used.
+ */
+function initDatabase({ backend = process.env.STORAGE_BACKEND } = {}) {
+    const { name, open } = resolveBackend(backend);
+    return assertStorageAdapter(open(), name);
+}
 
-    return {
-        dbPath,
-        upsertFunction,
-        listFunctions,
-        getAllFunctions,
-        getFunctionById,
-        countFunctions,
-        bm25Search
-    };
+/**
+ * Opens only the schema of the selected backend: `status()` and `up()` (both awaitable) plus `close()`.
+ * Used by `migrate status` / `migrate up`, since opening the adapter applies pending migrations itself.
+ */
+function openMigrator({ backend = process.env.STORAGE_BACKEND } = {}) {
+    return resolveBackend(backend).openMigrator();
 }
 
 module.exports = {
-    initDatabase
+    FUNCTION_STATUSES,
+    STORAGE_BACKENDS,
+    STORAGE_METHODS,
+    assertStorageAdapter,
+    initDatabase,
+    openMigrator
 };
@@ -0,0 +1,68 @@
+const { parseFunctionRow } = require('./search');
+
+const MAX_DEPENDENCY_DEPTH = 10;
+// Only literal names can be resolved; `page.executeFunction(someVariable, ...)` is skipped.
+const SCRIPT_CALL_PATTERN = /\bpage\s*\.\s*executeFunction\s*\(\s*(['"`])([^'"`$\\]+)\1/g;
+
+/**
+ * Names of the sub-functions a definition calls, from `executeFunction` steps and
+ * `page.executeFunction('name', ...)` calls in script steps. Returns [{ name, via: 'step' | 'script' }].
+ */
+function extractDependencies(functionDef = {}) {
+    const found = new Map();
+    const add = (name, via) => {
+        const trimmed = String(name || '').trim();
+        const key = trimmed.toLowerCase();
+        if (trimmed && key !== String(functionDef?.name || '').trim().toLowerCase() && !found.has(key)) {
+            found.set(key, { name: trimmed, via });
+        }
+    };
+    (Array.isArray(functionDef?.steps) ? functionDef.steps : []).forEach((step) => {
+        if (step?.type === 'executeFunction') add(step.functionName, 'step');
+        if (step?.type === 'script' && typeof step.code === 'string') {
+            Array.from(step.code.matchAll(SCRIPT_CALL_PATTERN)).forEach((match) => add(match[2], 'script'));
+        }
+    });
+    return Array.from(found.values());
+}
+
+/**
+ * Transitive dependencies of a stored function, breadth first. Names resolve to active functions in
+ * `workspaces`, in order, so the caller's own workspace wins over public ones.
+ * Returns { items: [{ row, depth, requiredBy }], missing: [{ name, requiredBy }] }.
+ */
+async function resolveDependencyClosure(dbClient, row, { workspaces = [row.workspace] } = {}) {
+    const visited = new Set([row.id]);
+    const byId = new Map();
+    const missing = new Map();
+    let frontier = [row];
+
+    for (let depth = 1; frontier.length > 0 && depth <= MAX_DEPENDENCY_DEPTH; depth += 1) {
+        const next = [];
+        for (const parent of frontier) {
+            const parentName = parseFunctionRow(parent)?.functionDef?.name || parent.name;
+            for (const edge of await dbClient.getFunctionDependencies(parent.id)) {
+                const target = await dbClient.findActiveFunctionByName(edge.dependency_name, workspaces);
+                if (!target) {
+                    const key = edge.dependency_name.toLowerCase();
+                    if (!missing.has(key)) missing.set(key, { name: edge.dependency_name, requiredBy: [] });
+                    missing.get(key).requiredBy.push(parentName);
+                } else if (byId.has(target.id)) {
+                    byId.get(target.id).requiredBy.push(parentName);
+                } else if (!visited.has(target.id)) {
+                    visited.add(target.id);
+                    byId.set(target.id, { row: target, depth, requiredBy: [parentName] });
+                    next.push(target);
+                }
+            }
+        }
+        frontier = next;
+    }
+    return { items: Array.from(byId.values()), missing: Array.from(missing.values()) };
+}
+
+module.exports = {
+    MAX_DEPENDENCY_DEPTH,
+    extractDependencies,
+    resolveDependencyClosure
+};
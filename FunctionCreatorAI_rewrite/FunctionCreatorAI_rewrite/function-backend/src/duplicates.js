@@ -0,0 +1,168 @@
+const { cosineSimilarity, isSameEmbeddingSpace, tokenizeText } = require('./utils');
+const { parseFunctionRow } = require('./search');
+
+const DEFAULT_DUPLICATE_THRESHOLD = 0.85;
+const VECTOR_WEIGHT = 0.6;
+const CANDIDATE_LIMIT = 30;
+// Merged and quarantined functions are never offered as duplicates of anything.
+const COMPARABLE_STATUSES = ['active', 'pending'];
+
+function stepKey(step = {}) {
+    return {
+        type: String(step.type || step.action || '').trim().toLowerCase(),
+        target: String(step.selector || step.url || step.pattern || '').trim()
+    };
+}
+
+/**
+ * Positional step overlap in [0, 1]: a step with the same type and target counts 1, the same type
+ * with another selector counts 0.5. Two variants that differ in one selector of five steps score 0.9.
+ */
+function stepOverlap(stepsA = [], stepsB = []) {
+    const a = Array.isArray(stepsA) ? stepsA.map(stepKey) : [];
+    const b = Array.isArray(stepsB) ? stepsB.map(stepKey) : [];
+    const length = Math.max(a.length, b.length);
+    if (length === 0) return null;
+    let matched = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+        if (a[i].type !== b[i].type) continue;
+        matched += a[i].target === b[i].target ? 1 : 0.5;
+    }
+    return matched / length;
+}
+
+function textOverlap(textA, textB) {
+    const a = new Set(tokenizeText(textA));
+    const b = new Set(tokenizeText(textB));
+    if (a.size === 0 && b.size === 0) return 0;
+    let shared = 0;
+    a.forEach((token) => {
+        if (b.has(token)) shared += 1;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two parsed functions: cosine similarity of comparable embeddings blended with step
+ * overlap. Without steps on either side, name/description token overlap stands in for the steps.
+ */
+function compareFunctions(a, b) {
+    const steps = stepOverlap(a.functionDef?.steps, b.functionDef?.steps);
+    const structure = steps === null
+        ? textOverlap(
+            `${a.functionDef?.name || ''} ${a.functionDef?.description || ''}`,
+            `${b.functionDef?.name || ''} ${b.functionDef?.description || ''}`
+        )
+        : steps;
+    const vectorComparable = Array.isArray(a.embedding) && Array.isArray(b.embedding)
+        && isSameEmbeddingSpace(
+            { model: a.embeddingModel, dimension: a.embedding.length },
+            { model: b.embeddingModel, dimension: b.embedding.length }
+        );
+    const vectorSimilarity = vectorComparable ? cosineSimilarity(a.embedding, b.embedding) : null;
+    const similarity = vectorSimilarity === null
+        ? structure
+        : (VECTOR_WEIGHT * vectorSimilarity) + ((1 - VECTOR_WEIGHT) * structure);
+    return {
+        similarity: Number(similarity.toFixed(4)),
+        vectorSimilarity: vectorSimilarity === null ? null : Number(vectorSimilarity.toFixed(4)),
+        stepOverlap: steps === null ? null : Number(steps.toFixed(4))
+    };
+}
+
+// Candidate rows: nearest embeddings (index or workspace scan) plus functions sharing the name.
+async function loadCandidates(dbClient, parsed, { vectorIndex = null } = {}) {
+    const ids = new Set(await dbClient.findFunctionIdsByName(parsed.functionDef?.name || '', parsed.workspace));
+    if (vectorIndex && Array.isArray(parsed.embedding)) {
+        (await vectorIndex.search(parsed.embedding, CANDIDATE_LIMIT, parsed.embeddingModel))
+            .forEach((hit) => ids.add(hit.label));
+        return dbClient.getFunctionsByIds(Array.from(ids), { includeHidden: true });
+    }
+    return dbClient.getAllFunctions({ includeHidden: true, workspaces: [parsed.workspace] });
+}
+
+/**
+ * Near duplicates of one stored function within its workspace, best match first.
+ * Returns [{ id, name, status, similarity, vectorSimilarity, stepOverlap }].
+ */
+async function findNearDuplicates(dbClient, row, {
+    vectorIndex = null,
+    threshold = DEFAULT_DUPLICATE_THRESHOLD,
+    limit = 10
+} = {}) {
+    const parsed = parseFunctionRow(row);
+    if (!parsed) return [];
+    return (await loadCandidates(dbClient, parsed, { vectorIndex }))
+        .filter((candidate) => candidate.id !== parsed.id
+            && candidate.workspace === parsed.workspace
+            && COMPARABLE_STATUSES.includes(candidate.status))
+        .map((candidate) => {
+            const other = parseFunctionRow(candidate);
+            return {
+                id: other.id,
+                name: other.functionDef?.name || candidate.name,
+                status: other.status,
+                ...compareFunctions(parsed, other)
+            };
+        })
+        .filter((match) => match.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+}
+
+// Groups stored duplicate pairs into connected clusters (union-find over function ids).
+function buildClusters(pairs = []) {
+    const parent = new Map();
+    const find = (id) => {
+        if (!parent.has(id)) parent.set(id, id);
+        let root = id;
+        while (parent.get(root) !== root) root = parent.get(root);
+        parent.set(id, root);
+        return root;
+    };
+    pairs.forEach((pair) => {
+        const a = find(pair.function_id);
+        const b = find(pair.duplicate_id);
+        if (a !== b) parent.set(b, a);
+    });
+
+    const clusters = new Map();
+    pairs.forEach((pair) => {
+        const root = find(pair.function_id);
+        if (!clusters.has(root)) clusters.set(root, { memberIds: new Set(), pairs: [] });
+        const cluster = clusters.get(root);
+        cluster.memberIds.add(pair.function_id);
+        cluster.memberIds.add(pair.duplicate_id);
+        cluster.pairs.push({
+            a: pair.function_id,
+            b: pair.duplicate_id,
+            similarity: pair.similarity,
+            vectorSimilarity: pair.vector_similarity,
+            stepOverlap: pair.step_overlap
+        });
+    });
+    return Array.from(clusters.values()).map((cluster) => ({
+        memberIds: Array.from(cluster.memberIds),
+        pairs: cluster.pairs
+    }));
+}
+
+// Suggested canonical member: verified first, then most successful runs, then most recently updated.
+function pickCanonical(items = []) {
+    return [...items].sort((a, b) => {
+        if (a.verified !== b.verified) return a.verified ? -1 : 1;
+        const runsA = a.runStats?.successCount || 0;
+        const runsB = b.runStats?.successCount || 0;
+        if (runsA !== runsB) return runsB - runsA;
+        return String(b.updatedAt || '').localeCompare(String(a.updatedAt || ''));
+    })[0] || null;
+}
+
+module.exports = {
+    DEFAULT_DUPLICATE_THRESHOLD,
+    buildClusters,
+    compareFunctions,
+    findNearDuplicates,
+    pickCanonical,
+    stepOverlap
+};
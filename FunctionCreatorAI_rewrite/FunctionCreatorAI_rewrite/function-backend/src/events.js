@@ -0,0 +1,80 @@
+const { safeJsonParse } = require('./utils');
+
+// function.verified fires when a function becomes vetted: stored with passing tests, or approved by a moderator.
+const FUNCTION_EVENT_TYPES = ['function.created', 'function.updated', 'function.verified', 'function.deleted'];
+
+// `version` is the revision the change created; null for changes that add none (moderation, deletes, merges).
+function toFunctionEventData(row, workspaceRow = null) {
+    return {
+        id: row.id,
+        workspace: row.workspace,
+        visibility: workspaceRow?.visibility || 'private',
+        name: row.name,
+        description: row.description || '',
+        version: row.version ? Number(row.version) : null,
+        status: row.status,
+        verified: row.verified === 1 || row.verified === true,
+        sites: safeJsonParse(row.sites_json, []),
+        updatedAt: row.updated_at
+    };
+}
+
+// Accepts a list or a comma-separated string; an empty selection means every type.
+function normalizeEventTypes(types) {
+    const list = Array.isArray(types) ? types : String(types || '').split(',');
+    const selected = list.map((type) => String(type || '').trim()).filter(Boolean);
+    const unknown = selected.filter((type) => !FUNCTION_EVENT_TYPES.includes(type));
+    return { types: selected.length > 0 ? Array.from(new Set(selected)) : [...FUNCTION_EVENT_TYPES], unknown };
+}
+
+/**
+ * In-process event bus with a bounded history so reconnecting SSE clients can resume from `Last-Event-ID`.
+ * Ids start at the boot time in milliseconds, so they keep increasing across restarts.
+ */
+function createEventBus({ historySize = 500 } = {}) {
+    const listeners = new Set();
+    const history = [];
+    let lastId = Date.now();
+
+    function publish(type, data) {
+        lastId += 1;
+        const event = { id: lastId, type, data, createdAt: new Date().toISOString() };
+        history.push(event);
+        if (history.length > historySize) history.shift();
+        listeners.forEach((listener) => {
+            try {
+                listener(event);
+            } catch (error) {
+                // eslint-disable-next-line no-console
+                console.warn('[function-backend] event listener failed:', error.message);
+            }
+        });
+        return event;
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function since(eventId) {
+        const after = Number(eventId);
+        return Number.isFinite(after) ? history.filter((event) => event.id > after) : [];
+    }
+
+    return {
+        publish,
+        subscribe,
+        since,
+        get subscriberCount() {
+            return listeners.size;
+        }
+    };
+}
+
+module.exports = {
+    FUNCTION_EVENT_TYPES,
+    createEventBus,
+    normalizeEventTypes,
+    toFunctionEventData
+};
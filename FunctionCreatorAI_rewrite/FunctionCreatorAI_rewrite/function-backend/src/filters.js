@@ -0,0 +1,154 @@
+const FACET_LIMIT = 20;
+
+function toLowerList(value) {
+    const list = Array.isArray(value) ? value : (value === undefined || value === null || value === '' ? [] : [value]);
+    return Array.from(new Set(list.map((item) => String(item || '').trim().toLowerCase()).filter(Boolean)));
+}
+
+function normalizeHost(value) {
+    const raw = String(value || '').trim().toLowerCase();
+    if (!raw) return '';
+    try {
+        return new URL(raw.includes('://') ? raw : `https://${raw}`).hostname;
+    } catch {
+        return '';
+    }
+}
+
+// Host part of a URL match pattern; '*' for patterns that apply everywhere.
+function patternHost(pattern) {
+    const raw = String(pattern || '').trim().toLowerCase();
+    if (!raw || raw === '<all_urls>') return '*';
+    const match = raw.match(/^(?:[a-z*]+:\/\/)?([^/?#]+)/);
+    if (!match) return '*';
+    return match[1].replace(/:\d+$/, '') || '*';
+}
+
+// A host filter matches patterns naming that host or one of its subdomains; catch-all patterns never match.
+function patternMatchesHost(pattern, host) {
+    const candidate = patternHost(pattern);
+    if (candidate === '*') return false;
+    if (candidate === host || candidate.endsWith(`.${host}`)) return true;
+    if (candidate.startsWith('*.')) {
+        const base = candidate.slice(2);
+        return host === base || host.endsWith(`.${base}`);
+    }
+    return false;
+}
+
+/**
+ * Validates the `filters` object of a search request.
+ * Returns { filters, errors }; an empty errors array means the filters are usable.
+ */
+function normalizeSearchFilters(raw = {}) {
+    const errors = [];
+    if (raw === null || raw === undefined) return { filters: {}, errors };
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { filters: {}, errors: ['"filters" must be an object'] };
+    }
+
+    const filters = {};
+    const tags = Array.isArray(raw.tags) ? { any: raw.tags } : (raw.tags || {});
+    const tagsAny = toLowerList(tags.any);
+    const tagsAll = toLowerList(tags.all);
+    if (tagsAny.length > 0) filters.tagsAny = tagsAny;
+    if (tagsAll.length > 0) filters.tagsAll = tagsAll;
+
+    const sources = toLowerList(raw.source);
+    if (sources.length > 0) filters.sources = sources;
+
+    if (raw.verified === true || raw.verifiedOnly === true) filters.verifiedOnly = true;
+
+    if (raw.updatedAfter !== undefined && raw.updatedAfter !== null && raw.updatedAfter !== '') {
+        const updatedAfter = Date.parse(raw.updatedAfter);
+        if (Number.isFinite(updatedAfter)) filters.updatedAfter = updatedAfter;
+        else errors.push('"updatedAfter" must be an ISO date');
+    }
+
+    if (raw.host) {
+        const host = normalizeHost(raw.host);
+        if (host) filters.host = host;
+        else errors.push('"host" must be a hostname or URL');
+    }
+
+    const inputTypes = toLowerList(raw.inputType);
+    if (inputTypes.length > 0) filters.inputTypes = inputTypes;
+    const outputTypes = toLowerList(raw.outputType);
+    if (outputTypes.length > 0) filters.outputTypes = outputTypes;
+
+    return { filters, errors };
+}
+
+function entryTags(entry) {
+    return toLowerList(entry.metadata?.tags);
+}
+
+function entrySource(entry) {
+    return String(entry.metadata?.source || entry.functionDef?.source || 'unknown').trim().toLowerCase();
+}
+
+function entryInputTypes(entry) {
+    const inputs = Array.isArray(entry.functionDef?.inputs) ? entry.functionDef.inputs : [];
+    return toLowerList(inputs.map((input) => input?.type || 'string'));
+}
+
+function entryOutputType(entry) {
+    return String(entry.functionDef?.outputs?.type || '').trim().toLowerCase();
+}
+
+function matchesFilters(entry, filters = {}) {
+    if (filters.verifiedOnly && !entry.verified) return false;
+    if (filters.sources && !filters.sources.includes(entrySource(entry))) return false;
+    if (filters.tagsAny || filters.tagsAll) {
+        const tags = entryTags(entry);
+        if (filters.tagsAny && !filters.tagsAny.some((tag) => tags.includes(tag))) return false;
+        if (filters.tagsAll && !filters.tagsAll.every((tag) => tags.includes(tag))) return false;
+    }
+    if (filters.updatedAfter) {
+        const updated = Date.parse(entry.updatedAt || '');
+        if (!Number.isFinite(updated) || updated <= filters.updatedAfter) return false;
+    }
+    if (filters.host && !entry.sites.some((pattern) => patternMatchesHost(pattern, filters.host))) return false;
+    if (filters.inputTypes) {
+        const types = entryInputTypes(entry);
+        if (!filters.inputTypes.some((type) => types.includes(type))) return false;
+    }
+    if (filters.outputTypes && !filters.outputTypes.includes(entryOutputType(entry))) return false;
+    return true;
+}
+
+function countValues(entries, valuesOf) {
+    const counts = new Map();
+    entries.forEach((entry) => {
+        new Set(valuesOf(entry)).forEach((value) => {
+            if (value === '' || value === null || value === undefined) return;
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+    });
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+        .slice(0, FACET_LIMIT);
+}
+
+// Facet counts over the filtered match set (before topK), for drill-down UIs.
+function computeFacets(entries) {
+    return {
+        tags: countValues(entries, entryTags),
+        source: countValues(entries, (entry) => [entrySource(entry)]),
+        verified: countValues(entries, (entry) => [entry.verified]),
+        // Wildcard subdomains are reported by their base domain so the value works as a host filter.
+        host: countValues(entries, (entry) => entry.sites
+            .map(patternHost)
+            .filter((host) => host !== '*')
+            .map((host) => host.replace(/^\*\./, ''))),
+        inputType: countValues(entries, entryInputTypes),
+        outputType: countValues(entries, (entry) => [entryOutputType(entry)])
+    };
+}
+
+module.exports = {
+    computeFacets,
+    matchesFilters,
+    normalizeSearchFilters,
+    patternHost
+};
@@ -0,0 +1,140 @@
+// Abuse protection: per-caller rate limits, per-function size caps and per-client storage quotas.
+// Every limit is read from the environment once at startup; 0 disables it.
+
+const LIMIT_ENV = {
+    rateLimitWindowMs: ['RATE_LIMIT_WINDOW_MS', 60 * 1000],
+    upsertsPerWindow: ['RATE_LIMIT_UPSERTS', 60],
+    searchesPerWindow: ['RATE_LIMIT_SEARCHES', 300],
+    maxFunctionBytes: ['MAX_FUNCTION_BYTES', 256 * 1024],
+    maxFunctionSteps: ['MAX_FUNCTION_STEPS', 200],
+    maxEmbeddingDim: ['MAX_EMBEDDING_DIM', 4096],
+    maxFunctionsPerClient: ['QUOTA_FUNCTIONS_PER_CLIENT', 5000],
+    maxBytesPerClient: ['QUOTA_BYTES_PER_CLIENT', 200 * 1024 * 1024]
+};
+
+function readLimits(env = process.env) {
+    const limits = {
+        // Passed to express.json(); larger imports go through the JSONL content type, which has its own limit.
+        jsonBodyLimit: String(env.JSON_BODY_LIMIT || '2mb').trim()
+    };
+    Object.entries(LIMIT_ENV).forEach(([key, [name, fallback]]) => {
+        const raw = env[name];
+        const value = raw === undefined || raw === '' ? fallback : Number(raw);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`${name} must be a non-negative number (0 disables the limit), got "${raw}"`);
+        }
+        limits[key] = Math.floor(value);
+    });
+    return limits;
+}
+
+// Token callers are limited per token; anonymous callers (AUTH_MODE=none or no token) per IP address,
+// since a client id in the body is whatever the caller says it is.
+function callerKey(req) {
+    const principalId = req.auth?.id;
+    return principalId && principalId !== 'anonymous' ? `token:${principalId}` : `ip:${req.ip}`;
+}
+
+// The owner an upload's storage is charged to. Token callers pay per client id (fixed when the token was
+// minted), else per token; anonymous callers per IP address. A client id sent in the body never decides it.
+function quotaOwner(req) {
+    const principal = req.auth;
+    if (principal?.id && principal.id !== 'anonymous') {
+        return principal.clientId ? `client:${principal.clientId}` : `token:${principal.id}`;
+    }
+    return `ip:${req.ip}`;
+}
+
+/**
+ * Fixed-window in-memory limiter. Returns Express middleware answering 429 with a `Retry-After` header
+ * once a caller made `max` requests in the current window. State is per process.
+ */
+function createRateLimiter(bucket, { max, windowMs }) {
+    const windows = new Map();
+    let nextSweep = Date.now() + windowMs;
+
+    const middleware = (req, res, next) => {
+        if (!max || !windowMs) return next();
+        const now = Date.now();
+        if (now >= nextSweep) {
+            windows.forEach((window, key) => {
+                if (window.resetAt <= now) windows.delete(key);
+            });
+            nextSweep = now + windowMs;
+        }
+
+        const key = callerKey(req);
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count += 1;
+
+        const retryAfterSeconds = Math.max(1, Math.ceil((window.resetAt - now) / 1000));
+        res.setHeader('RateLimit-Limit', String(max));
+        res.setHeader('RateLimit-Remaining', String(Math.max(0, max - window.count)));
+        res.setHeader('RateLimit-Reset', String(retryAfterSeconds));
+        if (window.count <= max) return next();
+
+        res.setHeader('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+            success: false,
+            error: `Rate limit exceeded: at most ${max} ${bucket} request(s) per ${Math.round(windowMs / 1000)}s`,
+            details: { code: 'rate_limited', bucket, limit: max, windowMs, retryAfterSeconds }
+        });
+    };
+    middleware.rateLimitBucket = bucket;
+    return middleware;
+}
+
+function violation(field, limit, actual) {
+    return { field, limit, actual };
+}
+
+/** Size caps of one upload. Returns a list of { field, limit, actual }; empty when the upload fits. */
+function checkFunctionSize({ functionJson, steps = [], embedding = null }, limits) {
+    const violations = [];
+    const bytes = Buffer.byteLength(functionJson || '', 'utf8');
+    if (limits.maxFunctionBytes && bytes > limits.maxFunctionBytes) {
+        violations.push(violation('functionDef', limits.maxFunctionBytes, bytes));
+    }
+    if (limits.maxFunctionSteps && steps.length > limits.maxFunctionSteps) {
+        violations.push(violation('functionDef.steps', limits.maxFunctionSteps, steps.length));
+    }
+    if (limits.maxEmbeddingDim && embedding && embedding.length > limits.maxEmbeddingDim) {
+        violations.push(violation('embedding', limits.maxEmbeddingDim, embedding.length));
+    }
+    return violations;
+}
+
+/**
+ * Storage quota of one owner (see `quotaOwner`), counted over the current rows it uploaded (revisions are
+ * not counted). `existing` is the row the upload replaces, if any; replacing an own row only adds its size
+ * delta. Bytes are counted as characters of the stored function and embedding JSON.
+ */
+async function checkClientQuota(dbClient, { owner, recordBytes, existing = null }, limits) {
+    if (!limits.maxFunctionsPerClient && !limits.maxBytesPerClient) return [];
+    const usage = await dbClient.getClientUsage(owner);
+    // A row uploaded by another owner changes hands when this one re-uploads it.
+    const owned = Boolean(existing) && (existing.quota_owner || '') === owner;
+    const replaced = owned ? String(existing.function_json || '').length + String(existing.embedding_json || '').length : 0;
+    const functionCount = Number(usage.function_count || 0) + (owned ? 0 : 1);
+    const totalBytes = Number(usage.total_bytes || 0) - replaced + recordBytes;
+    const violations = [];
+    if (limits.maxFunctionsPerClient && functionCount > limits.maxFunctionsPerClient) {
+        violations.push(violation('functions', limits.maxFunctionsPerClient, functionCount));
+    }
+    if (limits.maxBytesPerClient && totalBytes > limits.maxBytesPerClient) {
+        violations.push(violation('bytes', limits.maxBytesPerClient, totalBytes));
+    }
+    return violations;
+}
+
+module.exports = {
+    checkClientQuota,
+    checkFunctionSize,
+    createRateLimiter,
+    quotaOwner,
+    readLimits
+};
@@ -0,0 +1,506 @@
+const { SCOPE_LEVELS } = require('./auth');
+const { FUNCTION_EVENT_TYPES } = require('./events');
+const { WORKSPACE_VISIBILITIES } = require('./workspaces');
+
+// Request body schemas. They check shapes only; handlers still apply the rules that need the database
+// or the step vocabulary (`validateFunctionDef`), so a body can pass here and still be rejected.
+const stringList = { type: 'array', items: { type: 'string' } };
+const stringOrList = { type: ['string', 'array'], items: { type: 'string' } };
+
+const SCHEMAS = {
+    FunctionDef: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            urlPatterns: stringOrList,
+            inputs: { type: 'array', items: { type: 'object' } },
+            outputs: { type: 'object' },
+            steps: { type: 'array', items: { type: 'object' } },
+            testsPassed: { type: 'boolean' }
+        }
+    },
+    FunctionMetadata: {
+        type: 'object',
+        properties: {
+            source: { type: 'string' },
+            tags: stringList,
+            applicableSites: stringOrList,
+            testsPassed: { type: 'boolean' },
+            extensionVersion: { type: 'string' },
+            createdAt: { type: ['number', 'string'] }
+        }
+    },
+    UpsertFunctionRequest: {
+        type: 'object',
+        required: ['functionDef'],
+        properties: {
+            id: { type: 'string' },
+            functionId: { type: 'string' },
+            workspace: { type: 'string' },
+            functionDef: { $ref: '#/components/schemas/FunctionDef' },
+            metadata: { $ref: '#/components/schemas/FunctionMetadata' },
+            embedding: { type: ['array', 'null'], items: { type: 'number' } },
+            embeddingModel: { type: 'string' },
+            fingerprint: { type: 'string' },
+            clientId: { type: 'string' }
+        }
+    },
+    SearchFilters: {
+        type: 'object',
+        properties: {
+            tags: {
+                type: ['array', 'object'],
+                items: { type: 'string' },
+                properties: { any: stringOrList, all: stringOrList }
+            },
+            source: stringOrList,
+            verified: { type: 'boolean' },
+            verifiedOnly: { type: 'boolean' },
+            updatedAfter: { type: ['string', 'number'], description: 'ISO date' },
+            host: { type: 'string' },
+            inputType: stringOrList,
+            outputType: stringOrList
+        }
+    },
+    SearchRequest: {
+        type: 'object',
+        properties: {
+            query: { type: 'string' },
+            currentUrl: { type: 'string' },
+            topK: { type: ['number', 'string'], description: '1-30, default 8' },
+            alpha: { type: ['number', 'string'], description: 'BM25 vs. vector weight, 0-1, default 0.65' },
+            queryEmbedding: { type: ['array', 'null'], items: { type: 'number' } },
+            queryEmbeddingModel: { type: 'string' },
+            rankingProfile: { type: 'string' },
+            workspace: { type: 'string' },
+            includePublic: { type: 'boolean' },
+            filters: { type: ['object', 'null'], $ref: '#/components/schemas/SearchFilters' }
+        }
+    },
+    RunReport: {
+        type: 'object',
+        required: ['success'],
+        properties: {
+            success: { type: 'boolean' },
+            failedStep: { type: ['integer', 'null'], minimum: 1 },
+            durationMs: { type: ['number', 'null'] },
+            urlHost: { type: 'string' },
+            url: { type: 'string' },
+            error: { type: 'string' },
+            clientId: { type: 'string' }
+        }
+    },
+    RollbackRequest: {
+        type: 'object',
+        required: ['version'],
+        properties: {
+            version: { type: ['integer', 'string'] }
+        }
+    },
+    MetadataPatch: {
+        type: 'object',
+        properties: {
+            tags: stringOrList,
+            verified: { type: 'boolean' }
+        }
+    },
+    ModerationRequest: {
+        type: 'object',
+        properties: {
+            reason: { type: 'string' }
+        }
+    },
+    DuplicateScanRequest: {
+        type: 'object',
+        properties: {
+            workspace: { type: 'string' }
+        }
+    },
+    MergeRequest: {
+        type: 'object',
+        required: ['canonicalId', 'duplicateIds'],
+        properties: {
+            canonicalId: { type: 'string' },
+            duplicateIds: { type: 'array', items: { type: 'string' }, minItems: 1 },
+            reason: { type: 'string' }
+        }
+    },
+    ImportRequest: {
+        type: 'object',
+        properties: {
+            bundle: { type: 'string', description: 'JSONL bundle as produced by GET /api/export' },
+            records: { type: 'array', items: { type: 'object' } },
+            dryRun: { type: 'boolean' }
+        }
+    },
+    WorkspaceCreate: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', description: '1-64 characters of a-z, 0-9, "-" or "_"' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            visibility: { type: 'string', enum: WORKSPACE_VISIBILITIES }
+        }
+    },
+    WorkspacePatch: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            visibility: { type: 'string', enum: WORKSPACE_VISIBILITIES }
+        }
+    },
+    TokenCreate: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            scopes: { type: ['array', 'string'], items: { type: 'string', enum: Object.keys(SCOPE_LEVELS) } },
+            clientId: { type: 'string' },
+            workspace: { type: 'string' }
+        }
+    },
+    WebhookCreate: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            url: { type: 'string', minLength: 1 },
+            events: { type: 'array', items: { type: 'string', enum: FUNCTION_EVENT_TYPES } },
+            workspace: { type: 'string' }
+        }
+    },
+    Success: {
+        type: 'object',
+        required: ['success'],
+        properties: {
+            success: { type: 'boolean', enum: [true] }
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            details: {}
+        }
+    }
+};
+
+function kindOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const kind = kindOf(value);
+    return kind === type || (type === 'number' && kind === 'integer');
+}
+
+function resolveRef(schema) {
+    if (!schema?.$ref) return schema;
+    const target = SCHEMAS[schema.$ref.replace('#/components/schemas/', '')];
+    if (!target) throw new Error(`Unknown schema reference ${schema.$ref}`);
+    // Sibling keywords (e.g. a nullable `type`) override the referenced schema.
+    const { $ref, ...overrides } = schema;
+    return { ...target, ...overrides };
+}
+
+// The subset of JSON Schema used by SCHEMAS: type (one or a list), enum, required, properties,
+// items, minItems, minLength and minimum. Unknown properties are allowed.
+function validateSchema(value, rawSchema, path = 'body', errors = []) {
+    const schema = resolveRef(rawSchema);
+    if (!schema) return errors;
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+        errors.push({ path, message: `Expected ${types.join(' or ')}, got ${kindOf(value)}` });
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `Expected one of ${schema.enum.join(', ')}` });
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: `Must be at least ${schema.minLength} character(s)` });
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `Must be >= ${schema.minimum}` });
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `Must list at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`, errors));
+        }
+    } else if (value && typeof value === 'object') {
+        (schema.required || [])
+            .filter((field) => value[field] === undefined)
+            .forEach((field) => errors.push({ path: `${path}.${field}`, message: `"${field}" is required` }));
+        Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+            if (value[field] !== undefined) validateSchema(value[field], fieldSchema, `${path}.${field}`, errors);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Express middleware rejecting JSON bodies that do not match `SCHEMAS[schemaName]` with a 400.
+ * Non-JSON bodies (e.g. JSONL imports) pass through. The generator reads `requestSchema` back.
+ */
+function validateBody(schemaName) {
+    if (!SCHEMAS[schemaName]) throw new Error(`Unknown request schema "${schemaName}"`);
+    const middleware = (req, res, next) => {
+        if (!req.is('application/json')) return next();
+        const errors = validateSchema(req.body ?? {}, { $ref: `#/components/schemas/${schemaName}` });
+        if (errors.length === 0) return next();
+        return res.status(400).json({
+            success: false,
+            error: 'Request body does not match the API schema',
+            details: { errors }
+        });
+    };
+    middleware.requestSchema = schemaName;
+    return middleware;
+}
+
+// Summaries and parameters of each route, keyed by "<method> <express path>". Routes missing here are
+// still listed, with a generated operationId, so new routes show up in the document without extra work.
+const OPERATIONS = {
+    'get /api/health': { operationId: 'health', tag: 'system', summary: 'Liveness, counts and schema version' },
+    'get /api/stats': { operationId: 'getStats', tag: 'system', summary: 'Catalog statistics' },
+    'get /api/ranking-profiles': { operationId: 'listRankingProfiles', tag: 'search', summary: 'Available ranking profiles' },
+    'get /api/functions': {
+        operationId: 'listFunctions',
+        tag: 'functions',
+        summary: 'Recently updated functions',
+        query: { limit: 'integer', offset: 'integer', status: 'string', workspace: 'string' }
+    },
+    'post /api/functions/upsert': { operationId: 'upsertFunction', tag: 'functions', summary: 'Create or update a function' },
+    'post /api/functions/search': { operationId: 'searchFunctions', tag: 'search', summary: 'Hybrid BM25 + embedding search' },
+    'post /api/functions/search/explain': {
+        operationId: 'explainSearch',
+        tag: 'search',
+        summary: 'The same search with FTS query, BM25 rows, score components and dropped candidates'
+    },
+    'get /api/functions/{id}': { operationId: 'getFunction', tag: 'functions', summary: 'One function with run stats' },
+    'delete /api/functions/{id}': {
+        operationId: 'deleteFunction',
+        tag: 'functions',
+        summary: 'Delete a function',
+        query: { reason: 'string' }
+    },
+    'get /api/functions/{id}/dependencies': {
+        operationId: 'getDependencies',
+        tag: 'functions',
+        summary: 'A function with the closure of sub-functions it calls'
+    },
+    'get /api/functions/{id}/duplicates': {
+        operationId: 'getDuplicates',
+        tag: 'duplicates',
+        summary: 'Near-duplicates of a function',
+        query: { threshold: 'number' }
+    },
+    'get /api/functions/{id}/runs': {
+        operationId: 'listRuns',
+        tag: 'runs',
+        summary: 'Recent run reports',
+        query: { limit: 'integer' }
+    },
+    'post /api/functions/{id}/runs': { operationId: 'reportRun', tag: 'runs', summary: 'Report one execution' },
+    'post /api/functions/{id}/approve': { operationId: 'approveFunction', tag: 'moderation', summary: 'Approve a pending function' },
+    'post /api/functions/{id}/quarantine': { operationId: 'quarantineFunction', tag: 'moderation', summary: 'Hide a function from search' },
+    'get /api/functions/{id}/versions': { operationId: 'listVersions', tag: 'versions', summary: 'Revision history' },
+    'get /api/functions/{id}/versions/diff': {
+        operationId: 'diffVersions',
+        tag: 'versions',
+        summary: 'Changes between two revisions',
+        query: { from: 'integer', to: 'integer' }
+    },
+    'get /api/functions/{id}/versions/{version}': { operationId: 'getVersion', tag: 'versions', summary: 'One revision' },
+    'post /api/functions/{id}/rollback': { operationId: 'rollbackFunction', tag: 'versions', summary: 'Restore an earlier revision' },
+    'patch /api/functions/{id}/metadata': {
+        operationId: 'updateFunctionMetadata',
+        tag: 'moderation',
+        summary: 'Edit tags or the verified flag'
+    },
+    'get /api/moderation/queue': {
+        operationId: 'getModerationQueue',
+        tag: 'moderation',
+        summary: 'Pending or quarantined functions',
+        query: { status: 'string', limit: 'integer' }
+    },
+    'get /api/moderation/log': {
+        operationId: 'getModerationLog',
+        tag: 'moderation',
+        summary: 'Moderation actions',
+        query: { functionId: 'string', limit: 'integer' }
+    },
+    'get /api/export': {
+        operationId: 'exportBundle',
+        tag: 'bundles',
+        summary: 'Stream a JSONL bundle',
+        query: { status: 'string', versions: 'boolean', workspace: 'string' }
+    },
+    'post /api/import': {
+        operationId: 'importBundle',
+        tag: 'bundles',
+        summary: 'Import a JSONL bundle',
+        query: { dryRun: 'boolean', workspace: 'string' },
+        extraContent: { 'application/x-ndjson': { schema: { type: 'string' } } }
+    },
+    'get /api/duplicates/clusters': {
+        operationId: 'listDuplicateClusters',
+        tag: 'duplicates',
+        summary: 'Clusters of near-duplicate functions',
+        query: { workspace: 'string' }
+    },
+    'post /api/duplicates/scan': { operationId: 'scanDuplicates', tag: 'duplicates', summary: 'Recompute near-duplicate pairs' },
+    'post /api/duplicates/merge': { operationId: 'mergeDuplicates', tag: 'duplicates', summary: 'Merge variants into one function' },
+    'get /api/workspaces': { operationId: 'listWorkspaces', tag: 'workspaces', summary: 'Workspaces visible to the caller' },
+    'post /api/workspaces': { operationId: 'createWorkspace', tag: 'workspaces', summary: 'Create a workspace' },
+    'patch /api/workspaces/{id}': { operationId: 'updateWorkspace', tag: 'workspaces', summary: 'Rename or change visibility' },
+    'delete /api/workspaces/{id}': { operationId: 'deleteWorkspace', tag: 'workspaces', summary: 'Delete an empty workspace' },
+    'get /api/tokens': { operationId: 'listTokens', tag: 'tokens', summary: 'API tokens' },
+    'post /api/tokens': { operationId: 'createToken', tag: 'tokens', summary: 'Mint an API token' },
+    'delete /api/tokens/{id}': { operationId: 'revokeToken', tag: 'tokens', summary: 'Revoke an API token' },
+    'get /api/events': {
+        operationId: 'streamEvents',
+        tag: 'events',
+        summary: 'Server-sent events for function changes',
+        query: { types: 'string', workspace: 'string', lastEventId: 'string' },
+        responseContent: { 'text/event-stream': { schema: { type: 'string' } } }
+    },
+    'get /api/webhooks': { operationId: 'listWebhooks', tag: 'events', summary: 'Registered webhooks' },
+    'post /api/webhooks': { operationId: 'createWebhook', tag: 'events', summary: 'Register a webhook' },
+    'delete /api/webhooks/{id}': { operationId: 'deleteWebhook', tag: 'events', summary: 'Remove a webhook' },
+    'get /api/openapi.json': { operationId: 'getOpenApiDocument', tag: 'system', summary: 'This document' }
+};
+
+function toOpenApiPath(expressPath) {
+    return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function generatedOperationId(method, openApiPath) {
+    const words = openApiPath.split(/[^A-Za-z0-9]+/).filter((word) => word && word !== 'api');
+    return [method, ...words].map((word, index) => (
+        index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)
+    )).join('');
+}
+
+// Express keeps registered routes in `app._router.stack`; each route layer lists its middleware handles.
+function listRoutes(app) {
+    const routes = [];
+    (app._router?.stack || []).forEach((layer) => {
+        const route = layer.route;
+        if (!route || typeof route.path !== 'string' || !route.path.startsWith('/api/')) return;
+        const handles = route.stack.map((item) => item.handle);
+        Object.keys(route.methods).forEach((method) => {
+            routes.push({
+                method,
+                path: route.path,
+                scope: handles.find((handle) => handle.requiredScope)?.requiredScope || null,
+                requestSchema: handles.find((handle) => handle.requestSchema)?.requestSchema || null,
+                rateLimitBucket: handles.find((handle) => handle.rateLimitBucket)?.rateLimitBucket || null
+            });
+        });
+    });
+    return routes;
+}
+
+function buildOperation({ method, scope, requestSchema, rateLimitBucket }, openApiPath) {
+    const docs = OPERATIONS[`${method} ${openApiPath}`] || {};
+    const pathParams = (openApiPath.match(/\{[^}]+\}/g) || []).map((param) => ({
+        name: param.slice(1, -1),
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+    }));
+    const queryParams = Object.entries(docs.query || {}).map(([name, type]) => ({
+        name,
+        in: 'query',
+        required: false,
+        schema: { type }
+    }));
+    const operation = {
+        operationId: docs.operationId || generatedOperationId(method, openApiPath),
+        summary: docs.summary || `${method.toUpperCase()} ${openApiPath}`,
+        tags: [docs.tag || 'other'],
+        parameters: [...pathParams, ...queryParams],
+        responses: {
+            200: {
+                description: 'Success',
+                content: docs.responseContent || { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+            },
+            default: {
+                description: 'Error',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            }
+        }
+    };
+    if (rateLimitBucket) {
+        operation['x-rate-limit-bucket'] = rateLimitBucket;
+        operation.responses[429] = {
+            description: 'Rate limit exceeded; retry after the Retry-After header',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+    }
+    if (requestSchema) {
+        operation.requestBody = {
+            required: (SCHEMAS[requestSchema].required || []).length > 0,
+            content: {
+                'application/json': { schema: { $ref: `#/components/schemas/${requestSchema}` } },
+                ...(docs.extraContent || {})
+            }
+        };
+    }
+    if (scope) {
+        operation.security = [{ bearerAuth: [] }];
+        operation['x-required-scope'] = scope;
+    } else {
+        operation.security = [];
+    }
+    return operation;
+}
+
+/**
+ * Builds the OpenAPI 3.1 document from the routes registered on `app`. Call it after every route
+ * is registered; scopes come from `auth.requireScope` and bodies from `validateBody`.
+ */
+function buildOpenApiDocument(app, { version = '0.0.0', authMode = 'none', anonymousAdmin = false } = {}) {
+    const paths = {};
+    listRoutes(app).forEach((route) => {
+        const openApiPath = toOpenApiPath(route.path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method] = buildOperation(route, openApiPath);
+    });
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Function Backend API',
+            version,
+            description: authMode === 'none'
+                ? (anonymousAdmin
+                    ? 'AUTH_MODE=none with ALLOW_ANONYMOUS_ADMIN=true: every request is treated as an admin.'
+                    : 'AUTH_MODE=none: every request may read and write; admin operations are disabled.')
+                : 'Send "Authorization: Bearer <token>"; x-required-scope names the scope each operation needs.'
+        },
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    SCHEMAS,
+    buildOpenApiDocument,
+    validateBody,
+    validateSchema
+};
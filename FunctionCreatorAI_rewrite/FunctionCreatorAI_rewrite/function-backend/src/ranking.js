@@ -0,0 +1,204 @@
+const { clamp, normalizePatternList, urlMatchesPattern } = require('./utils');
+
+const RRF_K = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Named ranking profiles selectable per search request via `rankingProfile`.
+ * - fusion: how BM25 and vector components are combined into a base score.
+ * - boosts: weights for [0, 1] signals; final = base * (1 + sum(weight * signal)).
+ *   Negative weights demote (e.g. `failures` for functions whose selectors stopped working).
+ */
+const RANKING_PROFILES = {
+    default: {
+        description: 'Original weighted blend of vector and 1/(1+bm25) scores; only demotes failing functions.',
+        fusion: 'weighted',
+        boosts: { failures: -0.5 }
+    },
+    balanced: {
+        description: 'Min-max normalized blend with mild trust and freshness boosts.',
+        fusion: 'minmax',
+        boosts: { verified: 0.15, recency: 0.1, usage: 0.1, siteSpecificity: 0.15, failures: -0.5 }
+    },
+    rrf: {
+        description: 'Reciprocal rank fusion of the BM25 and vector rankings.',
+        fusion: 'rrf',
+        boosts: { verified: 0.1, siteSpecificity: 0.1, failures: -0.5 }
+    },
+    trusted: {
+        description: 'Strongly prefers verified, frequently used functions.',
+        fusion: 'minmax',
+        boosts: { verified: 0.5, usage: 0.3, recency: 0.05, failures: -0.8 }
+    },
+    fresh: {
+        description: 'Prefers recently updated functions (selectors rot over time).',
+        fusion: 'minmax',
+        boosts: { recency: 0.5, verified: 0.1, failures: -0.5 },
+        recencyHalfLifeDays: 30
+    },
+    site: {
+        description: 'Prefers functions whose URL patterns target the current site most precisely.',
+        fusion: 'rrf',
+        boosts: { siteSpecificity: 0.6, verified: 0.1, failures: -0.5 }
+    }
+};
+
+function resolveProfile(name) {
+    const key = String(name || 'default').trim().toLowerCase();
+    return RANKING_PROFILES[key] ? { name: key, ...RANKING_PROFILES[key] } : null;
+}
+
+function round(value) {
+    return Number.isFinite(value) ? Number(value.toFixed(6)) : 0;
+}
+
+// 1-based ranks within one component; entries lacking the component get no rank.
+function assignRanks(entries, valueOf) {
+    const ranked = entries
+        .filter((entry) => valueOf(entry) !== null)
+        .sort((a, b) => valueOf(b) - valueOf(a));
+    const ranks = new Map();
+    ranked.forEach((entry, index) => ranks.set(entry.id, index + 1));
+    return ranks;
+}
+
+function minMaxNormalizer(values) {
+    const finite = values.filter((value) => value !== null && Number.isFinite(value));
+    if (finite.length === 0) return () => 0;
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    return (value) => {
+        if (value === null || !Number.isFinite(value)) return 0;
+        if (max === min) return 1;
+        return (value - min) / (max - min);
+    };
+}
+
+// Share of literal (non-wildcard) characters in the most precise pattern matching the URL.
+function siteSpecificitySignal(sites, currentUrl) {
+    if (!currentUrl) return 0;
+    const matching = normalizePatternList(sites).filter((pattern) => urlMatchesPattern(currentUrl, pattern));
+    if (matching.length === 0) return 0;
+    return Math.max(...matching.map((pattern) => {
+        if (pattern === '<all_urls>') return 0;
+        const literal = pattern.replace(/\*/g, '').replace(/^[a-z]+:\/\//i, '');
+        return clamp(literal.length / Math.max(1, currentUrl.replace(/^[a-z]+:\/\//i, '').length), 0, 1);
+    }));
+}
+
+function recencySignal(updatedAt, now, halfLifeDays) {
+    const updated = Date.parse(updatedAt || '');
+    if (!Number.isFinite(updated)) return 0;
+    const ageDays = Math.max(0, (now - updated) / DAY_MS);
+    return 0.5 ** (ageDays / halfLifeDays);
+}
+
+function usageSignal(entry) {
+    const count = Number(entry.runStats?.runCount || entry.metadata?.usageCount || 0);
+    if (!Number.isFinite(count) || count <= 0) return 0;
+    return count / (count + 10);
+}
+
+// Smoothed failure rate, pushed up by a streak of recent failures (a rotted selector fails every run).
+function failureSignal(runStats) {
+    if (!runStats || runStats.runCount <= 0) return 0;
+    const smoothedRate = runStats.failureCount / (runStats.runCount + 2);
+    return clamp(Math.max(smoothedRate, runStats.consecutiveFailures / 5), 0, 1);
+}
+
+function computeSignals(entry, { currentUrl, now, recencyHalfLifeDays }) {
+    return {
+        verified: entry.verified ? 1 : 0,
+        recency: recencySignal(entry.updatedAt, now, recencyHalfLifeDays),
+        usage: usageSignal(entry),
+        siteSpecificity: siteSpecificitySignal(entry.sites, currentUrl),
+        failures: failureSignal(entry.runStats)
+    };
+}
+
+/**
+ * Scores candidate entries in place according to a ranking profile.
+ * Entries carry the raw components produced by hybridSearch (bm25Raw, bm25Score,
+ * vectorRaw, vectorScore, vectorCompared); each gets `score` and `scoreBreakdown`.
+ */
+function rankCandidates(entries, {
+    profile,
+    alpha = 0.65,
+    currentUrl = '',
+    now = Date.now()
+} = {}) {
+    const bm25Ranks = assignRanks(entries, (entry) => (entry.bm25Raw === null ? null : -entry.bm25Raw));
+    const vectorRanks = assignRanks(entries, (entry) => (entry.vectorCompared ? entry.vectorRaw : null));
+    const normalizeBm25 = minMaxNormalizer(entries.map((entry) => (entry.bm25Raw === null ? null : -entry.bm25Raw)));
+    const normalizeVector = minMaxNormalizer(entries.map((entry) => (entry.vectorCompared ? entry.vectorRaw : null)));
+    const recencyHalfLifeDays = profile.recencyHalfLifeDays || 90;
+
+    entries.forEach((entry) => {
+        const bm25Rank = bm25Ranks.get(entry.id) || null;
+        const vectorRank = vectorRanks.get(entry.id) || null;
+        let base;
+        let bm25Component;
+        let vectorComponent;
+
+        if (profile.fusion === 'rrf') {
+            bm25Component = bm25Rank ? 1 / (RRF_K + bm25Rank) : 0;
+            vectorComponent = vectorRank ? 1 / (RRF_K + vectorRank) : 0;
+            base = bm25Component + vectorComponent;
+        } else if (profile.fusion === 'minmax') {
+            bm25Component = entry.bm25Raw === null ? 0 : normalizeBm25(-entry.bm25Raw);
+            vectorComponent = entry.vectorCompared ? normalizeVector(entry.vectorRaw) : 0;
+            base = entry.vectorCompared
+                ? (alpha * vectorComponent) + ((1 - alpha) * bm25Component)
+                : bm25Component;
+        } else {
+            bm25Component = entry.bm25Score;
+            vectorComponent = entry.vectorScore;
+            // Functions from another embedding space are ranked on BM25 alone rather than
+            // being dragged down by a zero vector score.
+            base = entry.vectorCompared
+                ? (alpha * vectorComponent) + ((1 - alpha) * bm25Component)
+                : bm25Component;
+        }
+
+        const signals = computeSignals(entry, { currentUrl, now, recencyHalfLifeDays });
+        const boosts = {};
+        let multiplier = 1;
+        Object.entries(profile.boosts || {}).forEach(([name, weight]) => {
+            const signal = signals[name] || 0;
+            const contribution = weight * signal;
+            multiplier += contribution;
+            boosts[name] = { signal: round(signal), weight, contribution: round(contribution) };
+        });
+
+        multiplier = Math.max(0, multiplier);
+        entry.score = base * multiplier;
+        entry.scoreBreakdown = {
+            profile: profile.name,
+            fusion: profile.fusion,
+            bm25: { raw: entry.bm25Raw, rank: bm25Rank, component: round(bm25Component) },
+            vector: {
+                raw: entry.vectorCompared ? round(entry.vectorRaw) : null,
+                rank: vectorRank,
+                compared: entry.vectorCompared,
+                component: round(vectorComponent)
+            },
+            base: round(base),
+            boosts,
+            multiplier: round(multiplier),
+            final: round(entry.score)
+        };
+    });
+
+    return entries;
+}
+
+function listRankingProfiles() {
+    return Object.entries(RANKING_PROFILES).map(([name, profile]) => ({ name, ...profile }));
+}
+
+module.exports = {
+    RANKING_PROFILES,
+    listRankingProfiles,
+    rankCandidates,
+    resolveProfile
+};
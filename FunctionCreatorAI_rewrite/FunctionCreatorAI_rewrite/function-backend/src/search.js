@@ -2,12 +2,16 @@ const {
     buildFtsQuery,
     clamp,
     cosineSimilarity,
+    isSameEmbeddingSpace,
     normalizeBm25Score,
+    normalizeEmbeddingModel,
     normalizePatternList,
     safeJsonParse,
     toNumberArray,
     urlMatchesPatterns
 } = require('./utils');
+const { computeFacets, matchesFilters } = require('./filters');
+const { rankCandidates, resolveProfile } = require('./ranking');
 
 function parseFunctionRow(row) {
     if (!row) return null;
@@ -17,20 +21,57 @@ function parseFunctionRow(row) {
     const sites = normalizePatternList(safeJsonParse(row.sites_json, []));
     return {
         id: row.id,
+        workspace: row.workspace || 'default',
         functionDef,
         metadata,
         embedding,
+        embeddingModel: normalizeEmbeddingModel(row.embedding_model),
         sites,
         verified: row.verified === 1,
+        status: row.status || 'active',
         updatedAt: row.updated_at
     };
 }
 
+// Raw relevance components for one row; fusion and boosts are applied by the ranking profile.
+function toRunStats(row) {
+    if (!row) {
+        return {
+            runCount: 0,
+            successCount: 0,
+            failureCount: 0,
+            successRate: null,
+            consecutiveFailures: 0,
+            lastRunAt: null,
+            lastSuccessAt: null,
+            lastFailure: null
+        };
+    }
+    return {
+        runCount: row.run_count,
+        successCount: row.success_count,
+        failureCount: row.run_count - row.success_count,
+        successRate: row.run_count > 0 ? Number((row.success_count / row.run_count).toFixed(4)) : null,
+        consecutiveFailures: row.consecutive_failures,
+        lastRunAt: row.last_run_at,
+        lastSuccessAt: row.last_success_at,
+        lastFailure: row.last_failure_at
+            ? {
+                at: row.last_failure_at,
+                step: row.last_failure_step,
+                host: row.last_failure_host,
+                error: row.last_failure_error
+            }
+            : null
+    };
+}
+
 function scoreRow({
     row,
     queryEmbedding,
+    queryEmbeddingModel,
     bm25ById,
-    alpha,
+    runStatsById,
     hasEmbeddingQuery
 }) {
     const parsed = parseFunctionRow(row);
@@ -39,44 +80,105 @@ function scoreRow({
     const rawBm25 = bm25ById.get(parsed.id);
     const bm25Score = rawBm25 === undefined ? 0 : normalizeBm25Score(rawBm25);
 
+    const vectorCompared = hasEmbeddingQuery
+        && Array.isArray(parsed.embedding)
+        && isSameEmbeddingSpace(
+            { model: queryEmbeddingModel, dimension: queryEmbedding.length },
+            { model: parsed.embeddingModel, dimension: parsed.embedding.length }
+        );
+    let vectorRaw = null;
     let vectorScore = 0;
-    if (hasEmbeddingQuery && Array.isArray(parsed.embedding) && parsed.embedding.length > 0) {
-        const rawVector = cosineSimilarity(queryEmbedding, parsed.embedding);
-        vectorScore = (rawVector + 1) / 2;
+    if (vectorCompared) {
+        vectorRaw = cosineSimilarity(queryEmbedding, parsed.embedding);
+        vectorScore = (vectorRaw + 1) / 2;
     }
 
-    const score = hasEmbeddingQuery
-        ? (alpha * vectorScore) + ((1 - alpha) * bm25Score)
-        : bm25Score;
-
     return {
         id: parsed.id,
-        score,
+        workspace: parsed.workspace,
+        score: 0,
+        bm25Raw: rawBm25 === undefined ? null : rawBm25,
         bm25Score,
+        vectorRaw,
         vectorScore,
+        vectorCompared,
+        embeddingModel: parsed.embeddingModel || 'unknown',
         verified: parsed.verified,
         functionDef: parsed.functionDef,
         metadata: parsed.metadata,
         sites: parsed.sites,
+        runStats: toRunStats(runStatsById.get(parsed.id)),
         updatedAt: parsed.updatedAt
     };
 }
 
-function filterBySite(rows, currentUrl = '') {
-    if (!currentUrl) return rows;
-    return rows.filter((row) => {
+// Rows without site patterns apply everywhere; the others must match `currentUrl`.
+function partitionBySite(rows, currentUrl = '') {
+    if (!currentUrl) return { kept: rows, removed: [] };
+    const kept = [];
+    const removed = [];
+    rows.forEach((row) => {
         const patterns = normalizePatternList(safeJsonParse(row.sites_json, []));
-        if (patterns.length === 0) return true;
-        return urlMatchesPatterns(currentUrl, patterns);
+        (patterns.length === 0 || urlMatchesPatterns(currentUrl, patterns) ? kept : removed).push(row);
     });
+    return { kept, removed };
+}
+
+function filterByWorkspace(rows, workspaces = null) {
+    if (!Array.isArray(workspaces)) return rows;
+    const allowed = new Set(workspaces);
+    return rows.filter((row) => allowed.has(row.workspace));
+}
+
+// Rows worth scoring: ANN vector neighbours plus BM25 hits. Without an index (or with no
+// query at all) this falls back to scanning every active function.
+async function loadCandidateRows(dbClient, {
+    vectorIndex,
+    embedding,
+    embeddingModel,
+    bm25Rows,
+    textQuery,
+    topK,
+    workspaces
+}) {
+    const hasEmbeddingQuery = Array.isArray(embedding) && embedding.length > 0;
+    if (!vectorIndex || (!textQuery && !hasEmbeddingQuery)) {
+        return { rows: await dbClient.getAllFunctions({ workspaces }), usedIndex: false, source: 'scan' };
+    }
+    if (!hasEmbeddingQuery) {
+        return {
+            rows: await dbClient.getFunctionsByIds(bm25Rows.map((row) => row.function_id)),
+            usedIndex: false,
+            source: 'bm25'
+        };
+    }
+    // The index spans every workspace; over-fetch when scoped so other workspaces' neighbours
+    // do not crowd out the ones we can return.
+    const annLimit = Math.max(100, topK * 20) * (Array.isArray(workspaces) ? 4 : 1);
+    const annHits = await vectorIndex.search(embedding, annLimit, embeddingModel);
+    const ids = [
+        ...annHits.map((hit) => hit.label),
+        ...bm25Rows.map((row) => row.function_id)
+    ];
+    return {
+        rows: filterByWorkspace(await dbClient.getFunctionsByIds(ids), workspaces),
+        usedIndex: true,
+        source: 'vector-index+bm25'
+    };
 }
 
-function hybridSearch(dbClient, {
+async function hybridSearch(dbClient, {
     query = '',
     queryEmbedding = null,
     currentUrl = '',
     topK = 8,
-    alpha = 0.65
+    alpha = 0.65,
+    queryEmbeddingModel = '',
+    vectorIndex = null,
+    profile = resolveProfile('default'),
+    filters = {},
+    workspaces = null,
+    explain = false
 } = {}) {
     const normalizedTopK = clamp(topK, 1, 30);
     const normalizedAlpha = clamp(alpha, 0, 1);
@@ -85,38 +187,153 @@ function hybridSearch(dbClient, {
     const textQuery = String(query || '').trim();
     const ftsQuery = buildFtsQuery(textQuery);
 
-    const bm25Rows = dbClient.bm25Search(ftsQuery, Math.max(120, normalizedTopK * 15));
+    const bm25Limit = Math.max(120, normalizedTopK * 15);
+    const bm25Rows = await dbClient.bm25Search(ftsQuery, bm25Limit, { workspaces });
     const bm25ById = new Map(
         bm25Rows.map((row) => [row.function_id, Number(row.bm25_score)])
     );
 
-    const allRows = filterBySite(dbClient.getAllFunctions(), currentUrl);
-    const scored = allRows
+    const embeddingModel = normalizeEmbeddingModel(queryEmbeddingModel);
+    const candidates = await loadCandidateRows(dbClient, {
+        vectorIndex,
+        embedding,
+        embeddingModel,
+        bm25Rows,
+        textQuery,
+        topK: normalizedTopK,
+        workspaces
+    });
+    const bySite = partitionBySite(candidates.rows, currentUrl);
+    const allRows = bySite.kept;
+    const runStatsRows = await dbClient.getRunStatsByIds(allRows.map((row) => row.id));
+    const runStatsById = new Map(runStatsRows.map((row) => [row.function_id, row]));
+    const scoredAll = allRows
         .map((row) => scoreRow({
             row,
             queryEmbedding: embedding,
+            queryEmbeddingModel: embeddingModel,
             bm25ById,
-            alpha: normalizedAlpha,
+            runStatsById,
             hasEmbeddingQuery
         }))
-        .filter(Boolean)
-        .filter((entry) => {
-            if (!textQuery && !hasEmbeddingQuery) return true;
-            return entry.score > 0;
-        });
+        .filter(Boolean);
+    const scored = scoredAll.filter((entry) => matchesFilters(entry, filters));
 
-    scored.sort((a, b) => {
+    // Keep anything that matched at least one component; min-max fusion can legitimately
+    // give the weakest match a zero base score.
+    const matchedAnyComponent = (entry) => (!textQuery && !hasEmbeddingQuery) || entry.bm25Raw !== null || entry.vectorCompared;
+    const ranked = rankCandidates(scored, {
+        profile,
+        alpha: normalizedAlpha,
+        currentUrl
+    }).filter(matchedAnyComponent);
+
+    ranked.sort((a, b) => {
         if (b.score !== a.score) return b.score - a.score;
         return String(b.updatedAt || '').localeCompare(String(a.updatedAt || ''));
     });
 
     return {
-        results: scored.slice(0, normalizedTopK),
-        totalCandidates: scored.length
+        ...(explain ? {
+            explain: explainSearch({
+                ftsQuery,
+                bm25Limit,
+                bm25Rows,
+                candidates,
+                removedBySite: bySite.removed,
+                removedByFilters: scoredAll.filter((entry) => !scored.includes(entry)),
+                removedNoMatch: scored.filter((entry) => !matchedAnyComponent(entry)),
+                ranked,
+                topK: normalizedTopK
+            })
+        } : {}),
+        results: ranked.slice(0, normalizedTopK),
+        totalCandidates: ranked.length,
+        facets: computeFacets(ranked),
+        usedVectorIndex: candidates.usedIndex,
+        embeddingSpace: hasEmbeddingQuery
+            ? await describeEmbeddingSpace(dbClient, embeddingModel, embedding.length)
+            : null
+    };
+}
+
+function summarizeEntry(entry) {
+    return { id: entry.id, workspace: entry.workspace, name: entry.functionDef?.name || '' };
+}
+
+// Every intermediate step of one search, for `POST /api/functions/search/explain`.
+function explainSearch({
+    ftsQuery,
+    bm25Limit,
+    bm25Rows,
+    candidates,
+    removedBySite,
+    removedByFilters,
+    removedNoMatch,
+    ranked,
+    topK
+}) {
+    const namesById = new Map(candidates.rows.map((row) => [row.id, row.name]));
+    return {
+        ftsQuery,
+        bm25: {
+            limit: bm25Limit,
+            rows: bm25Rows.map((row) => ({
+                functionId: row.function_id,
+                name: namesById.get(row.function_id) || null,
+                raw: Number(row.bm25_score),
+                normalized: normalizeBm25Score(Number(row.bm25_score))
+            }))
+        },
+        candidateSource: candidates.source,
+        candidateCount: candidates.rows.length,
+        removedBySite: removedBySite.map((row) => ({
+            id: row.id,
+            workspace: row.workspace,
+            name: row.name,
+            sites: normalizePatternList(safeJsonParse(row.sites_json, []))
+        })),
+        removedByFilters: removedByFilters.map(summarizeEntry),
+        removedNoMatch: removedNoMatch.map(summarizeEntry),
+        ranking: ranked.map((entry, index) => ({
+            rank: index + 1,
+            ...summarizeEntry(entry),
+            returned: index < topK,
+            bm25Raw: entry.bm25Raw,
+            bm25Score: entry.bm25Score,
+            vectorRaw: entry.vectorRaw,
+            vectorScore: entry.vectorScore,
+            vectorCompared: entry.vectorCompared,
+            embeddingModel: entry.embeddingModel,
+            score: entry.score,
+            scoreBreakdown: entry.scoreBreakdown
+        }))
+    };
+}
+
+// Tells the client how much of the catalog its query vector could not be compared with,
+// so it can decide to re-embed (or upload with a matching model).
+async function describeEmbeddingSpace(dbClient, model, dimension) {
+    const query = { model, dimension };
+    const spaces = await dbClient.countFunctionsByEmbeddingModel();
+    const incompatible = spaces.filter((space) => !isSameEmbeddingSpace(query, space));
+    const comparableCount = spaces
+        .filter((space) => isSameEmbeddingSpace(query, space))
+        .reduce((sum, space) => sum + space.count, 0);
+    const incompatibleCount = incompatible.reduce((sum, space) => sum + space.count, 0);
+    return {
+        model: model || 'unknown',
+        dimension,
+        comparableCount,
+        incompatibleCount,
+        incompatibleSpaces: incompatible,
+        reembedNeeded: incompatibleCount > 0,
+        modelDeclared: Boolean(model)
     };
 }
 
 module.exports = {
     hybridSearch,
-    parseFunctionRow
+    parseFunctionRow,
+    toRunStats
 };
@@ -2,22 +2,140 @@ const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { initDatabase } = require('./db');
-const { hybridSearch, parseFunctionRow } = require('./search');
+const {
+    createAuth,
+    hasScope,
+    mintToken,
+    toTokenSummary
+} = require('./auth');
+const { importBundle, parseBundle, toBundleHeader, toBundleRecord } = require('./bundle');
+const { MAX_DEPENDENCY_DEPTH, resolveDependencyClosure } = require('./dependencies');
+const {
+    DEFAULT_DUPLICATE_THRESHOLD,
+    buildClusters,
+    findNearDuplicates,
+    pickCanonical
+} = require('./duplicates');
+const {
+    FUNCTION_EVENT_TYPES,
+    createEventBus,
+    normalizeEventTypes,
+    toFunctionEventData
+} = require('./events');
+const { normalizeSearchFilters } = require('./filters');
+const { FUNCTION_STATUSES, initDatabase } = require('./db');
+const {
+    checkClientQuota,
+    checkFunctionSize,
+    createRateLimiter,
+    quotaOwner,
+    readLimits
+} = require('./limits');
+const { buildOpenApiDocument, validateBody } = require('./openapi');
+const { listRankingProfiles, resolveProfile } = require('./ranking');
+const { hybridSearch, parseFunctionRow, toRunStats } = require('./search');
+const { validateFunctionDef } = require('./validation');
+const { createStorageVectorIndex, createVectorIndex } = require('./vectorIndex');
+const {
+    createWebhookDispatcher,
+    generateWebhookSecret,
+    normalizeWebhookUrl,
+    toWebhookSummary
+} = require('./webhooks');
+const {
+    DEFAULT_WORKSPACE,
+    WORKSPACE_VISIBILITIES,
+    canReadWorkspace,
+    canWriteWorkspace,
+    normalizeWorkspaceId,
+    readableWorkspaceIds,
+    resolveSearchWorkspaces,
+    toWorkspaceSummary
+} = require('./workspaces');
 const {
     buildSearchableText,
     clamp,
+    diffJson,
     generateFingerprint,
+    normalizeEmbeddingModel,
     normalizePatternList,
+    safeJsonParse,
     toNumberArray
 } = require('./utils');
 
+const { version: PACKAGE_VERSION } = require('../package.json');
+
 const PORT = Number(process.env.PORT || 8787);
 const app = express();
 const dbClient = initDatabase();
+const auth = createAuth(dbClient);
+const corsOrigins = normalizePatternList(process.env.CORS_ORIGINS || '');
+const moderateUnverified = process.env.MODERATE_UNVERIFIED !== 'false';
+const limits = readLimits();
+const upsertRateLimit = createRateLimiter('upsert', { max: limits.upsertsPerWindow, windowMs: limits.rateLimitWindowMs });
+const searchRateLimit = createRateLimiter('search', { max: limits.searchesPerWindow, windowMs: limits.rateLimitWindowMs });
+const duplicateThreshold = process.env.DUPLICATE_THRESHOLD
+    ? clamp(process.env.DUPLICATE_THRESHOLD, 0, 1)
+    : DEFAULT_DUPLICATE_THRESHOLD;
+// Backends with native vector search (pgvector) answer nearest-neighbour queries themselves.
+function openVectorIndex() {
+    if (process.env.VECTOR_INDEX === 'off') return null;
+    return typeof dbClient.vectorSearch === 'function' ? createStorageVectorIndex(dbClient) : createVectorIndex(dbClient);
+}
+const vectorIndex = openVectorIndex();
+const events = createEventBus();
+const webhooks = createWebhookDispatcher(dbClient);
 
-app.use(cors());
-app.use(express.json({ limit: '20mb' }));
+async function syncVectorIndex(id) {
+    if (!vectorIndex) return;
+    const row = await dbClient.getFunctionById(id);
+    if (!row) {
+        vectorIndex.remove(id);
+        return;
+    }
+    vectorIndex.upsert(row.id, safeJsonParse(row.embedding_json, null), row.updated_at, row.embedding_model);
+}
+
+// Recomputes the stored near-duplicate pairs of one function; merged or quarantined ones have none.
+async function detectDuplicates(id, { keepExisting = false } = {}) {
+    const row = await dbClient.getFunctionById(id);
+    if (!row) return [];
+    const matches = ['active', 'pending'].includes(row.status)
+        ? await findNearDuplicates(dbClient, row, { vectorIndex, threshold: duplicateThreshold })
+        : [];
+    await dbClient.replaceDuplicatePairs(row.id, matches, { keepExisting });
+    return matches;
+}
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or "loopback") so per-IP rate limits see the real client.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY.trim();
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : (trustProxy === 'true' || trustProxy));
+}
+// Sends one change to /api/events subscribers and matching webhooks. Never fails the request that caused it.
+async function publishFunctionEvent(type, row) {
+    if (!row) return;
+    try {
+        const event = events.publish(type, toFunctionEventData(row, await dbClient.getWorkspace(row.workspace)));
+        webhooks.dispatch(event).catch((error) => {
+            // eslint-disable-next-line no-console
+            console.warn('[function-backend] webhook dispatch failed:', error.message);
+        });
+    } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn(`[function-backend] could not publish ${type}:`, error.message);
+    }
+}
+
+// created/updated for a stored function, plus verified when it just became active with passing tests.
+async function publishFunctionChange(row, previous = null) {
+    await publishFunctionEvent(previous ? 'function.updated' : 'function.created', row);
+    const vetted = (candidate) => candidate?.status === 'active' && candidate.verified === 1;
+    if (vetted(row) && !vetted(previous)) await publishFunctionEvent('function.verified', row);
+}
+
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins } : {}));
+app.use(express.json({ limit: limits.jsonBodyLimit }));
 
 function ok(res, payload = {}) {
     res.json({ success: true, ...payload });
@@ -31,6 +149,11 @@ function fail(res, status, message, details = null) {
     });
 }
 
+// Express 4 does not catch rejected promises; storage calls are async, so every handler goes through this.
+function route(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
 function normalizeMetadata(input = {}, functionDef = {}) {
     const applicableSites = normalizePatternList(input.applicableSites || functionDef.urlPatterns || []);
     return {
@@ -57,124 +180,1012 @@ function normalizeFunctionDef(input = {}) {
     };
 }
 
-app.get('/api/health', (_req, res) => {
+function toListItem(row, runStatsRow = null) {
+    const parsed = parseFunctionRow(row);
+    return {
+        id: parsed.id,
+        workspace: parsed.workspace,
+        name: parsed.functionDef?.name || row.name,
+        description: parsed.functionDef?.description || row.description || '',
+        sites: parsed.sites,
+        metadata: parsed.metadata,
+        verified: parsed.verified,
+        status: parsed.status,
+        statusReason: row.status_reason || '',
+        mergedInto: row.merged_into || null,
+        runStats: toRunStats(runStatsRow),
+        updatedAt: parsed.updatedAt
+    };
+}
+
+async function toListItems(rows) {
+    const runStatsById = new Map(
+        (await dbClient.getRunStatsByIds(rows.map((row) => row.id))).map((stats) => [stats.function_id, stats])
+    );
+    return rows.map((row) => toListItem(row, runStatsById.get(row.id)));
+}
+
+function toRunItem(row) {
+    return {
+        id: row.id,
+        success: row.success === 1,
+        failedStep: row.failed_step,
+        durationMs: row.duration_ms,
+        urlHost: row.url_host || '',
+        error: row.error || '',
+        clientId: row.client_id || '',
+        createdAt: row.created_at
+    };
+}
+
+// Only the host is kept: run reports must not leak full page URLs (query strings, ids).
+function normalizeRunHost(body = {}) {
+    const raw = String(body.urlHost || body.url || '').trim();
+    if (!raw) return '';
+    try {
+        return new URL(raw.includes('://') ? raw : `https://${raw}`).hostname.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+function toVersionSummary(row) {
+    return {
+        functionId: row.function_id,
+        version: row.version,
+        name: row.name,
+        description: row.description || '',
+        fingerprint: row.fingerprint,
+        metadata: safeJsonParse(row.metadata_json, {}),
+        sourceExtension: row.source_extension || '',
+        embeddingModel: row.embedding_model || 'unknown',
+        embeddingDimension: row.embedding_dim || null,
+        verified: row.verified === 1,
+        changeType: row.change_type,
+        createdAt: row.created_at
+    };
+}
+
+function toVersionDetail(row) {
+    return {
+        ...toVersionSummary(row),
+        functionDef: safeJsonParse(row.function_json, {}),
+        sites: normalizePatternList(safeJsonParse(row.sites_json, []))
+    };
+}
+
+function parseVersionParam(value) {
+    const num = Number(value);
+    return Number.isInteger(num) && num > 0 ? num : null;
+}
+
+// Functions in workspaces the caller cannot see are reported as missing rather than forbidden.
+async function findAccessibleFunction(req, { write = false } = {}) {
+    const row = await dbClient.getFunctionById(req.params.id);
+    if (!row) return null;
+    const allowed = write
+        ? canWriteWorkspace(req.auth, row.workspace)
+        : canReadWorkspace(req.auth, await dbClient.getWorkspace(row.workspace));
+    return allowed ? row : null;
+}
+
+// Pending, quarantined and merged functions stay readable for moderators only; others get a 404.
+function isVisibleFunction(req, row) {
+    return Boolean(row) && (row.status === 'active' || hasScope(req.auth, 'admin'));
+}
+
+async function findVisibleFunction(req) {
+    const row = await findAccessibleFunction(req);
+    return isVisibleFunction(req, row) ? row : null;
+}
+
+// Resolves the workspace a write goes to: explicit request, else the token's own, else "default".
+async function resolveTargetWorkspace(req, requested) {
+    const raw = requested || req.auth?.workspace || DEFAULT_WORKSPACE;
+    const id = normalizeWorkspaceId(raw);
+    if (!id) return { status: 400, error: `Invalid workspace "${raw}"` };
+    if (!await dbClient.getWorkspace(id)) return { status: 404, error: `Unknown workspace "${id}"` };
+    if (!canWriteWorkspace(req.auth, id)) {
+        return { status: 403, error: `Token is limited to workspace "${req.auth.workspace}"` };
+    }
+    return { id };
+}
+
+async function listWorkspaceSummaries(principal) {
+    const counts = await dbClient.countFunctionsByWorkspace();
+    return (await dbClient.listWorkspaces())
+        .filter((row) => canReadWorkspace(principal, row))
+        .map((row) => toWorkspaceSummary(row, counts[row.id] || 0));
+}
+
+app.get('/api/health', route(async (_req, res) => {
     ok(res, {
         status: 'ok',
+        authMode: auth.mode,
+        storage: dbClient.kind,
         dbPath: dbClient.dbPath,
-        functionCount: dbClient.countFunctions()
+        schemaVersion: (await dbClient.getSchemaStatus()).current,
+        functionCount: await dbClient.countFunctions(),
+        statusCounts: await dbClient.countFunctionsByStatus(),
+        limits
     });
-});
+}));
 
-app.get('/api/stats', (_req, res) => {
+app.get('/api/stats', auth.requireScope('read'), route(async (_req, res) => {
     ok(res, {
-        functionCount: dbClient.countFunctions(),
+        functionCount: await dbClient.countFunctions(),
+        statusCounts: await dbClient.countFunctionsByStatus(),
+        workspaceCounts: await dbClient.countFunctionsByWorkspace(),
+        embeddingModels: await dbClient.countFunctionsByEmbeddingModel(),
+        vectorIndex: vectorIndex ? vectorIndex.stats() : null,
+        storage: dbClient.kind,
         dbPath: dbClient.dbPath
     });
-});
+}));
 
-app.get('/api/functions', (req, res) => {
+app.get('/api/functions', auth.requireScope('read'), route(async (req, res) => {
     const limit = clamp(req.query.limit || 50, 1, 200);
     const offset = Math.max(0, Number(req.query.offset || 0) || 0);
-    const rows = dbClient.listFunctions(limit, offset);
-    const items = rows.map((row) => {
-        const parsed = parseFunctionRow(row);
-        return {
-            id: parsed.id,
-            name: parsed.functionDef?.name || row.name,
-            description: parsed.functionDef?.description || row.description || '',
-            sites: parsed.sites,
-            metadata: parsed.metadata,
-            verified: parsed.verified,
-            updatedAt: parsed.updatedAt
-        };
-    });
-    ok(res, { items, limit, offset });
-});
+    const status = String(req.query.status || 'active');
+    if (status !== 'all' && !FUNCTION_STATUSES.includes(status)) {
+        return fail(res, 400, `Unknown status "${status}"`, { allowed: [...FUNCTION_STATUSES, 'all'] });
+    }
+    const workspace = String(req.query.workspace || '').trim();
+    if (workspace && !canReadWorkspace(req.auth, await dbClient.getWorkspace(workspace))) {
+        return fail(res, 404, `Unknown workspace "${workspace}"`);
+    }
+    const workspaces = workspace ? [workspace] : await readableWorkspaceIds(dbClient, req.auth);
+    const items = await toListItems(await dbClient.listFunctions(limit, offset, status, { workspaces }));
+    ok(res, { items, limit, offset, status, workspace: workspace || null });
+}));
+
+// Merged functions answer with the canonical function they were folded into.
+async function followMerge(row) {
+    if (!row || row.status !== 'merged') return { row, redirectedFrom: null };
+    return { row: await dbClient.resolveMergedFunction(row.id), redirectedFrom: row.id };
+}
+
+// findVisibleFunction for routes that redirect a merged id to its canonical function.
+async function findVisibleFunctionFollowingMerges(req) {
+    const { row, redirectedFrom } = await followMerge(await findAccessibleFunction(req));
+    return { row: isVisibleFunction(req, row) ? row : null, redirectedFrom };
+}
 
-app.get('/api/functions/:id', (req, res) => {
-    const row = dbClient.getFunctionById(req.params.id);
+app.get('/api/functions/:id', auth.requireScope('read'), route(async (req, res) => {
+    const { row, redirectedFrom } = await findVisibleFunctionFollowingMerges(req);
     if (!row) return fail(res, 404, 'Function not found');
     const parsed = parseFunctionRow(row);
     ok(res, {
         item: {
             id: parsed.id,
+            workspace: parsed.workspace,
             functionDef: parsed.functionDef,
             metadata: parsed.metadata,
             sites: parsed.sites,
             verified: parsed.verified,
+            status: parsed.status,
+            statusReason: row.status_reason || '',
+            embeddingModel: parsed.embeddingModel || 'unknown',
+            embeddingDimension: row.embedding_dim || null,
+            runStats: toRunStats(await dbClient.getRunStats(row.id)),
             updatedAt: parsed.updatedAt
-        }
+        },
+        redirectedFrom
     });
-});
+}));
 
-app.post('/api/functions/upsert', (req, res) => {
-    try {
-        const payload = req.body || {};
-        const functionDef = normalizeFunctionDef(payload.functionDef);
-        if (!functionDef) {
-            return fail(res, 400, 'Invalid functionDef payload. "name" is required.');
-        }
+function toDependencyItem(row, extra = {}) {
+    const parsed = parseFunctionRow(row);
+    return {
+        id: parsed.id,
+        workspace: parsed.workspace,
+        name: parsed.functionDef?.name || row.name,
+        ...extra,
+        functionDef: parsed.functionDef,
+        metadata: parsed.metadata,
+        verified: parsed.verified,
+        updatedAt: parsed.updatedAt
+    };
+}
 
-        const metadata = normalizeMetadata(payload.metadata || {}, functionDef);
-        const searchableText = buildSearchableText(functionDef, metadata);
-        const embedding = toNumberArray(payload.embedding);
-        const fingerprint = String(payload.fingerprint || generateFingerprint(functionDef, metadata)).trim();
-        const id = String(payload.id || payload.functionId || crypto.randomUUID());
-
-        const record = {
-            id,
-            name: functionDef.name,
-            description: functionDef.description || '',
-            function_json: JSON.stringify(functionDef),
-            embedding_json: embedding ? JSON.stringify(embedding) : null,
-            metadata_json: JSON.stringify(metadata),
-            sites_json: JSON.stringify(metadata.applicableSites),
-            searchable_text: searchableText || functionDef.name,
-            fingerprint,
-            source_extension: String(payload.clientId || '').trim(),
-            verified: metadata.testsPassed ? 1 : 0
-        };
+// Transitive sub-functions, so a client can import a workflow together with everything it calls.
+app.get('/api/functions/:id/dependencies', auth.requireScope('read'), route(async (req, res) => {
+    const { row, redirectedFrom } = await findVisibleFunctionFollowingMerges(req);
+    if (!row) return fail(res, 404, 'Function not found');
+    const publicWorkspaces = (await dbClient.listWorkspaces())
+        .filter((workspace) => workspace.visibility === 'public' && workspace.id !== row.workspace)
+        .map((workspace) => workspace.id);
+    const closure = await resolveDependencyClosure(dbClient, row, { workspaces: [row.workspace, ...publicWorkspaces] });
+    ok(res, {
+        item: toDependencyItem(row, {
+            dependsOn: (await dbClient.getFunctionDependencies(row.id)).map((edge) => edge.dependency_name)
+        }),
+        dependencies: closure.items.map((entry) => toDependencyItem(entry.row, {
+            depth: entry.depth,
+            requiredBy: entry.requiredBy
+        })),
+        missing: closure.missing,
+        complete: closure.missing.length === 0,
+        maxDepth: MAX_DEPENDENCY_DEPTH,
+        redirectedFrom
+    });
+}));
 
-        const stored = dbClient.upsertFunction(record);
+app.get('/api/functions/:id/duplicates', auth.requireScope('read'), route(async (req, res) => {
+    const row = await findVisibleFunction(req);
+    if (!row) return fail(res, 404, 'Function not found');
+    const threshold = req.query.threshold === undefined ? duplicateThreshold : clamp(req.query.threshold, 0, 1);
+    const items = await findNearDuplicates(dbClient, row, { vectorIndex, threshold });
+    ok(res, {
+        id: row.id,
+        threshold,
+        items: hasScope(req.auth, 'admin') ? items : items.filter((item) => item.status === 'active')
+    });
+}));
+
+app.get('/api/functions/:id/runs', auth.requireScope('read'), route(async (req, res) => {
+    const row = await findVisibleFunction(req);
+    if (!row) return fail(res, 404, 'Function not found');
+    const limit = clamp(req.query.limit || 50, 1, 500);
+    ok(res, {
+        functionId: row.id,
+        runStats: toRunStats(await dbClient.getRunStats(row.id)),
+        items: (await dbClient.listFunctionRuns(row.id, limit)).map(toRunItem)
+    });
+}));
+
+// Any caller that can see a function may report runs of it, including functions from public workspaces.
+app.post('/api/functions/:id/runs', auth.requireScope('write'), validateBody('RunReport'), route(async (req, res) => {
+    const { row, redirectedFrom } = await findVisibleFunctionFollowingMerges(req);
+    if (!row) return fail(res, 404, 'Function not found');
+    const body = req.body || {};
+    if (typeof body.success !== 'boolean') {
+        return fail(res, 400, 'Run report requires a boolean "success".');
+    }
+    const failedStep = body.failedStep === undefined || body.failedStep === null ? null : Number(body.failedStep);
+    if (failedStep !== null && (!Number.isInteger(failedStep) || failedStep < 1)) {
+        return fail(res, 400, '"failedStep" must be a 1-based step number.');
+    }
+    const durationMs = Number(body.durationMs);
+
+    const stats = await dbClient.recordFunctionRun(row.id, {
+        success: body.success,
+        failedStep: body.success ? null : failedStep,
+        durationMs: Number.isFinite(durationMs) && durationMs >= 0 ? durationMs : null,
+        urlHost: normalizeRunHost(body),
+        error: body.success ? '' : String(body.error || '').slice(0, 500),
+        clientId: req.auth?.clientId || String(body.clientId || '').slice(0, 200)
+    });
+    ok(res, { functionId: row.id, redirectedFrom, runStats: toRunStats(stats) });
+}));
+
+app.delete('/api/functions/:id', auth.requireScope('admin'), route(async (req, res) => {
+    const row = await findAccessibleFunction(req, { write: true });
+    if (!row) return fail(res, 404, 'Function not found');
+    const deleted = await dbClient.deleteFunction(req.params.id, {
+        reason: String(req.body?.reason || req.query.reason || '').trim(),
+        actor: req.auth?.id
+    });
+    if (!deleted) return fail(res, 404, 'Function not found');
+    await syncVectorIndex(req.params.id);
+    await publishFunctionEvent('function.deleted', row);
+    ok(res, { id: req.params.id, deleted: true });
+}));
+
+function moderationHandler(status) {
+    return route(async (req, res) => {
+        if (!await findAccessibleFunction(req, { write: true })) return fail(res, 404, 'Function not found');
+        const row = await dbClient.setFunctionStatus(req.params.id, status, {
+            reason: String(req.body?.reason || '').trim(),
+            actor: req.auth?.id
+        });
+        if (!row) return fail(res, 404, 'Function not found');
+        // Approving a merged function un-merges it; either way its duplicate pairs change.
+        await detectDuplicates(row.id);
+        await publishFunctionEvent('function.updated', row);
+        // An approval vets the function even when it was uploaded without passing tests.
+        if (status === 'active') await publishFunctionEvent('function.verified', row);
+        ok(res, { item: toListItem(row) });
+    });
+}
+
+app.post(
+    '/api/functions/:id/approve',
+    auth.requireScope('admin'),
+    validateBody('ModerationRequest'),
+    moderationHandler('active')
+);
+app.post(
+    '/api/functions/:id/quarantine',
+    auth.requireScope('admin'),
+    validateBody('ModerationRequest'),
+    moderationHandler('quarantined')
+);
+
+app.get('/api/moderation/queue', auth.requireScope('admin'), route(async (req, res) => {
+    const limit = clamp(req.query.limit || 50, 1, 200);
+    const status = req.query.status === 'quarantined' ? 'quarantined' : 'pending';
+    // Workspace-bound admins moderate their own workspace only, not the public ones they can read.
+    const workspaces = req.auth?.workspace ? [req.auth.workspace] : null;
+    const items = await toListItems(await dbClient.listFunctions(limit, 0, status, { workspaces }));
+    ok(res, { items, status, counts: await dbClient.countFunctionsByStatus({ workspaces }) });
+}));
+
+app.get('/api/moderation/log', auth.requireScope('admin'), route(async (req, res) => {
+    const limit = clamp(req.query.limit || 100, 1, 500);
+    const workspaces = req.auth?.workspace ? [req.auth.workspace] : null;
+    const items = (await dbClient.listModerationLog(String(req.query.functionId || ''), limit, { workspaces })).map((row) => ({
+        functionId: row.function_id,
+        functionName: row.function_name,
+        action: row.action,
+        reason: row.reason || '',
+        actor: row.actor || '',
+        createdAt: row.created_at
+    }));
+    ok(res, { items });
+}));
+
+app.get('/api/functions/:id/versions', auth.requireScope('read'), route(async (req, res) => {
+    const row = await findVisibleFunction(req);
+    if (!row) return fail(res, 404, 'Function not found');
+    const items = (await dbClient.listFunctionVersions(row.id)).map(toVersionSummary);
+    ok(res, { id: row.id, items });
+}));
+
+app.get('/api/functions/:id/versions/diff', auth.requireScope('read'), route(async (req, res) => {
+    const row = await findVisibleFunction(req);
+    if (!row) return fail(res, 404, 'Function not found');
+
+    const to = parseVersionParam(req.query.to) || await dbClient.getLatestVersionNumber(row.id);
+    const from = parseVersionParam(req.query.from) || (to - 1);
+    const fromRow = await dbClient.getFunctionVersion(row.id, from);
+    const toRow = await dbClient.getFunctionVersion(row.id, to);
+    if (!fromRow || !toRow) {
+        return fail(res, 404, 'Version not found', { from, to });
+    }
+
+    const fromDetail = toVersionDetail(fromRow);
+    const toDetail = toVersionDetail(toRow);
+    ok(res, {
+        id: row.id,
+        from,
+        to,
+        functionDefChanges: diffJson(fromDetail.functionDef, toDetail.functionDef),
+        metadataChanges: diffJson(fromDetail.metadata, toDetail.metadata),
+        fingerprintChanged: fromDetail.fingerprint !== toDetail.fingerprint,
+        embeddingChanged: fromRow.embedding_json !== toRow.embedding_json
+    });
+}));
+
+app.get('/api/functions/:id/versions/:version', auth.requireScope('read'), route(async (req, res) => {
+    const version = parseVersionParam(req.params.version);
+    if (!version) return fail(res, 400, 'Version must be a positive integer');
+    if (!await findVisibleFunction(req)) return fail(res, 404, 'Function not found');
+    const versionRow = await dbClient.getFunctionVersion(req.params.id, version);
+    if (!versionRow) return fail(res, 404, 'Version not found');
+    ok(res, { item: toVersionDetail(versionRow) });
+}));
+
+app.post('/api/functions/:id/rollback', auth.requireScope('write'), validateBody('RollbackRequest'), route(async (req, res) => {
+    try {
+        const version = parseVersionParam(req.body?.version);
+        if (!version) return fail(res, 400, '"version" must be a positive integer');
+        if (!await findAccessibleFunction(req, { write: true })) return fail(res, 404, 'Function not found');
+        const versionRow = await dbClient.getFunctionVersion(req.params.id, version);
+        if (!versionRow) return fail(res, 404, 'Version not found');
+        // Revisions stored before validation existed may not pass it; they cannot become current again.
+        const errors = validateFunctionDef(safeJsonParse(versionRow.function_json, null));
+        if (errors.length > 0) return fail(res, 422, 'Version fails function validation', { errors });
+
+        const stored = await dbClient.rollbackFunction(req.params.id, version);
+        await syncVectorIndex(stored.id);
+        await detectDuplicates(stored.id);
+        await publishFunctionEvent('function.updated', stored);
         ok(res, {
             id: stored.id,
             name: stored.name,
+            restoredFrom: version,
+            version: stored.version,
             verified: stored.verified === 1,
             updatedAt: stored.updated_at
         });
     } catch (error) {
-        fail(res, 500, 'Failed to upsert function', error.message);
+        fail(res, 409, 'Rollback failed', error.message);
     }
+}));
+
+// Inline metadata edits from the web UI. Stored as a revision with change type "metadata", so they show
+// up in the history and can be rolled back like any upload. Status is left to approve/quarantine.
+app.patch('/api/functions/:id/metadata', auth.requireScope('admin'), validateBody('MetadataPatch'), route(async (req, res) => {
+    const row = await findAccessibleFunction(req, { write: true });
+    if (!row) return fail(res, 404, 'Function not found');
+    const body = req.body || {};
+    const metadata = { ...safeJsonParse(row.metadata_json, {}), updatedAt: Date.now() };
+    if (body.tags !== undefined) {
+        const tags = Array.isArray(body.tags) ? body.tags : String(body.tags).split(',');
+        metadata.tags = Array.from(new Set(tags.map((tag) => String(tag || '').trim()).filter(Boolean)));
+    }
+    if (body.verified !== undefined) metadata.testsPassed = body.verified === true;
+
+    const stored = await dbClient.upsertFunction({
+        id: row.id,
+        workspace: row.workspace,
+        name: row.name,
+        description: row.description,
+        function_json: row.function_json,
+        embedding_json: row.embedding_json,
+        embedding_model: row.embedding_model,
+        embedding_dim: row.embedding_dim,
+        metadata_json: JSON.stringify(metadata),
+        sites_json: row.sites_json,
+        searchable_text: buildSearchableText(safeJsonParse(row.function_json, {}), metadata) || row.name,
+        fingerprint: row.fingerprint,
+        source_extension: row.source_extension,
+        verified: metadata.testsPassed ? 1 : 0,
+        status: row.status
+    }, { changeType: 'metadata' });
+    await publishFunctionChange(stored, row);
+    ok(res, { item: toListItem(stored, await dbClient.getRunStats(stored.id)), version: stored.version });
+}));
+
+app.post(
+    '/api/functions/upsert',
+    auth.requireScope('write'),
+    upsertRateLimit,
+    validateBody('UpsertFunctionRequest'),
+    route(async (req, res) => {
+        try {
+            const payload = req.body || {};
+            const functionDef = normalizeFunctionDef(payload.functionDef);
+            if (!functionDef) {
+                return fail(res, 400, 'Invalid functionDef payload. "name" is required.');
+            }
+            const validationErrors = validateFunctionDef(payload.functionDef);
+            if (validationErrors.length > 0) {
+                return fail(res, 400, 'Invalid functionDef payload', { errors: validationErrors });
+            }
+
+            const metadata = normalizeMetadata(payload.metadata || {}, functionDef);
+            const searchableText = buildSearchableText(functionDef, metadata);
+            const embedding = toNumberArray(payload.embedding);
+            const functionJson = JSON.stringify(functionDef);
+            const sizeViolations = checkFunctionSize({ functionJson, steps: functionDef.steps, embedding }, limits);
+            if (sizeViolations.length > 0) {
+                return fail(res, 413, 'Function exceeds the upload size limits', {
+                    code: 'payload_too_large',
+                    violations: sizeViolations
+                });
+            }
+            const fingerprint = String(payload.fingerprint || generateFingerprint(functionDef, metadata)).trim();
+            const id = String(payload.id || payload.functionId || crypto.randomUUID());
+            const workspace = await resolveTargetWorkspace(req, payload.workspace);
+            if (workspace.error) return fail(res, workspace.status, workspace.error);
+            const existingById = await dbClient.getFunctionById(id);
+            if (existingById && existingById.workspace !== workspace.id) {
+                return fail(res, 409, `Function ${id} belongs to another workspace`);
+            }
+
+            const record = {
+                id,
+                workspace: workspace.id,
+                name: functionDef.name,
+                description: functionDef.description || '',
+                function_json: functionJson,
+                embedding_json: embedding ? JSON.stringify(embedding) : null,
+                embedding_model: embedding ? (normalizeEmbeddingModel(payload.embeddingModel) || null) : null,
+                embedding_dim: embedding ? embedding.length : null,
+                metadata_json: JSON.stringify(metadata),
+                sites_json: JSON.stringify(metadata.applicableSites),
+                searchable_text: searchableText || functionDef.name,
+                fingerprint,
+                source_extension: String(req.auth?.clientId || payload.clientId || '').trim(),
+                quota_owner: quotaOwner(req),
+                verified: metadata.testsPassed ? 1 : 0,
+                status: metadata.testsPassed || !moderateUnverified ? 'active' : 'pending'
+            };
+
+            // The row this upload replaces, matched the same way the storage upsert matches it.
+            const existing = await dbClient.findByFingerprint(fingerprint, workspace.id) || existingById;
+            const quotaViolations = await checkClientQuota(dbClient, {
+                owner: record.quota_owner,
+                recordBytes: functionJson.length + (record.embedding_json || '').length,
+                existing
+            }, limits);
+            if (quotaViolations.length > 0) {
+                return fail(res, 413, 'Storage quota exceeded', {
+                    code: 'quota_exceeded',
+                    violations: quotaViolations
+                });
+            }
+
+            const stored = await dbClient.upsertFunction(record);
+            await syncVectorIndex(stored.id);
+            const nearDuplicates = await detectDuplicates(stored.id);
+            await publishFunctionChange(stored, existing);
+            ok(res, {
+                id: stored.id,
+                workspace: stored.workspace,
+                name: stored.name,
+                version: stored.version,
+                verified: stored.verified === 1,
+                status: stored.status,
+                mergedInto: stored.merged_into || null,
+                nearDuplicates,
+                updatedAt: stored.updated_at
+            });
+        } catch (error) {
+            fail(res, 500, 'Failed to upsert function', error.message);
+        }
+    })
+);
+
+// Parses a search request body into hybridSearch options. Returns { status, error, details } when invalid.
+async function resolveSearchRequest(req) {
+    const body = req.body || {};
+    const queryEmbedding = toNumberArray(body.queryEmbedding);
+    if (limits.maxEmbeddingDim && queryEmbedding && queryEmbedding.length > limits.maxEmbeddingDim) {
+        return {
+            status: 413,
+            error: 'Query embedding exceeds the upload size limits',
+            details: {
+                code: 'payload_too_large',
+                violations: [{ field: 'queryEmbedding', limit: limits.maxEmbeddingDim, actual: queryEmbedding.length }]
+            }
+        };
+    }
+    const { filters, errors: filterErrors } = normalizeSearchFilters(body.filters);
+    if (filterErrors.length > 0) {
+        return { status: 400, error: 'Invalid search filters', details: filterErrors };
+    }
+    const profile = resolveProfile(body.rankingProfile);
+    if (!profile) {
+        return {
+            status: 400,
+            error: `Unknown ranking profile "${body.rankingProfile}"`,
+            details: { allowed: listRankingProfiles().map((item) => item.name) }
+        };
+    }
+    const requestedWorkspace = body.workspace || req.auth?.workspace || DEFAULT_WORKSPACE;
+    const workspace = normalizeWorkspaceId(requestedWorkspace);
+    if (!workspace) return { status: 400, error: `Invalid workspace "${requestedWorkspace}"` };
+    const includePublic = body.includePublic === true;
+    const workspaces = await resolveSearchWorkspaces(dbClient, req.auth, { workspace, includePublic });
+    if (!workspaces) return { status: 404, error: `Unknown workspace "${workspace}"` };
+
+    return {
+        workspace,
+        includePublic,
+        options: {
+            query: String(body.query || '').trim(),
+            queryEmbedding,
+            currentUrl: String(body.currentUrl || '').trim(),
+            topK: clamp(body.topK || 8, 1, 30),
+            alpha: clamp(body.alpha || 0.65, 0, 1),
+            queryEmbeddingModel: normalizeEmbeddingModel(body.queryEmbeddingModel),
+            vectorIndex,
+            profile,
+            filters,
+            workspaces
+        }
+    };
+}
+
+function searchHandler({ explain = false } = {}) {
+    return route(async (req, res) => {
+        try {
+            const request = await resolveSearchRequest(req);
+            if (request.error) return fail(res, request.status, request.error, request.details || null);
+            const { options, workspace, includePublic } = request;
+            const searchResult = await hybridSearch(dbClient, { ...options, explain });
+
+            ok(res, {
+                query: options.query,
+                currentUrl: options.currentUrl,
+                topK: options.topK,
+                alpha: options.alpha,
+                rankingProfile: options.profile.name,
+                workspace,
+                includePublic,
+                searchedWorkspaces: options.workspaces,
+                filters: options.filters,
+                totalCandidates: searchResult.totalCandidates,
+                facets: searchResult.facets,
+                usedVectorIndex: searchResult.usedVectorIndex,
+                embeddingSpace: searchResult.embeddingSpace,
+                results: searchResult.results,
+                ...(explain ? { explain: searchResult.explain } : {})
+            });
+        } catch (error) {
+            fail(res, 500, 'Search failed', error.message);
+        }
+    });
+}
+
+app.post(
+    '/api/functions/search',
+    auth.requireScope('read'),
+    searchRateLimit,
+    validateBody('SearchRequest'),
+    searchHandler()
+);
+
+// The same search, plus every intermediate step: the FTS query, raw BM25 rows, per-candidate
+// components and the candidates dropped by site patterns, filters or for matching nothing.
+app.post(
+    '/api/functions/search/explain',
+    auth.requireScope('read'),
+    searchRateLimit,
+    validateBody('SearchRequest'),
+    searchHandler({ explain: true })
+);
+
+// Streams one JSON line per function (current state, embedding and revision history).
+app.get('/api/export', auth.requireScope('admin'), route(async (req, res) => {
+    const includeHidden = req.query.status !== 'active';
+    const includeVersions = req.query.versions !== 'false';
+    const workspace = String(req.query.workspace || req.auth?.workspace || '').trim();
+    if (workspace && !canWriteWorkspace(req.auth, workspace)) {
+        return fail(res, 403, `Token is limited to workspace "${req.auth.workspace}"`);
+    }
+    const workspaces = workspace ? [workspace] : null;
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="function-backend-${stamp}.jsonl"`);
+
+    // Resolves false once the client has disconnected, so the export stops instead of waiting for a 'drain'
+    // that never comes.
+    const write = (value) => new Promise((resolve) => {
+        if (res.destroyed) return resolve(false);
+        if (res.write(`${JSON.stringify(value)}\n`)) return resolve(true);
+        const settle = (open) => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            res.off('error', onClose);
+            resolve(open);
+        };
+        const onDrain = () => settle(true);
+        const onClose = () => settle(false);
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+        res.once('error', onClose);
+    });
+
+    try {
+        const open = await write(toBundleHeader({
+            functionCount: workspace ? ((await dbClient.countFunctionsByWorkspace())[workspace] || 0) : await dbClient.countFunctions(),
+            includeHidden,
+            includeVersions,
+            workspace: workspace || null
+        }));
+        if (!open) return;
+        let cursor = '';
+        for (;;) {
+            const rows = await dbClient.listFunctionsAfter(cursor, 200, { includeHidden, workspaces });
+            if (rows.length === 0) break;
+            for (const row of rows) {
+                if (!await write(toBundleRecord(row, includeVersions ? await dbClient.getFunctionVersionRows(row.id) : null))) return;
+            }
+            cursor = rows[rows.length - 1].id;
+        }
+        res.end();
+    } catch (error) {
+        // Headers are already sent; cut the stream so the client sees an incomplete bundle.
+        // eslint-disable-next-line no-console
+        console.error('[function-backend] export failed:', error.message);
+        res.destroy(error);
+    }
+}));
+
+app.post(
+    '/api/import',
+    auth.requireScope('admin'),
+    express.text({ type: ['application/x-ndjson', 'application/jsonl', 'text/plain'], limit: '200mb' }),
+    validateBody('ImportRequest'),
+    route(async (req, res) => {
+        try {
+            const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+            let parsed;
+            if (typeof req.body === 'string') {
+                parsed = parseBundle(req.body);
+            } else if (typeof req.body?.bundle === 'string') {
+                parsed = parseBundle(req.body.bundle);
+            } else if (Array.isArray(req.body?.records)) {
+                parsed = { records: req.body.records.map((record, index) => ({ line: index + 1, record })), errors: [] };
+            } else {
+                return fail(res, 400, 'Send a JSONL bundle (application/x-ndjson) or { "records": [...] }.');
+            }
+
+            let workspace = '';
+            if (req.query.workspace || req.auth?.workspace) {
+                const target = await resolveTargetWorkspace(req, req.query.workspace);
+                if (target.error) return fail(res, target.status, target.error);
+                workspace = target.id;
+            }
+
+            const { report, touchedIds } = await importBundle(dbClient, parsed, { dryRun, workspace, moderateUnverified });
+            for (const id of touchedIds) {
+                await syncVectorIndex(id);
+                await detectDuplicates(id);
+            }
+            if (!dryRun) {
+                for (const item of report.inserted) await publishFunctionChange(await dbClient.getFunctionById(item.id));
+                for (const item of report.updated) {
+                    await publishFunctionEvent('function.updated', await dbClient.getFunctionById(item.id));
+                }
+            }
+            ok(res, {
+                ...report,
+                counts: {
+                    inserted: report.inserted.length,
+                    updated: report.updated.length,
+                    unchanged: report.unchanged.length,
+                    conflicts: report.conflicts.length,
+                    errors: report.errors.length
+                }
+            });
+        } catch (error) {
+            fail(res, 500, 'Import failed', error.message);
+        }
+    })
+);
+
+app.get('/api/duplicates/clusters', auth.requireScope('read'), route(async (req, res) => {
+    const workspace = String(req.query.workspace || '').trim();
+    if (workspace && !canReadWorkspace(req.auth, await dbClient.getWorkspace(workspace))) {
+        return fail(res, 404, `Unknown workspace "${workspace}"`);
+    }
+    const workspaces = workspace ? [workspace] : await readableWorkspaceIds(dbClient, req.auth);
+    const moderator = hasScope(req.auth, 'admin');
+    let pairs = await dbClient.listDuplicatePairs({ workspaces });
+    if (!moderator) {
+        // Pairs with a pending, quarantined or merged side are for moderators only.
+        const ids = Array.from(new Set(pairs.flatMap((pair) => [pair.function_id, pair.duplicate_id])));
+        const visible = new Set((await dbClient.getFunctionsByIds(ids)).map((row) => row.id));
+        pairs = pairs.filter((pair) => visible.has(pair.function_id) && visible.has(pair.duplicate_id));
+    }
+    const clusters = await Promise.all(buildClusters(pairs).map(async (cluster) => {
+        const members = await toListItems(await dbClient.getFunctionsByIds(cluster.memberIds, { includeHidden: moderator }));
+        return {
+            workspace: members[0]?.workspace || null,
+            size: members.length,
+            maxSimilarity: Math.max(...cluster.pairs.map((pair) => pair.similarity)),
+            suggestedCanonicalId: pickCanonical(members)?.id || null,
+            members,
+            pairs: cluster.pairs
+        };
+    }));
+    clusters.sort((a, b) => b.size - a.size || b.maxSimilarity - a.maxSimilarity);
+    ok(res, { threshold: duplicateThreshold, items: clusters });
+}));
+
+// Recomputes every pair in scope, e.g. after changing DUPLICATE_THRESHOLD or for catalogs stored before detection existed.
+app.post('/api/duplicates/scan', auth.requireScope('admin'), validateBody('DuplicateScanRequest'), route(async (req, res) => {
+    const requested = String(req.body?.workspace || req.auth?.workspace || '').trim();
+    if (requested && !canWriteWorkspace(req.auth, requested)) {
+        return fail(res, 403, `Token is limited to workspace "${req.auth.workspace}"`);
+    }
+    const rows = await dbClient.getAllFunctions({ includeHidden: true, workspaces: requested ? [requested] : null });
+    for (const row of rows) await dbClient.replaceDuplicatePairs(row.id, []);
+    let pairCount = 0;
+    for (const row of rows) {
+        pairCount += (await detectDuplicates(row.id, { keepExisting: true })).length;
+    }
+    ok(res, { scanned: rows.length, matches: pairCount, threshold: duplicateThreshold });
+}));
+
+app.post('/api/duplicates/merge', auth.requireScope('admin'), validateBody('MergeRequest'), route(async (req, res) => {
+    const body = req.body || {};
+    const canonical = await dbClient.getFunctionById(String(body.canonicalId || ''));
+    if (!canonical || !canWriteWorkspace(req.auth, canonical.workspace)) {
+        return fail(res, 404, 'Canonical function not found');
+    }
+    if (!['active', 'pending'].includes(canonical.status)) {
+        return fail(res, 409, `Canonical function is ${canonical.status}`);
+    }
+    const duplicateIds = Array.isArray(body.duplicateIds) ? body.duplicateIds.map(String) : [];
+    if (duplicateIds.length === 0) return fail(res, 400, '"duplicateIds" must list at least one function id');
+    const invalid = [];
+    for (const id of duplicateIds) {
+        const row = await dbClient.getFunctionById(id);
+        if (!row || id === canonical.id || row.workspace !== canonical.workspace || row.status === 'merged') {
+            invalid.push(id);
+        }
+    }
+    if (invalid.length > 0) {
+        return fail(res, 400, 'Duplicates must be unmerged functions in the canonical function\'s workspace', { invalid });
+    }
+
+    const result = await dbClient.mergeFunctions(canonical.id, duplicateIds, {
+        reason: String(body.reason || '').trim(),
+        actor: req.auth?.id
+    });
+    for (const row of result.merged) await publishFunctionEvent('function.updated', row);
+    ok(res, {
+        canonical: toListItem(result.canonical),
+        merged: result.merged.map((row) => toListItem(row))
+    });
+}));
+
+app.get('/api/ranking-profiles', auth.requireScope('read'), (_req, res) => {
+    ok(res, { items: listRankingProfiles() });
 });
 
-app.post('/api/functions/search', (req, res) => {
+app.get('/api/workspaces', auth.requireScope('read'), route(async (req, res) => {
+    ok(res, {
+        items: await listWorkspaceSummaries(req.auth),
+        defaultWorkspace: req.auth?.workspace || DEFAULT_WORKSPACE
+    });
+}));
+
+function validateWorkspaceFields(body = {}) {
+    if (body.visibility !== undefined && !WORKSPACE_VISIBILITIES.includes(body.visibility)) {
+        return `"visibility" must be one of: ${WORKSPACE_VISIBILITIES.join(', ')}`;
+    }
+    if (body.name !== undefined && typeof body.name !== 'string') return '"name" must be a string';
+    if (body.description !== undefined && typeof body.description !== 'string') return '"description" must be a string';
+    return null;
+}
+
+app.post('/api/workspaces', auth.requireScope('admin'), validateBody('WorkspaceCreate'), route(async (req, res) => {
+    const body = req.body || {};
+    if (req.auth?.workspace) {
+        return fail(res, 403, `Token is limited to workspace "${req.auth.workspace}"`);
+    }
+    const id = normalizeWorkspaceId(body.id);
+    if (!id) {
+        return fail(res, 400, '"id" must be 1-64 characters of a-z, 0-9, "-" or "_", starting with a letter or digit');
+    }
+    const invalid = validateWorkspaceFields(body);
+    if (invalid) return fail(res, 400, invalid);
+    if (await dbClient.getWorkspace(id)) return fail(res, 409, `Workspace "${id}" already exists`);
+    const row = await dbClient.createWorkspace({
+        id,
+        name: String(body.name || '').trim(),
+        description: String(body.description || '').trim(),
+        visibility: body.visibility || 'private'
+    });
+    ok(res, { item: toWorkspaceSummary(row) });
+}));
+
+app.patch('/api/workspaces/:id', auth.requireScope('admin'), validateBody('WorkspacePatch'), route(async (req, res) => {
+    const body = req.body || {};
+    const row = await dbClient.getWorkspace(req.params.id);
+    if (!row || !canWriteWorkspace(req.auth, row.id)) return fail(res, 404, 'Workspace not found');
+    const invalid = validateWorkspaceFields(body);
+    if (invalid) return fail(res, 400, invalid);
+    const updated = await dbClient.updateWorkspace(row.id, {
+        name: body.name === undefined ? undefined : body.name.trim(),
+        description: body.description === undefined ? undefined : body.description.trim(),
+        visibility: body.visibility
+    });
+    ok(res, { item: toWorkspaceSummary(updated, (await dbClient.countFunctionsByWorkspace())[row.id] || 0) });
+}));
+
+app.delete('/api/workspaces/:id', auth.requireScope('admin'), route(async (req, res) => {
+    if (req.params.id === DEFAULT_WORKSPACE) return fail(res, 400, 'The default workspace cannot be deleted');
+    const row = await dbClient.getWorkspace(req.params.id);
+    if (!row || !canWriteWorkspace(req.auth, row.id)) return fail(res, 404, 'Workspace not found');
     try {
-        const body = req.body || {};
-        const query = String(body.query || '').trim();
-        const currentUrl = String(body.currentUrl || '').trim();
-        const topK = clamp(body.topK || 8, 1, 30);
-        const alpha = clamp(body.alpha || 0.65, 0, 1);
-        const queryEmbedding = toNumberArray(body.queryEmbedding);
-
-        const searchResult = hybridSearch(dbClient, {
-            query,
-            queryEmbedding,
-            currentUrl,
-            topK,
-            alpha
-        });
+        await dbClient.deleteWorkspace(row.id);
+        ok(res, { id: row.id, deleted: true });
+    } catch (error) {
+        fail(res, 409, 'Workspace is not empty', error.message);
+    }
+}));
 
-        ok(res, {
-            query,
-            currentUrl,
-            topK,
-            alpha,
-            totalCandidates: searchResult.totalCandidates,
-            results: searchResult.results
+// Workspace-bound admins manage the tokens of their own workspace; global tokens need an unbound admin.
+app.get('/api/tokens', auth.requireScope('admin'), route(async (req, res) => {
+    const rows = (await dbClient.listApiTokens()).filter((row) => canWriteWorkspace(req.auth, row.workspace || ''));
+    ok(res, { items: rows.map(toTokenSummary) });
+}));
+
+app.post('/api/tokens', auth.requireScope('admin'), validateBody('TokenCreate'), route(async (req, res) => {
+    try {
+        const body = req.body || {};
+        const minted = await mintToken(dbClient, {
+            name: body.name,
+            scopes: body.scopes,
+            clientId: body.clientId,
+            workspace: req.auth?.workspace || body.workspace
         });
+        ok(res, minted);
     } catch (error) {
-        fail(res, 500, 'Search failed', error.message);
+        fail(res, 400, 'Failed to create token', error.message);
+    }
+}));
+
+app.delete('/api/tokens/:id', auth.requireScope('admin'), route(async (req, res) => {
+    const token = await dbClient.getApiToken(req.params.id);
+    if (!token || !canWriteWorkspace(req.auth, token.workspace || '')) return fail(res, 404, 'Token not found');
+    const revoked = await dbClient.revokeApiToken(req.params.id);
+    ok(res, { id: req.params.id, revoked });
+}));
+
+// Server-sent events for function changes in workspaces the caller can read. A reconnecting client sends
+// Last-Event-ID and gets the events it missed, as long as they are still in the in-memory history.
+app.get('/api/events', auth.requireScope('read'), (req, res) => {
+    const { types, unknown } = normalizeEventTypes(req.query.types);
+    if (unknown.length > 0) {
+        return fail(res, 400, `Unknown event types: ${unknown.join(', ')}`, { allowed: FUNCTION_EVENT_TYPES });
     }
+    const workspace = String(req.query.workspace || '').trim().toLowerCase();
+    const wanted = (event) => types.includes(event.type)
+        && (!workspace || event.data.workspace === workspace)
+        && canReadWorkspace(req.auth, { id: event.data.workspace, visibility: event.data.visibility });
+    const send = (event) => {
+        if (wanted(event)) res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    events.since(req.get('last-event-id') || req.query.lastEventId).forEach(send);
+    const unsubscribe = events.subscribe(send);
+    // Comment lines keep proxies from closing an idle stream.
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25 * 1000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+    return undefined;
+});
+
+// Workspace-bound admins only see and manage webhooks of their own workspace.
+async function findManageableWebhook(req) {
+    const row = await dbClient.getWebhook(req.params.id);
+    if (!row) return null;
+    return !req.auth?.workspace || row.workspace === req.auth.workspace ? row : null;
+}
+
+app.get('/api/webhooks', auth.requireScope('admin'), route(async (req, res) => {
+    const rows = (await dbClient.listWebhooks())
+        .filter((row) => !req.auth?.workspace || row.workspace === req.auth.workspace);
+    ok(res, { items: rows.map(toWebhookSummary), eventTypes: FUNCTION_EVENT_TYPES });
+}));
+
+app.post('/api/webhooks', auth.requireScope('admin'), validateBody('WebhookCreate'), route(async (req, res) => {
+    const body = req.body || {};
+    const url = normalizeWebhookUrl(body.url);
+    if (!url) return fail(res, 400, '"url" must be an http(s) URL');
+    const { types, unknown } = normalizeEventTypes(body.events);
+    if (unknown.length > 0) {
+        return fail(res, 400, `Unknown event types: ${unknown.join(', ')}`, { allowed: FUNCTION_EVENT_TYPES });
+    }
+    const workspace = req.auth?.workspace || normalizeWorkspaceId(body.workspace);
+    if (workspace === null || (workspace && !await dbClient.getWorkspace(workspace))) {
+        return fail(res, 404, `Unknown workspace "${body.workspace}"`);
+    }
+    const secret = generateWebhookSecret();
+    const row = await dbClient.createWebhook({
+        id: crypto.randomUUID(),
+        url,
+        events_json: JSON.stringify(types),
+        workspace: workspace || null,
+        secret
+    });
+    // The secret is shown once; receivers use it to check X-Function-Backend-Signature.
+    ok(res, { item: toWebhookSummary(row), secret });
+}));
+
+app.delete('/api/webhooks/:id', auth.requireScope('admin'), route(async (req, res) => {
+    if (!await findManageableWebhook(req)) return fail(res, 404, 'Webhook not found');
+    await dbClient.deleteWebhook(req.params.id);
+    ok(res, { id: req.params.id, deleted: true });
+}));
+
+// Built on first request, once every route above is registered; no auth so tools can fetch it anonymously.
+let openApiDocument = null;
+app.get('/api/openapi.json', (_req, res) => {
+    openApiDocument = openApiDocument || buildOpenApiDocument(app, {
+        version: PACKAGE_VERSION,
+        authMode: auth.mode,
+        anonymousAdmin: auth.anonymousAdmin
+    });
+    res.json(openApiDocument);
 });
 
 const staticDir = path.join(__dirname, '..', 'ui');
@@ -184,9 +1195,60 @@ app.get('*', (_req, res) => {
     res.sendFile(path.join(staticDir, 'index.html'));
 });
 
-app.listen(PORT, () => {
+// eslint-disable-next-line no-unused-vars
+app.use((error, _req, res, _next) => {
+    if (res.headersSent) {
+        // eslint-disable-next-line no-console
+        console.error('[function-backend] request failed:', error.message);
+        res.destroy(error);
+        return;
+    }
+    // Body parser rejections (oversized or malformed bodies) are the client's fault.
+    if (error.type === 'entity.too.large') {
+        fail(res, 413, 'Request body too large', { code: 'payload_too_large', limit: error.limit, actual: error.length });
+        return;
+    }
+    if (error.type === 'entity.parse.failed') {
+        fail(res, 400, 'Request body is not valid JSON', error.message);
+        return;
+    }
     // eslint-disable-next-line no-console
-    console.log(`[function-backend] listening on http://0.0.0.0:${PORT}`);
+    console.error('[function-backend] request failed:', error.message);
+    fail(res, 500, 'Internal server error', error.message);
+});
+
+async function shutdown() {
+    try {
+        vectorIndex?.save();
+        await dbClient.close();
+    } finally {
+        process.exit(0);
+    }
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+async function start() {
+    await dbClient.init();
+    if (vectorIndex) {
+        const changed = await vectorIndex.syncFromDatabase();
+        vectorIndex.save();
+        // eslint-disable-next-line no-console
+        console.log(`[function-backend] vector index ready (${changed} embeddings refreshed)`);
+    }
+    app.listen(PORT, () => {
+        // eslint-disable-next-line no-console
+        console.log(`[function-backend] listening on http://0.0.0.0:${PORT}`);
+        // eslint-disable-next-line no-console
+        console.log(`[function-backend] storage: ${dbClient.kind}${dbClient.dbPath ? ` (${dbClient.dbPath})` : ''}`);
+        // eslint-disable-next-line no-console
+        console.log(`[function-backend] auth mode: ${auth.mode}${auth.anonymousAdmin ? ' (anonymous admin allowed)' : ''}`);
+    });
+}
+
+start().catch((error) => {
     // eslint-disable-next-line no-console
-    console.log(`[function-backend] database: ${dbClient.dbPath}`);
+    console.error('[function-backend] failed to start:', error.message);
+    process.exit(1);
 });
@@ -0,0 +1,17 @@
+const FUNCTION_STATUSES = ['active', 'pending', 'quarantined', 'merged'];
+const MODERATION_ACTIONS = {
+    active: 'approve',
+    pending: 'requeue',
+    quarantined: 'quarantine',
+    merged: 'merge'
+};
+// Statuses a re-upload cannot undo; only an explicit approve does.
+const STICKY_STATUSES = ['quarantined', 'merged'];
+const MAX_MERGE_HOPS = 10;
+
+module.exports = {
+    FUNCTION_STATUSES,
+    MAX_MERGE_HOPS,
+    MODERATION_ACTIONS,
+    STICKY_STATUSES
+};
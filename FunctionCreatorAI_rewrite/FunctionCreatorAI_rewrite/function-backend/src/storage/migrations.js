@@ -0,0 +1,72 @@
+// Bookkeeping shared by the SQLite and Postgres migrators. Every backend lists its own implementation of
+// each version, numbered from 1 without gaps, so `schema_migrations` means the same thing on both.
+
+const SCHEMA_MIGRATIONS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )
+`;
+
+// Same SQL on both backends.
+const WEBHOOKS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        events_json TEXT NOT NULL,
+        workspace TEXT,
+        secret TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_delivery_at TEXT,
+        last_status TEXT,
+        failure_count INTEGER NOT NULL DEFAULT 0
+    )
+`;
+
+function assertMigrationList(migrations, backend) {
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1 || typeof migration.up !== 'function' || !migration.name) {
+            throw new Error(`${backend} migration #${index + 1} must be { version: ${index + 1}, name, up }`);
+        }
+    });
+    return migrations;
+}
+
+/**
+ * Compares the migrations a backend knows with the rows in `schema_migrations`.
+ * Returns { current, latest, applied: [{ version, name, appliedAt }], pending: [{ version, name }], newerThanCode }.
+ */
+function summarizeMigrations(migrations, appliedRows = []) {
+    const appliedByVersion = new Map(appliedRows.map((row) => [Number(row.version), row]));
+    const latest = migrations.length;
+    const current = appliedRows.reduce((max, row) => Math.max(max, Number(row.version)), 0);
+    return {
+        current,
+        latest,
+        applied: appliedRows
+            .map((row) => ({ version: Number(row.version), name: row.name, appliedAt: row.applied_at }))
+            .sort((a, b) => a.version - b.version),
+        pending: migrations
+            .filter((migration) => !appliedByVersion.has(migration.version))
+            .map(({ version, name }) => ({ version, name })),
+        newerThanCode: current > latest
+    };
+}
+
+// Running old code against a newer schema could silently drop or corrupt columns it does not know about.
+function assertSchemaNotNewer(status, backend) {
+    if (!status.newerThanCode) return;
+    throw new Error(
+        `The ${backend} database schema is at version ${status.current}, but this build only knows migrations up to `
+        + `${status.latest}. Upgrade function-backend (or restore a backup taken before the upgrade).`
+    );
+}
+
+module.exports = {
+    SCHEMA_MIGRATIONS_TABLE_SQL,
+    WEBHOOKS_TABLE_SQL,
+    assertMigrationList,
+    assertSchemaNotNewer,
+    summarizeMigrations
+};
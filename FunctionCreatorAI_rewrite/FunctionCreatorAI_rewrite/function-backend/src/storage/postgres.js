@@ -0,0 +1,846 @@
+const { Pool } = require('pg');
+const { normalizeEmbeddingModel, safeJsonParse, toIsoNow } = require('../utils');
+const { extractDependencies } = require('../dependencies');
+const { DEFAULT_WORKSPACE } = require('../workspaces');
+const {
+    FUNCTION_STATUSES,
+    MAX_MERGE_HOPS,
+    MODERATION_ACTIONS,
+    STICKY_STATUSES
+} = require('./constants');
+const { createPostgresMigrator } = require('./postgresMigrations');
+
+// pgvector's HNSW index is limited to 2000 dimensions; larger embeddings are searched without an index.
+const MAX_INDEXED_DIMENSION = 2000;
+
+// Everything but the pgvector column, so rows have the same shape as the SQLite adapter's.
+const FUNCTION_COLUMNS = `
+    id, workspace, name, description, function_json, embedding_json, embedding_model, embedding_dim,
+    metadata_json, sites_json, searchable_text, fingerprint, source_extension, quota_owner, verified, status,
+    status_reason, status_updated_at, merged_into, created_at, updated_at
+`;
+
+// Lets the statements keep SQLite's `@name` placeholders; pg only understands `$1, $2, ...`.
+function bindNamed(sql, record = {}) {
+    const names = [];
+    const text = sql.replace(/@(\w+)/g, (_, name) => {
+        if (!names.includes(name)) names.push(name);
+        return `$${names.indexOf(name) + 1}`;
+    });
+    return { text, values: names.map((name) => (record[name] === undefined ? null : record[name])) };
+}
+
+function workspaceClause(workspaces, params, column = 'workspace') {
+    if (!Array.isArray(workspaces)) return '';
+    if (workspaces.length === 0) return 'AND FALSE';
+    params.push(workspaces);
+    return `AND ${column} = ANY($${params.length}::text[])`;
+}
+
+// The FTS5 query built by buildFtsQuery ("a" OR "b") as a tsquery over the same tokens.
+function toTsQuery(ftsQuery) {
+    const tokens = Array.from(String(ftsQuery || '').matchAll(/"([^"]+)"/g))
+        .map((match) => match[1].replace(/[^a-z0-9]/gi, ''))
+        .filter(Boolean);
+    return tokens.join(' | ');
+}
+
+function toCountMap(rows, key) {
+    return Object.fromEntries(rows.map((row) => [row[key], Number(row.count || 0)]));
+}
+
+/**
+ * Postgres adapter: full text through a generated `tsvector` column, embeddings in a pgvector
+ * column with one partial HNSW index per dimension. Needs the `vector` extension to be installable.
+ */
+function createPostgresStorage({ connectionString = '', pool: providedPool = null } = {}) {
+    if (!providedPool && !connectionString) {
+        throw new Error('STORAGE_BACKEND=postgres needs DATABASE_URL');
+    }
+    const pool = providedPool || new Pool({ connectionString });
+    const indexedDimensions = new Set();
+
+    async function query(sql, params = [], client = pool) {
+        const result = await client.query(sql, params);
+        return result.rows;
+    }
+
+    async function queryNamed(sql, record, client = pool) {
+        const { text, values } = bindNamed(sql, record);
+        return query(text, values, client);
+    }
+
+    async function transaction(work) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    const migrator = createPostgresMigrator(pool);
+    let ready = null;
+    // Applies pending migrations; rejects when the database is newer than this build.
+    function init() {
+        ready = ready || (async () => {
+            await migrator.up();
+            (await query('SELECT DISTINCT embedding_dim FROM functions WHERE embedding_dim IS NOT NULL'))
+                .forEach((row) => indexedDimensions.add(row.embedding_dim));
+        })();
+        return ready;
+    }
+
+    async function ensureVectorIndex(dimension) {
+        if (!Number.isInteger(dimension) || dimension > MAX_INDEXED_DIMENSION || indexedDimensions.has(dimension)) return;
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_functions_embedding_${dimension}
+            ON functions USING hnsw ((embedding::vector(${dimension})) vector_cosine_ops)
+            WHERE embedding_dim = ${dimension}
+        `);
+        indexedDimensions.add(dimension);
+    }
+
+    const UPSERT_FUNCTION_SQL = `
+        INSERT INTO functions (
+            id, workspace, name, description, function_json, embedding_json, embedding_model, embedding_dim, embedding,
+            metadata_json, sites_json, searchable_text, fingerprint, source_extension, quota_owner, verified, status,
+            merged_into, created_at, updated_at
+        )
+        VALUES (
+            @id, @workspace, @name, @description, @function_json, @embedding_json, @embedding_model, @embedding_dim,
+            CAST(CAST(@embedding_json AS text) AS vector), @metadata_json, @sites_json, @searchable_text, @fingerprint,
+            @source_extension, @quota_owner, @verified, @status, @merged_into, @created_at, @updated_at
+        )
+        ON CONFLICT (id) DO UPDATE SET
+            name = excluded.name,
+            description = excluded.description,
+            function_json = excluded.function_json,
+            embedding_json = excluded.embedding_json,
+            embedding_model = excluded.embedding_model,
+            embedding_dim = excluded.embedding_dim,
+            embedding = excluded.embedding,
+            metadata_json = excluded.metadata_json,
+            sites_json = excluded.sites_json,
+            searchable_text = excluded.searchable_text,
+            fingerprint = excluded.fingerprint,
+            source_extension = excluded.source_extension,
+            quota_owner = COALESCE(excluded.quota_owner, functions.quota_owner),
+            verified = excluded.verified,
+            status = excluded.status,
+            updated_at = excluded.updated_at
+    `;
+
+    const INSERT_VERSION_COLUMNS = `
+        function_id, version, name, description, function_json, embedding_json, embedding_model, embedding_dim,
+        metadata_json, sites_json, searchable_text, fingerprint, source_extension, verified, change_type, created_at
+    `;
+
+    async function replaceDependencies(client, functionId, functionJson) {
+        await query('DELETE FROM function_dependencies WHERE function_id = $1', [functionId], client);
+        const dependencies = extractDependencies(safeJsonParse(functionJson, {}));
+        for (const [position, dependency] of dependencies.entries()) {
+            await query(`
+                INSERT INTO function_dependencies (function_id, dependency_name, via, position)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT DO NOTHING
+            `, [functionId, dependency.name, dependency.via, position], client);
+        }
+    }
+
+    async function writeFunction(client, record) {
+        await queryNamed(UPSERT_FUNCTION_SQL, { merged_into: null, ...record }, client);
+        await replaceDependencies(client, record.id, record.function_json);
+    }
+
+    async function upsertWithVersion(record, changeType) {
+        await ensureVectorIndex(record.embedding_dim);
+        return transaction(async (client) => {
+            // The upsert holds the function's row lock until commit, so concurrent writers cannot reuse a version.
+            await writeFunction(client, record);
+            const [{ next_version: version }] = await query(`
+                SELECT COALESCE(MAX(version), 0) + 1 AS next_version FROM function_versions WHERE function_id = $1
+            `, [record.id], client);
+            await queryNamed(`
+                INSERT INTO function_versions (${INSERT_VERSION_COLUMNS})
+                VALUES (
+                    @id, @version, @name, @description, @function_json, @embedding_json, @embedding_model,
+                    @embedding_dim, @metadata_json, @sites_json, @searchable_text, @fingerprint, @source_extension,
+                    @verified, @change_type, @updated_at
+                )
+            `, { ...record, version, change_type: changeType }, client);
+            return version;
+        });
+    }
+
+    async function findByFingerprint(fingerprint, workspace = DEFAULT_WORKSPACE) {
+        if (!fingerprint) return null;
+        const [row] = await query(`
+            SELECT ${FUNCTION_COLUMNS} FROM functions WHERE workspace = $1 AND fingerprint = $2 LIMIT 1
+        `, [workspace || DEFAULT_WORKSPACE, fingerprint]);
+        return row || null;
+    }
+
+    async function findById(id, client = pool) {
+        if (!id) return null;
+        const [row] = await query(`SELECT ${FUNCTION_COLUMNS} FROM functions WHERE id = $1 LIMIT 1`, [id], client);
+        return row || null;
+    }
+
+    async function upsertFunction(record = {}, { changeType = 'upsert' } = {}) {
+        const now = toIsoNow();
+        const existing = await findByFingerprint(record.fingerprint, record.workspace) || await findById(record.id);
+        const status = STICKY_STATUSES.includes(existing?.status)
+            ? existing.status
+            : (FUNCTION_STATUSES.includes(record.status) ? record.status : 'active');
+        const normalized = {
+            ...record,
+            id: existing?.id || record.id,
+            workspace: existing?.workspace || record.workspace || DEFAULT_WORKSPACE,
+            status,
+            created_at: existing?.created_at || record.created_at || now,
+            updated_at: now
+        };
+        const version = await upsertWithVersion(normalized, changeType);
+        return { ...await findById(normalized.id), version };
+    }
+
+    async function importFunction(record, versions = []) {
+        const now = toIsoNow();
+        const normalized = {
+            ...record,
+            workspace: record.workspace || DEFAULT_WORKSPACE,
+            created_at: record.created_at || now,
+            updated_at: record.updated_at || now
+        };
+        await ensureVectorIndex(normalized.embedding_dim);
+        await transaction(async (client) => {
+            await writeFunction(client, normalized);
+            const history = versions.length > 0
+                ? versions
+                : [{ ...normalized, version: 1, change_type: 'import', created_at: normalized.updated_at }];
+            for (const version of history) {
+                await queryNamed(`
+                    INSERT INTO function_versions (${INSERT_VERSION_COLUMNS})
+                    VALUES (
+                        @function_id, @version, @name, @description, @function_json, @embedding_json, @embedding_model,
+                        @embedding_dim, @metadata_json, @sites_json, @searchable_text, @fingerprint, @source_extension,
+                        @verified, @change_type, @created_at
+                    )
+                    ON CONFLICT DO NOTHING
+                `, { ...version, function_id: normalized.id }, client);
+            }
+        });
+        return findById(normalized.id);
+    }
+
+    async function getFunctionVersion(functionId, version) {
+        if (!functionId || !Number.isInteger(version)) return null;
+        const [row] = await query(`
+            SELECT * FROM function_versions WHERE function_id = $1 AND version = $2 LIMIT 1
+        `, [functionId, version]);
+        return row || null;
+    }
+
+    async function rollbackFunction(functionId, version) {
+        const current = await findById(functionId);
+        const target = await getFunctionVersion(functionId, version);
+        if (!current || !target) return null;
+
+        const holder = await findByFingerprint(target.fingerprint, current.workspace);
+        if (holder && holder.id !== functionId) {
+            throw new Error(`Fingerprint of version ${version} is now owned by function ${holder.id}`);
+        }
+        const restored = {
+            id: functionId,
+            workspace: current.workspace,
+            name: target.name,
+            description: target.description,
+            function_json: target.function_json,
+            embedding_json: target.embedding_json,
+            embedding_model: target.embedding_model,
+            embedding_dim: target.embedding_dim,
+            metadata_json: target.metadata_json,
+            sites_json: target.sites_json,
+            searchable_text: target.searchable_text,
+            fingerprint: target.fingerprint,
+            source_extension: target.source_extension,
+            verified: target.verified,
+            status: current.status,
+            created_at: current.created_at,
+            updated_at: toIsoNow()
+        };
+        const newVersion = await upsertWithVersion(restored, `rollback:${version}`);
+        return { ...await findById(functionId), version: newVersion };
+    }
+
+    async function getFunctionVersionRows(functionId) {
+        return query('SELECT * FROM function_versions WHERE function_id = $1 ORDER BY version ASC', [functionId]);
+    }
+
+    async function listFunctionVersions(functionId) {
+        if (!functionId) return [];
+        return query(`
+            SELECT function_id, version, name, description, fingerprint, metadata_json,
+                source_extension, embedding_model, embedding_dim, verified, change_type, created_at
+            FROM function_versions
+            WHERE function_id = $1
+            ORDER BY version DESC
+        `, [functionId]);
+    }
+
+    async function getLatestVersionNumber(functionId) {
+        if (!functionId) return 0;
+        const [row] = await query('SELECT MAX(version) AS version FROM function_versions WHERE function_id = $1', [functionId]);
+        return Number(row?.version || 0);
+    }
+
+    async function listFunctionsAfter(afterId = '', limit = 200, { includeHidden = true, workspaces = null } = {}) {
+        const params = [afterId];
+        const statusClause = includeHidden ? '' : "AND status = 'active'";
+        const scope = workspaceClause(workspaces, params);
+        params.push(limit);
+        return query(`
+            SELECT ${FUNCTION_COLUMNS} FROM functions
+            WHERE id > $1 ${statusClause} ${scope}
+            ORDER BY id ASC
+            LIMIT $${params.length}
+        `, params);
+    }
+
+    async function listFunctions(limit = 50, offset = 0, status = 'active', { workspaces = null } = {}) {
+        const params = [];
+        let statusClause = '';
+        if (status !== 'all') {
+            params.push(status);
+            statusClause = `AND status = $${params.length}`;
+        }
+        const scope = workspaceClause(workspaces, params);
+        params.push(limit, offset);
+        return query(`
+            SELECT ${FUNCTION_COLUMNS} FROM functions
+            WHERE TRUE ${statusClause} ${scope}
+            ORDER BY updated_at DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+    }
+
+    async function getAllFunctions({ includeHidden = false, workspaces = null } = {}) {
+        const params = [];
+        const statusClause = includeHidden ? '' : "AND status = 'active'";
+        const scope = workspaceClause(workspaces, params);
+        return query(`
+            SELECT ${FUNCTION_COLUMNS} FROM functions
+            WHERE TRUE ${statusClause} ${scope}
+            ORDER BY updated_at DESC
+        `, params);
+    }
+
+    async function getFunctionsByIds(ids = [], { includeHidden = false } = {}) {
+        const unique = Array.from(new Set((ids || []).filter(Boolean)));
+        if (unique.length === 0) return [];
+        const statusClause = includeHidden ? '' : "AND status = 'active'";
+        return query(`
+            SELECT ${FUNCTION_COLUMNS} FROM functions WHERE id = ANY($1::text[]) ${statusClause}
+        `, [unique]);
+    }
+
+    async function getEmbeddingRows(ids = null) {
+        if (Array.isArray(ids)) {
+            return query(`
+                SELECT id, embedding_json, embedding_model, updated_at FROM functions
+                WHERE id = ANY($1::text[]) AND embedding_json IS NOT NULL
+            `, [ids]);
+        }
+        return query('SELECT id, embedding_json, embedding_model, updated_at FROM functions WHERE embedding_json IS NOT NULL');
+    }
+
+    async function findFunctionIdsByName(name, workspace = DEFAULT_WORKSPACE) {
+        if (!name) return [];
+        const rows = await query('SELECT id FROM functions WHERE workspace = $1 AND lower(name) = lower($2)', [
+            workspace || DEFAULT_WORKSPACE,
+            name
+        ]);
+        return rows.map((row) => row.id);
+    }
+
+    async function findActiveFunctionByName(name, workspaces = [DEFAULT_WORKSPACE]) {
+        if (!name) return null;
+        for (const workspace of workspaces) {
+            const [row] = await query(`
+                SELECT ${FUNCTION_COLUMNS} FROM functions
+                WHERE workspace = $1 AND lower(name) = lower($2) AND status = 'active'
+                ORDER BY verified DESC, updated_at DESC
+                LIMIT 1
+            `, [workspace, name]);
+            if (row) return row;
+        }
+        return null;
+    }
+
+    async function getFunctionDependencies(functionId) {
+        return query(`
+            SELECT function_id, dependency_name, via FROM function_dependencies
+            WHERE function_id = $1
+            ORDER BY position
+        `, [functionId]);
+    }
+
+    async function resolveMergedFunction(id) {
+        let row = await findById(id);
+        for (let hops = 0; row?.status === 'merged' && hops < MAX_MERGE_HOPS; hops += 1) {
+            row = await findById(row.merged_into);
+        }
+        return row?.status === 'merged' ? null : row;
+    }
+
+    // Same sign convention as SQLite's bm25(): lower is better, so ranking code treats both alike.
+    async function bm25Search(ftsQuery, limit = 100, { workspaces = null } = {}) {
+        const tsQuery = toTsQuery(ftsQuery);
+        if (!tsQuery) return [];
+        const params = [tsQuery];
+        const scope = workspaceClause(workspaces, params);
+        params.push(limit);
+        return query(`
+            SELECT id AS function_id, -ts_rank_cd(search_tsv, to_tsquery('simple', $1)) AS bm25_score
+            FROM functions
+            WHERE search_tsv @@ to_tsquery('simple', $1) AND status = 'active' ${scope}
+            ORDER BY bm25_score
+            LIMIT $${params.length}
+        `, params);
+    }
+
+    /**
+     * Nearest neighbours by cosine similarity through pgvector, in the shape of the in-process
+     * index's `search`: [{ label, similarity }]. Only rows in a comparable embedding space qualify.
+     */
+    async function vectorSearch(embedding, k = 100, model = '') {
+        if (!Array.isArray(embedding) || embedding.length === 0) return [];
+        const dimension = embedding.length;
+        const normalizedModel = normalizeEmbeddingModel(model) === 'unknown' ? '' : normalizeEmbeddingModel(model);
+        const column = dimension <= MAX_INDEXED_DIMENSION ? `embedding::vector(${dimension})` : 'embedding';
+        const vector = `$1::vector${dimension <= MAX_INDEXED_DIMENSION ? `(${dimension})` : ''}`;
+        return query(`
+            SELECT id AS label, 1 - (${column} <=> ${vector}) AS similarity
+            FROM functions
+            WHERE embedding_dim = ${dimension}
+                AND ($2 = '' OR COALESCE(NULLIF(lower(embedding_model), 'unknown'), '') IN ('', $2))
+            ORDER BY ${column} <=> ${vector}
+            LIMIT $3
+        `, [JSON.stringify(embedding), normalizedModel, k]);
+    }
+
+    async function countFunctions() {
+        const [row] = await query('SELECT COUNT(*) AS count FROM functions');
+        return Number(row?.count || 0);
+    }
+
+    async function countFunctionsByEmbeddingModel() {
+        const rows = await query(`
+            SELECT
+                COALESCE(NULLIF(embedding_model, ''), 'unknown') AS model,
+                embedding_dim AS dimension,
+                COUNT(*) AS count
+            FROM functions
+            WHERE embedding_json IS NOT NULL AND status = 'active'
+            GROUP BY 1, 2
+            ORDER BY count DESC
+        `);
+        return rows.map((row) => ({ ...row, count: Number(row.count || 0) }));
+    }
+
+    async function countFunctionsByStatus({ workspaces = null } = {}) {
+        const params = [];
+        const scope = workspaceClause(workspaces, params);
+        return toCountMap(await query(`SELECT status, COUNT(*) AS count FROM functions WHERE TRUE ${scope} GROUP BY status`, params), 'status');
+    }
+
+    async function countFunctionsByWorkspace() {
+        return toCountMap(await query('SELECT workspace, COUNT(*) AS count FROM functions GROUP BY workspace'), 'workspace');
+    }
+
+    // Uploads without a client id share the '' bucket.
+    async function getClientUsage(quotaOwner = '') {
+        const [row] = await query(`
+            SELECT
+                COUNT(*) AS function_count,
+                COALESCE(SUM(LENGTH(function_json) + COALESCE(LENGTH(embedding_json), 0)), 0) AS total_bytes
+            FROM functions
+            WHERE COALESCE(quota_owner, '') = $1
+        `, [String(quotaOwner || '')]);
+        return { function_count: Number(row?.function_count || 0), total_bytes: Number(row?.total_bytes || 0) };
+    }
+
+    async function listWorkspaces() {
+        return query('SELECT * FROM workspaces ORDER BY id ASC');
+    }
+
+    async function getWorkspace(id) {
+        if (!id) return null;
+        const [row] = await query('SELECT * FROM workspaces WHERE id = $1 LIMIT 1', [id]);
+        return row || null;
+    }
+
+    async function createWorkspace({ id, name = '', description = '', visibility = 'private' } = {}) {
+        const now = toIsoNow();
+        await query(`
+            INSERT INTO workspaces (id, name, description, visibility, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $5)
+        `, [id, name || id, description || null, visibility, now]);
+        return getWorkspace(id);
+    }
+
+    async function updateWorkspace(id, { name, description, visibility } = {}) {
+        const current = await getWorkspace(id);
+        if (!current) return null;
+        await query(`
+            UPDATE workspaces SET name = $1, description = $2, visibility = $3, updated_at = $4
+            WHERE id = $5
+        `, [
+            name === undefined ? current.name : (name || id),
+            description === undefined ? current.description : (description || null),
+            visibility === undefined ? current.visibility : visibility,
+            toIsoNow(),
+            id
+        ]);
+        return getWorkspace(id);
+    }
+
+    async function deleteWorkspace(id) {
+        const [row] = await query('SELECT COUNT(*) AS count FROM functions WHERE workspace = $1', [id]);
+        if (Number(row?.count || 0) > 0) {
+            throw new Error(`Workspace "${id}" still holds ${row.count} function(s)`);
+        }
+        const deleted = await query('DELETE FROM workspaces WHERE id = $1 RETURNING id', [id]);
+        return deleted.length > 0;
+    }
+
+    async function logModeration(client, row, action, { reason = '', actor = '' } = {}) {
+        await query(`
+            INSERT INTO moderation_log (function_id, function_name, workspace, action, reason, actor, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [row.id, row.name, row.workspace || null, action, reason || null, actor || null, toIsoNow()], client);
+    }
+
+    async function listModerationLog(functionId = '', limit = 100, { workspaces = null } = {}) {
+        const params = [];
+        let functionClause = '';
+        if (functionId) {
+            params.push(functionId);
+            functionClause = `AND function_id = $${params.length}`;
+        }
+        const scope = workspaceClause(workspaces, params);
+        params.push(limit);
+        return query(`
+            SELECT * FROM moderation_log
+            WHERE TRUE ${functionClause} ${scope}
+            ORDER BY created_at DESC
+            LIMIT $${params.length}
+        `, params);
+    }
+
+    async function setFunctionStatus(id, status, options = {}) {
+        if (!FUNCTION_STATUSES.includes(status) || status === 'merged') {
+            throw new Error(`Unknown status "${status}"`);
+        }
+        const row = await findById(id);
+        if (!row) return null;
+        await transaction(async (client) => {
+            await query(`
+                UPDATE functions
+                SET status = $1, status_reason = $2, status_updated_at = $3, merged_into = NULL
+                WHERE id = $4
+            `, [status, options.reason || null, toIsoNow(), row.id], client);
+            await logModeration(client, row, MODERATION_ACTIONS[status], options);
+        });
+        return findById(id);
+    }
+
+    async function deletePairsOf(client, functionId) {
+        await query('DELETE FROM function_duplicates WHERE function_id = $1 OR duplicate_id = $1', [functionId], client);
+    }
+
+    async function replaceDuplicatePairs(functionId, matches = [], { keepExisting = false } = {}) {
+        await transaction(async (client) => {
+            if (!keepExisting) await deletePairsOf(client, functionId);
+            const detectedAt = toIsoNow();
+            for (const match of matches) {
+                const [first, second] = [functionId, match.id].sort();
+                await query(`
+                    INSERT INTO function_duplicates (
+                        function_id, duplicate_id, similarity, vector_similarity, step_overlap, detected_at
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                    ON CONFLICT (function_id, duplicate_id) DO UPDATE SET
+                        similarity = excluded.similarity,
+                        vector_similarity = excluded.vector_similarity,
+                        step_overlap = excluded.step_overlap,
+                        detected_at = excluded.detected_at
+                `, [first, second, match.similarity, match.vectorSimilarity, match.stepOverlap, detectedAt], client);
+            }
+        });
+    }
+
+    async function listDuplicatePairs({ workspaces = null } = {}) {
+        const params = [];
+        const scope = workspaceClause(workspaces, params, 'a.workspace');
+        return query(`
+            SELECT d.* FROM function_duplicates d
+            JOIN functions a ON a.id = d.function_id
+            JOIN functions b ON b.id = d.duplicate_id
+            WHERE a.status IN ('active', 'pending') AND b.status IN ('active', 'pending') ${scope}
+            ORDER BY d.similarity DESC
+        `, params);
+    }
+
+    async function mergeFunctions(canonicalId, duplicateIds = [], options = {}) {
+        const canonical = await findById(canonicalId);
+        if (!canonical) return null;
+        const duplicates = (await Promise.all(Array.from(new Set(duplicateIds))
+            .filter((id) => id !== canonicalId)
+            .map((id) => findById(id))))
+            .filter(Boolean);
+        await transaction(async (client) => {
+            const now = toIsoNow();
+            for (const row of duplicates) {
+                await query(`
+                    UPDATE functions
+                    SET status = 'merged', merged_into = $1, status_reason = $2, status_updated_at = $3
+                    WHERE id = $4
+                `, [canonical.id, options.reason || `Merged into ${canonical.name}`, now, row.id], client);
+                await query(`
+                    UPDATE functions SET merged_into = $1 WHERE merged_into = $2 AND status = 'merged'
+                `, [canonical.id, row.id], client);
+                await deletePairsOf(client, row.id);
+                await logModeration(client, row, 'merge', { ...options, reason: options.reason || `into ${canonical.id}` });
+            }
+        });
+        return {
+            canonical: await findById(canonicalId),
+            merged: await Promise.all(duplicates.map((row) => findById(row.id)))
+        };
+    }
+
+    async function deleteFunction(id, options = {}) {
+        const row = await findById(id);
+        if (!row) return false;
+        await transaction(async (client) => {
+            await deletePairsOf(client, row.id);
+            for (const table of ['function_dependencies', 'function_versions', 'function_runs', 'function_run_stats']) {
+                await query(`DELETE FROM ${table} WHERE function_id = $1`, [row.id], client);
+            }
+            await query('DELETE FROM functions WHERE id = $1', [row.id], client);
+            await logModeration(client, row, 'delete', options);
+        });
+        return true;
+    }
+
+    async function getRunStats(functionId) {
+        const [row] = await query('SELECT * FROM function_run_stats WHERE function_id = $1 LIMIT 1', [functionId]);
+        return row || null;
+    }
+
+    async function recordFunctionRun(functionId, run = {}) {
+        const record = {
+            function_id: functionId,
+            success: run.success ? 1 : 0,
+            failed_step: Number.isInteger(run.failedStep) ? run.failedStep : null,
+            duration_ms: Number.isFinite(run.durationMs) ? Math.round(run.durationMs) : null,
+            url_host: run.urlHost || null,
+            error: run.error || null,
+            client_id: run.clientId || null,
+            created_at: toIsoNow()
+        };
+        await transaction(async (client) => {
+            await queryNamed(`
+                INSERT INTO function_runs (function_id, success, failed_step, duration_ms, url_host, error, client_id, created_at)
+                VALUES (@function_id, @success, @failed_step, @duration_ms, @url_host, @error, @client_id, @created_at)
+            `, record, client);
+            await queryNamed(`
+                INSERT INTO function_run_stats AS stats (
+                    function_id, run_count, success_count, consecutive_failures, last_run_at, last_success_at,
+                    last_failure_at, last_failure_step, last_failure_host, last_failure_error
+                )
+                VALUES (
+                    @function_id, 1, @success, 1 - @success, @created_at,
+                    CASE WHEN @success = 1 THEN @created_at END,
+                    CASE WHEN @success = 0 THEN @created_at END,
+                    -- Parameters inside CASE default to text; the step column is an integer.
+                    CASE WHEN @success = 0 THEN CAST(@failed_step AS INTEGER) END,
+                    CASE WHEN @success = 0 THEN @url_host END,
+                    CASE WHEN @success = 0 THEN @error END
+                )
+                ON CONFLICT (function_id) DO UPDATE SET
+                    run_count = stats.run_count + 1,
+                    success_count = stats.success_count + @success,
+                    consecutive_failures = CASE WHEN @success = 1 THEN 0 ELSE stats.consecutive_failures + 1 END,
+                    last_run_at = @created_at,
+                    last_success_at = CASE WHEN @success = 1 THEN @created_at ELSE stats.last_success_at END,
+                    last_failure_at = CASE WHEN @success = 0 THEN @created_at ELSE stats.last_failure_at END,
+                    last_failure_step = CASE WHEN @success = 0 THEN CAST(@failed_step AS INTEGER) ELSE stats.last_failure_step END,
+                    last_failure_host = CASE WHEN @success = 0 THEN @url_host ELSE stats.last_failure_host END,
+                    last_failure_error = CASE WHEN @success = 0 THEN @error ELSE stats.last_failure_error END
+            `, record, client);
+        });
+        return getRunStats(functionId);
+    }
+
+    async function getRunStatsByIds(ids = []) {
+        const unique = Array.from(new Set((ids || []).filter(Boolean)));
+        if (unique.length === 0) return [];
+        return query('SELECT * FROM function_run_stats WHERE function_id = ANY($1::text[])', [unique]);
+    }
+
+    async function listFunctionRuns(functionId, limit = 50) {
+        return query('SELECT * FROM function_runs WHERE function_id = $1 ORDER BY id DESC LIMIT $2', [functionId, limit]);
+    }
+
+    async function getApiToken(id) {
+        if (!id) return null;
+        const [row] = await query('SELECT * FROM api_tokens WHERE id = $1 LIMIT 1', [id]);
+        return row || null;
+    }
+
+    async function createApiToken(record = {}) {
+        await queryNamed(`
+            INSERT INTO api_tokens (id, name, token_hash, scopes_json, client_id, workspace, created_at)
+            VALUES (@id, @name, @token_hash, @scopes_json, @client_id, @workspace, @created_at)
+        `, { workspace: null, ...record, created_at: toIsoNow() });
+        return getApiToken(record.id);
+    }
+
+    async function findActiveApiTokenByHash(tokenHash) {
+        if (!tokenHash) return null;
+        const [row] = await query(`
+            SELECT * FROM api_tokens WHERE token_hash = $1 AND revoked_at IS NULL LIMIT 1
+        `, [tokenHash]);
+        return row || null;
+    }
+
+    async function listApiTokens() {
+        return query(`
+            SELECT id, name, scopes_json, client_id, workspace, created_at, last_used_at, revoked_at
+            FROM api_tokens
+            ORDER BY created_at DESC
+        `);
+    }
+
+    async function touchApiToken(id) {
+        await query('UPDATE api_tokens SET last_used_at = $1 WHERE id = $2', [toIsoNow(), id]);
+    }
+
+    async function revokeApiToken(id) {
+        const rows = await query(`
+            UPDATE api_tokens SET revoked_at = $1 WHERE id = $2 AND revoked_at IS NULL RETURNING id
+        `, [toIsoNow(), id]);
+        return rows.length > 0;
+    }
+
+    async function listWebhooks() {
+        return query('SELECT * FROM webhooks ORDER BY created_at ASC');
+    }
+
+    async function getWebhook(id) {
+        if (!id) return null;
+        const [row] = await query('SELECT * FROM webhooks WHERE id = $1 LIMIT 1', [id]);
+        return row || null;
+    }
+
+    async function createWebhook(record = {}) {
+        await queryNamed(`
+            INSERT INTO webhooks (id, url, events_json, workspace, secret, created_at)
+            VALUES (@id, @url, @events_json, @workspace, @secret, @created_at)
+        `, { workspace: null, ...record, created_at: toIsoNow() });
+        return getWebhook(record.id);
+    }
+
+    async function deleteWebhook(id) {
+        return (await query('DELETE FROM webhooks WHERE id = $1 RETURNING id', [id])).length > 0;
+    }
+
+    // A success resets the failure streak; each failed delivery (after its retries) extends it.
+    async function recordWebhookDelivery(id, { ok = false, status = '' } = {}) {
+        await query(`
+            UPDATE webhooks
+            SET last_delivery_at = $1, last_status = $2, failure_count = CASE WHEN $3 THEN 0 ELSE failure_count + 1 END
+            WHERE id = $4
+        `, [toIsoNow(), String(status), ok === true, id]);
+    }
+
+    return {
+        kind: 'postgres',
+        dbPath: null,
+        init,
+        close: () => pool.end(),
+        getSchemaStatus: () => migrator.status(),
+        upsertFunction,
+        listFunctions,
+        getAllFunctions,
+        getFunctionsByIds,
+        getEmbeddingRows,
+        getFunctionById: (id) => findById(id),
+        findFunctionIdsByName,
+        resolveMergedFunction,
+        replaceDuplicatePairs,
+        listDuplicatePairs,
+        mergeFunctions,
+        getFunctionDependencies,
+        findActiveFunctionByName,
+        findByFingerprint,
+        listFunctionsAfter,
+        importFunction,
+        countFunctions,
+        countFunctionsByStatus,
+        countFunctionsByEmbeddingModel,
+        countFunctionsByWorkspace,
+        getClientUsage,
+        listWorkspaces,
+        getWorkspace,
+        createWorkspace,
+        updateWorkspace,
+        deleteWorkspace,
+        setFunctionStatus,
+        deleteFunction,
+        listModerationLog,
+        recordFunctionRun,
+        getRunStats,
+        getRunStatsByIds,
+        listFunctionRuns,
+        bm25Search,
+        vectorSearch,
+        listFunctionVersions,
+        getFunctionVersion,
+        getFunctionVersionRows,
+        getLatestVersionNumber,
+        rollbackFunction,
+        createApiToken,
+        getApiToken,
+        findActiveApiTokenByHash,
+        listApiTokens,
+        touchApiToken,
+        revokeApiToken,
+        listWebhooks,
+        getWebhook,
+        createWebhook,
+        deleteWebhook,
+        recordWebhookDelivery
+    };
+}
+
+// Schema access without the adapter, for `migrate status` / `migrate up`.
+function openPostgresMigrator({ connectionString = '' } = {}) {
+    if (!connectionString) throw new Error('STORAGE_BACKEND=postgres needs DATABASE_URL');
+    const pool = new Pool({ connectionString });
+    return { kind: 'postgres', dbPath: null, ...createPostgresMigrator(pool), close: () => pool.end() };
+}
+
+module.exports = {
+    createPostgresStorage,
+    openPostgresMigrator
+};
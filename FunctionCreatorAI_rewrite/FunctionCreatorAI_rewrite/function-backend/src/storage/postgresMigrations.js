@@ -0,0 +1,242 @@
+const { toIsoNow } = require('../utils');
+const { DEFAULT_WORKSPACE } = require('../workspaces');
+const {
+    SCHEMA_MIGRATIONS_TABLE_SQL,
+    WEBHOOKS_TABLE_SQL,
+    assertMigrationList,
+    assertSchemaNotNewer,
+    summarizeMigrations
+} = require('./migrations');
+
+// Arbitrary constant: concurrent instances starting at once take turns instead of migrating twice.
+const MIGRATION_LOCK_ID = 4710215;
+
+// Mirrors the SQLite baseline; `search_tsv` and `embedding` stand in for FTS5 and the in-process vector index.
+const BASELINE_SQL = `
+    CREATE EXTENSION IF NOT EXISTS vector;
+
+    CREATE TABLE IF NOT EXISTS workspaces (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        visibility TEXT NOT NULL DEFAULT 'private',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS functions (
+        id TEXT PRIMARY KEY,
+        workspace TEXT NOT NULL DEFAULT '${DEFAULT_WORKSPACE}',
+        name TEXT NOT NULL,
+        description TEXT,
+        function_json TEXT NOT NULL,
+        embedding_json TEXT,
+        embedding_model TEXT,
+        embedding_dim INTEGER,
+        embedding vector,
+        metadata_json TEXT,
+        sites_json TEXT,
+        searchable_text TEXT NOT NULL,
+        search_tsv tsvector GENERATED ALWAYS AS (to_tsvector('simple', searchable_text)) STORED,
+        fingerprint TEXT,
+        source_extension TEXT,
+        verified INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'active',
+        status_reason TEXT,
+        status_updated_at TEXT,
+        merged_into TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_functions_workspace_fingerprint ON functions(workspace, fingerprint);
+    CREATE INDEX IF NOT EXISTS idx_functions_workspace ON functions(workspace, status);
+    CREATE INDEX IF NOT EXISTS idx_functions_name ON functions(lower(name));
+    CREATE INDEX IF NOT EXISTS idx_functions_updated ON functions(updated_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_functions_status ON functions(status);
+    CREATE INDEX IF NOT EXISTS idx_functions_search ON functions USING gin(search_tsv);
+
+    CREATE TABLE IF NOT EXISTS function_versions (
+        function_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        function_json TEXT NOT NULL,
+        embedding_json TEXT,
+        embedding_model TEXT,
+        embedding_dim INTEGER,
+        metadata_json TEXT,
+        sites_json TEXT,
+        searchable_text TEXT NOT NULL,
+        fingerprint TEXT,
+        source_extension TEXT,
+        verified INTEGER NOT NULL DEFAULT 0,
+        change_type TEXT NOT NULL DEFAULT 'upsert',
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (function_id, version)
+    );
+
+    CREATE TABLE IF NOT EXISTS function_duplicates (
+        function_id TEXT NOT NULL,
+        duplicate_id TEXT NOT NULL,
+        similarity DOUBLE PRECISION NOT NULL,
+        vector_similarity DOUBLE PRECISION,
+        step_overlap DOUBLE PRECISION,
+        detected_at TEXT NOT NULL,
+        PRIMARY KEY (function_id, duplicate_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_function_duplicates_duplicate ON function_duplicates(duplicate_id);
+
+    CREATE TABLE IF NOT EXISTS function_dependencies (
+        function_id TEXT NOT NULL,
+        dependency_name TEXT NOT NULL,
+        via TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_function_dependencies_pair
+        ON function_dependencies(function_id, lower(dependency_name));
+
+    CREATE TABLE IF NOT EXISTS api_tokens (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        scopes_json TEXT NOT NULL,
+        client_id TEXT,
+        workspace TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS moderation_log (
+        id SERIAL PRIMARY KEY,
+        function_id TEXT NOT NULL,
+        function_name TEXT,
+        action TEXT NOT NULL,
+        reason TEXT,
+        actor TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_moderation_log_function ON moderation_log(function_id, created_at DESC);
+
+    CREATE TABLE IF NOT EXISTS function_runs (
+        id SERIAL PRIMARY KEY,
+        function_id TEXT NOT NULL,
+        success INTEGER NOT NULL,
+        failed_step INTEGER,
+        duration_ms INTEGER,
+        url_host TEXT,
+        error TEXT,
+        client_id TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_function_runs_function ON function_runs(function_id, id DESC);
+
+    CREATE TABLE IF NOT EXISTS function_run_stats (
+        function_id TEXT PRIMARY KEY,
+        run_count INTEGER NOT NULL DEFAULT 0,
+        success_count INTEGER NOT NULL DEFAULT 0,
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        last_run_at TEXT,
+        last_success_at TEXT,
+        last_failure_at TEXT,
+        last_failure_step INTEGER,
+        last_failure_host TEXT,
+        last_failure_error TEXT
+    );
+`;
+
+const POSTGRES_MIGRATIONS = assertMigrationList([
+    {
+        version: 1,
+        name: 'baseline schema',
+        up: async (client) => {
+            await client.query(BASELINE_SQL);
+            await client.query(`
+                INSERT INTO workspaces (id, name, description, visibility, created_at, updated_at)
+                VALUES ($1, 'Default', 'Shared workspace for functions uploaded without a workspace', 'public', $2, $2)
+                ON CONFLICT (id) DO NOTHING
+            `, [DEFAULT_WORKSPACE, toIsoNow()]);
+        }
+    },
+    {
+        version: 2,
+        name: 'webhooks',
+        up: async (client) => {
+            await client.query(WEBHOOKS_TABLE_SQL);
+        }
+    },
+    {
+        version: 3,
+        name: 'moderation log workspace',
+        up: async (client) => {
+            await client.query('ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS workspace TEXT');
+            await client.query(`
+                UPDATE moderation_log SET workspace = functions.workspace
+                FROM functions
+                WHERE functions.id = moderation_log.function_id AND moderation_log.workspace IS NULL
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'function quota owner',
+        up: async (client) => {
+            await client.query('ALTER TABLE functions ADD COLUMN IF NOT EXISTS quota_owner TEXT');
+            await client.query(`
+                UPDATE functions SET quota_owner = 'client:' || source_extension
+                WHERE quota_owner IS NULL AND COALESCE(source_extension, '') <> ''
+            `);
+            await client.query('CREATE INDEX IF NOT EXISTS idx_functions_quota_owner ON functions(quota_owner)');
+        }
+    }
+], 'Postgres');
+
+function createPostgresMigrator(pool) {
+    async function readStatus(client) {
+        await client.query(SCHEMA_MIGRATIONS_TABLE_SQL);
+        const result = await client.query('SELECT * FROM schema_migrations');
+        return summarizeMigrations(POSTGRES_MIGRATIONS, result.rows);
+    }
+
+    function status() {
+        return readStatus(pool);
+    }
+
+    // Applies pending migrations in one transaction and returns them; throws when the database is newer than this build.
+    async function up() {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+            const current = await readStatus(client);
+            assertSchemaNotNewer(current, 'Postgres');
+            for (const { version, name } of current.pending) {
+                await POSTGRES_MIGRATIONS[version - 1].up(client);
+                await client.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)', [
+                    version,
+                    name,
+                    toIsoNow()
+                ]);
+            }
+            await client.query('COMMIT');
+            return current.pending;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    return { status, up };
+}
+
+module.exports = {
+    POSTGRES_MIGRATIONS,
+    createPostgresMigrator
+};
@@ -0,0 +1,839 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { safeJsonParse, toIsoNow } = require('../utils');
+const { extractDependencies } = require('../dependencies');
+const { DEFAULT_WORKSPACE } = require('../workspaces');
+const {
+    FUNCTION_STATUSES,
+    MAX_MERGE_HOPS,
+    MODERATION_ACTIONS,
+    STICKY_STATUSES
+} = require('./constants');
+const { createSqliteMigrator } = require('./sqliteMigrations');
+
+function resolveDbPath() {
+    const explicitPath = process.env.DB_PATH;
+    if (explicitPath && explicitPath.trim()) return explicitPath.trim();
+
+    const dataDir = process.env.DATA_DIR && process.env.DATA_DIR.trim()
+        ? process.env.DATA_DIR.trim()
+        : path.join(process.cwd(), 'data');
+    return path.join(dataDir, 'functions.db');
+}
+
+function ensureParentDir(filePath) {
+    const parent = path.dirname(filePath);
+    fs.mkdirSync(parent, { recursive: true });
+}
+
+function openSqliteDatabase(dbPath) {
+    ensureParentDir(dbPath);
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    return db;
+}
+
+// Schema access without the adapter, whose construction already applies pending migrations.
+function openSqliteMigrator({ dbPath = resolveDbPath() } = {}) {
+    const db = openSqliteDatabase(dbPath);
+    return { kind: 'sqlite', dbPath, ...createSqliteMigrator(db), close: () => db.close() };
+}
+
+function workspaceClause(workspaces, column = 'workspace') {
+    if (!Array.isArray(workspaces)) return { sql: '', params: [] };
+    if (workspaces.length === 0) return { sql: 'AND 0', params: [] };
+    return { sql: `AND ${column} IN (${workspaces.map(() => '?').join(', ')})`, params: workspaces };
+}
+
+// SQLite adapter (better-sqlite3 + FTS5). Methods are synchronous; callers await them like any adapter.
+function createSqliteStorage({ dbPath = resolveDbPath() } = {}) {
+    const db = openSqliteDatabase(dbPath);
+    // Statements below are prepared against the migrated schema; a database newer than this build throws here.
+    const migrator = createSqliteMigrator(db);
+    migrator.up();
+
+    const upsertFnStmt = db.prepare(`
+        INSERT INTO functions (
+            id, workspace, name, description, function_json, embedding_json, embedding_model, embedding_dim,
+            metadata_json, sites_json, searchable_text, fingerprint, source_extension, quota_owner, verified, status,
+            merged_into, created_at, updated_at
+        )
+        VALUES (
+            @id, @workspace, @name, @description, @function_json, @embedding_json, @embedding_model, @embedding_dim,
+            @metadata_json, @sites_json, @searchable_text, @fingerprint, @source_extension, @quota_owner, @verified,
+            @status, @merged_into, @created_at, @updated_at
+        )
+        ON CONFLICT(id) DO UPDATE SET
+            name = excluded.name,
+            description = excluded.description,
+            function_json = excluded.function_json,
+            embedding_json = excluded.embedding_json,
+            embedding_model = excluded.embedding_model,
+            embedding_dim = excluded.embedding_dim,
+            metadata_json = excluded.metadata_json,
+            sites_json = excluded.sites_json,
+            searchable_text = excluded.searchable_text,
+            fingerprint = excluded.fingerprint,
+            source_extension = excluded.source_extension,
+            quota_owner = COALESCE(excluded.quota_owner, functions.quota_owner),
+            verified = excluded.verified,
+            status = excluded.status,
+            updated_at = excluded.updated_at
+    `);
+
+    const upsertFtsStmt = db.prepare(`
+        INSERT INTO function_fts (function_id, searchable_text)
+        VALUES (?, ?)
+    `);
+    const deleteFtsByIdStmt = db.prepare('DELETE FROM function_fts WHERE function_id = ?');
+
+    const nextVersionStmt = db.prepare(`
+        SELECT COALESCE(MAX(version), 0) + 1 AS next_version
+        FROM function_versions
+        WHERE function_id = ?
+    `);
+    const insertVersionStmt = db.prepare(`
+        INSERT INTO function_versions (
+            function_id, version, name, description, function_json, embedding_json, embedding_model, embedding_dim,
+            metadata_json, sites_json, searchable_text, fingerprint, source_extension, verified, change_type, created_at
+        )
+        VALUES (
+            @id, @version, @name, @description, @function_json, @embedding_json, @embedding_model, @embedding_dim,
+            @metadata_json, @sites_json, @searchable_text, @fingerprint, @source_extension, @verified, @change_type,
+            @updated_at
+        )
+    `);
+
+    const deleteDependenciesStmt = db.prepare('DELETE FROM function_dependencies WHERE function_id = ?');
+    const insertDependencyStmt = db.prepare(`
+        INSERT OR IGNORE INTO function_dependencies (function_id, dependency_name, via) VALUES (?, ?, ?)
+    `);
+
+    function replaceDependencies(functionId, functionJson) {
+        deleteDependenciesStmt.run(functionId);
+        extractDependencies(safeJsonParse(functionJson, {}))
+            .forEach((dependency) => insertDependencyStmt.run(functionId, dependency.name, dependency.via));
+    }
+
+    const txUpsert = db.transaction((record, changeType = 'upsert') => {
+        upsertFnStmt.run({ merged_into: null, quota_owner: null, ...record });
+        deleteFtsByIdStmt.run(record.id);
+        upsertFtsStmt.run(record.id, record.searchable_text);
+        replaceDependencies(record.id, record.function_json);
+
+        const version = Number(nextVersionStmt.get(record.id)?.next_version || 1);
+        insertVersionStmt.run({
+            ...record,
+            version,
+            change_type: changeType
+        });
+        return version;
+    });
+
+    function findByFingerprint(fingerprint, workspace = DEFAULT_WORKSPACE) {
+        if (!fingerprint) return null;
+        return db.prepare('SELECT * FROM functions WHERE workspace = ? AND fingerprint = ? LIMIT 1')
+            .get(workspace || DEFAULT_WORKSPACE, fingerprint) || null;
+    }
+
+    function findById(id) {
+        if (!id) return null;
+        return db.prepare('SELECT * FROM functions WHERE id = ? LIMIT 1').get(id) || null;
+    }
+
+    function upsertFunction(record = {}, { changeType = 'upsert' } = {}) {
+        const now = toIsoNow();
+        const existing = findByFingerprint(record.fingerprint, record.workspace) || findById(record.id);
+        // A re-upload must not lift a quarantine or a merge; only an explicit approve does.
+        const status = STICKY_STATUSES.includes(existing?.status)
+            ? existing.status
+            : (FUNCTION_STATUSES.includes(record.status) ? record.status : 'active');
+        const normalized = {
+            ...record,
+            id: existing?.id || record.id,
+            // A function never moves between workspaces on upsert.
+            workspace: existing?.workspace || record.workspace || DEFAULT_WORKSPACE,
+            status,
+            created_at: existing?.created_at || record.created_at || now,
+            updated_at: now
+        };
+
+        const version = txUpsert(normalized, changeType);
+        return { ...findById(normalized.id), version };
+    }
+
+    const insertImportedVersionStmt = db.prepare(`
+        INSERT OR IGNORE INTO function_versions (
+            function_id, version, name, description, function_json, embedding_json, embedding_model, embedding_dim,
+            metadata_json, sites_json, searchable_text, fingerprint, source_extension, verified, change_type, created_at
+        )
+        VALUES (
+            @function_id, @version, @name, @description, @function_json, @embedding_json, @embedding_model, @embedding_dim,
+            @metadata_json, @sites_json, @searchable_text, @fingerprint, @source_extension, @verified, @change_type,
+            @created_at
+        )
+    `);
+
+    // Inserts a function from an export bundle as-is, keeping its id, timestamps and revision history.
+    const txImport = db.transaction((record, versions) => {
+        upsertFnStmt.run({ merged_into: null, quota_owner: null, ...record });
+        deleteFtsByIdStmt.run(record.id);
+        upsertFtsStmt.run(record.id, record.searchable_text);
+        replaceDependencies(record.id, record.function_json);
+        const history = versions.length > 0
+            ? versions
+            : [{ ...record, function_id: record.id, version: 1, change_type: 'import', created_at: record.updated_at }];
+        history.forEach((version) => insertImportedVersionStmt.run({ ...version, function_id: record.id }));
+    });
+
+    function importFunction(record, versions = []) {
+        const now = toIsoNow();
+        txImport({
+            ...record,
+            workspace: record.workspace || DEFAULT_WORKSPACE,
+            created_at: record.created_at || now,
+            updated_at: record.updated_at || now
+        }, versions);
+        return findById(record.id);
+    }
+
+    function getFunctionVersionRows(functionId) {
+        return db.prepare(`
+            SELECT * FROM function_versions
+            WHERE function_id = ?
+            ORDER BY version ASC
+        `).all(functionId);
+    }
+
+    // Keyset pagination by id; used to stream exports without holding the connection in an iterator.
+    function listFunctionsAfter(afterId = '', limit = 200, { includeHidden = true, workspaces = null } = {}) {
+        const statusClause = includeHidden ? '' : "AND status = 'active'";
+        const scope = workspaceClause(workspaces);
+        return db.prepare(`
+            SELECT * FROM functions
+            WHERE id > ? ${statusClause} ${scope.sql}
+            ORDER BY id ASC
+            LIMIT ?
+        `).all(afterId, ...scope.params, limit);
+    }
+
+    function listFunctionVersions(functionId) {
+        if (!functionId) return [];
+        return db.prepare(`
+            SELECT function_id, version, name, description, fingerprint, metadata_json,
+                source_extension, embedding_model, embedding_dim, verified, change_type, created_at
+            FROM function_versions
+            WHERE function_id = ?
+            ORDER BY version DESC
+        `).all(functionId);
+    }
+
+    function getFunctionVersion(functionId, version) {
+        if (!functionId || !Number.isInteger(version)) return null;
+        return db.prepare(`
+            SELECT * FROM function_versions
+            WHERE function_id = ? AND version = ?
+            LIMIT 1
+        `).get(functionId, version) || null;
+    }
+
+    function getLatestVersionNumber(functionId) {
+        if (!functionId) return 0;
+        const row = db.prepare('SELECT MAX(version) AS version FROM function_versions WHERE function_id = ?').get(functionId);
+        return Number(row?.version || 0);
+    }
+
+    function rollbackFunction(functionId, version) {
+        const current = findById(functionId);
+        const target = getFunctionVersion(functionId, version);
+        if (!current || !target) return null;
+
+        const holder = findByFingerprint(target.fingerprint, current.workspace);
+        if (holder && holder.id !== functionId) {
+            throw new Error(`Fingerprint of version ${version} is now owned by function ${holder.id}`);
+        }
+
+        const restored = {
+            id: functionId,
+            workspace: current.workspace,
+            name: target.name,
+            description: target.description,
+            function_json: target.function_json,
+            embedding_json: target.embedding_json,
+            embedding_model: target.embedding_model,
+            embedding_dim: target.embedding_dim,
+            metadata_json: target.metadata_json,
+            sites_json: target.sites_json,
+            searchable_text: target.searchable_text,
+            fingerprint: target.fingerprint,
+            source_extension: target.source_extension,
+            verified: target.verified,
+            status: current.status,
+            created_at: current.created_at,
+            updated_at: toIsoNow()
+        };
+        const newVersion = txUpsert(restored, `rollback:${version}`);
+        return { ...findById(functionId), version: newVersion };
+    }
+
+    function listFunctions(limit = 50, offset = 0, status = 'active', { workspaces = null } = {}) {
+        const scope = workspaceClause(workspaces);
+        if (status === 'all') {
+            return db.prepare(`
+                SELECT * FROM functions
+                WHERE 1 ${scope.sql}
+                ORDER BY updated_at DESC
+                LIMIT ? OFFSET ?
+            `).all(...scope.params, limit, offset);
+        }
+        return db.prepare(`
+            SELECT * FROM functions
+            WHERE status = ? ${scope.sql}
+            ORDER BY updated_at DESC
+            LIMIT ? OFFSET ?
+        `).all(status, ...scope.params, limit, offset);
+    }
+
+    function getAllFunctions({ includeHidden = false, workspaces = null } = {}) {
+        const statusClause = includeHidden ? '' : "AND status = 'active'";
+        const scope = workspaceClause(workspaces);
+        return db.prepare(`
+            SELECT * FROM functions
+            WHERE 1 ${statusClause} ${scope.sql}
+            ORDER BY updated_at DESC
+        `).all(...scope.params);
+    }
+
+    function getFunctionsByIds(ids = [], { includeHidden = false } = {}) {
+        const unique = Array.from(new Set((ids || []).filter(Boolean)));
+        if (unique.length === 0) return [];
+        const rows = [];
+        // Stay well below SQLite's bound-parameter limit.
+        for (let i = 0; i < unique.length; i += 500) {
+            const chunk = unique.slice(i, i + 500);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const statusClause = includeHidden ? '' : "AND status = 'active'";
+            rows.push(...db.prepare(`
+                SELECT * FROM functions
+                WHERE id IN (${placeholders}) ${statusClause}
+            `).all(...chunk));
+        }
+        return rows;
+    }
+
+    function getEmbeddingRows(ids = null) {
+        if (Array.isArray(ids)) {
+            return getFunctionsByIds(ids, { includeHidden: true })
+                .filter((row) => row.embedding_json)
+                .map(({
+                    id,
+                    embedding_json,
+                    embedding_model,
+                    updated_at
+                }) => ({
+                    id,
+                    embedding_json,
+                    embedding_model,
+                    updated_at
+                }));
+        }
+        return db.prepare(`
+            SELECT id, embedding_json, embedding_model, updated_at FROM functions
+            WHERE embedding_json IS NOT NULL
+        `).all();
+    }
+
+    function getFunctionById(id) {
+        return findById(id);
+    }
+
+    function findFunctionIdsByName(name, workspace = DEFAULT_WORKSPACE) {
+        if (!name) return [];
+        return db.prepare('SELECT id FROM functions WHERE workspace = ? AND name = ? COLLATE NOCASE')
+            .all(workspace || DEFAULT_WORKSPACE, name)
+            .map((row) => row.id);
+    }
+
+    function getFunctionDependencies(functionId) {
+        return db.prepare('SELECT * FROM function_dependencies WHERE function_id = ? ORDER BY rowid')
+            .all(functionId);
+    }
+
+    // The active function serving a name, searching `workspaces` in order; verified and newest win within one.
+    function findActiveFunctionByName(name, workspaces = [DEFAULT_WORKSPACE]) {
+        if (!name) return null;
+        const statement = db.prepare(`
+            SELECT * FROM functions
+            WHERE workspace = ? AND name = ? COLLATE NOCASE AND status = 'active'
+            ORDER BY verified DESC, updated_at DESC
+            LIMIT 1
+        `);
+        for (const workspace of workspaces) {
+            const row = statement.get(workspace, name);
+            if (row) return row;
+        }
+        return null;
+    }
+
+    // Follows merge redirects to the function that is served instead; null when the chain is broken.
+    function resolveMergedFunction(id) {
+        let row = findById(id);
+        for (let hops = 0; row?.status === 'merged' && hops < MAX_MERGE_HOPS; hops += 1) {
+            row = findById(row.merged_into);
+        }
+        return row?.status === 'merged' ? null : row;
+    }
+
+    function countFunctions() {
+        const row = db.prepare('SELECT COUNT(*) AS count FROM functions').get();
+        return Number(row?.count || 0);
+    }
+
+    function countFunctionsByEmbeddingModel() {
+        return db.prepare(`
+            SELECT
+                COALESCE(NULLIF(embedding_model, ''), 'unknown') AS model,
+                embedding_dim AS dimension,
+                COUNT(*) AS count
+            FROM functions
+            WHERE embedding_json IS NOT NULL AND status = 'active'
+            GROUP BY model, dimension
+            ORDER BY count DESC
+        `).all().map((row) => ({ ...row, count: Number(row.count || 0) }));
+    }
+
+    function countFunctionsByStatus({ workspaces = null } = {}) {
+        const scope = workspaceClause(workspaces);
+        const rows = db.prepare(`SELECT status, COUNT(*) AS count FROM functions WHERE 1 ${scope.sql} GROUP BY status`)
+            .all(...scope.params);
+        return Object.fromEntries(rows.map((row) => [row.status, Number(row.count || 0)]));
+    }
+
+    function countFunctionsByWorkspace() {
+        const rows = db.prepare('SELECT workspace, COUNT(*) AS count FROM functions GROUP BY workspace').all();
+        return Object.fromEntries(rows.map((row) => [row.workspace, Number(row.count || 0)]));
+    }
+
+    // Uploads without a client id share the '' bucket.
+    function getClientUsage(quotaOwner = '') {
+        const row = db.prepare(`
+            SELECT
+                COUNT(*) AS function_count,
+                COALESCE(SUM(LENGTH(function_json) + COALESCE(LENGTH(embedding_json), 0)), 0) AS total_bytes
+            FROM functions
+            WHERE COALESCE(quota_owner, '') = ?
+        `).get(String(quotaOwner || ''));
+        return { function_count: Number(row.function_count || 0), total_bytes: Number(row.total_bytes || 0) };
+    }
+
+    function listWorkspaces() {
+        return db.prepare('SELECT * FROM workspaces ORDER BY id ASC').all();
+    }
+
+    function getWorkspace(id) {
+        if (!id) return null;
+        return db.prepare('SELECT * FROM workspaces WHERE id = ? LIMIT 1').get(id) || null;
+    }
+
+    function createWorkspace({ id, name = '', description = '', visibility = 'private' } = {}) {
+        const now = toIsoNow();
+        db.prepare(`
+            INSERT INTO workspaces (id, name, description, visibility, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(id, name || id, description || null, visibility, now, now);
+        return getWorkspace(id);
+    }
+
+    function updateWorkspace(id, { name, description, visibility } = {}) {
+        const current = getWorkspace(id);
+        if (!current) return null;
+        db.prepare(`
+            UPDATE workspaces SET name = ?, description = ?, visibility = ?, updated_at = ?
+            WHERE id = ?
+        `).run(
+            name === undefined ? current.name : (name || id),
+            description === undefined ? current.description : (description || null),
+            visibility === undefined ? current.visibility : visibility,
+            toIsoNow(),
+            id
+        );
+        return getWorkspace(id);
+    }
+
+    // Only empty workspaces can be removed; functions must be deleted (or exported) first.
+    function deleteWorkspace(id) {
+        const row = db.prepare('SELECT COUNT(*) AS count FROM functions WHERE workspace = ?').get(id);
+        if (Number(row?.count || 0) > 0) {
+            throw new Error(`Workspace "${id}" still holds ${row.count} function(s)`);
+        }
+        return db.prepare('DELETE FROM workspaces WHERE id = ?').run(id).changes > 0;
+    }
+
+    const insertModerationLogStmt = db.prepare(`
+        INSERT INTO moderation_log (function_id, function_name, workspace, action, reason, actor, created_at)
+        VALUES (@function_id, @function_name, @workspace, @action, @reason, @actor, @created_at)
+    `);
+
+    function logModeration(row, action, { reason = '', actor = '' } = {}) {
+        insertModerationLogStmt.run({
+            function_id: row.id,
+            function_name: row.name,
+            workspace: row.workspace || null,
+            action,
+            reason: reason || null,
+            actor: actor || null,
+            created_at: toIsoNow()
+        });
+    }
+
+    const txSetStatus = db.transaction((row, status, options) => {
+        db.prepare(`
+            UPDATE functions
+            SET status = ?, status_reason = ?, status_updated_at = ?, merged_into = NULL
+            WHERE id = ?
+        `).run(status, options.reason || null, toIsoNow(), row.id);
+        logModeration(row, MODERATION_ACTIONS[status], options);
+    });
+
+    function setFunctionStatus(id, status, options = {}) {
+        if (!FUNCTION_STATUSES.includes(status) || status === 'merged') {
+            throw new Error(`Unknown status "${status}"`);
+        }
+        const row = findById(id);
+        if (!row) return null;
+        txSetStatus(row, status, options);
+        return findById(id);
+    }
+
+    const deleteDuplicatePairsStmt = db.prepare(`
+        DELETE FROM function_duplicates WHERE function_id = ? OR duplicate_id = ?
+    `);
+    const insertDuplicatePairStmt = db.prepare(`
+        INSERT OR REPLACE INTO function_duplicates (
+            function_id, duplicate_id, similarity, vector_similarity, step_overlap, detected_at
+        )
+        VALUES (@function_id, @duplicate_id, @similarity, @vector_similarity, @step_overlap, @detected_at)
+    `);
+
+    // Pairs are stored once, ordered by id, and recomputed whenever either side is re-uploaded.
+    const txReplaceDuplicatePairs = db.transaction((functionId, matches, keepExisting) => {
+        if (!keepExisting) deleteDuplicatePairsStmt.run(functionId, functionId);
+        const detectedAt = toIsoNow();
+        matches.forEach((match) => {
+            const [first, second] = [functionId, match.id].sort();
+            insertDuplicatePairStmt.run({
+                function_id: first,
+                duplicate_id: second,
+                similarity: match.similarity,
+                vector_similarity: match.vectorSimilarity,
+                step_overlap: match.stepOverlap,
+                detected_at: detectedAt
+            });
+        });
+    });
+
+    // `keepExisting` adds pairs without dropping the ones found from the other side (used by full rescans).
+    function replaceDuplicatePairs(functionId, matches = [], { keepExisting = false } = {}) {
+        txReplaceDuplicatePairs(functionId, matches, keepExisting);
+    }
+
+    // Pairs whose functions are both still comparable (not merged or quarantined).
+    function listDuplicatePairs({ workspaces = null } = {}) {
+        const scope = workspaceClause(workspaces, 'a.workspace');
+        return db.prepare(`
+            SELECT d.* FROM function_duplicates d
+            JOIN functions a ON a.id = d.function_id
+            JOIN functions b ON b.id = d.duplicate_id
+            WHERE a.status IN ('active', 'pending') AND b.status IN ('active', 'pending') ${scope.sql}
+            ORDER BY d.similarity DESC
+        `).all(...scope.params);
+    }
+
+    const txMerge = db.transaction((canonical, duplicates, options) => {
+        const now = toIsoNow();
+        duplicates.forEach((row) => {
+            db.prepare(`
+                UPDATE functions
+                SET status = 'merged', merged_into = ?, status_reason = ?, status_updated_at = ?
+                WHERE id = ?
+            `).run(canonical.id, options.reason || `Merged into ${canonical.name}`, now, row.id);
+            // Keep redirects one hop deep: anything merged into this duplicate now points at the canonical.
+            db.prepare("UPDATE functions SET merged_into = ? WHERE merged_into = ? AND status = 'merged'")
+                .run(canonical.id, row.id);
+            deleteDuplicatePairsStmt.run(row.id, row.id);
+            logModeration(row, 'merge', { ...options, reason: options.reason || `into ${canonical.id}` });
+        });
+    });
+
+    function mergeFunctions(canonicalId, duplicateIds = [], options = {}) {
+        const canonical = findById(canonicalId);
+        if (!canonical) return null;
+        const duplicates = Array.from(new Set(duplicateIds))
+            .filter((id) => id !== canonicalId)
+            .map((id) => findById(id))
+            .filter(Boolean);
+        txMerge(canonical, duplicates, options);
+        return { canonical: findById(canonicalId), merged: duplicates.map((row) => findById(row.id)) };
+    }
+
+    const txDelete = db.transaction((row, options) => {
+        deleteFtsByIdStmt.run(row.id);
+        deleteDuplicatePairsStmt.run(row.id, row.id);
+        deleteDependenciesStmt.run(row.id);
+        db.prepare('DELETE FROM function_versions WHERE function_id = ?').run(row.id);
+        db.prepare('DELETE FROM function_runs WHERE function_id = ?').run(row.id);
+        db.prepare('DELETE FROM function_run_stats WHERE function_id = ?').run(row.id);
+        db.prepare('DELETE FROM functions WHERE id = ?').run(row.id);
+        logModeration(row, 'delete', options);
+    });
+
+    function deleteFunction(id, options = {}) {
+        const row = findById(id);
+        if (!row) return false;
+        txDelete(row, options);
+        return true;
+    }
+
+    function listModerationLog(functionId = '', limit = 100, { workspaces = null } = {}) {
+        const scope = workspaceClause(workspaces);
+        const functionClause = functionId ? 'AND function_id = ?' : '';
+        return db.prepare(`
+            SELECT * FROM moderation_log
+            WHERE 1 ${functionClause} ${scope.sql}
+            ORDER BY created_at DESC
+            LIMIT ?
+        `).all(...(functionId ? [functionId] : []), ...scope.params, limit);
+    }
+
+    const insertRunStmt = db.prepare(`
+        INSERT INTO function_runs (function_id, success, failed_step, duration_ms, url_host, error, client_id, created_at)
+        VALUES (@function_id, @success, @failed_step, @duration_ms, @url_host, @error, @client_id, @created_at)
+    `);
+
+    // Aggregates are maintained incrementally so search can read them without scanning run history.
+    const upsertRunStatsStmt = db.prepare(`
+        INSERT INTO function_run_stats (
+            function_id, run_count, success_count, consecutive_failures, last_run_at, last_success_at,
+            last_failure_at, last_failure_step, last_failure_host, last_failure_error
+        )
+        VALUES (
+            @function_id, 1, @success, 1 - @success, @created_at,
+            CASE WHEN @success = 1 THEN @created_at END,
+            CASE WHEN @success = 0 THEN @created_at END,
+            CASE WHEN @success = 0 THEN @failed_step END,
+            CASE WHEN @success = 0 THEN @url_host END,
+            CASE WHEN @success = 0 THEN @error END
+        )
+        ON CONFLICT(function_id) DO UPDATE SET
+            run_count = run_count + 1,
+            success_count = success_count + @success,
+            consecutive_failures = CASE WHEN @success = 1 THEN 0 ELSE consecutive_failures + 1 END,
+            last_run_at = @created_at,
+            last_success_at = CASE WHEN @success = 1 THEN @created_at ELSE last_success_at END,
+            last_failure_at = CASE WHEN @success = 0 THEN @created_at ELSE last_failure_at END,
+            last_failure_step = CASE WHEN @success = 0 THEN @failed_step ELSE last_failure_step END,
+            last_failure_host = CASE WHEN @success = 0 THEN @url_host ELSE last_failure_host END,
+            last_failure_error = CASE WHEN @success = 0 THEN @error ELSE last_failure_error END
+    `);
+
+    const txRecordRun = db.transaction((run) => {
+        insertRunStmt.run(run);
+        upsertRunStatsStmt.run(run);
+    });
+
+    function recordFunctionRun(functionId, run = {}) {
+        txRecordRun({
+            function_id: functionId,
+            success: run.success ? 1 : 0,
+            failed_step: Number.isInteger(run.failedStep) ? run.failedStep : null,
+            duration_ms: Number.isFinite(run.durationMs) ? Math.round(run.durationMs) : null,
+            url_host: run.urlHost || null,
+            error: run.error || null,
+            client_id: run.clientId || null,
+            created_at: toIsoNow()
+        });
+        return getRunStats(functionId);
+    }
+
+    function getRunStats(functionId) {
+        return db.prepare('SELECT * FROM function_run_stats WHERE function_id = ? LIMIT 1').get(functionId) || null;
+    }
+
+    function getRunStatsByIds(ids = []) {
+        const unique = Array.from(new Set((ids || []).filter(Boolean)));
+        const rows = [];
+        for (let i = 0; i < unique.length; i += 500) {
+            const chunk = unique.slice(i, i + 500);
+            const placeholders = chunk.map(() => '?').join(', ');
+            rows.push(...db.prepare(`
+                SELECT * FROM function_run_stats WHERE function_id IN (${placeholders})
+            `).all(...chunk));
+        }
+        return rows;
+    }
+
+    function listFunctionRuns(functionId, limit = 50) {
+        return db.prepare(`
+            SELECT * FROM function_runs
+            WHERE function_id = ?
+            ORDER BY id DESC
+            LIMIT ?
+        `).all(functionId, limit);
+    }
+
+    function bm25Search(ftsQuery, limit = 100, { workspaces = null } = {}) {
+        if (!ftsQuery) return [];
+        const scope = workspaceClause(workspaces, 'functions.workspace');
+        try {
+            return db.prepare(`
+                SELECT function_fts.function_id, bm25(function_fts) AS bm25_score
+                FROM function_fts
+                JOIN functions ON functions.id = function_fts.function_id
+                WHERE function_fts MATCH ? AND functions.status = 'active' ${scope.sql}
+                ORDER BY bm25(function_fts)
+                LIMIT ?
+            `).all(ftsQuery, ...scope.params, limit);
+        } catch {
+            return [];
+        }
+    }
+
+    function createApiToken(record = {}) {
+        db.prepare(`
+            INSERT INTO api_tokens (id, name, token_hash, scopes_json, client_id, workspace, created_at)
+            VALUES (@id, @name, @token_hash, @scopes_json, @client_id, @workspace, @created_at)
+        `).run({ workspace: null, ...record, created_at: toIsoNow() });
+        return getApiToken(record.id);
+    }
+
+    function getApiToken(id) {
+        if (!id) return null;
+        return db.prepare('SELECT * FROM api_tokens WHERE id = ? LIMIT 1').get(id) || null;
+    }
+
+    function findActiveApiTokenByHash(tokenHash) {
+        if (!tokenHash) return null;
+        return db.prepare(`
+            SELECT * FROM api_tokens
+            WHERE token_hash = ? AND revoked_at IS NULL
+            LIMIT 1
+        `).get(tokenHash) || null;
+    }
+
+    function listApiTokens() {
+        return db.prepare(`
+            SELECT id, name, scopes_json, client_id, workspace, created_at, last_used_at, revoked_at
+            FROM api_tokens
+            ORDER BY created_at DESC
+        `).all();
+    }
+
+    function touchApiToken(id) {
+        db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(toIsoNow(), id);
+    }
+
+    function revokeApiToken(id) {
+        const result = db.prepare(`
+            UPDATE api_tokens SET revoked_at = ?
+            WHERE id = ? AND revoked_at IS NULL
+        `).run(toIsoNow(), id);
+        return result.changes > 0;
+    }
+
+    function listWebhooks() {
+        return db.prepare('SELECT * FROM webhooks ORDER BY created_at ASC').all();
+    }
+
+    function getWebhook(id) {
+        if (!id) return null;
+        return db.prepare('SELECT * FROM webhooks WHERE id = ? LIMIT 1').get(id) || null;
+    }
+
+    function createWebhook(record = {}) {
+        db.prepare(`
+            INSERT INTO webhooks (id, url, events_json, workspace, secret, created_at)
+            VALUES (@id, @url, @events_json, @workspace, @secret, @created_at)
+        `).run({ workspace: null, ...record, created_at: toIsoNow() });
+        return getWebhook(record.id);
+    }
+
+    function deleteWebhook(id) {
+        return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    }
+
+    // A success resets the failure streak; each failed delivery (after its retries) extends it.
+    function recordWebhookDelivery(id, { ok = false, status = '' } = {}) {
+        db.prepare(`
+            UPDATE webhooks
+            SET last_delivery_at = ?, last_status = ?, failure_count = CASE WHEN ? = 1 THEN 0 ELSE failure_count + 1 END
+            WHERE id = ?
+        `).run(toIsoNow(), String(status), ok ? 1 : 0, id);
+    }
+
+    return {
+        kind: 'sqlite',
+        dbPath,
+        // The schema is created synchronously above; kept for the adapter interface.
+        init: () => undefined,
+        close: () => db.close(),
+        getSchemaStatus: () => migrator.status(),
+        upsertFunction,
+        listFunctions,
+        getAllFunctions,
+        getFunctionsByIds,
+        getEmbeddingRows,
+        getFunctionById,
+        findFunctionIdsByName,
+        resolveMergedFunction,
+        replaceDuplicatePairs,
+        listDuplicatePairs,
+        mergeFunctions,
+        getFunctionDependencies,
+        findActiveFunctionByName,
+        findByFingerprint,
+        listFunctionsAfter,
+        importFunction,
+        countFunctions,
+        countFunctionsByStatus,
+        countFunctionsByEmbeddingModel,
+        countFunctionsByWorkspace,
+        getClientUsage,
+        listWorkspaces,
+        getWorkspace,
+        createWorkspace,
+        updateWorkspace,
+        deleteWorkspace,
+        setFunctionStatus,
+        deleteFunction,
+        listModerationLog,
+        recordFunctionRun,
+        getRunStats,
+        getRunStatsByIds,
+        listFunctionRuns,
+        bm25Search,
+        listFunctionVersions,
+        getFunctionVersion,
+        getFunctionVersionRows,
+        getLatestVersionNumber,
+        rollbackFunction,
+        createApiToken,
+        getApiToken,
+        findActiveApiTokenByHash,
+        listApiTokens,
+        touchApiToken,
+        revokeApiToken,
+        listWebhooks,
+        getWebhook,
+        createWebhook,
+        deleteWebhook,
+        recordWebhookDelivery
+    };
+}
+
+module.exports = {
+    createSqliteStorage,
+    openSqliteMigrator,
+    resolveDbPath
+};
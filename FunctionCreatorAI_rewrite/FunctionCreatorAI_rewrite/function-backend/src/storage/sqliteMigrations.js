@@ -0,0 +1,284 @@
+const { safeJsonParse, toIsoNow } = require('../utils');
+const { extractDependencies } = require('../dependencies');
+const { DEFAULT_WORKSPACE } = require('../workspaces');
+const {
+    SCHEMA_MIGRATIONS_TABLE_SQL,
+    WEBHOOKS_TABLE_SQL,
+    assertMigrationList,
+    assertSchemaNotNewer,
+    summarizeMigrations
+} = require('./migrations');
+
+function ensureColumn(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (columns.some((col) => col.name === column)) return;
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// Fingerprints used to be unique across the whole catalog; they are now unique per workspace.
+// SQLite cannot drop a column constraint, so older databases get the table rebuilt once.
+function dropGlobalFingerprintUnique(db) {
+    const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'functions'").get();
+    if (!table || !/fingerprint TEXT UNIQUE/i.test(table.sql)) return;
+    const rebuildSql = table.sql
+        .replace(/^CREATE TABLE\s+(?:IF NOT EXISTS\s+)?"?functions"?/i, 'CREATE TABLE functions_rebuild')
+        .replace(/fingerprint TEXT UNIQUE/i, 'fingerprint TEXT');
+    db.transaction(() => {
+        db.exec(rebuildSql);
+        db.exec('INSERT INTO functions_rebuild SELECT * FROM functions');
+        db.exec('DROP TABLE functions');
+        db.exec('ALTER TABLE functions_rebuild RENAME TO functions');
+    })();
+}
+
+// Databases created before migrations existed are adopted by the baseline, so every step in it must be
+// idempotent. Later schema changes are appended as new versions; never edit a migration that has shipped.
+function baselineSchema(db) {
+    dropGlobalFingerprintUnique(db);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS functions (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            description TEXT,
+            function_json TEXT NOT NULL,
+            embedding_json TEXT,
+            metadata_json TEXT,
+            sites_json TEXT,
+            searchable_text TEXT NOT NULL,
+            fingerprint TEXT,
+            source_extension TEXT,
+            verified INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_functions_name ON functions(name);
+        CREATE INDEX IF NOT EXISTS idx_functions_updated ON functions(updated_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_functions_fingerprint ON functions(fingerprint);
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS function_fts USING fts5(
+            function_id UNINDEXED,
+            searchable_text
+        );
+
+        CREATE TABLE IF NOT EXISTS function_versions (
+            function_id TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            function_json TEXT NOT NULL,
+            embedding_json TEXT,
+            metadata_json TEXT,
+            sites_json TEXT,
+            searchable_text TEXT NOT NULL,
+            fingerprint TEXT,
+            source_extension TEXT,
+            verified INTEGER NOT NULL DEFAULT 0,
+            change_type TEXT NOT NULL DEFAULT 'upsert',
+            created_at TEXT NOT NULL,
+            PRIMARY KEY (function_id, version)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_function_versions_created ON function_versions(function_id, created_at DESC);
+
+        CREATE TABLE IF NOT EXISTS function_duplicates (
+            function_id TEXT NOT NULL,
+            duplicate_id TEXT NOT NULL,
+            similarity REAL NOT NULL,
+            vector_similarity REAL,
+            step_overlap REAL,
+            detected_at TEXT NOT NULL,
+            PRIMARY KEY (function_id, duplicate_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_function_duplicates_duplicate ON function_duplicates(duplicate_id);
+
+        -- Sub-functions are referenced by name, so edges survive the callee being re-uploaded or uploaded later.
+        CREATE TABLE IF NOT EXISTS function_dependencies (
+            function_id TEXT NOT NULL,
+            dependency_name TEXT NOT NULL COLLATE NOCASE,
+            via TEXT NOT NULL,
+            PRIMARY KEY (function_id, dependency_name)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_function_dependencies_name ON function_dependencies(dependency_name);
+
+        CREATE TABLE IF NOT EXISTS workspaces (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            description TEXT,
+            visibility TEXT NOT NULL DEFAULT 'private',
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS api_tokens (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            scopes_json TEXT NOT NULL,
+            client_id TEXT,
+            created_at TEXT NOT NULL,
+            last_used_at TEXT,
+            revoked_at TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS moderation_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            function_id TEXT NOT NULL,
+            function_name TEXT,
+            action TEXT NOT NULL,
+            reason TEXT,
+            actor TEXT,
+            created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_moderation_log_function ON moderation_log(function_id, created_at DESC);
+
+        CREATE TABLE IF NOT EXISTS function_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            function_id TEXT NOT NULL,
+            success INTEGER NOT NULL,
+            failed_step INTEGER,
+            duration_ms INTEGER,
+            url_host TEXT,
+            error TEXT,
+            client_id TEXT,
+            created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_function_runs_function ON function_runs(function_id, created_at DESC);
+
+        CREATE TABLE IF NOT EXISTS function_run_stats (
+            function_id TEXT PRIMARY KEY,
+            run_count INTEGER NOT NULL DEFAULT 0,
+            success_count INTEGER NOT NULL DEFAULT 0,
+            consecutive_failures INTEGER NOT NULL DEFAULT 0,
+            last_run_at TEXT,
+            last_success_at TEXT,
+            last_failure_at TEXT,
+            last_failure_step INTEGER,
+            last_failure_host TEXT,
+            last_failure_error TEXT
+        );
+    `);
+
+    // Moderation state: 'active' is searchable, 'pending' awaits approval, 'quarantined' is hidden but kept.
+    ensureColumn(db, 'functions', 'status', "TEXT NOT NULL DEFAULT 'active'");
+    ensureColumn(db, 'functions', 'status_reason', 'TEXT');
+    ensureColumn(db, 'functions', 'status_updated_at', 'TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_functions_status ON functions(status)');
+
+    // Workspaces: every function belongs to exactly one; the built-in public "default" holds legacy rows.
+    ensureColumn(db, 'functions', 'workspace', `TEXT NOT NULL DEFAULT '${DEFAULT_WORKSPACE}'`);
+    ensureColumn(db, 'api_tokens', 'workspace', 'TEXT');
+    db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_functions_workspace_fingerprint ON functions(workspace, fingerprint);
+        CREATE INDEX IF NOT EXISTS idx_functions_workspace ON functions(workspace, status);
+    `);
+    // Merged functions redirect to the canonical function they were folded into.
+    ensureColumn(db, 'functions', 'merged_into', 'TEXT');
+
+    db.prepare(`
+        INSERT OR IGNORE INTO workspaces (id, name, description, visibility, created_at, updated_at)
+        VALUES (?, 'Default', 'Shared workspace for functions uploaded without a workspace', 'public', ?, ?)
+    `).run(DEFAULT_WORKSPACE, toIsoNow(), toIsoNow());
+
+    // Embedding space: vectors are only comparable within the same model and dimension.
+    ['functions', 'function_versions'].forEach((table) => {
+        ensureColumn(db, table, 'embedding_model', 'TEXT');
+        ensureColumn(db, table, 'embedding_dim', 'INTEGER');
+        db.exec(`
+            UPDATE ${table} SET embedding_dim = json_array_length(embedding_json)
+            WHERE embedding_json IS NOT NULL AND embedding_dim IS NULL
+        `);
+    });
+
+    // Functions stored before version tracking existed get their current state as version 1.
+    db.exec(`
+        INSERT INTO function_versions (
+            function_id, version, name, description, function_json, embedding_json, embedding_model, embedding_dim,
+            metadata_json, sites_json, searchable_text, fingerprint, source_extension, verified, change_type, created_at
+        )
+        SELECT
+            id, 1, name, description, function_json, embedding_json, embedding_model, embedding_dim,
+            metadata_json, sites_json, searchable_text, fingerprint, source_extension, verified, 'baseline', updated_at
+        FROM functions
+        WHERE id NOT IN (SELECT DISTINCT function_id FROM function_versions)
+    `);
+
+    // Rows stored before dependency tracking existed; only definitions mentioning executeFunction can have edges.
+    const insertDependencyStmt = db.prepare(`
+        INSERT OR IGNORE INTO function_dependencies (function_id, dependency_name, via) VALUES (?, ?, ?)
+    `);
+    db.prepare(`
+        SELECT id, function_json FROM functions
+        WHERE function_json LIKE '%executeFunction%'
+            AND id NOT IN (SELECT DISTINCT function_id FROM function_dependencies)
+    `).all().forEach((row) => {
+        extractDependencies(safeJsonParse(row.function_json, {}))
+            .forEach((dependency) => insertDependencyStmt.run(row.id, dependency.name, dependency.via));
+    });
+}
+
+// Moderation log entries carry the function's workspace so workspace-bound admins only see their own.
+// Entries of functions deleted before this keep a NULL workspace and are visible to unbound admins only.
+function moderationLogWorkspace(db) {
+    ensureColumn(db, 'moderation_log', 'workspace', 'TEXT');
+    db.exec(`
+        UPDATE moderation_log
+        SET workspace = (SELECT workspace FROM functions WHERE functions.id = moderation_log.function_id)
+        WHERE workspace IS NULL
+    `);
+}
+
+// Quotas are charged to an owner the server derives from the caller, not to the client id an upload claims.
+// Rows stored before this keep the client id they were attributed to.
+function functionQuotaOwner(db) {
+    ensureColumn(db, 'functions', 'quota_owner', 'TEXT');
+    db.exec(`
+        UPDATE functions SET quota_owner = 'client:' || source_extension
+        WHERE quota_owner IS NULL AND COALESCE(source_extension, '') <> ''
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_functions_quota_owner ON functions(quota_owner)');
+}
+
+const SQLITE_MIGRATIONS = assertMigrationList([
+    { version: 1, name: 'baseline schema', up: baselineSchema },
+    { version: 2, name: 'webhooks', up: (db) => db.exec(WEBHOOKS_TABLE_SQL) },
+    { version: 3, name: 'moderation log workspace', up: moderationLogWorkspace },
+    { version: 4, name: 'function quota owner', up: functionQuotaOwner }
+], 'SQLite');
+
+function createSqliteMigrator(db) {
+    db.exec(SCHEMA_MIGRATIONS_TABLE_SQL);
+    const recordStmt = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    function status() {
+        return summarizeMigrations(SQLITE_MIGRATIONS, db.prepare('SELECT * FROM schema_migrations').all());
+    }
+
+    // All pending migrations commit together or not at all.
+    const txApply = db.transaction((pending) => {
+        pending.forEach(({ version, name }) => {
+            SQLITE_MIGRATIONS[version - 1].up(db);
+            recordStmt.run(version, name, toIsoNow());
+        });
+    });
+
+    // Applies pending migrations and returns them; throws when the database is newer than this build.
+    function up() {
+        const current = status();
+        assertSchemaNotNewer(current, 'SQLite');
+        if (current.pending.length > 0) txApply(current.pending);
+        return current.pending;
+    }
+
+    return { status, up };
+}
+
+module.exports = {
+    SQLITE_MIGRATIONS,
+    createSqliteMigrator
+};
@@ -117,6 +117,24 @@ function buildSearchableText(functionDef = {}, metadata = {}) {
         .join('\n');
 }
 
+function normalizeEmbeddingModel(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+// Vectors are comparable only inside one embedding space (same model, same dimension).
+// Legacy rows stored without a model name fall back to a dimension-only check.
+function isSameEmbeddingSpace(a = {}, b = {}) {
+    if (!a.dimension || a.dimension !== b.dimension) return false;
+    const known = (model) => {
+        const normalized = normalizeEmbeddingModel(model);
+        return normalized === 'unknown' ? '' : normalized;
+    };
+    const modelA = known(a.model);
+    const modelB = known(b.model);
+    if (!modelA || !modelB) return true;
+    return modelA === modelB;
+}
+
 function cosineSimilarity(a, b) {
     if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || b.length === 0 || a.length !== b.length) {
         return 0;
@@ -154,17 +172,46 @@ function generateFingerprint(functionDef = {}, metadata = {}) {
     return crypto.createHash('sha256').update(basis).digest('hex');
 }
 
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function diffJson(before, after, basePath = '') {
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+    const bothObjects = isPlainObject(before) && isPlainObject(after);
+    if (!bothArrays && !bothObjects) {
+        if (before === undefined) return [{ path: basePath || '$', op: 'added', after }];
+        if (after === undefined) return [{ path: basePath || '$', op: 'removed', before }];
+        return [{ path: basePath || '$', op: 'changed', before, after }];
+    }
+
+    const keys = bothArrays
+        ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+        : Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+
+    return keys.flatMap((key) => {
+        const childPath = bothArrays ? `${basePath}[${key}]` : (basePath ? `${basePath}.${key}` : String(key));
+        return diffJson(before[key], after[key], childPath);
+    });
+}
+
 module.exports = {
     buildFtsQuery,
     buildSearchableText,
     clamp,
     cosineSimilarity,
+    diffJson,
     generateFingerprint,
+    isSameEmbeddingSpace,
     normalizeBm25Score,
+    normalizeEmbeddingModel,
     normalizePatternList,
     safeJsonParse,
     toIsoNow,
     toNumberArray,
     tokenizeText,
+    urlMatchesPattern,
     urlMatchesPatterns
 };
@@ -0,0 +1,199 @@
+const { normalizePatternList } = require('./utils');
+
+// Step vocabulary of the extension executor (`executeAIStep` in background.js), with required and
+// optional fields in the shape of `AIService.TOOL_DEFINITIONS`. Fields not listed here are allowed.
+// `allowEmpty` fields must be present but may be an empty string (typing "" clears a field).
+const STEP_DEFINITIONS = {
+    navigate: { required: ['url'], optional: ['timeout'] },
+    click: { required: ['selector'], optional: ['elementName', 'timeout'] },
+    type: { required: ['selector', 'value'], optional: ['elementName'], allowEmpty: ['value'] },
+    pressKey: { required: ['key'], optional: ['selector'] },
+    scroll: { required: [], optional: ['selector', 'amount', 'direction'] },
+    wait: { required: [], optional: ['selector', 'timeout', 'condition', 'value'] },
+    extract: { required: ['selector'], optional: ['pattern'] },
+    script: { required: ['code'], optional: [] },
+    smartScrape: { required: [], optional: ['returnAs'] },
+    executeFunction: { required: ['functionName'], optional: ['inputs'] },
+    extractScript: { required: ['containerSelector', 'fields'], optional: [] },
+    literalClick: { required: [], optional: ['selector', 'x', 'y', 'timeout'] },
+    literalType: { required: [], optional: ['selector', 'value', 'key', 'code'] },
+    literalKeydown: { required: ['key'], optional: ['selector', 'code'] },
+    hover: { required: ['selector'], optional: [] },
+    switchTab: { required: [], optional: ['url', 'title'] },
+    waitForStableContent: { required: [], optional: ['timeout', 'stabilityPeriod', 'checkInterval'] },
+    computerUseNavigate: { required: [], optional: ['target', 'options', 'useCurrentTab'] },
+    screenshot: { required: [], optional: [] },
+    screenshotFullPage: { required: [], optional: [] },
+    getLargestText: { required: [], optional: [] },
+    returnValue: { required: [], optional: ['selectedText'] },
+    note: { required: [], optional: [] },
+    makeWebpage: { required: [], optional: ['title', 'template', 'content'] },
+    modifyWebsite: { required: ['modifications'], optional: [] },
+    makeFile: { required: [], optional: ['content', 'format', 'filename'] },
+    callEmbedding: { required: ['texts'], optional: ['useOllama'] },
+    notepad: { required: ['action'], optional: ['key', 'value'] },
+    genericAI: { required: ['prompt'], optional: ['model', 'schema', 'useOllama'] }
+};
+
+const FIELD_KINDS = {
+    url: ['string'],
+    selector: ['string'],
+    value: ['string', 'number', 'boolean'],
+    key: ['string'],
+    code: ['string'],
+    description: ['string'],
+    elementName: ['string'],
+    timeout: ['number'],
+    amount: ['number', 'string'],
+    direction: ['string'],
+    condition: ['string'],
+    pattern: ['string'],
+    returnAs: ['string'],
+    functionName: ['string'],
+    inputs: ['object'],
+    containerSelector: ['string'],
+    fields: ['array'],
+    x: ['number'],
+    y: ['number'],
+    title: ['string'],
+    stabilityPeriod: ['number'],
+    checkInterval: ['number'],
+    useCurrentTab: ['boolean'],
+    modifications: ['array', 'object'],
+    filename: ['string'],
+    format: ['string'],
+    texts: ['array', 'string'],
+    useOllama: ['boolean'],
+    action: ['string'],
+    prompt: ['string'],
+    model: ['string'],
+    schema: ['object', 'string']
+};
+
+const WAIT_CONDITIONS = ['selector', 'text', 'time'];
+
+// Same rules as `findDisallowedScriptOperation` in the extension's background.js; keep the two lists in sync.
+const DISALLOWED_SCRIPT_RULES = [
+    { label: 'eval()', regex: /(^|[^\w$])eval\s*\(/i },
+    { label: 'new Function()', regex: /\bnew\s+Function\s*\(/i },
+    { label: 'Function()', regex: /(^|[^\w$])Function\s*\(/i },
+    { label: 'page.evaluate()', regex: /\bpage\s*\.\s*evaluate\s*\(/i },
+    { label: 'page.goto()', regex: /\bpage\s*\.\s*goto\s*\(/i },
+    { label: 'page.extract({...})', regex: /\bpage\s*\.\s*extract\s*\(\s*\{/i },
+    { label: 'XMLHttpRequest', regex: /\bXMLHttpRequest\b/i },
+    { label: 'document.cookie', regex: /\bdocument\s*\.\s*cookie\b/i },
+    { label: 'localStorage', regex: /\blocalStorage\b/i },
+    { label: 'sessionStorage', regex: /\bsessionStorage\b/i },
+    { label: 'page.waitForSelector()', regex: /\bpage\s*\.\s*waitForSelector\s*\(/i }
+];
+
+function findDisallowedScriptOperation(code = '') {
+    const text = String(code || '');
+    const rule = DISALLOWED_SCRIPT_RULES.find((item) => item.regex.test(text));
+    return rule ? rule.label : '';
+}
+
+function kindOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+}
+
+function validateStep(step, path) {
+    if (kindOf(step) !== 'object') {
+        return [{ path, message: 'Step must be an object' }];
+    }
+    if (typeof step.type !== 'string' || !step.type.trim()) {
+        return [{ path: `${path}.type`, message: 'Step type is required' }];
+    }
+    const definition = STEP_DEFINITIONS[step.type];
+    if (!definition) {
+        return [{ path: `${path}.type`, message: `Unknown step type "${step.type}"` }];
+    }
+
+    const errors = [];
+    definition.required
+        .filter((field) => isBlank(step[field])
+            && !(typeof step[field] === 'string' && (definition.allowEmpty || []).includes(field)))
+        .forEach((field) => errors.push({ path: `${path}.${field}`, message: `"${field}" is required for ${step.type} steps` }));
+
+    Object.entries(step).forEach(([field, value]) => {
+        const kinds = FIELD_KINDS[field];
+        if (!kinds || value === undefined || value === null) return;
+        if (!kinds.includes(kindOf(value))) {
+            errors.push({ path: `${path}.${field}`, message: `Expected ${kinds.join(' or ')}, got ${kindOf(value)}` });
+        } else if (field === 'timeout' && !(Number.isFinite(value) && value >= 0)) {
+            errors.push({ path: `${path}.timeout`, message: 'Timeout must be a non-negative number of milliseconds' });
+        }
+    });
+
+    if (step.type === 'wait' && step.condition !== undefined && !WAIT_CONDITIONS.includes(step.condition)) {
+        errors.push({ path: `${path}.condition`, message: `Expected one of ${WAIT_CONDITIONS.join(', ')}` });
+    }
+    if (step.type === 'script' && typeof step.code === 'string') {
+        const operation = findDisallowedScriptOperation(step.code);
+        if (operation) {
+            errors.push({ path: `${path}.code`, message: `Script contains disallowed operation: ${operation}` });
+        }
+    }
+    return errors;
+}
+
+function validateInputs(inputs) {
+    if (inputs === undefined) return [];
+    if (!Array.isArray(inputs)) return [{ path: 'inputs', message: 'Expected array' }];
+    return inputs.flatMap((input, index) => {
+        const path = `inputs[${index}]`;
+        if (kindOf(input) !== 'object') return [{ path, message: 'Input must be an object' }];
+        const errors = [];
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            errors.push({ path: `${path}.name`, message: 'Input name is required' });
+        }
+        if (input.type !== undefined && typeof input.type !== 'string') {
+            errors.push({ path: `${path}.type`, message: `Expected string, got ${kindOf(input.type)}` });
+        }
+        return errors;
+    });
+}
+
+/**
+ * Static checks for a function definition before it enters the shared catalog.
+ * Returns field-level errors as [{ path, message }]; an empty array means the definition is valid.
+ */
+function validateFunctionDef(functionDef) {
+    if (kindOf(functionDef) !== 'object') {
+        return [{ path: '$', message: 'functionDef must be an object' }];
+    }
+    const errors = [];
+    if (typeof functionDef.name !== 'string' || !functionDef.name.trim()) {
+        errors.push({ path: 'name', message: '"name" is required' });
+    }
+    if (functionDef.description !== undefined && typeof functionDef.description !== 'string') {
+        errors.push({ path: 'description', message: `Expected string, got ${kindOf(functionDef.description)}` });
+    }
+    if (functionDef.urlPatterns !== undefined
+        && !Array.isArray(functionDef.urlPatterns) && typeof functionDef.urlPatterns !== 'string') {
+        errors.push({ path: 'urlPatterns', message: 'Expected array of URL patterns' });
+    } else if (Array.isArray(functionDef.urlPatterns)
+        && normalizePatternList(functionDef.urlPatterns).length !== functionDef.urlPatterns.length) {
+        errors.push({ path: 'urlPatterns', message: 'URL patterns must be non-empty strings' });
+    }
+    errors.push(...validateInputs(functionDef.inputs));
+
+    if (functionDef.steps !== undefined && !Array.isArray(functionDef.steps)) {
+        errors.push({ path: 'steps', message: 'Expected array' });
+    } else {
+        (functionDef.steps || []).forEach((step, index) => errors.push(...validateStep(step, `steps[${index}]`)));
+    }
+    return errors;
+}
+
+module.exports = {
+    STEP_DEFINITIONS,
+    findDisallowedScriptOperation,
+    validateFunctionDef
+};
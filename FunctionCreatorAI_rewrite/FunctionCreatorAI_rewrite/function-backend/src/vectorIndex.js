@@ -0,0 +1,549 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    isSameEmbeddingSpace,
+    normalizeEmbeddingModel,
+    safeJsonParse,
+    toNumberArray
+} = require('./utils');
+
+const INDEX_FORMAT_VERSION = 2;
+
+function normalizeVector(vector) {
+    const out = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < out.length; i += 1) norm += out[i] * out[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < out.length; i += 1) out[i] /= norm;
+    }
+    return out;
+}
+
+function cosineDistance(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i += 1) dot += a[i] * b[i];
+    return 1 - dot;
+}
+
+// Binary heap ordered by `distance`; `max` flips it into a max-heap.
+function createHeap(max = false) {
+    const items = [];
+    const before = max
+        ? (a, b) => a.distance > b.distance
+        : (a, b) => a.distance < b.distance;
+
+    function push(item) {
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!before(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    function pop() {
+        if (items.length === 0) return undefined;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = (2 * i) + 1;
+                const right = left + 1;
+                let next = i;
+                if (left < items.length && before(items[left], items[next])) next = left;
+                if (right < items.length && before(items[right], items[next])) next = right;
+                if (next === i) break;
+                [items[i], items[next]] = [items[next], items[i]];
+                i = next;
+            }
+        }
+        return top;
+    }
+
+    return {
+        push,
+        pop,
+        peek: () => items[0],
+        get size() {
+            return items.length;
+        },
+        toArray: () => items.slice()
+    };
+}
+
+/**
+ * Hierarchical Navigable Small World graph over cosine distance.
+ * Labels are function ids; re-adding a label replaces its vector.
+ */
+function createHnswIndex({
+    dimension,
+    M = 16,
+    efConstruction = 100,
+    efSearch = 64
+} = {}) {
+    if (!Number.isInteger(dimension) || dimension <= 0) {
+        throw new Error('HNSW index requires a positive integer dimension');
+    }
+
+    const maxNeighbors = M;
+    const maxNeighborsLevel0 = M * 2;
+    const levelMultiplier = 1 / Math.log(M);
+
+    let vectors = [];
+    let levels = [];
+    let neighbors = [];
+    let labels = [];
+    let stamps = [];
+    let deleted = [];
+    let nodeByLabel = new Map();
+    let entryPoint = -1;
+    let maxLevel = -1;
+    let deletedCount = 0;
+    // Visit marks by generation avoid allocating a Set per layer search.
+    let visitedGeneration = [];
+    let generation = 0;
+
+    function randomLevel() {
+        return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * levelMultiplier);
+    }
+
+    function distanceTo(query, node) {
+        return cosineDistance(query, vectors[node]);
+    }
+
+    function greedyClosest(query, start, level) {
+        let current = start;
+        let currentDistance = distanceTo(query, current);
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const candidate of neighbors[current][level] || []) {
+                const d = distanceTo(query, candidate);
+                if (d < currentDistance) {
+                    current = candidate;
+                    currentDistance = d;
+                    improved = true;
+                }
+            }
+        }
+        return current;
+    }
+
+    function searchLayer(query, entry, ef, level) {
+        generation += 1;
+        visitedGeneration[entry] = generation;
+        const entryDistance = distanceTo(query, entry);
+        const candidates = createHeap(false);
+        const results = createHeap(true);
+        candidates.push({ node: entry, distance: entryDistance });
+        results.push({ node: entry, distance: entryDistance });
+
+        while (candidates.size > 0) {
+            const closest = candidates.pop();
+            if (closest.distance > results.peek().distance && results.size >= ef) break;
+
+            for (const next of neighbors[closest.node][level] || []) {
+                if (visitedGeneration[next] === generation) continue;
+                visitedGeneration[next] = generation;
+                const d = distanceTo(query, next);
+                if (results.size < ef || d < results.peek().distance) {
+                    candidates.push({ node: next, distance: d });
+                    results.push({ node: next, distance: d });
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.toArray().sort((a, b) => a.distance - b.distance);
+    }
+
+    // Neighbour-selection heuristic from the HNSW paper: prefer candidates that are
+    // closer to the base node than to any already-selected neighbour, so clusters stay connected.
+    function selectNeighbors(sortedCandidates, limit) {
+        const selected = [];
+        const pruned = [];
+        for (const candidate of sortedCandidates) {
+            if (selected.length >= limit) break;
+            const dominated = selected.some((chosen) => (
+                cosineDistance(vectors[candidate.node], vectors[chosen.node]) < candidate.distance
+            ));
+            if (dominated) pruned.push(candidate);
+            else selected.push(candidate);
+        }
+        for (const candidate of pruned) {
+            if (selected.length >= limit) break;
+            selected.push(candidate);
+        }
+        return selected.map((item) => item.node);
+    }
+
+    // Back-links may overflow by half the limit before being pruned with the heuristic,
+    // which amortises the pruning cost across inserts without hurting recall.
+    function shrinkConnections(node, level) {
+        const limit = level === 0 ? maxNeighborsLevel0 : maxNeighbors;
+        const current = neighbors[node][level];
+        if (current.length <= limit + (limit >> 1)) return;
+        const sorted = current
+            .map((other) => ({ node: other, distance: cosineDistance(vectors[node], vectors[other]) }))
+            .sort((a, b) => a.distance - b.distance);
+        neighbors[node][level] = selectNeighbors(sorted, limit);
+    }
+
+    function markDeleted(label) {
+        const node = nodeByLabel.get(label);
+        if (node === undefined) return false;
+        deleted[node] = true;
+        deletedCount += 1;
+        nodeByLabel.delete(label);
+        return true;
+    }
+
+    function add(label, vector, stamp = null) {
+        if (!vector || vector.length !== dimension) {
+            throw new Error(`Vector dimension ${vector?.length || 0} does not match index dimension ${dimension}`);
+        }
+        markDeleted(label);
+
+        const node = vectors.length;
+        const level = randomLevel();
+        vectors.push(normalizeVector(vector));
+        levels.push(level);
+        neighbors.push(Array.from({ length: level + 1 }, () => []));
+        labels.push(label);
+        stamps.push(stamp);
+        deleted.push(false);
+        nodeByLabel.set(label, node);
+
+        if (entryPoint === -1) {
+            entryPoint = node;
+            maxLevel = level;
+            return;
+        }
+
+        const query = vectors[node];
+        let current = entryPoint;
+        for (let l = maxLevel; l > level; l -= 1) {
+            current = greedyClosest(query, current, l);
+        }
+
+        for (let l = Math.min(level, maxLevel); l >= 0; l -= 1) {
+            const found = searchLayer(query, current, efConstruction, l);
+            const limit = l === 0 ? maxNeighborsLevel0 : maxNeighbors;
+            const chosen = selectNeighbors(found, limit);
+            neighbors[node][l] = chosen;
+            for (const other of chosen) {
+                neighbors[other][l].push(node);
+                shrinkConnections(other, l);
+            }
+            current = found[0].node;
+        }
+
+        if (level > maxLevel) {
+            maxLevel = level;
+            entryPoint = node;
+        }
+    }
+
+    function search(vector, k = 10, ef = efSearch) {
+        if (entryPoint === -1 || !vector || vector.length !== dimension) return [];
+        const query = normalizeVector(vector);
+        let current = entryPoint;
+        for (let l = maxLevel; l > 0; l -= 1) {
+            current = greedyClosest(query, current, l);
+        }
+        const found = searchLayer(query, current, Math.max(ef, k), 0);
+        const results = [];
+        for (const item of found) {
+            if (deleted[item.node]) continue;
+            results.push({ label: labels[item.node], similarity: 1 - item.distance });
+            if (results.length >= k) break;
+        }
+        return results;
+    }
+
+    function getStamp(label) {
+        const node = nodeByLabel.get(label);
+        return node === undefined ? undefined : stamps[node];
+    }
+
+    function serialize() {
+        const buffer = Buffer.alloc(vectors.length * dimension * 4);
+        vectors.forEach((vector, node) => {
+            Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).copy(buffer, node * dimension * 4);
+        });
+        return {
+            meta: {
+                formatVersion: INDEX_FORMAT_VERSION,
+                dimension,
+                M,
+                efConstruction,
+                entryPoint,
+                maxLevel,
+                levels,
+                neighbors,
+                labels,
+                stamps,
+                deleted: deleted.reduce((acc, isDeleted, node) => (isDeleted ? acc.concat(node) : acc), [])
+            },
+            vectorBuffer: buffer
+        };
+    }
+
+    function restore(meta, vectorBuffer) {
+        const count = meta.labels.length;
+        // Copy into an aligned buffer; file buffers are not guaranteed to be 4-byte aligned.
+        const all = new Float32Array(count * dimension);
+        Buffer.from(all.buffer).set(vectorBuffer.subarray(0, all.byteLength));
+        vectors = Array.from({ length: count }, (_, node) => all.subarray(node * dimension, (node + 1) * dimension));
+        levels = meta.levels;
+        neighbors = meta.neighbors;
+        labels = meta.labels;
+        stamps = meta.stamps;
+        deleted = new Array(count).fill(false);
+        meta.deleted.forEach((node) => {
+            deleted[node] = true;
+        });
+        deletedCount = meta.deleted.length;
+        nodeByLabel = new Map();
+        labels.forEach((label, node) => {
+            if (!deleted[node]) nodeByLabel.set(label, node);
+        });
+        entryPoint = meta.entryPoint;
+        maxLevel = meta.maxLevel;
+    }
+
+    return {
+        dimension,
+        add,
+        remove: markDeleted,
+        search,
+        getStamp,
+        has: (label) => nodeByLabel.has(label),
+        labels: () => Array.from(nodeByLabel.keys()),
+        serialize,
+        restore,
+        get size() {
+            return nodeByLabel.size;
+        },
+        get deletedRatio() {
+            return vectors.length === 0 ? 0 : deletedCount / vectors.length;
+        }
+    };
+}
+
+function spaceKey(model, dimension) {
+    const safeModel = normalizeEmbeddingModel(model).replace(/[^a-z0-9._-]+/g, '_') || 'unknown';
+    return `${safeModel}__dim${dimension}`;
+}
+
+/**
+ * Keeps one HNSW graph per embedding space (model + dimension), mirrors the functions table and persists to disk.
+ * Used by hybridSearch to pre-select vector candidates instead of scanning every embedding.
+ */
+function createVectorIndex(dbClient, {
+    dirPath = process.env.VECTOR_INDEX_DIR || path.join(path.dirname(dbClient.dbPath), 'vector-index'),
+    saveDelayMs = 5000,
+    rebuildDeletedRatio = 0.3,
+    hnswOptions = {}
+} = {}) {
+    const spaces = new Map();
+    const modelBySpace = new Map();
+    const spaceByLabel = new Map();
+    let saveTimer = null;
+    let dirty = new Set();
+
+    function filesFor(space) {
+        return {
+            metaPath: path.join(dirPath, `${space}.json`),
+            vectorPath: path.join(dirPath, `${space}.vec`)
+        };
+    }
+
+    function getSpace(space, dimension, model) {
+        if (!spaces.has(space)) {
+            spaces.set(space, createHnswIndex({ ...hnswOptions, dimension }));
+            modelBySpace.set(space, normalizeEmbeddingModel(model));
+        }
+        return spaces.get(space);
+    }
+
+    function loadFromDisk() {
+        if (!fs.existsSync(dirPath)) return;
+        for (const file of fs.readdirSync(dirPath)) {
+            if (!file.endsWith('.json')) continue;
+            const space = file.slice(0, -'.json'.length);
+            const { metaPath, vectorPath } = filesFor(space);
+            try {
+                const meta = safeJsonParse(fs.readFileSync(metaPath, 'utf8'), null);
+                if (!meta || meta.formatVersion !== INDEX_FORMAT_VERSION || !fs.existsSync(vectorPath)) continue;
+                const index = createHnswIndex({ ...hnswOptions, dimension: meta.dimension });
+                index.restore(meta, fs.readFileSync(vectorPath));
+                spaces.set(space, index);
+                modelBySpace.set(space, normalizeEmbeddingModel(meta.model));
+                index.labels().forEach((label) => spaceByLabel.set(label, space));
+            } catch (error) {
+                // eslint-disable-next-line no-console
+                console.warn(`[function-backend] ignoring unreadable vector index ${space}: ${error.message}`);
+            }
+        }
+    }
+
+    function remove(label) {
+        const space = spaceByLabel.get(label);
+        if (!space) return false;
+        spaces.get(space)?.remove(label);
+        spaceByLabel.delete(label);
+        dirty.add(space);
+        scheduleSave();
+        return true;
+    }
+
+    function upsert(label, embedding, stamp = null, model = '') {
+        const vector = toNumberArray(embedding);
+        if (!vector) {
+            remove(label);
+            return;
+        }
+        const space = spaceKey(model, vector.length);
+        if (spaceByLabel.has(label) && spaceByLabel.get(label) !== space) {
+            remove(label);
+        }
+        getSpace(space, vector.length, model).add(label, vector, stamp);
+        spaceByLabel.set(label, space);
+        dirty.add(space);
+        scheduleSave();
+    }
+
+    async function rebuildSpace(space) {
+        const old = spaces.get(space);
+        if (!old) return;
+        const fresh = createHnswIndex({ ...hnswOptions, dimension: old.dimension });
+        spaces.set(space, fresh);
+        for (const row of await dbClient.getEmbeddingRows(old.labels())) {
+            const vector = toNumberArray(safeJsonParse(row.embedding_json, null));
+            if (vector && vector.length === old.dimension) fresh.add(row.id, vector, row.updated_at);
+        }
+        dirty.add(space);
+    }
+
+    // Bring the persisted graph in line with the table: add/refresh changed rows, drop deleted ones.
+    async function syncFromDatabase() {
+        const seen = new Set();
+        let changed = 0;
+        for (const row of await dbClient.getEmbeddingRows()) {
+            seen.add(row.id);
+            const space = spaceByLabel.get(row.id);
+            if (space && spaces.get(space)?.getStamp(row.id) === row.updated_at) continue;
+            upsert(row.id, safeJsonParse(row.embedding_json, null), row.updated_at, row.embedding_model);
+            changed += 1;
+        }
+        for (const label of Array.from(spaceByLabel.keys())) {
+            if (!seen.has(label)) {
+                remove(label);
+                changed += 1;
+            }
+        }
+        for (const [space, index] of spaces) {
+            if (index.deletedRatio > rebuildDeletedRatio) await rebuildSpace(space);
+        }
+        return changed;
+    }
+
+    function save() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        if (dirty.size === 0) return;
+        fs.mkdirSync(dirPath, { recursive: true });
+        for (const space of dirty) {
+            const index = spaces.get(space);
+            if (!index) continue;
+            const { metaPath, vectorPath } = filesFor(space);
+            const { meta, vectorBuffer } = index.serialize();
+            fs.writeFileSync(`${vectorPath}.tmp`, vectorBuffer);
+            fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify({ ...meta, model: modelBySpace.get(space) || '' }));
+            fs.renameSync(`${vectorPath}.tmp`, vectorPath);
+            fs.renameSync(`${metaPath}.tmp`, metaPath);
+        }
+        dirty = new Set();
+    }
+
+    function scheduleSave() {
+        if (saveTimer || saveDelayMs <= 0) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            try {
+                save();
+            } catch (error) {
+                // eslint-disable-next-line no-console
+                console.warn(`[function-backend] failed to persist vector index: ${error.message}`);
+            }
+        }, saveDelayMs);
+        saveTimer.unref?.();
+    }
+
+    // Searches every space comparable with the query's model, merging hits by similarity.
+    function search(embedding, k = 100, model = '') {
+        const vector = toNumberArray(embedding);
+        if (!vector) return [];
+        const hits = [];
+        for (const [space, index] of spaces) {
+            const comparable = isSameEmbeddingSpace(
+                { model, dimension: vector.length },
+                { model: modelBySpace.get(space), dimension: index.dimension }
+            );
+            if (comparable) hits.push(...index.search(vector, k, Math.max(k, 64)));
+        }
+        return hits.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+    }
+
+    function stats() {
+        return Array.from(spaces.entries()).map(([space, index]) => ({
+            space,
+            model: modelBySpace.get(space) || 'unknown',
+            dimension: index.dimension,
+            size: index.size,
+            deletedRatio: Number(index.deletedRatio.toFixed(3))
+        }));
+    }
+
+    loadFromDisk();
+
+    return {
+        dirPath,
+        upsert,
+        remove,
+        search,
+        save,
+        stats,
+        syncFromDatabase
+    };
+}
+
+// Same interface for storage backends that search vectors natively (Postgres + pgvector): the
+// database keeps itself up to date, so only `search` does any work.
+function createStorageVectorIndex(dbClient) {
+    return {
+        dirPath: null,
+        upsert() {},
+        remove() {
+            return false;
+        },
+        search: (embedding, k = 100, model = '') => dbClient.vectorSearch(toNumberArray(embedding) || [], k, model),
+        save() {},
+        stats: () => [{ space: `${dbClient.kind}:native` }],
+        syncFromDatabase: async () => 0
+    };
+}
+
+module.exports = {
+    createHnswIndex,
+    createStorageVectorIndex,
+    createVectorIndex
+};
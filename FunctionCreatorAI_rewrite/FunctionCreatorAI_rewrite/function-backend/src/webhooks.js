@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { safeJsonParse } = require('./utils');
+
+const RETRY_DELAYS_MS = [1000, 10 * 1000, 60 * 1000];
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function normalizeWebhookUrl(value) {
+    try {
+        const url = new URL(String(value || '').trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+// The secret is only returned when the webhook is created.
+function toWebhookSummary(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        url: row.url,
+        events: safeJsonParse(row.events_json, []),
+        workspace: row.workspace || '',
+        createdAt: row.created_at,
+        lastDeliveryAt: row.last_delivery_at || null,
+        lastStatus: row.last_status || null,
+        failureCount: Number(row.failure_count || 0)
+    };
+}
+
+function webhookMatches(row, event) {
+    const types = safeJsonParse(row.events_json, []);
+    if (types.length > 0 && !types.includes(event.type)) return false;
+    return !row.workspace || row.workspace === event.data?.workspace;
+}
+
+/**
+ * Posts events to the registered webhooks. Each delivery is signed with the webhook's secret
+ * (`X-Function-Backend-Signature: sha256=<hex HMAC of the body>`) and retried with backoff; the outcome
+ * of the last attempt is stored on the webhook. Deliveries never block the request that caused the event.
+ */
+function createWebhookDispatcher(dbClient, {
+    timeoutMs = 5000,
+    retryDelaysMs = RETRY_DELAYS_MS,
+    fetchImpl = (...args) => fetch(...args)
+} = {}) {
+    async function attempt(row, event, body) {
+        try {
+            const response = await fetchImpl(row.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'function-backend-webhooks',
+                    'X-Function-Backend-Event': event.type,
+                    'X-Function-Backend-Delivery': String(event.id),
+                    'X-Function-Backend-Signature': signPayload(row.secret, body)
+                },
+                body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            return { ok: response.ok, status: String(response.status) };
+        } catch (error) {
+            return { ok: false, status: error.name === 'TimeoutError' ? 'timeout' : `error: ${error.message}` };
+        }
+    }
+
+    async function deliver(row, event) {
+        const body = JSON.stringify(event);
+        let result = await attempt(row, event, body);
+        for (const delay of retryDelaysMs) {
+            // Client errors other than rate limiting will not succeed on retry.
+            if (result.ok || (/^4\d\d$/.test(result.status) && result.status !== '429')) break;
+            await new Promise((resolve) => setTimeout(resolve, delay).unref());
+            result = await attempt(row, event, body);
+        }
+        await dbClient.recordWebhookDelivery(row.id, result);
+        return result;
+    }
+
+    async function dispatch(event) {
+        const rows = (await dbClient.listWebhooks()).filter((row) => webhookMatches(row, event));
+        rows.forEach((row) => {
+            deliver(row, event).catch((error) => {
+                // eslint-disable-next-line no-console
+                console.warn(`[function-backend] webhook ${row.id} delivery failed:`, error.message);
+            });
+        });
+        return rows.length;
+    }
+
+    return { deliver, dispatch };
+}
+
+module.exports = {
+    createWebhookDispatcher,
+    generateWebhookSecret,
+    normalizeWebhookUrl,
+    signPayload,
+    toWebhookSummary
+};
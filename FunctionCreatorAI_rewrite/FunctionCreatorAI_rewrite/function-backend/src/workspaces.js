@@ -0,0 +1,69 @@
+const DEFAULT_WORKSPACE = 'default';
+const WORKSPACE_VISIBILITIES = ['private', 'public'];
+
+// Workspace ids are slugs so they can be used in URLs, CLI flags and bundle files unchanged.
+function normalizeWorkspaceId(value) {
+    const raw = String(value || '').trim().toLowerCase();
+    if (!raw) return '';
+    return /^[a-z0-9][a-z0-9_-]{0,63}$/.test(raw) ? raw : null;
+}
+
+function toWorkspaceSummary(row, functionCount = 0) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name || row.id,
+        description: row.description || '',
+        visibility: row.visibility,
+        functionCount,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// A token bound to a workspace only sees that workspace plus public ones; unbound tokens see everything.
+function canReadWorkspace(principal, workspaceRow) {
+    if (!workspaceRow) return false;
+    if (!principal?.workspace) return true;
+    return workspaceRow.id === principal.workspace || workspaceRow.visibility === 'public';
+}
+
+function canWriteWorkspace(principal, workspaceId) {
+    if (!principal?.workspace) return true;
+    return workspaceId === principal.workspace;
+}
+
+/**
+ * Workspace ids a search runs over: the requested workspace, plus every public workspace
+ * when `includePublic` is set. Returns null for an unknown or unreadable workspace.
+ */
+async function resolveSearchWorkspaces(dbClient, principal, { workspace, includePublic = false } = {}) {
+    const target = await dbClient.getWorkspace(workspace);
+    if (!canReadWorkspace(principal, target)) return null;
+    const ids = new Set([target.id]);
+    if (includePublic) {
+        (await dbClient.listWorkspaces())
+            .filter((row) => row.visibility === 'public')
+            .forEach((row) => ids.add(row.id));
+    }
+    return Array.from(ids);
+}
+
+// Workspaces a principal may list functions from; null means no restriction.
+async function readableWorkspaceIds(dbClient, principal) {
+    if (!principal?.workspace) return null;
+    return (await dbClient.listWorkspaces())
+        .filter((row) => canReadWorkspace(principal, row))
+        .map((row) => row.id);
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE,
+    WORKSPACE_VISIBILITIES,
+    canReadWorkspace,
+    canWriteWorkspace,
+    normalizeWorkspaceId,
+    readableWorkspaceIds,
+    resolveSearchWorkspaces,
+    toWorkspaceSummary
+};
@@ -0,0 +1,199 @@
+const tokenInput = document.getElementById('tokenInput');
+const operationFilterInput = document.getElementById('operationFilterInput');
+const operationsMeta = document.getElementById('operationsMeta');
+const operationsList = document.getElementById('operationsList');
+const operationTitle = document.getElementById('operationTitle');
+const operationMeta = document.getElementById('operationMeta');
+const tryForm = document.getElementById('tryForm');
+const paramFields = document.getElementById('paramFields');
+const bodyField = document.getElementById('bodyField');
+const bodyInput = document.getElementById('bodyInput');
+const responseMeta = document.getElementById('responseMeta');
+const responseOutput = document.getElementById('responseOutput');
+
+// Shared with the dashboard (app.js) so one token works on both pages.
+const TOKEN_STORAGE_KEY = 'functionBackendToken';
+
+let openApiDocument = null;
+let selectedOperation = null;
+
+function resolveSchema(schema) {
+    if (!schema?.$ref) return schema || {};
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return openApiDocument.components.schemas[name] || {};
+}
+
+// A starting body with every required field filled in with a placeholder of the right type.
+function exampleFor(schema, depth = 0) {
+    const resolved = resolveSchema(schema);
+    const type = [].concat(resolved.type || 'object')[0];
+    if (resolved.enum) return resolved.enum[0];
+    if (type === 'string') return '';
+    if (type === 'number' || type === 'integer') return 0;
+    if (type === 'boolean') return false;
+    if (type === 'array') return [];
+    if (type !== 'object' || depth > 3) return null;
+    const example = {};
+    (resolved.required || []).forEach((field) => {
+        example[field] = exampleFor(resolved.properties?.[field], depth + 1);
+    });
+    return example;
+}
+
+function listOperations() {
+    const operations = [];
+    Object.entries(openApiDocument.paths).forEach(([path, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+            operations.push({ path, method, ...operation });
+        });
+    });
+    return operations.sort((a, b) => a.tags[0].localeCompare(b.tags[0]) || a.path.localeCompare(b.path));
+}
+
+function renderOperations() {
+    const needle = operationFilterInput.value.trim().toLowerCase();
+    const operations = listOperations().filter((operation) => !needle || [
+        operation.path,
+        operation.summary,
+        operation.operationId,
+        ...operation.tags
+    ].join(' ').toLowerCase().includes(needle));
+
+    operationsList.innerHTML = '';
+    operations.forEach((operation) => {
+        const card = document.createElement('article');
+        card.className = 'item';
+        const head = document.createElement('div');
+        head.className = 'item-head';
+        const method = document.createElement('span');
+        method.className = `method ${operation.method}`;
+        method.textContent = operation.method;
+        const path = document.createElement('span');
+        path.className = 'operation-path';
+        path.textContent = operation.path;
+        head.append(method, path);
+
+        const desc = document.createElement('p');
+        desc.className = 'item-desc';
+        desc.textContent = operation.summary;
+        const chips = document.createElement('div');
+        chips.className = 'chips';
+        [operation.tags[0], operation['x-required-scope'] || 'public', operation.operationId].forEach((value) => {
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.textContent = value;
+            chips.appendChild(chip);
+        });
+
+        card.append(head, desc, chips);
+        card.addEventListener('click', () => selectOperation(operation));
+        operationsList.appendChild(card);
+    });
+    operationsMeta.textContent = `${operations.length} operation(s), API version ${openApiDocument.info.version}.`;
+}
+
+function selectOperation(operation) {
+    selectedOperation = operation;
+    operationTitle.textContent = `${operation.method.toUpperCase()} ${operation.path}`;
+    const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+    operationMeta.textContent = [
+        operation.summary,
+        operation['x-required-scope'] ? `Needs the "${operation['x-required-scope']}" scope.` : 'No token needed.',
+        bodySchema ? `Body: ${bodySchema.$ref.replace('#/components/schemas/', '')}.` : ''
+    ].filter(Boolean).join(' ');
+
+    paramFields.innerHTML = '';
+    operation.parameters.forEach((param) => {
+        const label = document.createElement('label');
+        label.textContent = `${param.name} (${param.in}${param.required ? ', required' : ''})`;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.dataset.name = param.name;
+        input.dataset.in = param.in;
+        input.required = param.required;
+        input.placeholder = param.schema?.type || 'string';
+        label.appendChild(input);
+        paramFields.appendChild(label);
+    });
+
+    bodyField.hidden = !bodySchema;
+    bodyInput.value = bodySchema ? JSON.stringify(exampleFor(bodySchema), null, 2) : '';
+    tryForm.hidden = false;
+    responseMeta.textContent = '';
+    responseOutput.hidden = true;
+}
+
+function buildRequestUrl(operation) {
+    let path = operation.path;
+    const query = new URLSearchParams();
+    paramFields.querySelectorAll('input').forEach((input) => {
+        const value = input.value.trim();
+        if (input.dataset.in === 'path') {
+            path = path.replace(`{${input.dataset.name}}`, encodeURIComponent(value));
+        } else if (value) {
+            query.set(input.dataset.name, value);
+        }
+    });
+    const search = query.toString();
+    return search ? `${path}?${search}` : path;
+}
+
+async function sendRequest(event) {
+    event.preventDefault();
+    if (!selectedOperation) return;
+
+    const headers = {};
+    const token = tokenInput.value.trim();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    let body;
+    if (!bodyField.hidden && bodyInput.value.trim()) {
+        try {
+            body = JSON.stringify(JSON.parse(bodyInput.value));
+        } catch (error) {
+            responseMeta.textContent = `Body is not valid JSON: ${error.message}`;
+            return;
+        }
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const url = buildRequestUrl(selectedOperation);
+    responseMeta.textContent = `Sending ${selectedOperation.method.toUpperCase()} ${url}...`;
+    const started = performance.now();
+    try {
+        const response = await fetch(url, { method: selectedOperation.method.toUpperCase(), headers, body });
+        const text = await response.text();
+        let output = text;
+        try {
+            output = JSON.stringify(JSON.parse(text), null, 2);
+        } catch {
+            // JSONL exports and other non-JSON bodies are shown as they are.
+        }
+        responseMeta.textContent = `${response.status} ${response.statusText} in ${Math.round(performance.now() - started)} ms`;
+        responseOutput.textContent = output;
+        responseOutput.hidden = false;
+    } catch (error) {
+        responseMeta.textContent = `Request failed: ${error.message}`;
+    }
+}
+
+async function loadDocument() {
+    try {
+        const response = await fetch('/api/openapi.json');
+        if (!response.ok) throw new Error(`Request failed (${response.status})`);
+        openApiDocument = await response.json();
+        renderOperations();
+    } catch (error) {
+        operationsMeta.textContent = `OpenAPI document unavailable: ${error.message}`;
+    }
+}
+
+tokenInput.value = localStorage.getItem(TOKEN_STORAGE_KEY) || '';
+tokenInput.addEventListener('change', () => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, tokenInput.value.trim());
+});
+operationFilterInput.addEventListener('input', () => {
+    if (openApiDocument) renderOperations();
+});
+tryForm.addEventListener('submit', sendRequest);
+
+loadDocument();
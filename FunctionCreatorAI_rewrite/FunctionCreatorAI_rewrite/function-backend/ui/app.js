@@ -1,18 +1,44 @@
 const healthBadge = document.getElementById('healthBadge');
 const refreshBtn = document.getElementById('refreshBtn');
+const tokenInput = document.getElementById('tokenInput');
 const searchForm = document.getElementById('searchForm');
 const queryInput = document.getElementById('queryInput');
 const urlInput = document.getElementById('urlInput');
 const topKInput = document.getElementById('topKInput');
+const rankingProfileSelect = document.getElementById('rankingProfileSelect');
+const workspaceSelect = document.getElementById('workspaceSelect');
+const includePublicInput = document.getElementById('includePublicInput');
 const embeddingInput = document.getElementById('embeddingInput');
+const tagsFilterInput = document.getElementById('tagsFilterInput');
+const sourceFilterInput = document.getElementById('sourceFilterInput');
+const hostFilterInput = document.getElementById('hostFilterInput');
+const verifiedFilterInput = document.getElementById('verifiedFilterInput');
 const searchMeta = document.getElementById('searchMeta');
+const searchFacets = document.getElementById('searchFacets');
 const searchResults = document.getElementById('searchResults');
 const stats = document.getElementById('stats');
 const functionsList = document.getElementById('functionsList');
+const moderationStatusSelect = document.getElementById('moderationStatusSelect');
+const moderationMeta = document.getElementById('moderationMeta');
+const moderationList = document.getElementById('moderationList');
+const scanDuplicatesBtn = document.getElementById('scanDuplicatesBtn');
+const duplicatesMeta = document.getElementById('duplicatesMeta');
+const duplicatesList = document.getElementById('duplicatesList');
+const workspaceForm = document.getElementById('workspaceForm');
+const workspaceIdInput = document.getElementById('workspaceIdInput');
+const workspaceNameInput = document.getElementById('workspaceNameInput');
+const workspaceVisibilitySelect = document.getElementById('workspaceVisibilitySelect');
+const workspaceMeta = document.getElementById('workspaceMeta');
+const workspaceList = document.getElementById('workspaceList');
 const itemTemplate = document.getElementById('resultItemTemplate');
 
+const TOKEN_STORAGE_KEY = 'functionBackendToken';
+
 async function api(path, options = {}) {
-    const response = await fetch(path, options);
+    const token = tokenInput.value.trim();
+    const headers = { ...(options.headers || {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(path, { ...options, headers });
     const data = await response.json().catch(() => ({}));
     if (!response.ok || data.success === false) {
         throw new Error(data.error || `Request failed (${response.status})`);
@@ -29,7 +55,13 @@ function renderStats(data) {
     stats.innerHTML = '';
     const items = [
         { label: 'Functions', value: data.functionCount || 0 },
-        { label: 'Database', value: data.dbPath || 'n/a' }
+        { label: 'Pending', value: data.statusCounts?.pending || 0 },
+        { label: 'Quarantined', value: data.statusCounts?.quarantined || 0 },
+        { label: 'Database', value: data.dbPath || 'n/a' },
+        ...(data.embeddingModels || []).map((space) => ({
+            label: `${space.model} (${space.dimension || '?'}d)`,
+            value: space.count
+        }))
     ];
     items.forEach((item) => {
         const el = document.createElement('div');
@@ -59,6 +91,9 @@ function createItemCard(entry) {
     json.textContent = JSON.stringify(entry, null, 2);
 
     const chipData = [];
+    if (entry.workspace) {
+        chipData.push(`workspace: ${entry.workspace}`);
+    }
     if (Array.isArray(entry.sites) && entry.sites.length > 0) {
         chipData.push(`sites: ${entry.sites.slice(0, 2).join(' | ')}`);
     }
@@ -68,29 +103,141 @@ function createItemCard(entry) {
     if (typeof entry.vectorScore === 'number') {
         chipData.push(`vector: ${entry.vectorScore.toFixed(3)}`);
     }
+    if (entry.scoreBreakdown) {
+        const { bm25, vector, boosts } = entry.scoreBreakdown;
+        if (bm25.rank || vector.rank) {
+            chipData.push(`rank: bm25 #${bm25.rank || '-'} / vector #${vector.rank || '-'}`);
+        }
+        Object.entries(boosts || {})
+            .filter(([, boost]) => boost.contribution > 0)
+            .forEach(([name, boost]) => chipData.push(`+${name}: ${boost.contribution.toFixed(2)}`));
+    }
+    if (entry.runStats?.runCount > 0) {
+        const rate = Math.round(entry.runStats.successRate * 100);
+        chipData.push(`${rate < 50 ? 'failing' : 'success'}: ${rate}% of ${entry.runStats.runCount} runs`);
+        const lastFailure = entry.runStats.lastFailure;
+        if (lastFailure) {
+            const where = [lastFailure.step ? `step ${lastFailure.step}` : '', lastFailure.host].filter(Boolean).join(' on ');
+            chipData.push(`last failure: ${where || 'unknown step'} (${new Date(lastFailure.at).toLocaleDateString()})`);
+        }
+    }
     if (entry.metadata?.source) {
         chipData.push(`source: ${entry.metadata.source}`);
     }
+    if (entry.embeddingModel) {
+        chipData.push(entry.vectorCompared === false
+            ? `model: ${entry.embeddingModel} (not compared)`
+            : `model: ${entry.embeddingModel}`);
+    }
     if (entry.verified === true || entry.metadata?.testsPassed === true) {
         chipData.push('verified');
     }
+    if (entry.status && entry.status !== 'active') {
+        chipData.push(entry.statusReason ? `${entry.status}: ${entry.statusReason}` : entry.status);
+    }
+    if (entry.mergedInto) {
+        chipData.push(`merged into: ${entry.mergedInto.slice(0, 8)}`);
+    }
 
     chipData.forEach((text) => {
         const chip = document.createElement('span');
-        chip.className = 'chip';
+        chip.className = /^(pending|quarantined|failing)/.test(text) ? 'chip warn' : 'chip';
         chip.textContent = text;
         chips.appendChild(chip);
     });
 
+    if (entry.id) {
+        addCardLink(node.querySelector('.item'), 'Details', detailUrl(entry.id));
+    }
+    return node;
+}
+
+function detailUrl(id, params = {}) {
+    return `./function.html?${new URLSearchParams({ id, ...params })}`;
+}
+
+function addCardLink(card, label, href) {
+    const link = document.createElement('a');
+    link.className = 'nav-link';
+    link.href = href;
+    link.textContent = label;
+    card.querySelector('.item-actions').appendChild(link);
+}
+
+function addCardAction(card, label, handler, className = '') {
+    const actions = card.querySelector('.item-actions');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    if (className) button.className = className;
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            await handler();
+        } catch (error) {
+            moderationMeta.textContent = `${label} failed: ${error.message}`;
+            button.disabled = false;
+        }
+    });
+    actions.appendChild(button);
+}
+
+async function moderate(id, action, body = {}) {
+    const isDelete = action === 'delete';
+    await api(isDelete ? `/api/functions/${encodeURIComponent(id)}` : `/api/functions/${encodeURIComponent(id)}/${action}`, {
+        method: isDelete ? 'DELETE' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    await refreshHealthAndStats();
+    await loadRecentFunctions();
+    await loadModerationQueue();
+}
+
+function createModerationCard(entry) {
+    const node = createItemCard(entry);
+    const card = node.querySelector('.item');
+    if (entry.status !== 'active') {
+        addCardAction(card, 'Approve', () => moderate(entry.id, 'approve'));
+    }
+    if (entry.status !== 'quarantined') {
+        addCardAction(card, 'Quarantine', () => {
+            const reason = window.prompt('Reason for quarantine (optional)', '');
+            if (reason === null) return Promise.resolve();
+            return moderate(entry.id, 'quarantine', { reason });
+        });
+    }
+    addCardAction(card, 'Delete', () => {
+        if (!window.confirm(`Permanently delete "${entry.name || entry.id}" and its history?`)) {
+            return Promise.resolve();
+        }
+        return moderate(entry.id, 'delete');
+    }, 'danger');
     return node;
 }
 
+async function loadModerationQueue() {
+    moderationList.innerHTML = '';
+    const status = moderationStatusSelect.value;
+    try {
+        const result = await api(`/api/moderation/queue?status=${encodeURIComponent(status)}`);
+        moderationMeta.textContent = `${result.items.length} ${status} function(s).`;
+        result.items.forEach((item) => {
+            moderationList.appendChild(createModerationCard(item));
+        });
+    } catch (error) {
+        moderationMeta.textContent = `Moderation queue unavailable: ${error.message}`;
+    }
+}
+
 async function refreshHealthAndStats() {
     try {
         setHealth('unknown', 'Checking');
         const health = await api('/api/health');
         setHealth('ok', 'Online');
-        renderStats(health);
+        // Detailed stats need a read token; fall back to the public health payload.
+        const details = await api('/api/stats').catch(() => ({}));
+        renderStats({ ...health, ...details });
     } catch (error) {
         setHealth('error', 'Offline');
         searchMeta.textContent = `Health check failed: ${error.message}`;
@@ -106,7 +253,7 @@ async function loadRecentFunctions() {
             return;
         }
         result.items.forEach((item) => {
-            functionsList.appendChild(createItemCard(item));
+            functionsList.appendChild(createModerationCard(item));
         });
     } catch (error) {
         functionsList.innerHTML = `<div class="muted">${error.message}</div>`;
@@ -125,9 +272,71 @@ function parseEmbeddingInput() {
     }
 }
 
+function splitList(value) {
+    return String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function buildSearchFilters() {
+    const filters = {};
+    const tags = splitList(tagsFilterInput.value);
+    if (tags.length > 0) filters.tags = { any: tags };
+    const sources = splitList(sourceFilterInput.value);
+    if (sources.length > 0) filters.source = sources;
+    if (hostFilterInput.value.trim()) filters.host = hostFilterInput.value.trim();
+    if (verifiedFilterInput.checked) filters.verified = true;
+    return filters;
+}
+
+// Clicking a facet value toggles it in the matching filter input and re-runs the search.
+const FACET_INPUTS = {
+    tags: { label: 'Tags', input: () => tagsFilterInput, multi: true },
+    source: { label: 'Source', input: () => sourceFilterInput, multi: true },
+    host: { label: 'Host', input: () => hostFilterInput, multi: false }
+};
+
+function toggleFacetValue(facetName, value) {
+    const { input, multi } = FACET_INPUTS[facetName];
+    const field = input();
+    if (!multi) {
+        field.value = field.value.trim() === value ? '' : value;
+        return;
+    }
+    const values = splitList(field.value);
+    const next = values.includes(value) ? values.filter((item) => item !== value) : [...values, value];
+    field.value = next.join(', ');
+}
+
+function renderFacets(facets = {}) {
+    searchFacets.innerHTML = '';
+    Object.entries(FACET_INPUTS).forEach(([facetName, config]) => {
+        const buckets = facets[facetName] || [];
+        if (buckets.length === 0) return;
+        const selected = config.multi ? splitList(config.input().value) : [config.input().value.trim()];
+        const group = document.createElement('div');
+        group.className = 'facet-group';
+        const label = document.createElement('span');
+        label.className = 'facet-label';
+        label.textContent = config.label;
+        group.appendChild(label);
+        buckets.forEach((bucket) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = selected.includes(bucket.value) ? 'chip active' : 'chip';
+            chip.textContent = `${bucket.value} (${bucket.count})`;
+            chip.addEventListener('click', () => {
+                toggleFacetValue(facetName, bucket.value);
+                searchForm.requestSubmit();
+            });
+            group.appendChild(chip);
+        });
+        searchFacets.appendChild(group);
+    });
+}
+
 async function runSearch(event) {
     event.preventDefault();
     searchResults.innerHTML = '';
+    searchFacets.innerHTML = '';
     searchMeta.textContent = 'Searching...';
 
     const query = queryInput.value.trim();
@@ -143,11 +352,19 @@ async function runSearch(event) {
                 query,
                 currentUrl,
                 topK,
-                queryEmbedding
+                queryEmbedding,
+                rankingProfile: rankingProfileSelect.value,
+                workspace: workspaceSelect.value,
+                includePublic: includePublicInput.checked,
+                filters: buildSearchFilters()
             })
         });
+        renderFacets(result.facets);
 
-        searchMeta.textContent = `Returned ${result.results.length} results from ${result.totalCandidates} candidates.`;
+        searchMeta.textContent = `Returned ${result.results.length} results from ${result.totalCandidates} candidates in ${result.searchedWorkspaces.join(', ')} (${result.rankingProfile} ranking).`;
+        if (result.embeddingSpace?.reembedNeeded) {
+            searchMeta.textContent += ` ${result.embeddingSpace.incompatibleCount} function(s) use another embedding model and were ranked by BM25 only.`;
+        }
         if (!Array.isArray(result.results) || result.results.length === 0) {
             searchResults.innerHTML = '<div class="muted">No matches found.</div>';
             return;
@@ -160,11 +377,195 @@ async function runSearch(event) {
     }
 }
 
+async function loadRankingProfiles() {
+    try {
+        const result = await api('/api/ranking-profiles');
+        const selected = rankingProfileSelect.value;
+        rankingProfileSelect.innerHTML = '';
+        result.items.forEach((profile) => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.name;
+            option.title = profile.description;
+            option.selected = profile.name === selected;
+            rankingProfileSelect.appendChild(option);
+        });
+    } catch (_error) {
+        // Keep the built-in "default" option when profiles cannot be listed (e.g. missing token).
+    }
+}
+
+function createClusterCard(cluster) {
+    const node = itemTemplate.content.cloneNode(true);
+    const card = node.querySelector('.item');
+    const byId = new Map(cluster.members.map((member) => [member.id, member]));
+    const suggested = byId.get(cluster.suggestedCanonicalId) || cluster.members[0];
+    node.querySelector('.item-title').textContent = `${cluster.size} variants of ${suggested.name}`;
+    node.querySelector('.item-score').textContent = `max ${cluster.maxSimilarity.toFixed(3)}`;
+    node.querySelector('.item-desc').textContent = cluster.pairs
+        .map((pair) => `${byId.get(pair.a)?.name} ~ ${byId.get(pair.b)?.name}: ${pair.similarity.toFixed(3)}`)
+        .join(' | ');
+    node.querySelector('.json').textContent = JSON.stringify(cluster, null, 2);
+
+    const chips = node.querySelector('.chips');
+    cluster.members.forEach((member) => {
+        const chip = document.createElement('span');
+        chip.className = member.id === suggested.id ? 'chip active' : 'chip';
+        const runs = member.runStats?.runCount ? `, ${member.runStats.successCount}/${member.runStats.runCount} runs ok` : '';
+        chip.textContent = `${member.name}${member.verified ? ' (verified)' : ''}${runs}`;
+        chips.appendChild(chip);
+    });
+
+    cluster.pairs.forEach((pair) => {
+        addCardLink(card, `Diff ${byId.get(pair.a)?.name} / ${byId.get(pair.b)?.name}`, detailUrl(pair.a, { compare: pair.b }));
+    });
+    cluster.members.forEach((member) => {
+        addCardAction(card, `Keep ${member.name}`, async () => {
+            const others = cluster.members.filter((item) => item.id !== member.id);
+            if (!window.confirm(`Merge ${others.length} variant(s) into "${member.name}"? They will redirect to it.`)) return;
+            await api('/api/duplicates/merge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ canonicalId: member.id, duplicateIds: others.map((item) => item.id) })
+            });
+            await loadDuplicateClusters();
+            await loadRecentFunctions();
+        }, member.id === suggested.id ? 'primary' : '');
+    });
+    return node;
+}
+
+async function loadDuplicateClusters() {
+    duplicatesList.innerHTML = '';
+    try {
+        const result = await api('/api/duplicates/clusters');
+        duplicatesMeta.textContent = `${result.items.length} cluster(s) at similarity >= ${result.threshold}.`;
+        result.items.forEach((cluster) => duplicatesList.appendChild(createClusterCard(cluster)));
+    } catch (error) {
+        duplicatesMeta.textContent = `Duplicates unavailable: ${error.message}`;
+    }
+}
+
+async function scanDuplicates() {
+    scanDuplicatesBtn.disabled = true;
+    duplicatesMeta.textContent = 'Scanning...';
+    try {
+        const result = await api('/api/duplicates/scan', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        duplicatesMeta.textContent = `Scanned ${result.scanned} function(s).`;
+    } catch (error) {
+        duplicatesMeta.textContent = `Scan failed: ${error.message}`;
+    }
+    scanDuplicatesBtn.disabled = false;
+    await loadDuplicateClusters();
+}
+
+function createWorkspaceCard(workspace) {
+    const node = itemTemplate.content.cloneNode(true);
+    const card = node.querySelector('.item');
+    node.querySelector('.item-title').textContent = workspace.name;
+    node.querySelector('.item-score').textContent = `${workspace.functionCount} function(s)`;
+    node.querySelector('.item-desc').textContent = workspace.description || workspace.id;
+    node.querySelector('.json').textContent = JSON.stringify(workspace, null, 2);
+    const chips = node.querySelector('.chips');
+    [`id: ${workspace.id}`, workspace.visibility].forEach((text) => {
+        const chip = document.createElement('span');
+        chip.className = 'chip';
+        chip.textContent = text;
+        chips.appendChild(chip);
+    });
+
+    const nextVisibility = workspace.visibility === 'public' ? 'private' : 'public';
+    addCardAction(card, `Make ${nextVisibility}`, () => updateWorkspace(workspace.id, 'PATCH', { visibility: nextVisibility }));
+    if (workspace.id !== 'default') {
+        addCardAction(card, 'Delete', () => {
+            if (!window.confirm(`Delete workspace "${workspace.id}"? It must be empty.`)) return Promise.resolve();
+            return updateWorkspace(workspace.id, 'DELETE');
+        }, 'danger');
+    }
+    return node;
+}
+
+async function updateWorkspace(id, method, body = {}) {
+    try {
+        await api(`/api/workspaces/${encodeURIComponent(id)}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        workspaceMeta.textContent = error.message;
+    }
+    await loadWorkspaces();
+}
+
+async function loadWorkspaces() {
+    workspaceList.innerHTML = '';
+    try {
+        const result = await api('/api/workspaces');
+        const selected = workspaceSelect.value || result.defaultWorkspace;
+        workspaceSelect.innerHTML = '';
+        result.items.forEach((workspace) => {
+            const option = document.createElement('option');
+            option.value = workspace.id;
+            option.textContent = `${workspace.name} (${workspace.visibility})`;
+            option.selected = workspace.id === selected;
+            workspaceSelect.appendChild(option);
+            workspaceList.appendChild(createWorkspaceCard(workspace));
+        });
+    } catch (error) {
+        workspaceMeta.textContent = `Workspaces unavailable: ${error.message}`;
+    }
+}
+
+async function createWorkspace(event) {
+    event.preventDefault();
+    try {
+        await api('/api/workspaces', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id: workspaceIdInput.value.trim(),
+                name: workspaceNameInput.value.trim(),
+                visibility: workspaceVisibilitySelect.value
+            })
+        });
+        workspaceForm.reset();
+        workspaceMeta.textContent = 'Workspace created.';
+    } catch (error) {
+        workspaceMeta.textContent = `Create failed: ${error.message}`;
+    }
+    await loadWorkspaces();
+}
+
 refreshBtn.addEventListener('click', async () => {
     await refreshHealthAndStats();
     await loadRecentFunctions();
+    await loadModerationQueue();
+    await loadWorkspaces();
+    await loadDuplicateClusters();
 });
+workspaceForm.addEventListener('submit', createWorkspace);
+scanDuplicatesBtn.addEventListener('click', scanDuplicates);
 searchForm.addEventListener('submit', runSearch);
+moderationStatusSelect.addEventListener('change', loadModerationQueue);
+tokenInput.value = localStorage.getItem(TOKEN_STORAGE_KEY) || '';
+tokenInput.addEventListener('change', async () => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, tokenInput.value.trim());
+    await loadRankingProfiles();
+    await refreshHealthAndStats();
+    await loadRecentFunctions();
+    await loadModerationQueue();
+    await loadWorkspaces();
+    await loadDuplicateClusters();
+});
 
 refreshHealthAndStats();
 loadRecentFunctions();
+loadModerationQueue();
+loadRankingProfiles();
+loadWorkspaces();
+loadDuplicateClusters();
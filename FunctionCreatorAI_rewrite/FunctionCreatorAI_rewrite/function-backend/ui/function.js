@@ -0,0 +1,471 @@
+const tokenInput = document.getElementById('tokenInput');
+const functionTitle = document.getElementById('functionTitle');
+const functionSubtitle = document.getElementById('functionSubtitle');
+const functionDesc = document.getElementById('functionDesc');
+const functionChips = document.getElementById('functionChips');
+const runStats = document.getElementById('runStats');
+const inputsList = document.getElementById('inputsList');
+const outputBlock = document.getElementById('outputBlock');
+const sitesList = document.getElementById('sitesList');
+const metadataForm = document.getElementById('metadataForm');
+const tagsInput = document.getElementById('tagsInput');
+const verifiedInput = document.getElementById('verifiedInput');
+const metadataMeta = document.getElementById('metadataMeta');
+const stepsTimeline = document.getElementById('stepsTimeline');
+const versionsMeta = document.getElementById('versionsMeta');
+const versionsList = document.getElementById('versionsList');
+const runsList = document.getElementById('runsList');
+const compareForm = document.getElementById('compareForm');
+const leftIdInput = document.getElementById('leftIdInput');
+const leftVersionInput = document.getElementById('leftVersionInput');
+const rightIdInput = document.getElementById('rightIdInput');
+const rightVersionInput = document.getElementById('rightVersionInput');
+const compareMeta = document.getElementById('compareMeta');
+const compareOutput = document.getElementById('compareOutput');
+
+// Shared with the dashboard (app.js) so one token works on every page.
+const TOKEN_STORAGE_KEY = 'functionBackendToken';
+// Step fields shown on the timeline, in this order; everything else is in the step's JSON.
+const STEP_FIELDS = ['url', 'selector', 'elementName', 'value', 'key', 'functionName', 'containerSelector', 'condition', 'timeout', 'prompt'];
+// Unchanged lines kept around each change; longer unchanged runs are folded.
+const DIFF_CONTEXT_LINES = 3;
+// Larger diffs are not aligned line by line, to keep the page responsive.
+const MAX_DIFF_CELLS = 4000000;
+
+const params = new URLSearchParams(window.location.search);
+const functionId = params.get('id') || '';
+
+let currentItem = null;
+
+async function api(path, options = {}) {
+    const token = tokenInput.value.trim();
+    const headers = { ...(options.headers || {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(path, { ...options, headers });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+}
+
+function functionPath(id, suffix = '') {
+    return `/api/functions/${encodeURIComponent(id)}${suffix}`;
+}
+
+function createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+function appendChips(container, texts) {
+    texts.filter(Boolean).forEach((text) => {
+        container.appendChild(createElement('span', /^(pending|quarantined|failing|unverified)/.test(text) ? 'chip warn' : 'chip', text));
+    });
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '-';
+}
+
+function renderRunStats(stats = {}) {
+    runStats.innerHTML = '';
+    const lastFailure = stats.lastFailure
+        ? [stats.lastFailure.step ? `step ${stats.lastFailure.step}` : '', stats.lastFailure.host].filter(Boolean).join(' on ') || 'yes'
+        : 'none';
+    [
+        { label: 'Runs', value: stats.runCount || 0 },
+        { label: 'Success rate', value: stats.successRate === null || stats.successRate === undefined ? '-' : `${Math.round(stats.successRate * 100)}%` },
+        { label: 'Failures in a row', value: stats.consecutiveFailures || 0 },
+        { label: 'Last run', value: formatDate(stats.lastRunAt) },
+        { label: 'Last failure', value: lastFailure }
+    ].forEach((item) => {
+        const stat = createElement('div', 'stat');
+        stat.append(createElement('span', 'stat-label', item.label), createElement('span', 'stat-value', String(item.value)));
+        runStats.appendChild(stat);
+    });
+}
+
+function renderInputsAndOutput(functionDef) {
+    inputsList.innerHTML = '';
+    const inputs = Array.isArray(functionDef.inputs) ? functionDef.inputs : [];
+    if (inputs.length === 0) inputsList.appendChild(createElement('div', 'muted', 'No inputs.'));
+    inputs.forEach((input) => {
+        const row = createElement('div', 'detail-row');
+        row.append(
+            createElement('code', '', input?.name || '(unnamed)'),
+            createElement('span', 'chip', input?.type || 'string'),
+            createElement('span', 'item-desc', input?.description || '')
+        );
+        inputsList.appendChild(row);
+    });
+
+    outputBlock.innerHTML = '';
+    const outputs = functionDef.outputs;
+    if (!outputs) {
+        outputBlock.appendChild(createElement('div', 'muted', 'No declared output.'));
+        return;
+    }
+    const row = createElement('div', 'detail-row');
+    row.append(createElement('span', 'chip', outputs.type || 'any'), createElement('span', 'item-desc', outputs.description || ''));
+    outputBlock.appendChild(row);
+    if (outputs.fields) {
+        outputBlock.appendChild(createElement('pre', 'json', typeof outputs.fields === 'string'
+            ? outputs.fields
+            : JSON.stringify(outputs.fields, null, 2)));
+    }
+}
+
+function renderSteps(steps) {
+    stepsTimeline.innerHTML = '';
+    if (steps.length === 0) {
+        stepsTimeline.appendChild(createElement('li', 'muted', 'This function has no steps.'));
+        return;
+    }
+    steps.forEach((step, index) => {
+        const item = createElement('li', 'timeline-step');
+        const head = createElement('div', 'item-head');
+        const title = createElement('div', 'timeline-title');
+        title.append(createElement('span', 'timeline-index', String(index + 1)), createElement('span', 'method', step?.type || '?'));
+        head.append(title);
+        item.appendChild(head);
+        if (step?.description) item.appendChild(createElement('p', 'item-desc', step.description));
+
+        const fields = createElement('dl', 'step-fields');
+        STEP_FIELDS.filter((field) => step?.[field] !== undefined && step[field] !== '').forEach((field) => {
+            const value = step[field];
+            fields.append(
+                createElement('dt', '', field),
+                createElement('dd', '', typeof value === 'object' ? JSON.stringify(value) : String(value))
+            );
+        });
+        if (fields.childElementCount > 0) item.appendChild(fields);
+
+        const details = document.createElement('details');
+        details.appendChild(createElement('summary', '', step?.code ? 'View code' : 'View step JSON'));
+        details.appendChild(createElement('pre', 'json', step?.code ? String(step.code) : JSON.stringify(step, null, 2)));
+        item.appendChild(details);
+        stepsTimeline.appendChild(item);
+    });
+}
+
+function renderOverview(item) {
+    const functionDef = item.functionDef || {};
+    document.title = `${functionDef.name || item.id} - Function Backend`;
+    functionTitle.textContent = functionDef.name || 'Unnamed function';
+    functionSubtitle.textContent = `${item.id} in workspace ${item.workspace}, updated ${formatDate(item.updatedAt)}`;
+    functionDesc.textContent = functionDef.description || 'No description';
+
+    functionChips.innerHTML = '';
+    appendChips(functionChips, [
+        item.status !== 'active' ? (item.statusReason ? `${item.status}: ${item.statusReason}` : item.status) : 'active',
+        item.verified ? 'verified' : 'unverified',
+        item.metadata?.source ? `source: ${item.metadata.source}` : '',
+        `model: ${item.embeddingModel}${item.embeddingDimension ? ` (${item.embeddingDimension}d)` : ''}`,
+        ...(item.metadata?.tags || []).map((tag) => `#${tag}`)
+    ]);
+    renderRunStats(item.runStats);
+    renderInputsAndOutput(functionDef);
+
+    sitesList.innerHTML = '';
+    appendChips(sitesList, item.sites.length > 0 ? item.sites : ['any site']);
+
+    tagsInput.value = (item.metadata?.tags || []).join(', ');
+    verifiedInput.checked = item.verified === true;
+    renderSteps(Array.isArray(functionDef.steps) ? functionDef.steps : []);
+}
+
+function setComparison(leftId, leftVersion, rightId, rightVersion) {
+    leftIdInput.value = leftId;
+    leftVersionInput.value = leftVersion || '';
+    rightIdInput.value = rightId;
+    rightVersionInput.value = rightVersion || '';
+    compareForm.requestSubmit();
+}
+
+function renderVersions(items) {
+    versionsList.innerHTML = '';
+    versionsMeta.textContent = `${items.length} revision(s).`;
+    const latest = items.reduce((max, version) => Math.max(max, version.version), 0);
+    [...items].sort((a, b) => b.version - a.version).forEach((version) => {
+        const card = createElement('article', 'item');
+        const head = createElement('div', 'item-head');
+        head.append(createElement('h3', 'item-title', `v${version.version} ${version.name}`), createElement('span', 'item-score', version.changeType));
+        const chips = createElement('div', 'chips');
+        appendChips(chips, [
+            formatDate(version.createdAt),
+            version.verified ? 'verified' : 'unverified',
+            version.sourceExtension ? `client: ${version.sourceExtension}` : '',
+            `fingerprint: ${String(version.fingerprint || '').slice(0, 8)}`
+        ]);
+        const actions = createElement('div', 'item-actions');
+        if (version.version > 1) {
+            const previous = createElement('button', '', 'Diff with previous');
+            previous.type = 'button';
+            previous.addEventListener('click', () => setComparison(functionId, version.version - 1, functionId, version.version));
+            actions.appendChild(previous);
+        }
+        if (version.version !== latest) {
+            const current = createElement('button', '', 'Diff with current');
+            current.type = 'button';
+            current.addEventListener('click', () => setComparison(functionId, version.version, functionId, ''));
+            actions.appendChild(current);
+        }
+        card.append(head, chips, actions);
+        versionsList.appendChild(card);
+    });
+}
+
+function renderRuns(items) {
+    runsList.innerHTML = '';
+    if (items.length === 0) {
+        runsList.appendChild(createElement('div', 'muted', 'No runs reported yet.'));
+        return;
+    }
+    items.forEach((run) => {
+        const row = createElement('div', 'detail-row');
+        const where = [run.failedStep ? `step ${run.failedStep}` : '', run.urlHost].filter(Boolean).join(' on ');
+        row.append(
+            createElement('span', run.success ? 'chip' : 'chip warn', run.success ? 'ok' : 'failed'),
+            createElement('span', 'item-desc', [
+                formatDate(run.createdAt),
+                where,
+                run.durationMs !== null && run.durationMs !== undefined ? `${run.durationMs} ms` : '',
+                run.error
+            ].filter(Boolean).join(' - '))
+        );
+        runsList.appendChild(row);
+    });
+}
+
+async function loadFunction() {
+    if (!functionId) {
+        functionSubtitle.textContent = 'No function id given. Open a function from the dashboard.';
+        return;
+    }
+    try {
+        const { item, redirectedFrom } = await api(functionPath(functionId));
+        currentItem = item;
+        renderOverview(item);
+        if (redirectedFrom) functionSubtitle.textContent += ` (merged from ${redirectedFrom})`;
+    } catch (error) {
+        functionSubtitle.textContent = `Function unavailable: ${error.message}`;
+        return;
+    }
+    try {
+        renderVersions((await api(functionPath(functionId, '/versions'))).items);
+    } catch (error) {
+        versionsMeta.textContent = `History unavailable: ${error.message}`;
+    }
+    try {
+        renderRuns((await api(functionPath(functionId, '/runs?limit=20'))).items);
+    } catch (error) {
+        runsList.innerHTML = '';
+        runsList.appendChild(createElement('div', 'muted', `Runs unavailable: ${error.message}`));
+    }
+}
+
+async function saveMetadata(event) {
+    event.preventDefault();
+    if (!currentItem) return;
+    metadataMeta.textContent = 'Saving...';
+    try {
+        const result = await api(functionPath(currentItem.id, '/metadata'), {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                tags: tagsInput.value.split(',').map((tag) => tag.trim()).filter(Boolean),
+                verified: verifiedInput.checked
+            })
+        });
+        await loadFunction();
+        metadataMeta.textContent = `Saved as revision ${result.version}.`;
+    } catch (error) {
+        metadataMeta.textContent = `Save failed: ${error.message}`;
+    }
+}
+
+// What the diff shows: the definition plus the metadata a reviewer cares about, without timestamps.
+function toComparable(item) {
+    return JSON.stringify({
+        functionDef: item.functionDef,
+        tags: item.metadata?.tags || [],
+        sites: item.sites || [],
+        verified: item.verified === true
+    }, null, 2);
+}
+
+async function loadSide(id, version) {
+    if (version) {
+        const { item } = await api(functionPath(id, `/versions/${encodeURIComponent(version)}`));
+        return { label: `${item.name} v${version}`, text: toComparable(item) };
+    }
+    const { item } = await api(functionPath(id));
+    return { label: `${item.functionDef?.name || id} (current)`, text: toComparable(item) };
+}
+
+// Longest-common-subsequence alignment of the lines between the common prefix and suffix.
+function alignLines(a, b, offsetA, offsetB) {
+    const ops = [];
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        a.forEach((_, i) => ops.push({ type: 'removed', a: offsetA + i }));
+        b.forEach((_, j) => ops.push({ type: 'added', b: offsetB + j }));
+        return ops;
+    }
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+        for (let j = b.length - 1; j >= 0; j -= 1) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ type: 'same', a: offsetA + i, b: offsetB + j });
+            i += 1;
+            j += 1;
+        } else if (j >= b.length || (i < a.length && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+            ops.push({ type: 'removed', a: offsetA + i });
+            i += 1;
+        } else {
+            ops.push({ type: 'added', b: offsetB + j });
+            j += 1;
+        }
+    }
+    return ops;
+}
+
+// Returns side-by-side rows; removed lines followed by added lines are paired up as changed rows.
+function diffLines(leftText, rightText) {
+    const a = leftText.split('\n');
+    const b = rightText.split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA -= 1;
+        endB -= 1;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i += 1) ops.push({ type: 'same', a: i, b: i });
+    ops.push(...alignLines(a.slice(start, endA), b.slice(start, endB), start, start));
+    for (let k = 0; k < a.length - endA; k += 1) ops.push({ type: 'same', a: endA + k, b: endB + k });
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const line = (lines, index) => (index === undefined ? null : { no: index + 1, text: lines[index] });
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k += 1) {
+            const left = line(a, removed[k]);
+            const right = line(b, added[k]);
+            rows.push({ kind: left && right ? 'changed' : (left ? 'removed' : 'added'), left, right });
+        }
+        removed = [];
+        added = [];
+    };
+    ops.forEach((op) => {
+        if (op.type === 'removed') {
+            removed.push(op.a);
+        } else if (op.type === 'added') {
+            added.push(op.b);
+        } else {
+            flush();
+            rows.push({ kind: 'same', left: line(a, op.a), right: line(b, op.b) });
+        }
+    });
+    flush();
+    return rows;
+}
+
+function renderDiff(left, right) {
+    const rows = diffLines(left.text, right.text);
+    const changedIndexes = rows.map((row, index) => (row.kind === 'same' ? -1 : index)).filter((index) => index >= 0);
+    compareMeta.textContent = changedIndexes.length === 0
+        ? `${left.label} and ${right.label} are identical.`
+        : `${changedIndexes.length} line(s) differ between ${left.label} and ${right.label}.`;
+
+    const near = (index) => changedIndexes.some((changed) => Math.abs(changed - index) <= DIFF_CONTEXT_LINES);
+    const table = createElement('table', 'diff');
+    const header = document.createElement('tr');
+    header.append(createElement('th', '', ''), createElement('th', '', left.label), createElement('th', '', ''), createElement('th', '', right.label));
+    table.appendChild(header);
+
+    let folded = 0;
+    const flushFolded = () => {
+        if (folded === 0) return;
+        const row = createElement('tr', 'diff-fold');
+        const cell = createElement('td', '', `${folded} unchanged line(s)`);
+        cell.colSpan = 4;
+        row.appendChild(cell);
+        table.appendChild(row);
+        folded = 0;
+    };
+    rows.forEach((row, index) => {
+        if (row.kind === 'same' && changedIndexes.length > 0 && !near(index)) {
+            folded += 1;
+            return;
+        }
+        flushFolded();
+        const tr = createElement('tr', `diff-${row.kind}`);
+        [row.left, row.right].forEach((side) => {
+            tr.append(createElement('td', 'diff-no', side ? String(side.no) : ''), createElement('td', 'diff-text', side ? side.text : ''));
+        });
+        table.appendChild(tr);
+    });
+    flushFolded();
+    compareOutput.innerHTML = '';
+    compareOutput.appendChild(table);
+}
+
+async function runComparison(event) {
+    event.preventDefault();
+    const leftId = leftIdInput.value.trim();
+    const rightId = rightIdInput.value.trim();
+    if (!leftId || !rightId) {
+        compareMeta.textContent = 'Both sides need a function id.';
+        return;
+    }
+    compareMeta.textContent = 'Loading...';
+    try {
+        const [left, right] = await Promise.all([
+            loadSide(leftId, leftVersionInput.value.trim()),
+            loadSide(rightId, rightVersionInput.value.trim())
+        ]);
+        renderDiff(left, right);
+
+        // Keep the comparison in the URL so it can be shared; the left side is this page's function.
+        const next = new URLSearchParams({ id: functionId });
+        if (rightId !== functionId) next.set('compare', rightId);
+        if (leftVersionInput.value.trim()) next.set('from', leftVersionInput.value.trim());
+        if (rightVersionInput.value.trim()) next.set('to', rightVersionInput.value.trim());
+        window.history.replaceState(null, '', `?${next}`);
+    } catch (error) {
+        compareMeta.textContent = `Compare failed: ${error.message}`;
+        compareOutput.innerHTML = '';
+    }
+}
+
+tokenInput.value = localStorage.getItem(TOKEN_STORAGE_KEY) || '';
+tokenInput.addEventListener('change', () => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, tokenInput.value.trim());
+    loadFunction();
+});
+metadataForm.addEventListener('submit', saveMetadata);
+compareForm.addEventListener('submit', runComparison);
+
+leftIdInput.value = functionId;
+rightIdInput.value = params.get('compare') || functionId;
+leftVersionInput.value = params.get('from') || '';
+rightVersionInput.value = params.get('to') || '';
+loadFunction().then(() => {
+    if (params.has('compare') || params.has('from') || params.has('to')) compareForm.requestSubmit();
+});
@@ -0,0 +1,159 @@
+// Backend Events Service
+// Optional subscription to the backend's /api/events stream. Keeps functions imported from the backend
+// up to date, removes them when the backend deletes, quarantines or merges them, and pre-hydrates newly
+// verified functions for the sites the user visits often. Copies the user edited here are left alone.
+// The service worker can be stopped at any time, so an alarm reconnects the stream and the backend
+// replays what was missed since the last seen event id.
+
+const BackendEventsService = {
+    STATE_KEY: 'backendEventsState',
+    RECONNECT_ALARM: 'backend-events-reconnect',
+    RECONNECT_MINUTES: 1,
+    MAX_TRACKED_HOSTS: 50,
+    // A host counts as frequent after this many page loads.
+    MIN_VISITS: 3,
+    EVENT_TYPES: ['function.updated', 'function.verified', 'function.deleted'],
+    // Statuses after which the backend no longer serves a function; merged ones live on in their canonical.
+    WITHDRAWN_STATUSES: ['quarantined', 'merged'],
+    _controller: null,
+    _queue: Promise.resolve(),
+
+    async getState() {
+        const stored = await chrome.storage.local.get(this.STATE_KEY);
+        const state = stored?.[this.STATE_KEY] || {};
+        return {
+            lastEventId: String(state.lastEventId || ''),
+            hosts: state.hosts && typeof state.hosts === 'object' ? state.hosts : {}
+        };
+    },
+
+    async _saveState(patch) {
+        const state = await this.getState();
+        await chrome.storage.local.set({ [this.STATE_KEY]: { ...state, ...patch } });
+    },
+
+    _hostOf(url) {
+        try {
+            const parsed = new URL(String(url || ''));
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.hostname.toLowerCase() : '';
+        } catch {
+            return '';
+        }
+    },
+
+    // Counts page loads per host, only while the subscription is on. Keeps the most visited hosts.
+    async recordVisit(url) {
+        const host = this._hostOf(url);
+        if (!host) return;
+        const settings = await BackendFunctionService.getSettings();
+        if (!settings.backendEnabled || !settings.backendSubscribeEnabled) return;
+
+        const { hosts } = await this.getState();
+        const current = hosts[host] || { visits: 0, lastVisitAt: 0 };
+        hosts[host] = { visits: current.visits + 1, lastVisitAt: Date.now() };
+        const kept = Object.entries(hosts)
+            .sort(([, a], [, b]) => (b.visits - a.visits) || (b.lastVisitAt - a.lastVisitAt))
+            .slice(0, this.MAX_TRACKED_HOSTS);
+        await this._saveState({ hosts: Object.fromEntries(kept) });
+    },
+
+    async getFrequentHosts() {
+        const { hosts } = await this.getState();
+        return Object.entries(hosts)
+            .filter(([, entry]) => entry.visits >= this.MIN_VISITS)
+            .map(([host]) => host);
+    },
+
+    // Starts or stops the stream to match the settings. Safe to call repeatedly.
+    async sync() {
+        const settings = await BackendFunctionService.getSettings();
+        if (!settings.backendEnabled || !settings.backendSubscribeEnabled) {
+            this.stop();
+            await chrome.alarms.clear(this.RECONNECT_ALARM);
+            return { success: true, subscribed: false };
+        }
+        if (!await chrome.alarms.get(this.RECONNECT_ALARM)) {
+            chrome.alarms.create(this.RECONNECT_ALARM, { periodInMinutes: this.RECONNECT_MINUTES });
+        }
+        if (!this._controller) this._connect(settings);
+        return { success: true, subscribed: true };
+    },
+
+    stop() {
+        this._controller?.abort();
+        this._controller = null;
+    },
+
+    async _connect(settings) {
+        const controller = new AbortController();
+        this._controller = controller;
+        const { lastEventId } = await this.getState();
+        try {
+            await BackendFunctionService._client(settings).openEventStream({
+                // With public workspaces included, every readable workspace is relevant.
+                query: {
+                    types: this.EVENT_TYPES.join(','),
+                    workspace: settings.backendIncludePublic ? '' : settings.backendWorkspace
+                },
+                lastEventId,
+                signal: controller.signal,
+                onEvent: (event) => {
+                    this._queue = this._queue.then(() => this.handleEvent(event)).catch((error) => {
+                        console.warn('[BackendEvents] Event handling failed:', error.message);
+                    });
+                    return this._queue;
+                }
+            });
+        } catch (error) {
+            if (error.name !== 'AbortError') console.warn('[BackendEvents] Stream closed:', error.message);
+        } finally {
+            if (this._controller === controller) this._controller = null;
+        }
+    },
+
+    // Returns what was done with the event: 'refreshed', 'removed', 'hydrated' or a reason it was skipped.
+    async handleEvent(event) {
+        if (event?.id) await this._saveState({ lastEventId: String(event.id) });
+        const data = event?.data || {};
+        if (!data.id) return 'not-a-function';
+        const withdrawn = event.type === 'function.deleted' || this.WITHDRAWN_STATUSES.includes(data.status);
+
+        const localFunctions = await FunctionLibraryService.getAll();
+        const importedName = Object.keys(localFunctions).find((name) => (
+            localFunctions[name]?.syncedFromBackend === true
+            && String(localFunctions[name]?.backendMeta?.backendId || '') === String(data.id)
+        ));
+        if (importedName) {
+            if (await BackendFunctionService.isEditedLocally(importedName)) {
+                console.warn(`[BackendEvents] "${importedName}" was edited locally; not applying ${event.type} (${data.status || 'deleted'}) from the backend`);
+                return 'edited-locally';
+            }
+            if (withdrawn) {
+                await FunctionLibraryService.remove(importedName);
+                console.log(`[BackendEvents] Removed "${importedName}": ${event.type === 'function.deleted' ? 'deleted' : data.status} on the backend`);
+                return 'removed';
+            }
+        }
+        if (withdrawn || data.status !== 'active' || data.verified !== true) return 'not-verified';
+        if (importedName) {
+            await BackendFunctionService.importWithDependencies(data.id);
+            return 'refreshed';
+        }
+
+        if (event.type !== 'function.verified') return 'not-imported';
+        const local = localFunctions[data.name];
+        if (local && local.syncedFromBackend !== true) return 'local-function-wins';
+        // Functions without site patterns apply everywhere; they are left to on-demand search.
+        const sites = Array.isArray(data.sites) ? data.sites : [];
+        if (sites.length === 0) return 'no-sites';
+        const hosts = await this.getFrequentHosts();
+        const matches = hosts.some((host) => BackendFunctionService._urlMatchesPatterns(`https://${host}/`, sites));
+        if (!matches) return 'no-frequent-site';
+
+        const result = await BackendFunctionService.importWithDependencies(data.id);
+        console.log(`[BackendEvents] Pre-hydrated "${data.name}" (${result.importedCount} function(s))`);
+        return 'hydrated';
+    }
+};
+
+if (typeof self !== 'undefined') self.BackendEventsService = BackendEventsService;
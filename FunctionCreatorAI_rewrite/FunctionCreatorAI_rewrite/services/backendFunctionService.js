@@ -1,9 +1,19 @@
 // Backend Function Service
-// Handles optional sync/search against a self-hosted function backend.
+// Handles optional sync/search against a self-hosted function backend, through FunctionBackendClient.
 
 const BackendFunctionService = {
     DEFAULT_URL: 'http://localhost:8787',
-    SETTINGS_KEYS: ['backendEnabled', 'backendUrl', 'backendUploadEnabled', 'backendSearchTopK'],
+    LIMIT_STATUS_KEY: 'backendLimitStatus',
+    SETTINGS_KEYS: [
+        'backendEnabled',
+        'backendUrl',
+        'backendUploadEnabled',
+        'backendSearchTopK',
+        'backendApiToken',
+        'backendWorkspace',
+        'backendIncludePublic',
+        'backendSubscribeEnabled'
+    ],
 
     normalizeSettings(raw = {}) {
         const topKRaw = Number(raw.backendSearchTopK);
@@ -11,7 +21,13 @@ const BackendFunctionService = {
             backendEnabled: raw.backendEnabled === true,
             backendUploadEnabled: raw.backendUploadEnabled === true,
             backendUrl: this._normalizeBackendUrl(raw.backendUrl || this.DEFAULT_URL),
-            backendSearchTopK: Number.isFinite(topKRaw) ? Math.max(1, Math.min(30, Math.floor(topKRaw))) : 8
+            backendSearchTopK: Number.isFinite(topKRaw) ? Math.max(1, Math.min(30, Math.floor(topKRaw))) : 8,
+            backendApiToken: typeof raw.backendApiToken === 'string' ? raw.backendApiToken.trim() : '',
+            // Empty means the backend decides: the token's workspace, else "default".
+            backendWorkspace: typeof raw.backendWorkspace === 'string' ? raw.backendWorkspace.trim().toLowerCase() : '',
+            backendIncludePublic: raw.backendIncludePublic === true,
+            // Listen to /api/events and pre-hydrate verified functions for frequently visited sites.
+            backendSubscribeEnabled: raw.backendSubscribeEnabled === true
         };
     },
 
@@ -28,6 +44,56 @@ const BackendFunctionService = {
         return raw.replace(/\/+$/, '');
     },
 
+    _client(settings) {
+        return FunctionBackendClient.create({
+            baseUrl: settings.backendUrl,
+            token: settings.backendApiToken
+        });
+    },
+
+    // Runs one client call. 429/413 answers are remembered so the popup's backend status can say why
+    // uploads or searches stopped; the next successful call of the same operation clears them.
+    async _request(settings, operationId, ...args) {
+        try {
+            const result = await this._client(settings)[operationId](...args);
+            const stored = await chrome.storage.local.get(this.LIMIT_STATUS_KEY);
+            if (stored?.[this.LIMIT_STATUS_KEY]?.operationId === operationId) {
+                await chrome.storage.local.remove(this.LIMIT_STATUS_KEY);
+            }
+            return result;
+        } catch (error) {
+            if (error.status === 429 || error.status === 413) {
+                await chrome.storage.local.set({ [this.LIMIT_STATUS_KEY]: this._toLimitStatus(error) });
+            }
+            throw error;
+        }
+    },
+
+    _toLimitStatus(error) {
+        const details = error.body?.details || {};
+        const retryAfterSeconds = Number(details.retryAfterSeconds);
+        return {
+            status: error.status,
+            code: details.code || (error.status === 429 ? 'rate_limited' : 'payload_too_large'),
+            operationId: error.operationId || '',
+            message: error.body?.error || error.message,
+            violations: Array.isArray(details.violations) ? details.violations : [],
+            retryAt: Number.isFinite(retryAfterSeconds) ? Date.now() + (retryAfterSeconds * 1000) : null,
+            at: Date.now()
+        };
+    },
+
+    // Last rate-limit or quota rejection, or null; rate limits whose window has passed are dropped.
+    async getLimitStatus() {
+        const stored = await chrome.storage.local.get(this.LIMIT_STATUS_KEY);
+        const limitStatus = stored?.[this.LIMIT_STATUS_KEY] || null;
+        if (limitStatus?.retryAt && limitStatus.retryAt <= Date.now()) {
+            await chrome.storage.local.remove(this.LIMIT_STATUS_KEY);
+            return null;
+        }
+        return limitStatus;
+    },
+
     _normalizePatternList(patterns) {
         if (Array.isArray(patterns)) return patterns.map((p) => String(p || '').trim()).filter(Boolean);
         if (typeof patterns === 'string') {
@@ -91,7 +157,9 @@ const BackendFunctionService = {
     },
 
     async _hasLocalMatch(query = '', currentUrl = '') {
-        const all = await FunctionLibraryService.getAll();
+        const all = currentUrl
+            ? await FunctionLibraryService.findByHost(currentUrl)
+            : await FunctionLibraryService.getAll();
         const candidates = Object.values(all || {}).filter((func) => {
             if (!currentUrl) return true;
             return this._urlMatchesPatterns(currentUrl, func?.urlPatterns || []);
@@ -145,6 +213,7 @@ const BackendFunctionService = {
         return `h${Math.abs(hash)}`;
     },
 
+    // Resolves to { vector, model } so the backend can keep embeddings from different models apart.
     async _generateEmbedding(text) {
         const content = String(text || '').trim();
         if (!content) return null;
@@ -164,24 +233,25 @@ const BackendFunctionService = {
         }, { apiKey });
 
         return Array.isArray(response?.vector) && response.vector.length > 0
-            ? response.vector
+            ? { vector: response.vector, model: response.model || '' }
             : null;
     },
 
     async healthCheck(overrides = null) {
         const settings = await this.getSettings(overrides);
         try {
-            const response = await fetch(`${settings.backendUrl}/api/health`);
-            if (!response.ok) {
-                return { success: false, status: 'offline', error: `Health check failed (${response.status})`, settings };
-            }
-            const data = await response.json();
-            return { success: true, status: 'online', data, settings };
+            const data = await this._client(settings).health();
+            return { success: true, status: 'online', data, settings, limitStatus: await this.getLimitStatus() };
         } catch (error) {
             return { success: false, status: 'offline', error: error.message, settings };
         }
     },
 
+    async listWorkspaces(overrides = null) {
+        const settings = await this.getSettings(overrides);
+        return await this._client(settings).listWorkspaces();
+    },
+
     async uploadVerifiedFunction(functionDef, options = {}) {
         const settings = await this.getSettings();
         if (!settings.backendUploadEnabled) {
@@ -213,26 +283,28 @@ const BackendFunctionService = {
             steps: functionDef?.steps || []
         }));
 
-        const response = await fetch(`${settings.backendUrl}/api/functions/upsert`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                clientId: chrome?.runtime?.id || 'extension',
-                functionDef,
-                embedding,
-                metadata,
-                fingerprint
-            })
+        const result = await this._request(settings, 'upsertFunction', {
+            clientId: chrome?.runtime?.id || 'extension',
+            ...(settings.backendWorkspace ? { workspace: settings.backendWorkspace } : {}),
+            functionDef,
+            embedding: embedding.vector,
+            embeddingModel: embedding.model,
+            metadata,
+            fingerprint
         });
-        if (!response.ok) {
-            const text = await response.text();
-            throw new Error(`Backend upload failed (${response.status}): ${text}`);
-        }
-        const result = await response.json();
         return { success: true, result, fingerprint };
     },
 
-    async searchFunctions({ query = '', currentUrl = '', topK = null, queryEmbedding = null } = {}) {
+    async searchFunctions({
+        query = '',
+        currentUrl = '',
+        topK = null,
+        queryEmbedding = null,
+        queryEmbeddingModel = '',
+        filters = null,
+        // Debugging aid: the response gains an `explain` block showing why each candidate ranked where it did.
+        explain = false
+    } = {}) {
         const settings = await this.getSettings();
         if (!settings.backendEnabled) {
             return { success: false, skipped: true, reason: 'backend-disabled', results: [] };
@@ -240,7 +312,7 @@ const BackendFunctionService = {
 
         const searchQuery = String(query || '').trim();
         let embedding = Array.isArray(queryEmbedding) && queryEmbedding.length > 0
-            ? queryEmbedding
+            ? { vector: queryEmbedding, model: String(queryEmbeddingModel || '') }
             : null;
 
         if (!embedding && searchQuery) {
@@ -251,21 +323,48 @@ const BackendFunctionService = {
             }
         }
 
-        const response = await fetch(`${settings.backendUrl}/api/functions/search`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                query: searchQuery,
-                queryEmbedding: embedding,
-                currentUrl: String(currentUrl || '').trim(),
-                topK: Number.isFinite(Number(topK)) ? topK : settings.backendSearchTopK
-            })
+        return await this._request(settings, explain ? 'explainSearch' : 'searchFunctions', {
+            query: searchQuery,
+            queryEmbedding: embedding?.vector || null,
+            queryEmbeddingModel: embedding?.model || '',
+            currentUrl: String(currentUrl || '').trim(),
+            topK: Number.isFinite(Number(topK)) ? topK : settings.backendSearchTopK,
+            ...(settings.backendWorkspace ? { workspace: settings.backendWorkspace } : {}),
+            includePublic: settings.backendIncludePublic,
+            // Facet filters: { tags: { any, all }, source, verified, updatedAfter, host, inputType, outputType }
+            ...(filters && typeof filters === 'object' ? { filters } : {})
         });
-        if (!response.ok) {
-            const text = await response.text();
-            throw new Error(`Backend search failed (${response.status}): ${text}`);
+    },
+
+    // Reports a live execution of a backend-imported function so the backend can track success rates.
+    async reportRun(functionDef, runResult = {}, { durationMs = null, pageUrl = '' } = {}) {
+        const backendId = functionDef?.backendMeta?.backendId || null;
+        if (functionDef?.syncedFromBackend !== true || !backendId) {
+            return { success: false, skipped: true, reason: 'not-backend-function' };
         }
-        return await response.json();
+        if (runResult?.aborted) {
+            return { success: false, skipped: true, reason: 'aborted' };
+        }
+        const settings = await this.getSettings();
+        if (!settings.backendEnabled) {
+            return { success: false, skipped: true, reason: 'backend-disabled' };
+        }
+
+        let urlHost = '';
+        try {
+            urlHost = pageUrl ? new URL(pageUrl).hostname : '';
+        } catch {
+            urlHost = '';
+        }
+
+        return await this._request(settings, 'reportRun', backendId, {
+            clientId: chrome?.runtime?.id || 'extension',
+            success: runResult?.success === true,
+            failedStep: Number.isInteger(runResult?.step) ? runResult.step : null,
+            durationMs: Number.isFinite(durationMs) ? Math.round(durationMs) : null,
+            urlHost,
+            error: runResult?.success === true ? '' : String(runResult?.error || '').slice(0, 500)
+        });
     },
 
     _toBackendImport(result = {}) {
@@ -315,7 +414,11 @@ const BackendFunctionService = {
             const shouldOverwrite = existingAtName?.syncedFromBackend === true;
             const saveResult = await FunctionLibraryService.upsert(
                 { ...def, name: targetName },
-                { unique: shouldOverwrite ? false : options.unique !== false }
+                {
+                    unique: shouldOverwrite ? false : options.unique !== false,
+                    author: 'backend-import',
+                    note: backendId ? `Backend function ${backendId}` : ''
+                }
             );
             saved.push({
                 name: saveResult.name,
@@ -362,6 +465,41 @@ const BackendFunctionService = {
         };
     },
 
+    // Whether a function imported from the backend was changed here since: its newest revision was not
+    // written by an import (the user edited, reverted or AI-fixed it).
+    async isEditedLocally(name) {
+        const [latest] = await FunctionLibraryService.getHistory(name);
+        return !!latest && latest.author !== 'backend-import';
+    },
+
+    // Imports one backend function plus every sub-function it calls (transitively) in one request.
+    // Local functions that did not come from the backend, and backend copies edited here, keep their name
+    // and win over backend dependencies.
+    async importWithDependencies(backendId) {
+        const settings = await this.getSettings();
+        if (!settings.backendEnabled) {
+            return { success: false, skipped: true, reason: 'backend-disabled', importedCount: 0, missing: [] };
+        }
+        const data = await this._client(settings).getDependencies(backendId);
+        const localFunctions = await FunctionLibraryService.getAll();
+        const dependencies = [];
+        for (const item of Array.isArray(data.dependencies) ? data.dependencies : []) {
+            const name = item?.functionDef?.name;
+            const local = localFunctions[name];
+            if (local && (local.syncedFromBackend !== true || await this.isEditedLocally(name))) continue;
+            dependencies.push(item);
+        }
+        const imported = await this.importResults([data.item, ...dependencies], { unique: false });
+        return {
+            success: true,
+            importedCount: imported.importedCount,
+            importedNames: imported.saved.map((item) => item.name),
+            functionDef: imported.saved[0]?.functionDef || null,
+            missing: Array.isArray(data.missing) ? data.missing : [],
+            allFunctions: imported.allFunctions
+        };
+    },
+
     async fetchByName(name, currentUrl = '') {
         const wanted = String(name || '').trim();
         if (!wanted) return null;
@@ -382,6 +520,20 @@ const BackendFunctionService = {
         const candidate = exact || searchResult.results[0];
         if (!candidate) return null;
 
+        if (candidate.id) {
+            try {
+                const withDependencies = await this.importWithDependencies(candidate.id);
+                if (withDependencies.missing.length > 0) {
+                    console.warn(`[Backend] "${wanted}" calls functions the backend does not have:`,
+                        withDependencies.missing.map((item) => item.name).join(', '));
+                }
+                return withDependencies.functionDef;
+            } catch (error) {
+                // Backends without the dependencies endpoint still serve the function itself.
+                console.warn(`[Backend] Dependency import failed for "${wanted}":`, error.message);
+            }
+        }
+
         const imported = await this.importResults([candidate], { unique: false });
         if (imported.importedCount <= 0) return null;
         return imported.saved[0]?.functionDef || null;
@@ -14,11 +14,20 @@ const EmbeddingService = {
 
     // Generate embedding vector for text
     async embed(text, apiKey, engine, options = {}) {
+        const result = await this.embedWithModel(text, apiKey, engine, options);
+        return result.vector;
+    },
+
+    // Like embed(), but also reports the model that produced the vector ("gemini:<model>" or
+    // "ollama:<model>"), which differs from the requested engine after an Ollama -> Gemini fallback.
+    async embedWithModel(text, apiKey, engine, options = {}) {
         const useEngine = engine || this._engine;
+        const geminiModel = `gemini:${this.GEMINI_MODEL}`;
 
         if (useEngine === 'ollama') {
             try {
-                return await this._embedOllama(text, options);
+                const result = await this._embedOllama(text, options, true);
+                return { vector: result.embeddings, model: `ollama:${result.model || ''}` };
             } catch (e) {
                 if (options.strictLocal) {
                     throw new Error(`Strict local embedding failed: ${e.message}`);
@@ -27,10 +36,10 @@ const EmbeddingService = {
                 if (!apiKey) {
                     throw new Error(`Ollama embedding failed and no Gemini API key available: ${e.message}`);
                 }
-                return await this._embedGemini(text, apiKey);
+                return { vector: await this._embedGemini(text, apiKey), model: geminiModel };
             }
         }
-        return await this._embedGemini(text, apiKey);
+        return { vector: await this._embedGemini(text, apiKey), model: geminiModel };
     },
 
     async _embedGemini(text, apiKey) {
@@ -61,7 +70,7 @@ const EmbeddingService = {
         }
     },
 
-    async _embedOllama(text, options = {}) {
+    async _embedOllama(text, options = {}, withModel = false) {
         if (typeof OllamaService === 'undefined') {
             throw new Error('OllamaService not loaded');
         }
@@ -69,7 +78,7 @@ const EmbeddingService = {
         if (result.fallback || !result.success) {
             throw new Error(result?.error || 'Ollama not available for embedding');
         }
-        return result.embeddings;
+        return withModel ? result : result.embeddings;
     },
 
     // Batch embed multiple texts
@@ -304,8 +313,10 @@ const EmbeddingService = {
         };
 
         switch (action) {
-            case 'embed':
-                return { success: true, vector: await this.embed(params.text, apiKey, engine, embedOptions) };
+            case 'embed': {
+                const embedded = await this.embedWithModel(params.text, apiKey, engine, embedOptions);
+                return { success: true, vector: embedded.vector, model: embedded.model };
+            }
 
             case 'store':
                 return await this.store(params.collection, params.id, params.text, apiKey, params.metadata, engine, embedOptions);
@@ -0,0 +1,145 @@
+// Function Backend Client
+// Dependency-free client for the function-backend HTTP API (see /api/openapi.json on the backend).
+// Method names follow the operationIds of the OpenAPI document. Loadable with importScripts.
+
+const FunctionBackendClient = {
+    /**
+     * Create a client bound to one backend.
+     * @param {{ baseUrl: string, token?: string, fetchImpl?: Function }} options
+     * Failed requests reject with an Error carrying `status`, `operationId` and the parsed `body`.
+     */
+    create({ baseUrl, token = '', fetchImpl = null } = {}) {
+        const root = String(baseUrl || '').trim().replace(/\/+$/, '');
+        if (!root) throw new Error('FunctionBackendClient needs a baseUrl');
+        const doFetch = fetchImpl || ((...args) => fetch(...args));
+        const id = (value) => encodeURIComponent(String(value));
+
+        async function request(operationId, method, path, { query = null, body } = {}) {
+            const search = new URLSearchParams();
+            Object.entries(query || {}).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') search.set(key, String(value));
+            });
+            const headers = {};
+            if (token) headers.Authorization = `Bearer ${token}`;
+            if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+            const url = `${root}${path}${search.toString() ? `?${search}` : ''}`;
+            const response = await doFetch(url, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            const text = await response.text();
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch {
+                data = null;
+            }
+            if (!response.ok) {
+                const detail = data?.details ? `${data.error} ${JSON.stringify(data.details)}` : (data?.error || text);
+                const error = new Error(`Backend ${operationId} failed (${response.status}): ${detail}`);
+                error.status = response.status;
+                error.operationId = operationId;
+                error.body = data;
+                throw error;
+            }
+            return data;
+        }
+
+        /**
+         * Reads /api/events until the stream ends or `signal` aborts, calling `onEvent` with each parsed event
+         * (`{ id, type, data, createdAt }`). Resolves with the id of the last event seen, for the next reconnect.
+         */
+        async function openEventStream({ query = null, lastEventId = '', signal = null, onEvent = () => {} } = {}) {
+            const search = new URLSearchParams();
+            Object.entries(query || {}).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') search.set(key, String(value));
+            });
+            const headers = { Accept: 'text/event-stream' };
+            if (token) headers.Authorization = `Bearer ${token}`;
+            if (lastEventId) headers['Last-Event-ID'] = String(lastEventId);
+
+            const response = await doFetch(`${root}/api/events${search.toString() ? `?${search}` : ''}`, { headers, signal });
+            if (!response.ok || !response.body) {
+                const error = new Error(`Backend streamEvents failed (${response.status}): ${await response.text()}`);
+                error.status = response.status;
+                error.operationId = 'streamEvents';
+                throw error;
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let lastId = lastEventId;
+            try {
+                for (;;) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+                    buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+                    let boundary = buffer.indexOf('\n\n');
+                    while (boundary >= 0) {
+                        const block = buffer.slice(0, boundary);
+                        buffer = buffer.slice(boundary + 2);
+                        boundary = buffer.indexOf('\n\n');
+                        // Only `id:` and `data:` matter; comments (heartbeats) and `retry:` are skipped.
+                        const fields = { id: '', data: [] };
+                        block.split('\n').forEach((line) => {
+                            const match = /^(id|data): ?(.*)$/.exec(line);
+                            if (match?.[1] === 'id') fields.id = match[2];
+                            if (match?.[1] === 'data') fields.data.push(match[2]);
+                        });
+                        if (fields.data.length === 0) continue;
+                        if (fields.id) lastId = fields.id;
+                        await onEvent(JSON.parse(fields.data.join('\n')));
+                    }
+                }
+            } finally {
+                reader.releaseLock();
+            }
+            return lastId;
+        }
+
+        return {
+            baseUrl: root,
+            request,
+            openEventStream,
+            health: () => request('health', 'GET', '/api/health'),
+            getStats: () => request('getStats', 'GET', '/api/stats'),
+            listRankingProfiles: () => request('listRankingProfiles', 'GET', '/api/ranking-profiles'),
+            listFunctions: (query = {}) => request('listFunctions', 'GET', '/api/functions', { query }),
+            getFunction: (functionId) => request('getFunction', 'GET', `/api/functions/${id(functionId)}`),
+            upsertFunction: (body) => request('upsertFunction', 'POST', '/api/functions/upsert', { body }),
+            searchFunctions: (body) => request('searchFunctions', 'POST', '/api/functions/search', { body }),
+            explainSearch: (body) => request('explainSearch', 'POST', '/api/functions/search/explain', { body }),
+            getDependencies: (functionId) => request('getDependencies', 'GET', `/api/functions/${id(functionId)}/dependencies`),
+            listRuns: (functionId, query = {}) => request('listRuns', 'GET', `/api/functions/${id(functionId)}/runs`, { query }),
+            reportRun: (functionId, body) => request('reportRun', 'POST', `/api/functions/${id(functionId)}/runs`, { body }),
+            listVersions: (functionId) => request('listVersions', 'GET', `/api/functions/${id(functionId)}/versions`),
+            getVersion: (functionId, version) => request(
+                'getVersion',
+                'GET',
+                `/api/functions/${id(functionId)}/versions/${id(version)}`
+            ),
+            diffVersions: (functionId, query = {}) => request(
+                'diffVersions',
+                'GET',
+                `/api/functions/${id(functionId)}/versions/diff`,
+                { query }
+            ),
+            rollbackFunction: (functionId, body) => request(
+                'rollbackFunction',
+                'POST',
+                `/api/functions/${id(functionId)}/rollback`,
+                { body }
+            ),
+            listWorkspaces: () => request('listWorkspaces', 'GET', '/api/workspaces'),
+            listWebhooks: () => request('listWebhooks', 'GET', '/api/webhooks'),
+            createWebhook: (body) => request('createWebhook', 'POST', '/api/webhooks', { body }),
+            deleteWebhook: (webhookId) => request('deleteWebhook', 'DELETE', `/api/webhooks/${id(webhookId)}`),
+            getOpenApiDocument: () => request('getOpenApiDocument', 'GET', '/api/openapi.json')
+        };
+    }
+};
+
+if (typeof self !== 'undefined') self.FunctionBackendClient = FunctionBackendClient;
@@ -0,0 +1,71 @@
+// Events from the backend's /api/events stream applied to a library holding imported functions.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+require('fake-indexeddb/auto');
+const { loadScript } = require('./loadScript');
+
+let storage;
+global.chrome = {
+    storage: {
+        local: {
+            get: async (keys) => Object.fromEntries([].concat(keys).filter((key) => key in storage).map((key) => [key, storage[key]])),
+            set: async (items) => { Object.assign(storage, items); },
+            remove: async (keys) => { [].concat(keys).forEach((key) => delete storage[key]); }
+        }
+    },
+    runtime: { sendMessage: async () => {} }
+};
+
+// Backend functions by id, as GET /api/functions/:id/dependencies returns them.
+let backend;
+global.FunctionBackendClient = {
+    create: () => ({
+        getDependencies: async (id) => ({ item: backend[id], dependencies: [], missing: [] })
+    })
+};
+
+let library;
+let events;
+
+const backendFunction = (id, steps) => ({ id, functionDef: { name: 'SearchShop', steps } });
+const event = (type, status = 'active') => ({
+    id: Date.now(),
+    type,
+    data: { id: 'fn-1', name: 'SearchShop', status, verified: true, sites: [] }
+});
+
+beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    storage = { backendEnabled: true, backendSubscribeEnabled: true };
+    backend = { 'fn-1': backendFunction('fn-1', ['v1']) };
+    library = loadScript('core/functionLibraryService.js', 'FunctionLibraryService');
+    const service = loadScript('services/backendFunctionService.js', 'BackendFunctionService');
+    events = loadScript('services/backendEventsService.js', 'BackendEventsService');
+    await service.importWithDependencies('fn-1');
+    backend['fn-1'] = backendFunction('fn-1', ['v2']);
+});
+
+test('an imported function is refreshed when the backend updates it', async () => {
+    assert.equal(await events.handleEvent(event('function.updated')), 'refreshed');
+    assert.deepEqual((await library.get('SearchShop')).steps, ['v2']);
+});
+
+test('an imported function the user edited is not overwritten', async () => {
+    await library.upsert({ ...(await library.get('SearchShop')), steps: ['mine'] }, { unique: false, author: 'manual' });
+    assert.equal(await events.handleEvent(event('function.updated')), 'edited-locally');
+    assert.deepEqual((await library.get('SearchShop')).steps, ['mine']);
+});
+
+for (const [type, status] of [['function.deleted', 'active'], ['function.updated', 'quarantined'], ['function.updated', 'merged']]) {
+    test(`an imported function is removed on ${type} (${status})`, async () => {
+        assert.equal(await events.handleEvent(event(type, status)), 'removed');
+        assert.equal(await library.get('SearchShop'), null);
+    });
+}
+
+test('an imported function the user edited is kept when the backend withdraws it', async () => {
+    await library.upsert({ ...(await library.get('SearchShop')), steps: ['mine'] }, { unique: false, author: 'manual' });
+    assert.equal(await events.handleEvent(event('function.deleted')), 'edited-locally');
+    assert.deepEqual((await library.get('SearchShop')).steps, ['mine']);
+});
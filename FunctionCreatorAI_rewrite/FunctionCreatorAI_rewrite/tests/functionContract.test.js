@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('fake-indexeddb/auto');
+const { loadScript } = require('./loadScript');
+
+global.chrome = {
+    storage: { local: { get: async () => ({}), set: async () => {}, remove: async () => {} } },
+    runtime: { sendMessage: async () => {} }
+};
+
+const FunctionContract = loadScript('core/functionContract.js', 'FunctionContract');
+const RecordedTaskAdapter = loadScript('core/recordedTaskAdapter.js', 'RecordedTaskAdapter');
+loadScript('core/functionLibraryService.js', 'FunctionLibraryService');
+const ToolOrchestrator = loadScript('core/toolOrchestrator.js', 'ToolOrchestrator');
+
+const withInputs = (...inputs) => ({ name: 'fn', inputs });
+const withOutputs = (outputs) => ({ name: 'fn', outputs });
+const messages = (result) => result.errors.map((error) => error.message);
+
+test('prepareInputs converts inputs to their declared types', () => {
+    const functionDef = withInputs(
+        { name: 'zip', type: 'number' },
+        { name: 'tags', type: 'array' },
+        { name: 'ids', type: 'list' },
+        { name: 'exact', type: 'boolean' },
+        { name: 'filters', type: 'object' },
+        { name: 'label', type: 'string' }
+    );
+    const inputs = { zip: '02134', tags: 'a, b', ids: '[1,2]', exact: 'yes', filters: '{"size":"M"}', label: 7, extra: 'kept' };
+    const prepared = FunctionContract.prepareInputs(functionDef, inputs);
+    assert.equal(prepared.ok, true);
+    assert.deepEqual(prepared.inputs, {
+        zip: 2134, tags: ['a', 'b'], ids: [1, 2], exact: true, filters: { size: 'M' }, label: '7', extra: 'kept'
+    });
+});
+
+test('textInputs keeps the text the caller sent for {{param}} substitution', () => {
+    const functionDef = withInputs({ name: 'zip', type: 'number' }, { name: 'tags', type: 'array', defaultValue: 'a,b' });
+    const prepared = FunctionContract.prepareInputs(functionDef, { zip: '02134' });
+    assert.deepEqual(FunctionContract.textInputs(prepared.inputs), { zip: '02134', tags: 'a,b' });
+    const plain = { zip: 2134 };
+    assert.equal(FunctionContract.textInputs(plain), plain);
+});
+
+test('prepareInputs fills declared defaults for empty inputs', () => {
+    const functionDef = withInputs({ name: 'query', type: 'string', required: true, defaultValue: 'shoes' });
+    assert.deepEqual(FunctionContract.prepareInputs(functionDef, { query: '  ' }).inputs, { query: 'shoes' });
+    assert.deepEqual(FunctionContract.prepareInputs(functionDef, undefined).inputs, { query: 'shoes' });
+});
+
+test('prepareInputs reports missing required inputs and values that do not fit their type', () => {
+    const functionDef = withInputs(
+        { name: 'query', type: 'string', required: true },
+        { name: 'count', type: 'integer' },
+        { name: 'price', type: 'number' },
+        { name: 'exact', type: 'bool' },
+        { name: 'filters', type: 'object' },
+        { name: 'optional', type: 'number' }
+    );
+    const prepared = FunctionContract.prepareInputs(functionDef, {
+        count: '1.5', price: 'cheap', exact: 'maybe', filters: '[1]', optional: ''
+    });
+    assert.equal(prepared.ok, false);
+    assert.deepEqual(messages(prepared), [
+        'Missing required input "query" (string)',
+        'Input "count": expected a whole number, got 1.5',
+        'Input "price": expected a number, got "cheap"',
+        'Input "exact": expected true or false, got "maybe"',
+        'Input "filters": expected a JSON object, got "[1]"'
+    ]);
+});
+
+test('checkOutput does not check runs that returned no data', () => {
+    const functionDef = withOutputs({ type: 'array', fields: ['title'] });
+    assert.equal(FunctionContract.checkOutput(functionDef, null).ok, true);
+    assert.equal(FunctionContract.checkOutput(functionDef, undefined).ok, true);
+});
+
+test('checkOutput accepts whatever a recorded task returns', () => {
+    const functionDef = RecordedTaskAdapter.toGeneratedFunction({
+        name: 'SearchShop',
+        parameters: [{ name: 'query', value: 'shoes' }],
+        steps: [
+            { action: 'navigate', url: 'https://shop.example.com/' },
+            { action: 'type', selector: '#q', value: 'shoes', isParam: true, paramName: 'query' },
+            { action: 'getLargestText' }
+        ]
+    });
+    assert.equal(functionDef.outputs.type, 'object');
+    const prepared = FunctionContract.prepareInputs(functionDef, { query: 2134 });
+    assert.equal(prepared.inputs.query, '2134');
+    for (const data of [[{ text: 'Result' }], { value: 'Result' }, 'Result', null]) {
+        assert.deepEqual(FunctionContract.checkOutput(functionDef, data), { ok: true, errors: [] });
+    }
+});
+
+test('checkOutput accepts whatever a saved tool chain returns', async () => {
+    const { functionDef } = await ToolOrchestrator._saveToolChainAsFunction(
+        'Rank articles similar to cats',
+        { plan: [{ tool: 'embedding_handler', params: { query: 'cats' } }], expectedOutput: 'Ranked articles' },
+        'https://news.example.com/'
+    );
+    assert.equal(functionDef.outputs.type, 'object');
+    assert.equal(FunctionContract.prepareInputs(functionDef, {}).ok, true);
+    const returned = { success: true, expectedOutput: 'Ranked articles', steps: [{ tool: 'embedding_handler', success: true }] };
+    for (const data of [returned, [returned], null]) {
+        assert.deepEqual(FunctionContract.checkOutput(functionDef, data), { ok: true, errors: [] });
+    }
+});
+
+test('checkOutput checks an object with declared fields, or the rows extract steps return for it', () => {
+    const functionDef = withOutputs({ type: 'object', properties: { title: {}, price: {} } });
+    assert.equal(FunctionContract.checkOutput(functionDef, { title: 'A', price: 1 }).ok, true);
+    assert.equal(FunctionContract.checkOutput(functionDef, [{ title: 'A' }, { price: 2 }]).ok, true);
+    assert.deepEqual(messages(FunctionContract.checkOutput(functionDef, { title: 'A' })), [
+        'Output: missing declared field(s) price'
+    ]);
+    assert.deepEqual(messages(FunctionContract.checkOutput(functionDef, [{ title: 'A' }, 'B'])), [
+        'Output[1]: expected object, got string',
+        'Output items: no item has declared field(s) price'
+    ]);
+    assert.deepEqual(messages(FunctionContract.checkOutput(functionDef, 'A')), ['Output: expected object, got string']);
+});
+
+test('checkOutput checks arrays, item types and scalars', () => {
+    assert.deepEqual(messages(FunctionContract.checkOutput(withOutputs({ type: 'list', fields: 'title (string), price' }), { title: 'A' })), [
+        'Output: expected list, got object'
+    ]);
+    assert.deepEqual(messages(FunctionContract.checkOutput(withOutputs({ type: 'array', itemType: 'int' }), [1, 2.5])), [
+        'Output[1]: expected integer, got number'
+    ]);
+    assert.equal(FunctionContract.checkOutput(withOutputs({ type: 'number' }), 3).ok, true);
+    assert.equal(FunctionContract.checkOutput(withOutputs({ type: 'boolean' }), 'true').ok, false);
+    assert.equal(FunctionContract.checkOutput(withOutputs({ type: 'any' }), 'anything').ok, true);
+    assert.equal(FunctionContract.checkOutput(withOutputs('A list of titles'), 42).ok, true);
+});
+
+test('failure builds a failed run result that keeps the run output', () => {
+    const errors = [{ path: '', message: 'Output: expected object, got string' }];
+    const result = FunctionContract.failure(FunctionContract.OUTPUT_FAILURE, errors, { success: true, data: 'A' });
+    assert.deepEqual(result, {
+        success: false,
+        data: 'A',
+        failureKind: FunctionContract.OUTPUT_FAILURE,
+        contractErrors: errors,
+        error: 'Output does not match the declared outputs: Output: expected object, got string'
+    });
+});
@@ -0,0 +1,107 @@
+// Interleaved writers: the popup and the service worker each load their own FunctionLibraryService
+// against the same IndexedDB, as the extension does.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+require('fake-indexeddb/auto');
+const { loadScript } = require('./loadScript');
+
+global.chrome = {
+    storage: { local: { get: async () => ({}), set: async () => {}, remove: async () => {} } },
+    runtime: { sendMessage: async () => {} }
+};
+
+let popup;
+let worker;
+
+beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    popup = loadScript('core/functionLibraryService.js', 'FunctionLibraryService');
+    worker = loadScript('core/functionLibraryService.js', 'FunctionLibraryService');
+    await worker.upsertMany(['f1', 'f2', 'f3', 'f4'].map((name) => ({ name, steps: [] })), { unique: false });
+});
+
+const isConflict = (names) => (error) => {
+    assert.equal(error.code, popup.CONFLICT_CODE);
+    assert.deepEqual(error.conflicts, names);
+    return true;
+};
+
+test('setAll from a stale snapshot keeps functions the other writer added or changed', async () => {
+    const library = await popup.getAll();
+    await worker.upsert({ name: 'added', steps: [] }, { unique: false });
+    await worker.upsert({ name: 'f3', steps: ['worker'] }, { unique: false });
+
+    delete library.f1;
+    library.f4 = { ...library.f4, steps: ['popup'] };
+    const saved = await popup.setAll(library, { author: 'manual' });
+
+    assert.deepEqual(Object.keys(saved).sort(), ['added', 'f2', 'f3', 'f4']);
+    assert.deepEqual(saved.f3.steps, ['worker']);
+    assert.deepEqual(saved.f4.steps, ['popup']);
+    assert.deepEqual(Object.keys(await worker.getAll()).sort(), ['added', 'f2', 'f3', 'f4']);
+});
+
+test('setAll rejects without saving anything when both writers edited the same function', async () => {
+    const library = await popup.getAll();
+    library.f2 = { ...library.f2, steps: ['popup'] };
+    library.f4 = { ...library.f4, steps: ['popup'] };
+    await worker.upsert({ name: 'f2', steps: ['worker'] }, { unique: false });
+
+    await assert.rejects(popup.setAll(library), isConflict(['f2']));
+    assert.deepEqual((await worker.get('f2')).steps, ['worker']);
+    assert.deepEqual((await worker.get('f4')).steps, []);
+});
+
+test('setAll rejects deleting or renaming a function the other writer changed', async () => {
+    let library = await popup.getAll();
+    delete library.f1;
+    await worker.upsert({ name: 'f1', steps: ['worker'] }, { unique: false });
+    await assert.rejects(popup.setAll(library), isConflict(['f1']));
+    assert.deepEqual((await worker.get('f1')).steps, ['worker']);
+
+    library = await popup.getAll();
+    library.renamed = { ...library.f3, name: 'renamed' };
+    delete library.f3;
+    await worker.upsert({ name: 'f3', steps: ['worker'] }, { unique: false });
+    await assert.rejects(popup.setAll(library, { renames: { f3: 'renamed' } }), isConflict(['f3']));
+    assert.equal(await worker.get('renamed'), null);
+});
+
+test('update() runs the mutator again on the newer library after a conflict', async () => {
+    let attempts = 0;
+    const saved = await popup.update(async (library) => {
+        attempts += 1;
+        if (attempts === 1) await worker.upsert({ name: 'f2', steps: ['worker'] }, { unique: false });
+        library.f2 = { ...library.f2, steps: [...library.f2.steps, 'popup'] };
+    }, { author: 'manual' });
+
+    assert.equal(attempts, 2);
+    assert.deepEqual(saved.f2.steps, ['worker', 'popup']);
+});
+
+test('update() gives up after MAX_WRITE_ATTEMPTS conflicts', async () => {
+    let attempts = 0;
+    await assert.rejects(popup.update(async (library) => {
+        attempts += 1;
+        await worker.upsert({ name: 'f2', steps: [attempts] }, { unique: false });
+        library.f2 = { ...library.f2, steps: ['lost'] };
+    }), isConflict(['f2']));
+    assert.equal(attempts, popup.MAX_WRITE_ATTEMPTS);
+    assert.deepEqual((await worker.get('f2')).steps, [popup.MAX_WRITE_ATTEMPTS]);
+});
+
+test('concurrent update() calls from both writers lose no change', async () => {
+    await popup.upsert({ name: 'counter', count: 0 }, { unique: false });
+    const bump = (service) => service.update((library) => {
+        library.counter = { ...library.counter, count: library.counter.count + 1 };
+    });
+    await Promise.all([0, 1, 2].flatMap(() => [bump(popup), bump(worker)]));
+    assert.equal((await popup.get('counter')).count, 6);
+});
+
+test('setAll with a map the service did not hand out replaces the library', async () => {
+    const saved = await popup.setAll({ only: { name: 'only', steps: [] } });
+    assert.deepEqual(Object.keys(saved), ['only']);
+    assert.deepEqual(Object.keys(await worker.getAll()), ['only']);
+});
@@ -0,0 +1,14 @@
+// Loads an extension script (a plain script that publishes its service on `self`) the way a separate
+// extension context would: every call evaluates the file again and returns a new, independent copy.
+const path = require('node:path');
+
+global.self = global;
+
+function loadScript(relativePath, globalName) {
+    const file = path.join(__dirname, '..', relativePath);
+    delete require.cache[require.resolve(file)];
+    require(file);
+    return self[globalName];
+}
+
+module.exports = { loadScript };
@@ -5,6 +5,9 @@ document.addEventListener('DOMContentLoaded', () => {
     let currentMode = 'record'; // 'record' or 'playback'
     let currentTestingFunction = null;
     let currentPageUrl = '';
+    let libraryRunStats = {};
+    let librarySemanticScores = null; // { query, scores } of the last embedding search
+    const collapsedLibraryFolders = new Set();
 
     // Record Mode Elements
     const recordButton = document.getElementById('recordButton');
@@ -43,6 +46,15 @@ document.addEventListener('DOMContentLoaded', () => {
     const backendUrlInput = document.getElementById('backendUrl');
     const backendStatusEl = document.getElementById('backendStatus');
     const backendUploadEnabledCheckbox = document.getElementById('backendUploadEnabled');
+    const backendApiTokenInput = document.getElementById('backendApiToken');
+    const backendWorkspaceInput = document.getElementById('backendWorkspace');
+    const backendWorkspaceOptions = document.getElementById('backendWorkspaceOptions');
+    const backendIncludePublicCheckbox = document.getElementById('backendIncludePublic');
+    const backendSubscribeEnabledCheckbox = document.getElementById('backendSubscribeEnabled');
+    const exportLibraryBtn = document.getElementById('exportLibraryBtn');
+    const importLibraryBtn = document.getElementById('importLibraryBtn');
+    const importLibraryFile = document.getElementById('importLibraryFile');
+    const libraryBundleStatus = document.getElementById('libraryBundleStatus');
 
     // Mode Tab Elements
     const recordModeTab = document.getElementById('recordModeTab');
@@ -58,6 +70,15 @@ document.addEventListener('DOMContentLoaded', () => {
     const generateFunctionBtn = document.getElementById('generateFunctionBtn');
     const generationStatus = document.getElementById('generationStatus');
     const functionsContainer = document.getElementById('functionsContainer');
+    const librarySearchInput = document.getElementById('librarySearchInput');
+    const librarySemanticToggle = document.getElementById('librarySemanticToggle');
+    const libraryFolderFilter = document.getElementById('libraryFolderFilter');
+    const libraryTagFilter = document.getElementById('libraryTagFilter');
+    const librarySourceFilter = document.getElementById('librarySourceFilter');
+    const libraryStatusFilter = document.getElementById('libraryStatusFilter');
+    const librarySort = document.getElementById('librarySort');
+    const librarySiteFilter = document.getElementById('librarySiteFilter');
+    const librarySearchStatus = document.getElementById('librarySearchStatus');
     const functionTestSection = document.querySelector('.function-test-section');
     const testInputsContainer = document.getElementById('testInputsContainer');
     const runTestBtn = document.getElementById('runTestBtn');
@@ -89,6 +110,17 @@ document.addEventListener('DOMContentLoaded', () => {
     const functionAiModel = document.getElementById('functionAiModel');
     const functionEmbeddingProvider = document.getElementById('functionEmbeddingProvider');
     const functionEmbeddingModel = document.getElementById('functionEmbeddingModel');
+    const functionHistoryModal = document.getElementById('functionHistoryModal');
+    const functionHistoryName = document.getElementById('functionHistoryName');
+    const functionHistoryList = document.getElementById('functionHistoryList');
+    const functionHistoryDiffTitle = document.getElementById('functionHistoryDiffTitle');
+    const functionHistoryDiff = document.getElementById('functionHistoryDiff');
+    const functionOrganizeModal = document.getElementById('functionOrganizeModal');
+    const functionOrganizeName = document.getElementById('functionOrganizeName');
+    const functionFolderInput = document.getElementById('functionFolderInput');
+    const functionFolderOptions = document.getElementById('functionFolderOptions');
+    const functionTagsInput = document.getElementById('functionTagsInput');
+    const saveFunctionOrganizeBtn = document.getElementById('saveFunctionOrganizeBtn');
 
     const aiTaskRunControl = {
         isRunning: false,
@@ -121,6 +153,8 @@ document.addEventListener('DOMContentLoaded', () => {
         if (event.target == modal) modal.style.display = "none";
         if (event.target == document.getElementById('codeEditorModal')) document.getElementById('codeEditorModal').style.display = "none";
         if (event.target == functionModelModal) functionModelModal.style.display = "none";
+        if (event.target == functionHistoryModal) functionHistoryModal.style.display = "none";
+        if (event.target == functionOrganizeModal) functionOrganizeModal.style.display = "none";
     };
 
     // Code Editor Elements and Logic
@@ -131,11 +165,18 @@ document.addEventListener('DOMContentLoaded', () => {
     const closeEditorBtn = document.querySelector('.close-editor-btn');
     let currentEditingFunction = null;
     let currentModelEditingFunction = null;
+    let currentOrganizingFunction = null;
 
     closeEditorBtn.onclick = () => { codeEditorModal.style.display = "none"; };
     cancelCodeBtn.onclick = () => { codeEditorModal.style.display = "none"; };
     if (closeModelBtn) closeModelBtn.onclick = () => { functionModelModal.style.display = "none"; };
     if (cancelFunctionModelBtn) cancelFunctionModelBtn.onclick = () => { functionModelModal.style.display = "none"; };
+    document.querySelectorAll('.close-history-btn, #closeFunctionHistoryBtn').forEach((btn) => {
+        btn.onclick = () => { functionHistoryModal.style.display = "none"; };
+    });
+    document.querySelectorAll('.close-organize-btn, #cancelFunctionOrganizeBtn').forEach((btn) => {
+        btn.onclick = () => { functionOrganizeModal.style.display = "none"; };
+    });
 
     saveCodeBtn.onclick = async () => {
         try {
@@ -168,7 +209,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 modelPreferences: parsedFunc.modelPreferences || currentEditingFunction.modelPreferences
             };
 
-            await saveFunctionLibrary();
+            const saved = await saveFunctionLibrary({
+                author: 'manual',
+                note: 'Edited in code editor',
+                renames: newName !== oldName ? { [oldName]: newName } : {}
+            });
+            if (!saved) return;
             updateFunctionsLibrary();
 
             // Update currentTestingFunction if it matches
@@ -250,7 +296,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 ...existing,
                 modelPreferences: cleaned
             };
-            await saveFunctionLibrary();
+            if (!(await saveFunctionLibrary({ author: 'manual', note: 'Model settings changed' }))) return;
             updateFunctionsLibrary();
             updateAITaskFunctionsLibrary();
             functionModelModal.style.display = 'none';
@@ -258,6 +304,169 @@ document.addEventListener('DOMContentLoaded', () => {
         };
     }
 
+    function openFunctionOrganizeModal(func) {
+        if (!func || !functionOrganizeModal) return;
+        currentOrganizingFunction = func;
+        functionOrganizeName.textContent = func.name || '-';
+        functionFolderInput.value = getFunctionFolder(func);
+        functionTagsInput.value = getFunctionTags(func).join(', ');
+        functionFolderOptions.innerHTML = '';
+        getLibraryFolders().forEach((folder) => {
+            const option = document.createElement('option');
+            option.value = folder;
+            functionFolderOptions.appendChild(option);
+        });
+        functionOrganizeModal.style.display = 'block';
+        functionFolderInput.focus();
+    }
+
+    if (saveFunctionOrganizeBtn) {
+        saveFunctionOrganizeBtn.onclick = async () => {
+            const funcName = currentOrganizingFunction?.name;
+            const existing = funcName ? allFunctions[funcName] : null;
+            if (!existing) {
+                functionOrganizeModal.style.display = 'none';
+                return;
+            }
+            const { folder: _folder, tags: _tags, ...rest } = existing;
+            const folder = getFunctionFolder({ folder: functionFolderInput.value });
+            const tags = getFunctionTags({ tags: functionTagsInput.value });
+            allFunctions[funcName] = {
+                ...rest,
+                ...(folder ? { folder } : {}),
+                ...(tags.length > 0 ? { tags } : {})
+            };
+            if (!(await saveFunctionLibrary({ author: 'manual', note: 'Folder/tags changed' }))) return;
+            updateFunctionsLibrary();
+            updateAITaskFunctionsLibrary();
+            functionOrganizeModal.style.display = 'none';
+            addLogEntry(`🏷️ Updated folder/tags for: ${funcName}`);
+        };
+    }
+
+    const HISTORY_AUTHOR_LABELS = {
+        manual: 'Manual edit',
+        'ai-generate': 'AI generated',
+        'ai-modify': 'AI modify',
+        'ai-fix': 'AI fix',
+        'backend-import': 'Backend import',
+        import: 'Bundle import',
+        revert: 'Revert',
+        unknown: 'Earlier version'
+    };
+    // Unchanged lines shown around each change in the history diff.
+    const HISTORY_DIFF_CONTEXT = 3;
+
+    function renderHistoryDiff(title, before, after) {
+        const service = getFunctionLibraryService();
+        if (!service || !functionHistoryDiff) return;
+        const lines = service.diffFunctions(before, after);
+        const keep = lines.map(() => false);
+        lines.forEach((line, index) => {
+            if (line.type === 'same') return;
+            for (let i = Math.max(0, index - HISTORY_DIFF_CONTEXT); i <= Math.min(lines.length - 1, index + HISTORY_DIFF_CONTEXT); i++) {
+                keep[i] = true;
+            }
+        });
+
+        functionHistoryDiffTitle.textContent = title;
+        functionHistoryDiff.replaceChildren();
+        if (!keep.includes(true)) {
+            functionHistoryDiff.textContent = 'No differences.';
+            return;
+        }
+        const prefixes = { same: '  ', added: '+ ', removed: '- ' };
+        let folded = 0;
+        lines.forEach((line, index) => {
+            if (!keep[index]) {
+                folded++;
+                if (index < lines.length - 1 && !keep[index + 1]) return;
+            }
+            const row = document.createElement('div');
+            if (folded > 0) {
+                row.className = 'history-line-fold';
+                row.textContent = `… ${folded} unchanged line${folded === 1 ? '' : 's'}`;
+                folded = 0;
+                functionHistoryDiff.appendChild(row);
+                if (!keep[index]) return;
+            }
+            const lineEl = document.createElement('div');
+            lineEl.className = `history-line-${line.type}`;
+            lineEl.textContent = prefixes[line.type] + line.text;
+            functionHistoryDiff.appendChild(lineEl);
+        });
+    }
+
+    async function openFunctionHistoryModal(func) {
+        const service = getFunctionLibraryService();
+        if (!func || !service || !functionHistoryModal) return;
+        const name = func.name;
+        const revisions = await service.getHistory(name);
+        const current = allFunctions[name] || func;
+
+        functionHistoryName.textContent = name;
+        functionHistoryDiffTitle.textContent = '';
+        functionHistoryDiff.replaceChildren();
+        functionHistoryList.replaceChildren();
+        if (revisions.length === 0) {
+            functionHistoryList.textContent = 'No revisions yet. Changes made from now on are recorded here.';
+        }
+
+        revisions.forEach((revision, index) => {
+            const previous = revisions[index + 1] || null;
+            const row = document.createElement('div');
+            row.className = 'history-row';
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            const author = HISTORY_AUTHOR_LABELS[revision.author] || revision.author;
+            meta.textContent = `v${revision.version} · ${author} · ${new Date(revision.savedAt).toLocaleString()}${index === 0 ? ' (current)' : ''}`;
+            row.appendChild(meta);
+            if (revision.note) {
+                const note = document.createElement('div');
+                note.className = 'history-note';
+                note.textContent = revision.note;
+                row.appendChild(note);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+            const addAction = (label, onClick) => {
+                const btn = document.createElement('button');
+                btn.textContent = label;
+                btn.addEventListener('click', onClick);
+                actions.appendChild(btn);
+            };
+            if (previous) {
+                addAction('Diff with previous', () => renderHistoryDiff(
+                    `v${previous.version} → v${revision.version}`, previous.functionDef, revision.functionDef
+                ));
+            }
+            if (index > 0) {
+                addAction('Diff with current', () => renderHistoryDiff(
+                    `v${revision.version} → current`, revision.functionDef, current
+                ));
+                addAction('Revert', async () => {
+                    if (!confirm(`Revert "${name}" to version ${revision.version}? The current version stays in the history.`)) return;
+                    try {
+                        const result = await service.revert(name, revision.version);
+                        allFunctions = result.allFunctions;
+                        updateFunctionsLibrary();
+                        updateAITaskFunctionsLibrary();
+                        addLogEntry(`↩️ Reverted ${name} to version ${revision.version} (saved as v${result.version}).`);
+                        await openFunctionHistoryModal(allFunctions[name]);
+                    } catch (error) {
+                        addLogEntry(`❌ Revert failed for ${name}: ${error.message}`);
+                    }
+                });
+            }
+            row.appendChild(actions);
+            functionHistoryList.appendChild(row);
+        });
+
+        functionHistoryModal.style.display = 'block';
+    }
+
     // Helper to display JSON in a readable, collapsible format
     function createJsonDisplay(data) {
         const pre = document.createElement('pre');
@@ -270,6 +479,12 @@ document.addEventListener('DOMContentLoaded', () => {
         return (typeof FunctionLibraryService !== 'undefined') ? FunctionLibraryService : null;
     }
 
+    async function reloadFunctionLibrary() {
+        allFunctions = await loadFunctionLibrary();
+        updateFunctionsLibrary();
+        updateAITaskFunctionsLibrary();
+    }
+
     async function loadFunctionLibrary() {
         const service = getFunctionLibraryService();
         if (service) return await service.getAll();
@@ -277,10 +492,21 @@ document.addEventListener('DOMContentLoaded', () => {
         return storage.generatedFunctions || {};
     }
 
-    async function saveFunctionLibrary() {
+    // options: { author, note, renames } for the revision history (see FunctionLibraryService.setAll).
+    // Resolves with the saved library. If another context changed a function edited here since it was loaded,
+    // nothing is saved: the library is reloaded, the conflict is logged and this resolves with null so the
+    // caller can stop without reporting success.
+    async function saveFunctionLibrary(options = {}) {
         const service = getFunctionLibraryService();
         if (service) {
-            allFunctions = await service.setAll(allFunctions);
+            try {
+                allFunctions = await service.setAll(allFunctions, options);
+            } catch (error) {
+                if (error.code !== service.CONFLICT_CODE) throw error;
+                await reloadFunctionLibrary();
+                addLogEntry(`⚠️ Not saved: ${error.conflicts.join(', ')} changed elsewhere in the meantime. The library was reloaded; please redo your change.`);
+                return null;
+            }
             return allFunctions;
         }
         await chrome.storage.local.set({ generatedFunctions: allFunctions });
@@ -402,7 +628,11 @@ document.addEventListener('DOMContentLoaded', () => {
             type: 'saveBackendSettings',
             backendEnabled: backendEnabledCheckbox?.checked === true,
             backendUrl: backendUrlInput?.value?.trim() || 'http://localhost:8787',
-            backendUploadEnabled: backendUploadEnabledCheckbox?.checked === true
+            backendUploadEnabled: backendUploadEnabledCheckbox?.checked === true,
+            backendApiToken: backendApiTokenInput?.value?.trim() || '',
+            backendWorkspace: backendWorkspaceInput?.value?.trim() || '',
+            backendIncludePublic: backendIncludePublicCheckbox?.checked === true,
+            backendSubscribeEnabled: backendSubscribeEnabledCheckbox?.checked === true
         };
         try {
             const response = await chrome.runtime.sendMessage(payload);
@@ -429,13 +659,23 @@ document.addEventListener('DOMContentLoaded', () => {
                 type: 'backendHealthCheck',
                 backendEnabled: backendEnabledCheckbox?.checked === true,
                 backendUrl: backendUrlInput?.value?.trim() || 'http://localhost:8787',
-                backendUploadEnabled: backendUploadEnabledCheckbox?.checked === true
+                backendUploadEnabled: backendUploadEnabledCheckbox?.checked === true,
+                backendApiToken: backendApiTokenInput?.value?.trim() || ''
             });
-            if (response?.success) {
+            if (response?.success && response.limitStatus) {
+                // Online, but the last upload/search was rate limited or over quota.
+                const limit = response.limitStatus;
+                backendStatusEl.textContent = limit.code === 'rate_limited' ? 'LIMIT' : 'QUOTA';
+                backendStatusEl.className = 'ollama-status checking';
+                const retry = limit.retryAt ? ` Retry after ${new Date(limit.retryAt).toLocaleTimeString()}.` : '';
+                backendStatusEl.title = `Online, but ${limit.operationId || 'a request'} was rejected (${limit.status}): ${limit.message}.${retry}`;
+                loadBackendWorkspaces();
+            } else if (response?.success) {
                 backendStatusEl.textContent = 'ON';
                 backendStatusEl.className = 'ollama-status online';
                 const count = Number(response?.data?.functionCount || 0);
                 backendStatusEl.title = `Online (${count} functions)`;
+                loadBackendWorkspaces();
             } else {
                 backendStatusEl.textContent = 'OFF';
                 backendStatusEl.className = 'ollama-status offline';
@@ -448,16 +688,87 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Fills the workspace suggestions; the field stays free text so an unlisted id can still be typed.
+    async function loadBackendWorkspaces() {
+        if (!backendWorkspaceOptions) return;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'listBackendWorkspaces',
+                backendUrl: backendUrlInput?.value?.trim() || 'http://localhost:8787',
+                backendApiToken: backendApiTokenInput?.value?.trim() || ''
+            });
+            if (!response?.success) return;
+            backendWorkspaceOptions.innerHTML = '';
+            response.items.forEach((workspace) => {
+                const option = document.createElement('option');
+                option.value = workspace.id;
+                option.label = `${workspace.name} (${workspace.visibility}, ${workspace.functionCount})`;
+                backendWorkspaceOptions.appendChild(option);
+            });
+            if (backendWorkspaceInput && !backendWorkspaceInput.value) {
+                backendWorkspaceInput.placeholder = response.defaultWorkspace || 'default';
+            }
+        } catch (error) {
+            console.warn('Failed to list backend workspaces:', error.message);
+        }
+    }
+
     backendEnabledCheckbox?.addEventListener('change', saveBackendSettings);
+    backendWorkspaceInput?.addEventListener('change', saveBackendSettings);
+    backendIncludePublicCheckbox?.addEventListener('change', saveBackendSettings);
     backendUploadEnabledCheckbox?.addEventListener('change', saveBackendSettings);
+    backendSubscribeEnabledCheckbox?.addEventListener('change', saveBackendSettings);
     backendUrlInput?.addEventListener('change', saveBackendSettings);
+    backendApiTokenInput?.addEventListener('change', saveBackendSettings);
+
+    async function exportLibraryBundle() {
+        const service = getFunctionLibraryService();
+        if (!service) return;
+        try {
+            const bundle = await service.exportBundle();
+            const url = URL.createObjectURL(new Blob([bundle], { type: 'application/x-ndjson' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `function-library-${new Date().toISOString().slice(0, 10)}.jsonl`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            libraryBundleStatus.textContent = `Exported ${Object.keys(allFunctions).length} function(s).`;
+        } catch (error) {
+            libraryBundleStatus.textContent = `Export failed: ${error.message}`;
+        }
+    }
+
+    async function importLibraryBundle(file) {
+        const service = getFunctionLibraryService();
+        if (!service || !file) return;
+        try {
+            const result = await service.importBundle(await file.text());
+            allFunctions = result.allFunctions;
+            updateFunctionsLibrary();
+            updateAITaskFunctionsLibrary();
+            updateReferenceFunctionsList();
+            const parts = [`Imported ${result.importedCount}`, `${result.unchangedCount} unchanged`];
+            if (result.renamedCount > 0) parts.push(`${result.renamedCount} renamed to avoid clashes`);
+            if (result.errors.length > 0) parts.push(`${result.errors.length} invalid line(s)`);
+            libraryBundleStatus.textContent = `${parts.join(', ')}.`;
+            addLogEntry(`📥 Library import: ${parts.join(', ')}`);
+        } catch (error) {
+            libraryBundleStatus.textContent = `Import failed: ${error.message}`;
+        } finally {
+            importLibraryFile.value = '';
+        }
+    }
+
+    exportLibraryBtn?.addEventListener('click', exportLibraryBundle);
+    importLibraryBtn?.addEventListener('click', () => importLibraryFile?.click());
+    importLibraryFile?.addEventListener('change', () => importLibraryBundle(importLibraryFile.files?.[0]));
 
     async function refreshAudioDevices() {
         chrome.runtime.sendMessage({ type: 'get-audio-devices' });
     }
 
     // Load saved settings
-    chrome.storage.local.get(['selectedAudioDeviceId', 'geminiApiKey', 'aiRetryCount', 'aiThinkingLevel', 'generatedFunctions', 'showTestsForeground', 'computerUseMaxActions', 'enableProactiveExploration', 'backendEnabled', 'backendUrl', 'backendUploadEnabled'], (data) => {
+    chrome.storage.local.get(['selectedAudioDeviceId', 'geminiApiKey', 'aiRetryCount', 'aiThinkingLevel', 'showTestsForeground', 'computerUseMaxActions', 'enableProactiveExploration', 'backendEnabled', 'backendUrl', 'backendUploadEnabled', 'backendApiToken', 'backendWorkspace', 'backendIncludePublic', 'backendSubscribeEnabled'], (data) => {
         if (data.selectedAudioDeviceId) {
             audioDeviceSelect.value = data.selectedAudioDeviceId;
         }
@@ -470,12 +781,15 @@ document.addEventListener('DOMContentLoaded', () => {
         if (data.aiThinkingLevel) {
             thinkingLevelSelect.value = data.aiThinkingLevel;
         }
-        if (data.generatedFunctions) {
-            allFunctions = data.generatedFunctions;
+        loadFunctionLibrary().then((functions) => {
+            allFunctions = functions;
             updateFunctionsLibrary();
             updateAITaskFunctionsLibrary();
             updateReferenceFunctionsList(); // Update reference list on load
-        }
+            refreshLibraryRunStats();
+        }).catch((error) => {
+            addLogEntry(`❌ Could not load the function library: ${error.message}`);
+        });
         showTestsForeground.checked = data.showTestsForeground !== undefined ? data.showTestsForeground : true;
         if (computerUseMaxActionsInput) {
             const parsed = parseInt(data.computerUseMaxActions, 10);
@@ -494,6 +808,18 @@ document.addEventListener('DOMContentLoaded', () => {
         if (backendUploadEnabledCheckbox) {
             backendUploadEnabledCheckbox.checked = data.backendUploadEnabled === true;
         }
+        if (backendApiTokenInput && typeof data.backendApiToken === 'string') {
+            backendApiTokenInput.value = data.backendApiToken.trim();
+        }
+        if (backendWorkspaceInput && typeof data.backendWorkspace === 'string') {
+            backendWorkspaceInput.value = data.backendWorkspace;
+        }
+        if (backendIncludePublicCheckbox) {
+            backendIncludePublicCheckbox.checked = data.backendIncludePublic === true;
+        }
+        if (backendSubscribeEnabledCheckbox) {
+            backendSubscribeEnabledCheckbox.checked = data.backendSubscribeEnabled === true;
+        }
         checkBackendHealth();
         updateGenerateButtonState();
     });
@@ -1030,7 +1356,11 @@ document.addEventListener('DOMContentLoaded', () => {
                     functionToSave.name = uniqueName;
                 }
                 allFunctions[functionToSave.name] = functionToSave;
-                await saveFunctionLibrary();
+                if (!(await saveFunctionLibrary({ author: 'ai-generate', note: 'Generated from recording' }))) {
+                    showGenerationStatus(`⚠️ "${functionToSave.name}" was not saved: the library changed elsewhere and was reloaded.`, 'error');
+                    lastError = null;
+                    break;
+                }
 
                 updateFunctionsLibrary();
                 showGenerationStatus(`✅ Function "${functionToSave.name}" created and verified!`, 'success');
@@ -1176,26 +1506,259 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // ==================== FUNCTIONS LIBRARY ====================
 
-    function updateFunctionsLibrary() {
+    // Folder filter value for functions without a folder; normalized folders never equal '/'.
+    const LIBRARY_UNFILED = '/';
+    // Embedding similarity at which a function matches a search even without shared words.
+    const LIBRARY_SEMANTIC_MIN_SCORE = 0.6;
+    // Weight of the 0..1 embedding similarity against the shared-word count when ranking by relevance.
+    const LIBRARY_SEMANTIC_WEIGHT = 5;
+    const LIBRARY_VIEW_STORAGE_KEY = 'functionLibraryView';
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function getFunctionFolder(func) {
+        const service = getFunctionLibraryService();
+        return service ? service.normalizeFolder(func?.folder) : String(func?.folder || '').trim();
+    }
+
+    function getFunctionTags(func) {
+        const service = getFunctionLibraryService();
+        return service ? service.normalizeTags(func?.tags) : [];
+    }
+
+    // Every folder in the library, including parents of nested folders.
+    function getLibraryFolders() {
+        const folders = new Set();
+        Object.values(allFunctions).forEach((func) => {
+            const parts = getFunctionFolder(func).split('/').filter(Boolean);
+            parts.forEach((_, index) => folders.add(parts.slice(0, index + 1).join('/')));
+        });
+        return Array.from(folders).sort((a, b) => a.localeCompare(b));
+    }
+
+    function isInLibraryFolder(func, folder) {
+        const own = getFunctionFolder(func);
+        if (folder === LIBRARY_UNFILED) return !own;
+        return own === folder || own.startsWith(`${folder}/`);
+    }
+
+    function matchesLibraryStatus(func, status) {
+        if (status === 'verified') return func?.testsPassed === true;
+        if (status === 'failed') return func?.testsPassed === false;
+        if (status === 'untested') return func?.testsPassed !== true && func?.testsPassed !== false;
+        return true;
+    }
+
+    // Functions that never ran sort below any that did.
+    function getLibrarySuccessRate(name) {
+        const stats = libraryRunStats[name];
+        return stats?.runCount > 0 ? stats.successCount / stats.runCount : -1;
+    }
+
+    function fillLibraryFilter(select, allLabel, options) {
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = '';
+        [['', allLabel], ...options].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = options.some(([value]) => value === selected) ? selected : '';
+    }
+
+    function refreshLibraryFilterOptions() {
+        const functions = Object.values(allFunctions);
+        const folders = getLibraryFolders().map((folder) => [folder, folder]);
+        if (functions.some((func) => !getFunctionFolder(func))) folders.push([LIBRARY_UNFILED, 'Unfiled']);
+        fillLibraryFilter(libraryFolderFilter, 'All folders', folders);
+
+        const tags = new Map();
+        functions.forEach((func) => getFunctionTags(func).forEach((tag) => {
+            if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+        }));
+        fillLibraryFilter(libraryTagFilter, 'All tags', Array.from(tags.entries())
+            .sort((a, b) => a[0].localeCompare(b[0])));
+
+        const sources = new Set(functions.map((func) => String(func?.source || '')).filter(Boolean));
+        fillLibraryFilter(librarySourceFilter, 'All sources', Array.from(sources).sort()
+            .map((source) => [source, source]));
+    }
+
+    // Names shown in the Playback library after search, filters and sorting.
+    function getLibraryFunctionNames() {
+        const service = getFunctionLibraryService();
+        const query = librarySearchInput?.value.trim() || '';
+        const folder = libraryFolderFilter?.value || '';
+        const tag = (libraryTagFilter?.value || '').toLowerCase();
+        const source = librarySourceFilter?.value || '';
+        const status = libraryStatusFilter?.value || '';
+        const semantic = librarySemanticToggle?.checked && librarySemanticScores?.query === query
+            ? librarySemanticScores.scores
+            : null;
+
+        const names = librarySiteFilter?.checked === false ? Object.keys(allFunctions) : getVisibleFunctionNames();
+        const relevance = {};
+        const filtered = names.filter((name) => {
+            const func = allFunctions[name];
+            if (folder && !isInLibraryFolder(func, folder)) return false;
+            if (tag && !getFunctionTags(func).some((item) => item.toLowerCase() === tag)) return false;
+            if (source && String(func?.source || '') !== source) return false;
+            if (!matchesLibraryStatus(func, status)) return false;
+            if (!query) return true;
+
+            const tokenScore = service ? service.scoreFunctionForTask(func, query) : 0;
+            const nameMatch = name.toLowerCase().includes(query.toLowerCase()) ? 1 : 0;
+            const semanticScore = semantic?.[name] || 0;
+            relevance[name] = tokenScore + nameMatch + semanticScore * LIBRARY_SEMANTIC_WEIGHT;
+            return tokenScore > 0 || nameMatch > 0 || semanticScore >= LIBRARY_SEMANTIC_MIN_SCORE;
+        });
+
+        const comparators = {
+            name: (a, b) => a.localeCompare(b),
+            lastRun: (a, b) => (libraryRunStats[b]?.lastRunAt || 0) - (libraryRunStats[a]?.lastRunAt || 0),
+            successRate: (a, b) => getLibrarySuccessRate(b) - getLibrarySuccessRate(a)
+                || (libraryRunStats[b]?.runCount || 0) - (libraryRunStats[a]?.runCount || 0),
+            created: (a, b) => (allFunctions[b]?.createdAt || 0) - (allFunctions[a]?.createdAt || 0),
+            relevance: (a, b) => (relevance[b] || 0) - (relevance[a] || 0)
+        };
+        // sort() is stable, so ties (and "relevance" without a query) keep library order.
+        return filtered.sort(comparators[librarySort?.value] || comparators.relevance);
+    }
+
+    // Cards are grouped by folder while browsing and listed flat, best match first, while searching.
+    function renderLibraryList() {
         functionsContainer.innerHTML = '';
+        refreshLibraryFilterOptions();
 
-        const functionNames = getVisibleFunctionNames();
+        const functionNames = getLibraryFunctionNames();
         if (functionNames.length === 0) {
-            functionsContainer.textContent = currentPageUrl
-                ? 'No functions match the current URL.'
-                : 'No functions generated yet.';
+            functionsContainer.textContent = Object.keys(allFunctions).length === 0
+                ? 'No functions generated yet.'
+                : 'No functions match the current URL, search or filters.';
             return;
         }
 
-        functionNames.forEach(name => {
-            const func = allFunctions[name];
-            const card = createFunctionCard(func);
-            functionsContainer.appendChild(card);
+        const searching = !!librarySearchInput?.value.trim();
+        if (searching || !functionNames.some((name) => getFunctionFolder(allFunctions[name]))) {
+            functionNames.forEach((name) => functionsContainer.appendChild(createFunctionCard(allFunctions[name])));
+            return;
+        }
+
+        const groups = new Map();
+        functionNames.forEach((name) => {
+            const folder = getFunctionFolder(allFunctions[name]);
+            if (!groups.has(folder)) groups.set(folder, []);
+            groups.get(folder).push(name);
         });
-        const visibleSet = new Set(functionNames);
+        // Named folders alphabetically, unfiled functions last.
+        const folders = Array.from(groups.keys()).sort((a, b) => (!a - !b) || a.localeCompare(b));
+        folders.forEach((folder) => {
+            const group = document.createElement('details');
+            group.className = 'library-folder';
+            group.open = !collapsedLibraryFolders.has(folder);
+            const summary = document.createElement('summary');
+            summary.textContent = `${folder ? `📁 ${folder}` : 'Unfiled'} (${groups.get(folder).length})`;
+            group.appendChild(summary);
+            groups.get(folder).forEach((name) => group.appendChild(createFunctionCard(allFunctions[name])));
+            group.addEventListener('toggle', () => {
+                if (group.open) collapsedLibraryFolders.delete(folder);
+                else collapsedLibraryFolders.add(folder);
+            });
+            functionsContainer.appendChild(group);
+        });
+    }
+
+    async function refreshLibraryRunStats() {
+        const service = getFunctionLibraryService();
+        if (!service) return;
+        try {
+            libraryRunStats = await service.getRunStats();
+            renderLibraryList();
+        } catch (error) {
+            addLogEntry(`⚠️ Could not load function run stats: ${error.message}`);
+        }
+    }
+
+    let librarySemanticTimer = null;
+    function scheduleLibrarySemanticSearch() {
+        clearTimeout(librarySemanticTimer);
+        const query = librarySearchInput?.value.trim() || '';
+        if (!librarySemanticToggle?.checked || !query) {
+            librarySearchStatus.textContent = '';
+            return;
+        }
+        librarySemanticTimer = setTimeout(async () => {
+            librarySearchStatus.textContent = 'Embedding search...';
+            const response = await chrome.runtime.sendMessage({ type: 'semanticSearchFunctionLibrary', query })
+                .catch((error) => ({ success: false, error: error.message }));
+            // A newer search replaced this one while it was running.
+            if (query !== librarySearchInput.value.trim()) return;
+            if (!response?.success) {
+                librarySemanticScores = null;
+                librarySearchStatus.textContent = `Semantic search unavailable: ${response?.error || 'no response'}`;
+                return;
+            }
+            librarySemanticScores = { query, scores: response.scores || {} };
+            librarySearchStatus.textContent = response.pending > 0
+                ? `Semantic search (${response.model}); ${response.pending} function(s) not embedded yet, search again to include them.`
+                : `Semantic search (${response.model}).`;
+            renderLibraryList();
+        }, 400);
+    }
+
+    function saveLibraryView() {
+        chrome.storage.local.set({
+            [LIBRARY_VIEW_STORAGE_KEY]: {
+                sort: librarySort?.value || 'relevance',
+                siteOnly: librarySiteFilter?.checked !== false,
+                semantic: librarySemanticToggle?.checked === true
+            }
+        });
+    }
+
+    chrome.storage.local.get([LIBRARY_VIEW_STORAGE_KEY], (data) => {
+        const view = data?.[LIBRARY_VIEW_STORAGE_KEY];
+        if (!view) return;
+        if (librarySort && view.sort) librarySort.value = view.sort;
+        if (librarySiteFilter) librarySiteFilter.checked = view.siteOnly !== false;
+        if (librarySemanticToggle) librarySemanticToggle.checked = view.semantic === true;
+        renderLibraryList();
+    });
+
+    librarySearchInput?.addEventListener('input', () => {
+        renderLibraryList();
+        scheduleLibrarySemanticSearch();
+    });
+    librarySemanticToggle?.addEventListener('change', () => {
+        saveLibraryView();
+        renderLibraryList();
+        scheduleLibrarySemanticSearch();
+    });
+    [libraryFolderFilter, libraryTagFilter, librarySourceFilter, libraryStatusFilter].forEach((select) => {
+        select?.addEventListener('change', renderLibraryList);
+    });
+    librarySort?.addEventListener('change', () => {
+        saveLibraryView();
+        renderLibraryList();
+    });
+    librarySiteFilter?.addEventListener('change', () => {
+        saveLibraryView();
+        renderLibraryList();
+    });
+
+    function updateFunctionsLibrary() {
+        renderLibraryList();
 
         // Ensure currentTestingFunction is up to date if we are testing/viewing a function
-        if (currentTestingFunction && allFunctions[currentTestingFunction.name] && visibleSet.has(currentTestingFunction.name)) {
+        if (currentTestingFunction && allFunctions[currentTestingFunction.name]) {
             currentTestingFunction = allFunctions[currentTestingFunction.name];
             // If test panel is open, maybe refresh inputs? 
             if (functionTestSection.style.display === 'block') {
@@ -1276,6 +1839,18 @@ document.addEventListener('DOMContentLoaded', () => {
         const orchestrationStrategy = isWorkflow
             ? (func?.workflowMetadata?.orchestrationStrategy || '')
             : '';
+        const folder = getFunctionFolder(func);
+        const tags = getFunctionTags(func);
+        const organizeHtml = folder || tags.length > 0
+            ? `<div class="function-tags">
+                    ${folder ? `<span class="function-folder-chip">📁 ${escapeHtml(folder)}</span>` : ''}
+                    ${tags.map(tag => `<span class="function-tag-chip">${escapeHtml(tag)}</span>`).join('')}
+               </div>`
+            : '';
+        const runStats = libraryRunStats[func.name];
+        const runStatsHtml = runStats?.runCount > 0
+            ? `<span class="function-meta-item"><strong>Runs:</strong> ${runStats.runCount} (${Math.round(100 * runStats.successCount / runStats.runCount)}% ok, last ${new Date(runStats.lastRunAt).toLocaleString()})</span>`
+            : '';
         const orchestrationHtml = orchestrationStrategy
             ? `<div class="workflow-orchestration">
                     <h4>Orchestration:</h4>
@@ -1290,11 +1865,13 @@ document.addEventListener('DOMContentLoaded', () => {
             </div>
             <div class="function-card-body">
                 <p class="function-description">${func.description || 'No description'}</p>
+                ${organizeHtml}
                 <div class="function-meta">
                     <span class="function-meta-item"><strong>URLs:</strong> ${urlPatterns.join(', ') || 'None'}</span>
                     <span class="function-meta-item"><strong>Steps:</strong> ${(func.steps || []).length}</span>
                     <span class="function-meta-item"><strong>AI:</strong> ${aiPrefLabel}</span>
                     <span class="function-meta-item"><strong>Embed:</strong> ${embedPrefLabel}</span>
+                    ${runStatsHtml}
                 </div>
                 <div class="function-inputs">
                     <h4>Inputs:</h4>
@@ -1312,6 +1889,8 @@ document.addEventListener('DOMContentLoaded', () => {
                     <button class="edit-function-btn">🛠️ Edit Function</button>
                     <button class="prompt-modify-function-btn">✨ Prompt Modify</button>
                     <button class="model-function-btn">🤖 Model Settings</button>
+                    <button class="history-function-btn">🕘 History</button>
+                    <button class="organize-function-btn">🏷️ Organize</button>
                     <button class="run-function-btn">▶️ Run</button>
                     <button class="delete-function-btn">🗑️ Delete</button>
                 </div>
@@ -1330,6 +1909,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const editBtn = card.querySelector('.edit-function-btn');
         const promptModifyBtn = card.querySelector('.prompt-modify-function-btn');
         const modelBtn = card.querySelector('.model-function-btn');
+        const historyBtn = card.querySelector('.history-function-btn');
+        const organizeBtn = card.querySelector('.organize-function-btn');
         const runBtn = card.querySelector('.run-function-btn');
         const deleteBtn = card.querySelector('.delete-function-btn');
 
@@ -1342,7 +1923,7 @@ document.addEventListener('DOMContentLoaded', () => {
             e.stopPropagation();
             const nextStatus = func.testsPassed === true ? undefined : true;
             allFunctions[func.name] = { ...func, testsPassed: nextStatus };
-            await saveFunctionLibrary();
+            if (!(await saveFunctionLibrary({ author: 'manual', note: nextStatus === true ? 'Marked tested' : 'Marked untested' }))) return;
             updateFunctionsLibrary();
             updateAITaskFunctionsLibrary();
             addLogEntry(nextStatus === true
@@ -1364,6 +1945,16 @@ document.addEventListener('DOMContentLoaded', () => {
             openModelSettingsModal(func);
         });
 
+        historyBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await openFunctionHistoryModal(func);
+        });
+
+        organizeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openFunctionOrganizeModal(func);
+        });
+
         runBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             runFunction(func);
@@ -1373,7 +1964,7 @@ document.addEventListener('DOMContentLoaded', () => {
             e.stopPropagation();
             if (confirm(`Delete function "${func.name}"?`)) {
                 delete allFunctions[func.name];
-                await saveFunctionLibrary();
+                if (!(await saveFunctionLibrary())) return;
                 updateFunctionsLibrary();
                 updateAITaskFunctionsLibrary();
                 addLogEntry(`🗑️ Deleted function: ${func.name}`);
@@ -1416,7 +2007,10 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!postModifyCheck.passed) {
                 const reason = postModifyCheck.error || 'Post-modify validation failed';
                 allFunctions[func.name] = { ...func, testsPassed: false };
-                await saveFunctionLibrary();
+                if (!(await saveFunctionLibrary({ author: 'ai-modify', note: `Prompt update failed validation: ${reason}` }))) {
+                    showGenerationStatus(`Prompt update failed validation: ${reason}`, 'error');
+                    return;
+                }
                 updateFunctionsLibrary();
                 updateAITaskFunctionsLibrary();
 
@@ -1435,7 +2029,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const checkedFunc = { ...updated, testsPassed: true };
             allFunctions[func.name] = checkedFunc;
-            await saveFunctionLibrary();
+            if (!(await saveFunctionLibrary({ author: 'ai-modify', note: userPrompt.trim() }))) {
+                showGenerationStatus(`⚠️ Update for ${func.name} was not saved: the library changed elsewhere and was reloaded.`, 'error');
+                return;
+            }
             updateFunctionsLibrary();
             updateAITaskFunctionsLibrary();
 
@@ -1693,7 +2290,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 testResultsContainer.innerHTML = '<div class="test-result-item success">✅ Test Passed!</div>';
                 displayFunctionResult(result.data);
             } else {
-                testResultsContainer.innerHTML = `<div class="test-result-item failure">❌ Failed: ${result?.error || 'Unknown error'}</div>`;
+                testResultsContainer.innerHTML = `<div class="test-result-item failure">❌ Failed: ${escapeHtml(result?.error || 'Unknown error')}</div>`;
+                // Output contract failures still carry what the function returned.
+                if (result?.failureKind === FunctionContract.OUTPUT_FAILURE) displayFunctionResult(result.data);
             }
         } catch (error) {
             testResultsContainer.innerHTML = `<div class="test-result-item failure">Error: ${error.message}</div>`;
@@ -1728,10 +2327,12 @@ document.addEventListener('DOMContentLoaded', () => {
             } else {
                 addLogEntry(`❌ Function failed: ${result?.error}`);
                 showGenerationStatus(`Function failed.`, 'error');
+                if (result?.failureKind === FunctionContract.OUTPUT_FAILURE) displayFunctionResult(result.data);
             }
         } catch (e) {
             addLogEntry(`❌ Execution error: ${e.message}`);
         }
+        refreshLibraryRunStats();
     }
 
     function displayFunctionResult(data) {
@@ -1896,9 +2497,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 returnValueOutput.innerHTML = '';
                 break;
             case 'functionsLibraryUpdated':
-                allFunctions = message.functions;
-                updateFunctionsLibrary();
-                updateAITaskFunctionsLibrary();
+            case 'functionLibraryChanged':
+                // Re-read instead of using the message payload so later saves compare against current revisions.
+                reloadFunctionLibrary().catch((error) => addLogEntry(`❌ Could not reload the function library: ${error.message}`));
                 break;
             case 'computerUseDebugImage':
                 showComputerUseDebugImage(message);
@@ -2975,8 +3576,9 @@ document.addEventListener('DOMContentLoaded', () => {
                             }
                             addLogEntry(`💾 Saved tool chain as function: ${savedFn.name}`);
                             allFunctions[savedFn.name] = savedFn;
-                            await saveFunctionLibrary();
-                            updateFunctionsLibrary();
+                            if (await saveFunctionLibrary({ author: 'ai-generate', note: 'Saved tool chain' })) {
+                                updateFunctionsLibrary();
+                            }
                         }
                     } else {
                         const toolErr = result.error || 'Unknown error';
@@ -3097,7 +3699,10 @@ document.addEventListener('DOMContentLoaded', () => {
                     allFunctions = await loadFunctionLibrary();
 
                     allFunctions[result.functionDef.name] = result.functionDef;
-                    await saveFunctionLibrary();
+                    if (!(await saveFunctionLibrary({ author: 'ai-generate', note: 'AI task' }))) {
+                        showAITaskStatus(`⚠️ "${result.functionDef.name}" was not saved: the library changed elsewhere and was reloaded.`, 'error');
+                        return;
+                    }
 
                     const successStatus = result.stoppedTestingAndSaved
                         ? `Function "${result.functionDef.name}" saved (tests stopped by user).`